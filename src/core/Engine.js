@@ -24,6 +24,7 @@ export class Engine {
         this.scene = null;
         this.inputManager = null;
         this.performanceMonitor = null;
+        this.ecosystem = null; // EcosystemManager, stepped on its own fixed timestep
         
         // Timing
         this.lastFrameTime = 0;
@@ -36,6 +37,7 @@ export class Engine {
             targetFPS: 60,
             maxDeltaTime: 1 / 30, // Cap at 30fps minimum
             renderMode: 'webgl',
+            frustumCulling: true,
             debugMode: false
         };
         
@@ -208,6 +210,11 @@ export class Engine {
             this.scene.update(deltaTime);
         }
 
+        // Advance the ecosystem simulation
+        if (this.ecosystem) {
+            this.ecosystem.update(deltaTime);
+        }
+
         // Custom update callback
         if (this.onUpdate) {
             this.onUpdate(deltaTime);
@@ -223,9 +230,6 @@ export class Engine {
             // This step might not be strictly necessary with the new render loop, but it's good practice
             this.scene.prepareRender();
 
-            // Begin frame (clears the screen)
-            this.renderer.beginFrame();
-
             // Update camera matrices in the renderer
             if (this.camera) {
                 this.renderer.setCamera(
@@ -233,8 +237,18 @@ export class Engine {
                     this.camera.getProjectionMatrix(),
                     this.camera.getPosition() // Pass camera position for lighting
                 );
+
+                // Portal sectors in view, which limit the lights and meshes below
+                this.scene.updateVisibility(this.getFrustumPlanes(), this.camera.getPosition());
             }
 
+            // Lights, then their shadow maps, before anything is drawn to the screen
+            this.renderer.setLights(this.scene.getVisibleLights(), this.scene.ambientLight);
+            this.renderer.renderShadows(this.scene.renderableNodes);
+
+            // Begin frame (clears the screen)
+            this.renderer.beginFrame();
+
             // Render the entire scene graph
             this.renderScene(this.scene);
 
@@ -249,9 +263,26 @@ export class Engine {
     }
 
     /**
-     * Render scene objects by traversing the scene graph
+     * Render scene objects. With frustum culling on, a Scene's spatial index and portal
+     * sectors pick the meshes in view, and instanced meshes cull their instances against
+     * the same planes; otherwise (or for a plain subtree) the whole graph is traversed.
      */
     renderScene(rootNode) {
+        if (this.config.frustumCulling && this.camera && rootNode.getVisibleMeshes) {
+            const planes = this.getFrustumPlanes();
+            const visible = rootNode.getVisibleMeshes(planes);
+            
+            for (const node of visible) {
+                const meshComponent = node.getComponent('mesh');
+                if (meshComponent.geometry && meshComponent.material) {
+                    this.renderer.renderMesh(node, planes);
+                }
+            }
+            
+            this.performanceMonitor.setCullingStats(visible.length, rootNode.renderableNodes.length - visible.length);
+            return;
+        }
+        
         // A recursive function to render a node and its children
         const renderNode = (node) => {
             if (!node.visible) {
@@ -276,6 +307,13 @@ export class Engine {
         }
     }
     
+    /**
+     * The camera's view frustum as world-space planes
+     */
+    getFrustumPlanes() {
+        return this.camera.getProjectionMatrix().multiply(this.camera.getViewMatrix()).extractFrustumPlanes();
+    }
+    
     /**
      * Canvas2D fallback rendering
      */
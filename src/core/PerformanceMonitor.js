@@ -35,6 +35,8 @@ export class PerformanceMonitor {
             drawCalls: 0,
             triangles: 0,
             vertices: 0,
+            visibleMeshes: 0,
+            culledMeshes: 0,
             
             memoryUsed: 0,
             memoryLimit: 0,
@@ -177,6 +179,14 @@ export class PerformanceMonitor {
         this.stats.vertices = vertices;
     }
     
+    /**
+     * Set frustum culling statistics
+     */
+    setCullingStats(visible, culled) {
+        this.stats.visibleMeshes = visible;
+        this.stats.culledMeshes = culled;
+    }
+    
     /**
      * Set entity statistics
      */
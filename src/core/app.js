@@ -9,6 +9,10 @@ import { DemoScene } from './DemoScene.js';
 import { Keys, MouseButtons } from './InputManager.js';
 import { runner as mathTestRunner } from '../../tests/math-tests.js';
 import { DungeonScene } from '../generation/DungeonScene.js';
+import { DungeonThemes } from '../generation/DungeonThemes.js';
+
+// Infectious individuals a "Seed outbreak" button in the room inspector introduces
+const OUTBREAK_SIZE = 3;
 
 class DungeonEcosystemApp {
     constructor() {
@@ -75,6 +79,10 @@ class DungeonEcosystemApp {
             if (Environment.isDevelopment()) {
                 console.log('🏰 Dungeon Controls:');
                 console.log('  Ctrl+G: Generate new dungeon');
+                console.log('  Ctrl+K: Toggle portal culling');
+                console.log('  F: Toggle first-person walk mode');
+                console.log('  N: Toggle navigation mesh overlay');
+                console.log('  Click: Inspect a room or tunnel');
                 console.log('  Use control panel for generation settings');
             }
 
@@ -178,6 +186,18 @@ class DungeonEcosystemApp {
             }
         });
 
+        // Shadows
+        input.onKeyDown(Keys.B, (event) => {
+            if (event.ctrlKey || event.metaKey) {
+                event.preventDefault();
+                const renderer = this.engine.renderer;
+                if (renderer && renderer.shadowMaps) {
+                    renderer.setShadowsEnabled(!renderer.shadowMaps.enabled);
+                    console.log(`🌑 Shadows ${renderer.shadowMaps.enabled ? 'on' : 'off'}`);
+                }
+            }
+        });
+
         // Reset
         input.onKeyDown(Keys.R, (event) => {
             if (event.ctrlKey || event.metaKey) {
@@ -197,6 +217,7 @@ class DungeonEcosystemApp {
             console.log('  Ctrl+P: Log Performance Report');
             console.log('  Ctrl+V: Isometric View');
             console.log('  Ctrl+C: Camera Info');
+            console.log('  Ctrl+B: Toggle Shadows');
             console.log('  Ctrl+R: Reset');
             console.log('  1-6: Focus on specific cube');
             console.log('  R: Randomize cube colors');
@@ -391,9 +412,9 @@ class DungeonEcosystemApp {
             <div style="margin-bottom: 10px;">
                 <label>Theme:
                     <select id="dungeonTheme">
-                        <option value="mixed">Mixed</option>
-                        <option value="natural">Natural Caves</option>
-                        <option value="ruins">Ancient Ruins</option>
+                        ${DungeonThemes.list().map(theme =>
+                            `<option value="${theme.id}">${theme.name}</option>`
+                        ).join('')}
                     </select>
                 </label>
             </div>
@@ -419,6 +440,36 @@ class DungeonEcosystemApp {
                 cursor: pointer;
                 width: 100%;
             ">Switch to Dungeon</button>
+            <div style="display: flex; gap: 5px; margin-top: 5px;">
+                <button id="saveDungeonBtn" style="
+                    background: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 15px;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    flex: 1;
+                ">Save</button>
+                <button id="saveBinaryDungeonBtn" title="Smaller file with raw geometry buffers" style="
+                    background: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 15px;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    flex: 1;
+                ">Save Binary</button>
+                <button id="loadDungeonBtn" style="
+                    background: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 15px;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    flex: 1;
+                ">Load</button>
+            </div>
+            <input type="file" id="loadDungeonInput" accept=".json,.dungeon" style="display: none;">
             <div id="dungeonStats" style="margin-top: 10px; font-size: 12px; display: none;">
                 <div>Rooms: <span id="statRooms">0</span></div>
                 <div>Natural: <span id="statNatural">0</span></div>
@@ -448,6 +499,25 @@ class DungeonEcosystemApp {
             this.switchMode();
         });
 
+        document.getElementById('saveDungeonBtn').addEventListener('click', () => {
+            this.saveDungeon();
+        });
+
+        document.getElementById('saveBinaryDungeonBtn').addEventListener('click', () => {
+            this.saveDungeon(true);
+        });
+
+        const loadInput = document.getElementById('loadDungeonInput');
+        document.getElementById('loadDungeonBtn').addEventListener('click', () => {
+            loadInput.click();
+        });
+        loadInput.addEventListener('change', () => {
+            if (loadInput.files.length > 0) {
+                this.loadDungeon(loadInput.files[0]);
+                loadInput.value = '';
+            }
+        });
+
         // Add keyboard shortcut
         this.engine.inputManager.onKeyDown(Keys.G, (event) => {
             if (event.ctrlKey || event.metaKey) {
@@ -455,6 +525,67 @@ class DungeonEcosystemApp {
                 this.generateDungeon();
             }
         });
+
+        // Portal culling
+        this.engine.inputManager.onKeyDown(Keys.K, (event) => {
+            if (event.ctrlKey || event.metaKey) {
+                event.preventDefault();
+                const portals = this.engine.scene.portalCulling;
+                if (portals) {
+                    portals.enabled = !portals.enabled;
+                    console.log(`🚪 Portal culling ${portals.enabled ? 'on' : 'off'}`);
+                }
+            }
+        });
+
+        // First-person walk mode
+        this.engine.inputManager.onKeyDown(Keys.F, (event) => {
+            if (event.ctrlKey || event.metaKey || this.currentMode !== 'dungeon' || !this.dungeonScene) return;
+            this.dungeonScene.toggleWalkMode();
+        });
+
+        // Navigation mesh overlay
+        this.engine.inputManager.onKeyDown(Keys.N, (event) => {
+            if (event.ctrlKey || event.metaKey || this.currentMode !== 'dungeon' || !this.dungeonScene) return;
+            const shown = this.dungeonScene.toggleNavMeshOverlay();
+            console.log(`🧭 Navigation mesh overlay ${shown ? 'on' : 'off'}`);
+        });
+
+        // Click a wall or floor to inspect its room or tunnel
+        const inspector = document.createElement('div');
+        inspector.id = 'roomInspector';
+        inspector.style.cssText = `
+            position: absolute;
+            bottom: 10px;
+            left: 10px;
+            max-width: 320px;
+            background: rgba(0, 0, 0, 0.8);
+            color: white;
+            padding: 15px;
+            border-radius: 5px;
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            z-index: 1000;
+            display: none;
+        `;
+        document.getElementById('app').appendChild(inspector);
+
+        // A press that barely moves is a click; anything more is an orbit drag
+        let pressedAt = null;
+        this.engine.inputManager.onMouseDown(MouseButtons.LEFT, (event) => {
+            pressedAt = { x: event.clientX, y: event.clientY };
+        });
+        this.engine.inputManager.onMouseUp(MouseButtons.LEFT, (event) => {
+            const isClick = pressedAt && Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y) < 4;
+            pressedAt = null;
+            if (!isClick || this.currentMode !== 'dungeon' || !this.dungeonScene) return;
+
+            // While walking the mouse is captured, so inspect what's under the crosshair
+            const { x, y } = this.engine.camera.mode === 'walk'
+                ? { x: 0.5, y: 0.5 }
+                : this.engine.inputManager.getNormalizedMousePosition();
+            this.showInspection(this.dungeonScene.inspectAt(x, y));
+        });
     }
 
     // Add method to switch between demo and dungeon mode
@@ -497,6 +628,7 @@ class DungeonEcosystemApp {
             // Update UI
             document.getElementById('switchModeBtn').textContent = 'Switch to Dungeon';
             document.getElementById('dungeonStats').style.display = 'none';
+            this.showInspection(null);
         }
     }
 
@@ -516,31 +648,145 @@ class DungeonEcosystemApp {
             optimizeGeometry: document.getElementById('optimizeGeometry').checked
         };
 
-        // Show loading indicator
+        // Show progress on the button; clicking again restarts generation
         const generateBtn = document.getElementById('generateDungeonBtn');
-        generateBtn.disabled = true;
+        this.dungeonScene.onProgress = (progress, phase) => {
+            if (this.dungeonScene.isGenerating) {
+                generateBtn.textContent = `Generating... ${Math.round(progress)}% (${phase})`;
+            }
+        };
         generateBtn.textContent = 'Generating...';
 
         try {
-            // Generate dungeon
-            await this.dungeonScene.generateDungeon(config);
-
-            // Update stats
-            const stats = this.dungeonScene.getStats();
-            document.getElementById('statRooms').textContent = stats.rooms;
-            document.getElementById('statNatural').textContent = stats.natural;
-            document.getElementById('statManMade').textContent = stats.manMade;
-            document.getElementById('statWater').textContent = stats.waterBodies;
-            document.getElementById('statLights').textContent = stats.lightSources;
-            document.getElementById('statTime').textContent = stats.generationTime;
-            document.getElementById('dungeonStats').style.display = 'block';
+            // Generate dungeon; null means a newer request superseded this one
+            const dungeon = await this.dungeonScene.generateDungeon(config);
+            if (!dungeon) return;
+
+            this.updateDungeonStats();
 
         } catch (error) {
             console.error('Dungeon generation failed:', error);
             alert('Failed to generate dungeon. Check console for details.');
         } finally {
-            generateBtn.disabled = false;
-            generateBtn.textContent = 'Generate Dungeon';
+            if (!this.dungeonScene.isGenerating) {
+                generateBtn.textContent = 'Generate Dungeon';
+            }
+        }
+    }
+
+    // Show the current dungeon's statistics in the control panel
+    updateDungeonStats() {
+        const stats = this.dungeonScene.getStats();
+        document.getElementById('statRooms').textContent = stats.rooms;
+        document.getElementById('statNatural').textContent = stats.natural;
+        document.getElementById('statManMade').textContent = stats.manMade;
+        document.getElementById('statWater').textContent = stats.waterBodies;
+        document.getElementById('statLights').textContent = stats.lightSources;
+        document.getElementById('statTime').textContent = stats.generationTime;
+        document.getElementById('dungeonStats').style.display = 'block';
+    }
+
+    // Show a picked room or tunnel (from DungeonScene.inspectAt) in the inspector panel
+    showInspection(info) {
+        const inspector = document.getElementById('roomInspector');
+        if (!inspector) return;
+        if (!info) {
+            inspector.style.display = 'none';
+            return;
+        }
+
+        console.log(`🔎 ${info.kind === 'room' ? 'Room' : 'Connection'} ${info.id}:`, info);
+
+        const format = value => typeof value === 'number'
+            ? (Number.isInteger(value) ? value : value.toFixed(2))
+            : Array.isArray(value) ? (value.join(', ') || 'none') : value;
+        const environment = Object.entries(info.environment)
+            .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object' || Array.isArray(value))
+            .map(([key, value]) => `<div>${key}: ${format(value)}</div>`);
+        if (info.environment.airFlow) {
+            const flow = info.environment.airFlow;
+            environment.push(`<div>airFlow: ${flow.from} → ${flow.to} (${format(flow.strength)})</div>`);
+        }
+        const features = info.features.map(feature => `${feature.type} ×${feature.count}`);
+
+        // Diseases whose hosts live in the room, each with a button seeding an outbreak there
+        const ecosystem = info.kind === 'room' ? this.dungeonScene?.ecosystem : null;
+        const diseases = ecosystem ? [...ecosystem.disease.diseases.values()]
+            .map(disease => ({ disease, status: ecosystem.disease.getRoomStatus(ecosystem.rooms.get(info.id), disease.id) }))
+            .filter(({ status }) => status) : [];
+        const diseaseRows = diseases.map(({ disease, status }) => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 5px; margin-bottom: 3px;">
+                <span>${disease.name}: ${Math.round(status.exposed + status.infectious)} infected, ${Math.round(status.recovered)} immune</span>
+                <button data-disease="${disease.id}" style="
+                    background: #a94442;
+                    color: white;
+                    border: none;
+                    padding: 3px 8px;
+                    border-radius: 3px;
+                    cursor: pointer;
+                ">Seed outbreak</button>
+            </div>
+        `);
+
+        inspector.innerHTML = `
+            <h3 style="margin-top: 0;">${info.kind === 'room' ? 'Room' : 'Connection'} ${info.id}</h3>
+            <div>Type: ${info.type}</div>
+            <div>Style: ${info.style}</div>
+            ${info.kind === 'room'
+                ? `<div>Depth: ${info.depth}</div><div>Connections: ${info.connections.length}</div>`
+                : `<div>Joins: ${info.rooms.join(' ↔ ')}</div><div>Length: ${format(info.length)}</div>`}
+            <h4 style="margin-bottom: 4px;">Environment</h4>
+            ${environment.join('')}
+            <h4 style="margin-bottom: 4px;">Features</h4>
+            <div>${features.join(', ') || 'none'}</div>
+            ${diseaseRows.length > 0 ? `<h4 style="margin-bottom: 4px;">Disease</h4>${diseaseRows.join('')}` : ''}
+        `;
+        inspector.querySelectorAll('[data-disease]').forEach(button => {
+            button.addEventListener('click', () => {
+                const infected = ecosystem.seedOutbreak(info.id, button.dataset.disease, OUTBREAK_SIZE);
+                console.log(`🦠 Seeded ${button.dataset.disease} in room ${info.id}: ${infected} infected`);
+                this.showInspection(info);
+            });
+        });
+        inspector.style.display = 'block';
+    }
+
+    // Download the current dungeon as a save file, JSON or (binary) a .dungeon file
+    saveDungeon(binary = false) {
+        const data = this.dungeonScene?.saveDungeon({ binary });
+        if (!data) {
+            alert('Generate a dungeon before saving.');
+            return;
+        }
+
+        const seed = this.dungeonScene.currentDungeon.config.seed;
+        const type = binary ? 'application/octet-stream' : 'application/json';
+        const url = URL.createObjectURL(new Blob([data], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `dungeon-${seed}.${binary ? 'dungeon' : 'json'}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Load a save file chosen by the user (JSON or binary)
+    async loadDungeon(file) {
+        if (this.currentMode !== 'dungeon') {
+            this.currentMode = 'dungeon';
+            this.demoScene?.dispose();
+            document.getElementById('switchModeBtn').textContent = 'Switch to Demo';
+        }
+        if (!this.dungeonScene) {
+            this.dungeonScene = new DungeonScene(this.engine);
+        }
+
+        try {
+            const dungeon = await this.dungeonScene.loadDungeon(await file.arrayBuffer());
+            document.getElementById('dungeonSeed').value = dungeon.config.seed;
+            this.updateDungeonStats();
+        } catch (error) {
+            console.error('Dungeon load failed:', error);
+            alert(`Failed to load dungeon: ${error.message}`);
         }
     }
 }
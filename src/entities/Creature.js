@@ -0,0 +1,242 @@
+/**
+ * Creature - One individual animal, simulated in rooms the player is looking at
+ * Carries its needs (hunger, thirst, safety, reproduction; 0 is content, 1 desperate)
+ * and a finite-state behaviour: wander, forage, drink, flee, hunt, mate or rest. The
+ * world it lives in (see AgentSystem) answers its questions about the room and carries
+ * out what it does to others: eating, killing, mating, dying and leaving.
+ *
+ * Needs grow per simulated day; movement happens in real seconds so creatures walk at
+ * their species' speed whatever the simulation's time scale.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+
+export const CREATURE_STATES = ['wander', 'forage', 'drink', 'flee', 'hunt', 'mate', 'rest'];
+
+// Needs above these start the behaviour that satisfies them
+const HUNGRY = 0.5;
+const THIRSTY = 0.5;
+const THREATENED = 0.3;
+const READY_TO_MATE = 1;
+
+// Hungry or thirsty beyond this with nothing in the room, a creature heads for a tunnel
+const DESPERATE = 0.75;
+
+// How much a meal or a kill takes off hunger
+const MEAL = 0.6;
+const KILL = 0.8;
+
+// Humid air keeps creatures from drying out: at 100% humidity thirst grows this much slower
+const HUMIDITY_RELIEF = 0.8;
+
+// Reproduction need grows this much per simulated day unless hungry or thirsty beyond DESPERATE
+const REPRODUCTION_RATE = 0.5;
+
+// Distances (metres) at which a creature has reached its target, caught prey or found a mate
+const ARRIVE_DISTANCE = 0.3;
+const CATCH_DISTANCE = 0.5;
+const MATE_DISTANCE = 0.6;
+
+// Chasing and fleeing run faster than walking
+const CHASE_SPEED = 1.3;
+const FLEE_SPEED = 1.5;
+const FLEE_DISTANCE = 4;
+
+// Rest (real seconds), and the chance of resting after reaching a wander target
+const REST_DURATION = 3;
+const REST_CHANCE = 0.3;
+
+let nextCreatureId = 1;
+
+export class Creature {
+    constructor(species, roomId, position, weight = 1) {
+        this.id = nextCreatureId++;
+        this.species = species;
+        this.roomId = roomId;
+        this.position = position.clone();
+        this.heading = new Vector3(0, 0, 1);
+
+        // How many individuals of the aggregate population this creature stands for
+        this.weight = weight;
+
+        this.needs = { hunger: 0, thirst: 0, safety: 0, reproduction: 0 };
+        this.state = 'wander';
+        this.stateTime = 0; // Real seconds in the current state
+        this.target = null; // Point being walked to
+        this.prey = null; // Creature being chased
+        this.exit = null; // Tunnel being left through ({ connectionId, to, position })
+        this.threat = null; // Position of the nearest predator
+        this.age = 0; // Simulated days
+        this.alive = true;
+        this.genome = null; // Genome, given by the world it lives in
+    }
+
+    get speciesId() {
+        return this.species.id;
+    }
+
+    /**
+     * Grow needs over `days` simulated days, then pick a state and act on it for
+     * deltaTime real seconds
+     */
+    update(deltaTime, days, world) {
+        this.updateNeeds(days, world);
+        if (!this.alive) return;
+
+        this.setState(this.chooseState(world));
+        this.stateTime += deltaTime;
+        this.act(deltaTime, world);
+    }
+
+    updateNeeds(days, world) {
+        const { needs, species } = this;
+        const humidity = world.getHumidity(this);
+        this.age += days;
+
+        needs.hunger += species.hungerRate * days;
+        needs.thirst += species.thirstRate * (1 - HUMIDITY_RELIEF * humidity / 100) * days;
+        if (needs.hunger < DESPERATE && needs.thirst < DESPERATE) {
+            needs.reproduction = Math.min(READY_TO_MATE, needs.reproduction + REPRODUCTION_RATE * days);
+        }
+
+        const threat = world.getThreat(this);
+        needs.safety = threat ? threat.level : 0;
+        this.threat = threat ? threat.position : null;
+
+        if (needs.hunger >= 1) {
+            world.die(this, 'starvation');
+        } else if (needs.thirst >= 1) {
+            world.die(this, 'thirst');
+        } else if (world.random() < species.mortalityRate * days) {
+            world.die(this, 'age');
+        }
+    }
+
+    /**
+     * The most pressing behaviour; ongoing ones carry on until their need is met
+     */
+    chooseState(world) {
+        const { needs } = this;
+        if (needs.safety > THREATENED) return 'flee';
+        if (needs.hunger > HUNGRY || (this.isFeeding() && needs.hunger > 0.1)) {
+            return this.species.isPredator && world.findPrey(this) ? 'hunt' : 'forage';
+        }
+        if (needs.thirst > THIRSTY || (this.state === 'drink' && needs.thirst > 0.1)) return 'drink';
+        if (needs.reproduction >= READY_TO_MATE) return 'mate';
+        if (this.state === 'rest' && this.stateTime < REST_DURATION) return 'rest';
+        return 'wander';
+    }
+
+    isFeeding() {
+        return this.state === 'forage' || this.state === 'hunt';
+    }
+
+    setState(state) {
+        if (state === this.state) return;
+        this.state = state;
+        this.stateTime = 0;
+        this.target = null;
+        this.prey = null;
+        this.exit = null;
+    }
+
+    act(deltaTime, world) {
+        // Already on the way out of the room
+        if (this.exit) {
+            if (this.moveTowards(this.exit.position, deltaTime)) world.leave(this, this.exit);
+            return;
+        }
+
+        switch (this.state) {
+            case 'flee': {
+                const away = this.position.subtract(this.threat);
+                away.y = 0;
+                const direction = away.lengthSquared() > 1e-6 ? away.normalize() : this.heading;
+                this.moveTowards(world.clampToRoom(this, this.position.add(direction.multiply(FLEE_DISTANCE))), deltaTime, FLEE_SPEED);
+                break;
+            }
+            case 'hunt': {
+                this.prey = this.prey?.alive && this.prey.roomId === this.roomId ? this.prey : world.findPrey(this);
+                if (!this.prey) break;
+                this.moveTowards(this.prey.position, deltaTime, CHASE_SPEED);
+                if (this.position.distance(this.prey.position) <= CATCH_DISTANCE) {
+                    world.kill(this, this.prey);
+                    this.needs.hunger = Math.max(0, this.needs.hunger - KILL);
+                    this.prey = null;
+                }
+                break;
+            }
+            case 'forage': {
+                this.target = this.target || world.findFood(this);
+                if (!this.target) {
+                    this.seekElsewhere(world, 'food', this.needs.hunger, deltaTime);
+                } else if (this.moveTowards(this.target, deltaTime)) {
+                    const eaten = world.eat(this);
+                    this.needs.hunger = Math.max(0, this.needs.hunger - MEAL * eaten);
+                    this.target = null;
+                    if (eaten === 0) this.seekElsewhere(world, 'food', this.needs.hunger, deltaTime);
+                }
+                break;
+            }
+            case 'drink': {
+                this.target = this.target || world.findWater(this);
+                if (!this.target) {
+                    this.seekElsewhere(world, 'water', this.needs.thirst, deltaTime);
+                } else if (this.moveTowards(this.target, deltaTime)) {
+                    this.needs.thirst = 0;
+                    this.target = null;
+                }
+                break;
+            }
+            case 'mate': {
+                const partner = world.findMate(this);
+                if (!partner) {
+                    this.wander(deltaTime, world);
+                } else if (this.moveTowards(partner.position, deltaTime) || this.position.distance(partner.position) <= MATE_DISTANCE) {
+                    world.mate(this, partner);
+                    this.needs.reproduction = 0;
+                    partner.needs.reproduction = 0;
+                }
+                break;
+            }
+            case 'rest':
+                break;
+            default:
+                this.wander(deltaTime, world);
+        }
+    }
+
+    wander(deltaTime, world) {
+        this.target = this.target || world.randomPoint(this);
+        if (this.moveTowards(this.target, deltaTime)) {
+            this.target = null;
+            if (this.state === 'wander' && world.random() < REST_CHANCE) this.setState('rest');
+        }
+    }
+
+    /**
+     * Nothing here for a need: leave for another room once desperate, otherwise keep looking
+     */
+    seekElsewhere(world, need, level, deltaTime) {
+        if (level > DESPERATE) this.exit = world.pickExit(this, need);
+        if (!this.exit) this.wander(deltaTime, world);
+    }
+
+    /**
+     * Walk towards a point; returns true once there
+     */
+    moveTowards(point, deltaTime, speedFactor = 1) {
+        const offset = point.subtract(this.position);
+        const distance = offset.length();
+        if (distance <= ARRIVE_DISTANCE) return true;
+
+        const step = this.species.speed * speedFactor * deltaTime;
+        this.heading = offset.divide(distance);
+        if (step >= distance) {
+            this.position.copy(point);
+            return true;
+        }
+        this.position.addInPlace(this.heading.multiply(step));
+        return false;
+    }
+}
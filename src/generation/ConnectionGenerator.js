@@ -4,10 +4,15 @@
  */
 
 import { Vector3 } from '../math/Vector3.js';
-import { MathUtils } from '../math/MathUtils.js';
+import { SeededRandom } from '../math/SeededRandom.js';
+import { DungeonThemes } from './DungeonThemes.js';
+import { RoomShapes } from './RoomShapes.js';
 
 export class ConnectionGenerator {
     constructor() {
+        this.rng = new SeededRandom();
+        this.theme = DungeonThemes.get('mixed');
+        
         this.connectionStyles = {
             NATURAL_TUNNEL: {
                 width: [2, 4],
@@ -33,6 +38,20 @@ export class ConnectionGenerator {
         };
     }
     
+    /**
+     * Use the given random stream for subsequent generation
+     */
+    setRandom(rng) {
+        this.rng = rng;
+    }
+    
+    /**
+     * Use the theme's connection style weights
+     */
+    setTheme(theme) {
+        this.theme = theme;
+    }
+    
     /**
      * Generate all connections between rooms
      */
@@ -194,7 +213,7 @@ export class ConnectionGenerator {
         // Decrease for distance
         probability -= (distance / 30) * 0.2;
         
-        return Math.random() < probability;
+        return this.rng.next() < probability;
     }
     
     /**
@@ -205,8 +224,8 @@ export class ConnectionGenerator {
         const styleData = this.connectionStyles[style];
         
         // Calculate connection properties
-        const width = MathUtils.randomRange(styleData.width[0], styleData.width[1]);
-        const height = MathUtils.randomRange(styleData.height[0], styleData.height[1]);
+        const width = this.rng.range(styleData.width[0], styleData.width[1]);
+        const height = this.rng.range(styleData.height[0], styleData.height[1]);
         
         // Generate path
         const path = await this.generatePath(roomA, roomB, style, config);
@@ -223,8 +242,8 @@ export class ConnectionGenerator {
             length: this.calculatePathLength(path),
             features: this.generateConnectionFeatures(styleData, path.length),
             doorways: {
-                [roomA.id]: this.calculateDoorway(roomA, path[0], path[1]),
-                [roomB.id]: this.calculateDoorway(roomB, path[path.length - 1], path[path.length - 2])
+                [roomA.id]: this.calculateDoorway(roomA, path, width, height),
+                [roomB.id]: this.calculateDoorway(roomB, path.slice().reverse(), width, height)
             }
         };
         
@@ -235,16 +254,20 @@ export class ConnectionGenerator {
     }
     
     /**
-     * Determine connection style based on room types
+     * Determine connection style based on room styles, weighted by theme
      */
     determineConnectionStyle(roomA, roomB) {
-        if (roomA.style === 'NATURAL' && roomB.style === 'NATURAL') {
-            return 'NATURAL_TUNNEL';
-        } else if (roomA.style === 'MAN_MADE' && roomB.style === 'MAN_MADE') {
-            return 'CARVED_CORRIDOR';
-        } else {
+        const pairing = roomA.style === roomB.style ? roomA.style : 'MIXED';
+        const weights = this.theme.connectionStyles[pairing] || {};
+        const styles = Object.keys(weights).filter(style => this.connectionStyles[style] && weights[style] > 0);
+        
+        if (styles.length === 0) {
             return 'TRANSITIONAL';
         }
+        if (styles.length === 1) {
+            return styles[0];
+        }
+        return styles[this.rng.weighted(styles.map(style => weights[style]))];
     }
     
     /**
@@ -282,9 +305,9 @@ export class ConnectionGenerator {
             
             // Add organic variation
             const offset = new Vector3(
-                (Math.random() - 0.5) * distance * 0.2,
-                (Math.random() - 0.5) * distance * 0.1,
-                (Math.random() - 0.5) * distance * 0.2
+                (this.rng.next() - 0.5) * distance * 0.2,
+                (this.rng.next() - 0.5) * distance * 0.1,
+                (this.rng.next() - 0.5) * distance * 0.2
             );
             
             controlPoints.push(basePoint.add(offset));
@@ -332,7 +355,7 @@ export class ConnectionGenerator {
                 
                 // Small offset perpendicular to main direction
                 const perpendicular = new Vector3(-direction.z, 0, direction.x).normalize();
-                const offset = perpendicular.multiply((Math.random() - 0.5) * 5);
+                const offset = perpendicular.multiply((this.rng.next() - 0.5) * 5);
                 
                 path.push(basePoint.add(offset));
             }
@@ -356,13 +379,13 @@ export class ConnectionGenerator {
             const basePoint = start.lerp(end, t);
             
             // Vary between organic and straight sections
-            const isOrganic = Math.random() > 0.5;
+            const isOrganic = this.rng.next() > 0.5;
             const variation = isOrganic ? 0.15 : 0.05;
             
             const offset = new Vector3(
-                (Math.random() - 0.5) * distance * variation,
-                (Math.random() - 0.5) * distance * variation * 0.5,
-                (Math.random() - 0.5) * distance * variation
+                (this.rng.next() - 0.5) * distance * variation,
+                (this.rng.next() - 0.5) * distance * variation * 0.5,
+                (this.rng.next() - 0.5) * distance * variation
             );
             
             path.push(basePoint.add(offset));
@@ -410,11 +433,11 @@ export class ConnectionGenerator {
             const t = (i + 1) / (featureCount + 1);
             
             for (const featureType of styleData.features) {
-                if (Math.random() < 0.3) {
+                if (this.rng.next() < 0.3) {
                     features.push({
                         type: featureType,
                         position: t, // Position along path (0-1)
-                        variant: Math.floor(Math.random() * 3)
+                        variant: Math.floor(this.rng.next() * 3)
                     });
                 }
             }
@@ -424,31 +447,21 @@ export class ConnectionGenerator {
     }
     
     /**
-     * Calculate doorway properties
+     * Calculate doorway where the path (starting at the room centre) leaves the room.
+     * Doorways match the tunnel cross-section; GeometryGenerator may slide them along
+     * the wall to keep openings apart.
      */
-    calculateDoorway(room, connectionPoint, nextPoint) {
-        // Calculate doorway direction
-        const direction = nextPoint.subtract(connectionPoint).normalize();
-        
-        // Find best wall for doorway
-        const localPos = connectionPoint.subtract(room.position);
-        
-        let wall = 'north';
-        const absX = Math.abs(localPos.x);
-        const absZ = Math.abs(localPos.z);
-        
-        if (absX > absZ) {
-            wall = localPos.x > 0 ? 'east' : 'west';
-        } else {
-            wall = localPos.z > 0 ? 'south' : 'north';
-        }
+    calculateDoorway(room, path, width, height) {
+        const exit = RoomShapes.findExit(room, path);
+        const location = exit || { azimuth: 0, edge: 0, offset: 0 };
+        const frame = RoomShapes.getBoundaryFrame(room, location);
         
         return {
-            wall: wall,
-            localPosition: localPos,
-            direction: direction,
-            width: 2 + Math.random(),
-            height: 2.5 + Math.random() * 0.5,
+            wall: RoomShapes.isNatural(room) ? 'shell' : RoomShapes.wallName(frame.normal.x, frame.normal.z),
+            localPosition: frame.position.subtract(room.position),
+            direction: frame.normal,
+            width: width,
+            height: height,
             style: room.style === 'NATURAL' ? 'rough' : 'carved'
         };
     }
@@ -4,11 +4,30 @@
  */
 
 import { Vector3 } from '../math/Vector3.js';
+import { SeededRandom } from '../math/SeededRandom.js';
 import { DungeonLayout } from './DungeonLayout.js';
 import { RoomGenerator } from './RoomGenerator.js';
 import { ConnectionGenerator } from './ConnectionGenerator.js';
 import { GeometryGenerator } from './GeometryGenerator.js';
 import { EnvironmentalPlacer } from './EnvironmentalPlacer.js';
+import { DungeonThemes } from './DungeonThemes.js';
+import { RoomShapes } from './RoomShapes.js';
+import { NavMeshBuilder } from './NavMeshBuilder.js';
+
+// Minimum horizontal gap between room bounds, and gap per unit of height difference
+// (keeps connecting tunnels long enough to stay walkable)
+const MIN_ROOM_GAP = 4;
+const ROOM_GAP_PER_HEIGHT = 1.2;
+
+// Generation phases in order, with the share of total progress each represents
+export const GENERATION_PHASES = [
+    { name: 'layout', weight: 10 },
+    { name: 'rooms', weight: 15 },
+    { name: 'connections', weight: 20 },
+    { name: 'geometry', weight: 30 },
+    { name: 'navigation', weight: 10 },
+    { name: 'environment', weight: 15 }
+];
 
 export class DungeonGenerator {
     constructor() {
@@ -17,6 +36,7 @@ export class DungeonGenerator {
         this.connectionGenerator = new ConnectionGenerator();
         this.geometryGenerator = new GeometryGenerator();
         this.environmentalPlacer = new EnvironmentalPlacer();
+        this.theme = DungeonThemes.get('mixed');
         
         // Generation statistics
         this.stats = {
@@ -30,11 +50,28 @@ export class DungeonGenerator {
     
     /**
      * Generate a complete dungeon
+     * Each run works on a generator of its own, since phases keep their random streams,
+     * theme and layout (and the run its progress callback and signal) on it. Runs may
+     * then overlap, as when generation restarts before the last one has finished.
      * @param {Object} config - Generation configuration
+     * @param {Object} options - { onProgress(percent, phase), signal: AbortSignal }
      * @returns {Dungeon} Complete dungeon with geometry and environment
      */
-    async generate(config = {}) {
+    async generate(config = {}, options = {}) {
+        const run = new DungeonGenerator();
+        const dungeon = await run.runGeneration(config, options);
+        this.theme = run.theme;
+        this.stats = run.stats;
+        return dungeon;
+    }
+    
+    /**
+     * One generation run on this generator (see generate)
+     */
+    async runGeneration(config, options) {
         const startTime = performance.now();
+        this.onProgress = options.onProgress || null;
+        this.signal = options.signal || null;
         
         // Default configuration
         const defaultConfig = {
@@ -46,46 +83,73 @@ export class DungeonGenerator {
             waterProbability: 0.3,
             entranceType: 'AUTO',
             difficulty: 'medium',
-            theme: 'mixed' // 'natural', 'ruins', 'mixed'
+            theme: 'mixed', // Any id registered with DungeonThemes
+            navMesh: false // Build the creatures' NavMesh with the dungeon (see NavMeshBuilder)
         };
         
         config = { ...defaultConfig, ...config };
         
-        // Initialize random seed
+        // Initialize random seed and hand each phase its own stream
         this.initializeRandom(config.seed);
+        this.roomGenerator.setRandom(this.rng.fork('rooms'));
+        this.connectionGenerator.setRandom(this.rng.fork('connections'));
+        this.geometryGenerator.setRandom(this.rng.fork('geometry'));
+        this.environmentalPlacer.setRandom(this.rng.fork('environment'));
         
-        console.log(`🏔️ Generating dungeon with seed: ${config.seed}`);
+        // Resolve the theme and share it with the phases it biases
+        this.theme = DungeonThemes.get(config.theme);
+        this.roomGenerator.setTheme(this.theme);
+        this.connectionGenerator.setTheme(this.theme);
+        this.geometryGenerator.setTheme(this.theme);
+        
+        console.log(`🏔️ Generating dungeon with seed: ${config.seed} (theme: ${this.theme.name})`);
         
         try {
             // Phase 1: Create entrance and spatial layout
+            await this.beginPhase('layout');
             console.log('📍 Phase 1: Creating entrance and layout...');
             const entrance = this.createEntrance(config);
             const layoutData = await this.generateLayout(entrance, config);
             
             // Phase 2: Classify regions and generate rooms
+            await this.beginPhase('rooms');
             console.log('🏛️ Phase 2: Classifying regions and generating rooms...');
             const regions = this.classifyRegions(layoutData, config);
-            const rooms = await this.roomGenerator.generateRooms(regions, config);
+            const rooms = await this.roomGenerator.generateRooms(regions, config, fraction => this.reportPhaseProgress(fraction));
+            this.separateRooms(rooms, layoutData);
             
             // Phase 3: Create connection network
+            await this.beginPhase('connections');
             console.log('🔗 Phase 3: Creating connection network...');
             const connections = await this.connectionGenerator.generateConnections(rooms, config);
             
             // Phase 4: Generate 3D geometry
+            await this.beginPhase('geometry');
             console.log('📐 Phase 4: Generating 3D geometry...');
             const geometry = await this.geometryGenerator.generateGeometry({
                 rooms: rooms,
                 connections: connections
-            }, config);
+            }, config, fraction => this.reportPhaseProgress(fraction));
             
-            // Phase 5: Place environmental features
-            console.log('🌊 Phase 5: Placing environmental features...');
+            // Phase 5: Build the creatures' navigation mesh (here, so it stays off the main thread)
+            await this.beginPhase('navigation');
+            let navMesh = null;
+            if (config.navMesh) {
+                console.log('🧭 Phase 5: Building navigation mesh...');
+                navMesh = NavMeshBuilder.build({ rooms, connections, geometry });
+            }
+            
+            // Phase 6: Place environmental features
+            await this.beginPhase('environment');
+            console.log('🌊 Phase 6: Placing environmental features...');
             const environment = await this.environmentalPlacer.placeEnvironment(
                 geometry,
                 { rooms, connections },
                 config
             );
             
+            this.checkCancelled();
+            
             // Update statistics
             this.updateStats(rooms, connections, performance.now() - startTime);
             
@@ -97,6 +161,7 @@ export class DungeonGenerator {
                 rooms: rooms,
                 connections: connections,
                 geometry: geometry,
+                navMesh: navMesh,
                 environment: environment,
                 stats: { ...this.stats },
                 bounds: this.calculateBounds(rooms)
@@ -106,10 +171,69 @@ export class DungeonGenerator {
             console.log(`   Rooms: ${this.stats.roomCount} (${this.stats.naturalRooms} natural, ${this.stats.manMadeRooms} man-made)`);
             console.log(`   Connections: ${this.stats.connectionCount}`);
             
+            this.reportProgress(100, 'complete');
+            
             return dungeon;
             
         } catch (error) {
-            console.error('❌ Dungeon generation failed:', error);
+            if (error.name !== 'AbortError') {
+                console.error('❌ Dungeon generation failed:', error);
+            }
+            throw error;
+        } finally {
+            this.onProgress = null;
+            this.signal = null;
+            this.phase = null;
+        }
+    }
+    
+    /**
+     * Mark the start of a generation phase: check for cancellation and report progress
+     */
+    async beginPhase(name) {
+        // Cancellable runs yield between phases so an abort can actually arrive
+        if (this.signal) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        this.checkCancelled();
+        
+        let completed = 0;
+        for (const phase of GENERATION_PHASES) {
+            if (phase.name === name) {
+                this.phase = { name, start: completed, weight: phase.weight };
+                break;
+            }
+            completed += phase.weight;
+        }
+        
+        this.reportProgress(completed, name);
+    }
+    
+    /**
+     * Report progress partway (fraction 0-1) through the current phase
+     */
+    reportPhaseProgress(fraction) {
+        if (!this.phase) return;
+        const { name, start, weight } = this.phase;
+        this.reportProgress(start + weight * Math.min(1, Math.max(0, fraction)), name);
+    }
+    
+    /**
+     * Forward progress (0-100) to the caller's callback
+     */
+    reportProgress(percent, phase) {
+        if (this.onProgress) {
+            this.onProgress(percent, phase);
+        }
+    }
+    
+    /**
+     * Abort between phases if the caller's signal fired
+     */
+    checkCancelled() {
+        if (this.signal?.aborted) {
+            const error = new Error('Dungeon generation cancelled');
+            error.name = 'AbortError';
             throw error;
         }
     }
@@ -118,12 +242,8 @@ export class DungeonGenerator {
      * Initialize seeded random number generator
      */
     initializeRandom(seed) {
-        // Simple seedable RNG (replace with better one if needed)
-        this.rngSeed = seed;
-        this.random = () => {
-            this.rngSeed = (this.rngSeed * 9301 + 49297) % 233280;
-            return this.rngSeed / 233280;
-        };
+        this.rng = new SeededRandom(seed);
+        this.random = () => this.rng.next();
     }
     
     /**
@@ -165,11 +285,12 @@ export class DungeonGenerator {
             }
         };
         
-        // Select entrance type
+        // Select entrance type, weighted by theme
         let entranceType;
         if (config.entranceType === 'AUTO') {
             const types = Object.keys(entranceTypes);
-            entranceType = types[Math.floor(this.random() * types.length)];
+            const weights = types.map(type => this.theme.entranceWeights[type] || 0);
+            entranceType = types[this.rng.weighted(weights)];
         } else {
             entranceType = config.entranceType;
         }
@@ -329,7 +450,7 @@ export class DungeonGenerator {
             const connectivity = layoutData.getConnections(node.id).length;
             
             // Calculate natural cave probability
-            let naturalProbability = config.naturalCaveRatio;
+            let naturalProbability = config.naturalCaveRatio + this.theme.naturalBias;
             
             // Natural caves more common at mid-depths
             naturalProbability += 0.3 * Math.sin((depth / config.maxDepth) * Math.PI);
@@ -354,36 +475,20 @@ export class DungeonGenerator {
         }
         
         // Smooth regions to create coherent areas
-        this.smoothRegions(regions, layoutData);
+        this.smoothRegions(regions, layoutData, config);
         
         return regions;
     }
     
     /**
-     * Select appropriate room type based on depth and style
+     * Select appropriate room type based on depth, style and the theme's room tables
      */
     selectRoomType(node, isNatural, config) {
         const depth = node.depth;
-        const depthCategory = Math.min(4, Math.floor(depth / 2));
-        
-        const roomTypes = {
-            natural: [
-                ['ENTRANCE_CAVE', 'NATURAL_CHAMBER'],
-                ['NATURAL_CHAMBER', 'WATER_CAVE'],
-                ['CRYSTAL_CAVE', 'MUSHROOM_GROVE', 'DEEP_CAVE'],
-                ['UNDERGROUND_LAKE', 'LAVA_TUBES', 'DEEP_CAVE'],
-                ['ABYSS_CHAMBER', 'CRYSTAL_CATHEDRAL', 'MONSTER_DEN']
-            ],
-            manMade: [
-                ['ENTRANCE_HALL', 'GUARD_ROOM'],
-                ['STORAGE_ROOM', 'LIVING_QUARTERS', 'WORKSHOP'],
-                ['TEMPLE', 'LIBRARY', 'ARMORY'],
-                ['CRYPT', 'TREASURE_VAULT', 'RITUAL_CHAMBER'],
-                ['ANCIENT_VAULT', 'FORGOTTEN_SANCTUM', 'SEALED_TOMB']
-            ]
-        };
         
+        const roomTypes = this.theme.roomTypes;
         const typeList = isNatural ? roomTypes.natural : roomTypes.manMade;
+        const depthCategory = Math.min(typeList.length - 1, Math.floor(depth / 2));
         const availableTypes = typeList[depthCategory];
         
         return availableTypes[Math.floor(this.random() * availableTypes.length)];
@@ -392,7 +497,7 @@ export class DungeonGenerator {
     /**
      * Smooth regions to create coherent areas
      */
-    smoothRegions(regions, layoutData) {
+    smoothRegions(regions, layoutData, config) {
         // Simple smoothing: if most neighbors are different style, switch
         for (let i = 0; i < 2; i++) { // Two passes
             for (const region of regions) {
@@ -411,12 +516,66 @@ export class DungeonGenerator {
                 // Switch if surrounded by opposite type
                 if (naturalCount > manMadeCount * 2 && region.style === 'MAN_MADE') {
                     region.style = 'NATURAL';
-                    region.type = this.selectRoomType(region.node, true, layoutData.config);
+                    region.type = this.selectRoomType(region.node, true, config);
                 } else if (manMadeCount > naturalCount * 2 && region.style === 'NATURAL') {
                     region.style = 'MAN_MADE';
-                    region.type = this.selectRoomType(region.node, false, layoutData.config);
+                    region.type = this.selectRoomType(region.node, false, config);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Push rooms apart until their footprints no longer overlap, so every connection
+     * gets a real tunnel. The entrance stays put; layout nodes follow their rooms.
+     */
+    separateRooms(rooms, layoutData) {
+        const radii = rooms.map(room => RoomShapes.getBoundingRadius(room));
+        
+        for (let iteration = 0; iteration < 200; iteration++) {
+            let moved = false;
+            
+            for (let i = 0; i < rooms.length; i++) {
+                for (let j = i + 1; j < rooms.length; j++) {
+                    const a = rooms[i].position;
+                    const b = rooms[j].position;
+                    const dx = b.x - a.x;
+                    const dz = b.z - a.z;
+                    const distance = Math.sqrt(dx * dx + dz * dz);
+                    const gap = Math.max(MIN_ROOM_GAP, Math.abs(b.y - a.y) * ROOM_GAP_PER_HEIGHT);
+                    const required = radii[i] + radii[j] + gap;
+                    
+                    if (distance >= required) continue;
+                    
+                    // Coincident rooms separate along a deterministic direction
+                    const nx = distance > 1e-6 ? dx / distance : Math.cos(i + j);
+                    const nz = distance > 1e-6 ? dz / distance : Math.sin(i + j);
+                    const push = required - distance;
+                    const shareA = rooms[i].id === 'entrance_0' ? 0 : rooms[j].id === 'entrance_0' ? 1 : 0.5;
+                    
+                    a.x -= nx * push * shareA;
+                    a.z -= nz * push * shareA;
+                    b.x += nx * push * (1 - shareA);
+                    b.z += nz * push * (1 - shareA);
+                    moved = true;
                 }
             }
+            
+            if (!moved) break;
+        }
+        
+        const nodesById = new Map(layoutData.nodes.map(node => [node.id, node]));
+        for (const room of rooms) {
+            nodesById.get(room.id)?.position.copy(room.position);
+        }
+
+        // Nodes moved, so the layout's bounds are recomputed from scratch
+        const { bounds } = layoutData.stats;
+        bounds.min.copy(layoutData.nodes[0].position);
+        bounds.max.copy(layoutData.nodes[0].position);
+        for (const node of layoutData.nodes) {
+            bounds.min.set(Math.min(bounds.min.x, node.position.x), Math.min(bounds.min.y, node.position.y), Math.min(bounds.min.z, node.position.z));
+            bounds.max.set(Math.max(bounds.max.x, node.position.x), Math.max(bounds.max.y, node.position.y), Math.max(bounds.max.z, node.position.z));
         }
     }
     
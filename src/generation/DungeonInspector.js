@@ -0,0 +1,117 @@
+/**
+ * DungeonInspector - Finds and describes the room or tunnel behind a picked surface
+ * Works from a Scene.raycast hit: meshes built for one room or tunnel say so through
+ * their sectors; merged meshes are resolved with the portal sectors around the hit.
+ */
+
+// How far off the surface (along its normal, i.e. into the space it faces) to look up the sector
+const SECTOR_PROBE_OFFSET = 0.3;
+
+export class DungeonInspector {
+    /**
+     * Id of the room or connection a raycast hit belongs to, or null.
+     * `portals` is the dungeon's PortalCulling (see DungeonPortals).
+     */
+    static identify(hit, portals = null) {
+        const candidates = hit.node.sectorsInHierarchy || hit.node.userData.sectors || null;
+        if (candidates && candidates.length === 1) return candidates[0];
+        if (!portals) return candidates ? candidates[0] : null;
+
+        const probe = hit.normal ? hit.point.add(hit.normal.multiply(SECTOR_PROBE_OFFSET)) : hit.point;
+        const sector = portals.findSector(probe);
+        if (sector && (!candidates || candidates.includes(sector))) return sector;
+
+        // Walls bulge past the footprints used by findSector; take the closest sector box
+        // (or, inside several, the one whose centre is closest)
+        let nearest = null;
+        let best = null;
+        for (const id of candidates || portals.sectors.keys()) {
+            const bounds = portals.sectors.get(id)?.bounds;
+            if (!bounds) continue;
+            const score = [distanceToBox(probe, bounds), probe.distance(bounds.min.lerp(bounds.max, 0.5))];
+            if (!best || score[0] < best[0] || (score[0] === best[0] && score[1] < best[1])) {
+                nearest = id;
+                best = score;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Summary of a room or connection by id: what it is, its environment and its features
+     */
+    static describe(dungeon, id) {
+        const room = dungeon.rooms.find(r => r.id === id);
+        if (room) return DungeonInspector.describeRoom(dungeon, room);
+
+        const connection = (dungeon.connections || []).find(c => c.id === id);
+        if (connection) return DungeonInspector.describeConnection(dungeon, connection);
+
+        return null;
+    }
+
+    static describeRoom(dungeon, room) {
+        const environment = dungeon.environment || {};
+        const byRoom = list => (list || []).filter(entry => entry.roomId === room.id);
+        const temperatureZone = byRoom(environment.temperatureZones)[0];
+        const light = environment.lightMap?.get?.(room.id);
+
+        return {
+            kind: 'room',
+            id: room.id,
+            type: room.type,
+            style: room.style,
+            depth: room.depth,
+            position: room.position.clone(),
+            size: { ...room.size },
+            environment: {
+                ...room.environment,
+                temperature: temperatureZone?.actualTemperature ?? room.environment?.temperature,
+                light: light?.totalIntensity ?? room.environment?.lightLevel,
+                water: byRoom(environment.waterBodies).map(water => water.type),
+                atmosphere: byRoom(environment.atmosphericEffects).map(effect => effect.type),
+                organicDeposits: byRoom(environment.organicDeposits).map(deposit => deposit.type)
+            },
+            features: summarizeFeatures(room.features),
+            connections: room.connections.map(link => link.connectionId)
+        };
+    }
+
+    static describeConnection(dungeon, connection) {
+        const airFlow = (dungeon.environment?.airFlow || []).find(flow => flow.connectionId === connection.id);
+
+        return {
+            kind: 'connection',
+            id: connection.id,
+            type: connection.priority,
+            style: connection.style,
+            rooms: connection.rooms.slice(),
+            width: connection.width,
+            height: connection.height,
+            length: connection.length,
+            environment: {
+                airFlow: airFlow ? { from: airFlow.from, to: airFlow.to, strength: airFlow.strength } : null
+            },
+            features: summarizeFeatures(connection.features)
+        };
+    }
+}
+
+/**
+ * Feature types with how many of each (room features carry instances, tunnel features don't)
+ */
+function summarizeFeatures(features = []) {
+    const counts = new Map();
+    for (const feature of features) {
+        const count = feature.instances ? feature.instances.length : 1;
+        counts.set(feature.type, (counts.get(feature.type) || 0) + count);
+    }
+    return Array.from(counts, ([type, count]) => ({ type, count }));
+}
+
+function distanceToBox(point, box) {
+    const dx = Math.max(box.min.x - point.x, 0, point.x - box.max.x);
+    const dy = Math.max(box.min.y - point.y, 0, point.y - box.max.y);
+    const dz = Math.max(box.min.z - point.z, 0, point.z - box.max.z);
+    return Math.hypot(dx, dy, dz);
+}
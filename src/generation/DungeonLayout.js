@@ -132,7 +132,7 @@ export class DungeonLayout {
             let lowestF = Infinity;
             
             for (const nodeId of openSet) {
-                const f = fScore.get(nodeId) || Infinity;
+                const f = fScore.get(nodeId) ?? Infinity;
                 if (f < lowestF) {
                     lowestF = f;
                     current = nodeId;
@@ -154,7 +154,7 @@ export class DungeonLayout {
                 const tentativeGScore = gScore.get(current) + 
                     currentNode.position.distance(neighborNode.position);
                 
-                if (tentativeGScore < (gScore.get(neighbor) || Infinity)) {
+                if (tentativeGScore < (gScore.get(neighbor) ?? Infinity)) {
                     cameFrom.set(neighbor, current);
                     gScore.set(neighbor, tentativeGScore);
                     fScore.set(neighbor, tentativeGScore + this.heuristic(neighborNode, end));
@@ -320,6 +320,26 @@ export class DungeonLayout {
         };
     }
     
+    /**
+     * Rebuild a layout from exported data (e.g. a loaded save) and return its data view
+     */
+    static fromData(data) {
+        const layout = new DungeonLayout();
+
+        for (const node of data.nodes) {
+            node.connections = node.connections || [];
+            layout.addNode(node, node.depth);
+        }
+
+        for (const { nodeId, connections } of data.connections) {
+            for (const targetId of connections) {
+                layout.addConnection(nodeId, targetId);
+            }
+        }
+
+        return layout.getData();
+    }
+
     /**
      * Debug visualization data
      */
@@ -0,0 +1,111 @@
+/**
+ * DungeonPortals - Builds the portal culling graph for a generated dungeon
+ * Every room and every tunnel is a sector; each doorway is a portal between a room
+ * and its tunnel. Rooms that overlap (connections without a tunnel) are left open to
+ * each other.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { GeometryBuilder } from '../rendering/GeometryBuilder.js';
+import { PortalCulling } from '../rendering/PortalCulling.js';
+import { RoomShapes } from './RoomShapes.js';
+
+// Tunnel outlines are noise-displaced by up to this fraction of their size
+const OPENING_IRREGULARITY = 0.3;
+
+// Slack around sector boxes and portal quads, so nothing visible is clipped by rounding
+const SECTOR_PADDING = 0.5;
+const PORTAL_PADDING = 0.25;
+
+const UP = new Vector3(0, 1, 0);
+
+export class DungeonPortals {
+    /**
+     * Build the sectors and portals for a dungeon with generated geometry
+     */
+    static build(dungeon) {
+        const portals = new PortalCulling();
+        const { rooms = [], connections = [], geometry } = dungeon;
+        if (!geometry) return portals;
+
+        for (const room of rooms) {
+            const roomGeometry = geometry.rooms.get(room.id);
+            if (!roomGeometry) continue;
+
+            const parts = [roomGeometry.floor, roomGeometry.walls, roomGeometry.ceiling, roomGeometry.water].filter(Boolean);
+            const bounds = padBox(unionBoxes(parts.map(part => GeometryBuilder.computeBoundingBox(part))), SECTOR_PADDING);
+            bounds.min.addInPlace(room.position);
+            bounds.max.addInPlace(room.position);
+
+            portals.addSector(room.id, bounds, point =>
+                RoomShapes.containsPoint(room, point.x - room.position.x, point.z - room.position.z));
+        }
+
+        for (const connection of connections) {
+            const [roomA, roomB] = connection.rooms;
+            const tunnel = geometry.connections.get(connection.id)?.tunnel;
+            const doorways = connection.rooms.map(id => connection.doorways?.[id]);
+
+            if (!tunnel || doorways.some(doorway => !doorway?.position)) {
+                portals.addPortal(roomA, roomB);
+                continue;
+            }
+
+            // Along the tunnel's path and past both doorways (so never inside either room)
+            const reach = (connection.width || 3) / 2 * (1 + OPENING_IRREGULARITY) + SECTOR_PADDING;
+            portals.addSector(connection.id, padBox(GeometryBuilder.computeBoundingBox(tunnel), SECTOR_PADDING), point =>
+                doorways.every(doorway => point.subtract(doorway.position).dot(doorway.direction) > 0) &&
+                distanceToPathXZ(point, connection.path) <= reach);
+
+            connection.rooms.forEach((roomId, i) => {
+                portals.addPortal(roomId, connection.id, DungeonPortals.getDoorwayCorners(doorways[i]));
+            });
+        }
+
+        return portals;
+    }
+
+    /**
+     * Quad covering a doorway's opening: its floor centre, outward direction, width and height
+     */
+    static getDoorwayCorners(doorway) {
+        const right = doorway.direction.cross(UP).normalize();
+        const halfWidth = doorway.width / 2 * (1 + OPENING_IRREGULARITY) + PORTAL_PADDING;
+        const height = doorway.height * (1 + OPENING_IRREGULARITY) + PORTAL_PADDING;
+
+        const left = doorway.position.subtract(right.multiply(halfWidth));
+        const rightSide = doorway.position.add(right.multiply(halfWidth));
+        const below = new Vector3(0, -PORTAL_PADDING, 0);
+        const above = new Vector3(0, height, 0);
+
+        return [left.add(below), rightSide.add(below), rightSide.add(above), left.add(above)];
+    }
+}
+
+function unionBoxes(boxes) {
+    const min = new Vector3(Infinity, Infinity, Infinity);
+    const max = new Vector3(-Infinity, -Infinity, -Infinity);
+    for (const box of boxes) {
+        min.set(Math.min(min.x, box.min.x), Math.min(min.y, box.min.y), Math.min(min.z, box.min.z));
+        max.set(Math.max(max.x, box.max.x), Math.max(max.y, box.max.y), Math.max(max.z, box.max.z));
+    }
+    return { min, max };
+}
+
+function padBox(box, padding) {
+    return { min: box.min.subtract(padding), max: box.max.add(padding) };
+}
+
+function distanceToPathXZ(point, path) {
+    let best = Infinity;
+    for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSq)) : 0;
+        best = Math.min(best, Math.hypot(point.x - (a.x + dx * t), point.z - (a.z + dz * t)));
+    }
+    return best;
+}
@@ -5,8 +5,39 @@
  */
 
 import { Vector3 } from '../math/Vector3.js';
-import { Scene, Group, Mesh, Light } from '../rendering/Scene.js';
+import { Matrix4 } from '../math/Matrix4.js';
+import { Quaternion } from '../math/Quaternion.js';
+import { Scene, Group, Mesh, InstancedMesh, Light } from '../rendering/Scene.js';
+import { Material } from '../rendering/Material.js';
+import { GeometryBuilder } from '../rendering/GeometryBuilder.js';
+import { CharacterController } from '../rendering/CharacterController.js';
+import { assetLoader } from '../core/AssetLoader.js';
 import { DungeonGenerator } from './DungeonGenerator.js';
+import { DungeonSerializer } from './DungeonSerializer.js';
+import { DungeonThemes } from './DungeonThemes.js';
+import { DungeonPortals } from './DungeonPortals.js';
+import { DungeonInspector } from './DungeonInspector.js';
+import { NavMeshBuilder } from './NavMeshBuilder.js';
+import { FeatureMeshLibrary } from './FeatureMeshLibrary.js';
+import { EcosystemManager } from '../simulation/EcosystemManager.js';
+
+// Placed light intensities are authored for a 0-1 light map; scale them up for shading
+const LIGHT_INTENSITY_SCALE = 2.5;
+const DUNGEON_AMBIENT = new Vector3(0.05, 0.05, 0.07);
+
+// Placed lights that cast shadows; the dim glows from fungi and crystals don't
+const SHADOW_CASTING_LIGHTS = new Set(['TORCH', 'LIGHT_SHAFT', 'MAGICAL_LIGHT', 'NATURAL_SUNLIGHT']);
+const POINT_SHADOW_RESOLUTION = 512; // Per cube face
+
+// Without portal culling, rooms whose centre is this close to the camera count as observed
+const OBSERVATION_RANGE = 40;
+
+// Creatures share one instanced body shape, tinted and sized (metres long) per species
+const CREATURE_LOOKS = {
+    cave_beetle: { color: [0.45, 0.3, 0.15], size: 0.25 },
+    cave_spider: { color: [0.2, 0.2, 0.25], size: 0.35 }
+};
+const DEFAULT_CREATURE_LOOK = { color: [0.7, 0.6, 0.5], size: 0.3 };
 
 export class DungeonScene {
     constructor(engine) {
@@ -17,10 +48,34 @@ export class DungeonScene {
         // Current dungeon data
         this.currentDungeon = null;
         this.dungeonGroup = null;
+        this.previousAmbient = null; // Scene ambient to restore once the dungeon is gone
+        this.materials = new Map(); // Material type -> Material shared by every mesh using it
+        this.missingTextures = new Set(); // Texture URLs already reported as unavailable
+        
+        // Creature navigation, from the generator or built on first use (see getNavMesh)
+        this.navMesh = null;
+        this.navMeshOverlay = null;
+        
+        // Populations living in the current dungeon, stepped by the engine
+        this.ecosystem = null;
+        
+        // Observed creatures, one instance each; slots record what each instance was last
+        // set to, so only the creatures that moved are re-uploaded
+        this.creatureMesh = null;
+        this.creatureSlots = [];
         
         // Generation state
         this.isGenerating = false;
         this.generationProgress = 0;
+        this.generationPhase = null;
+        this.generationId = 0;
+        this.onProgress = null; // Optional callback(progress, phase) for UI
+        
+        // Generation runs in a worker when available so the frame loop keeps going
+        this.useWorker = typeof Worker !== 'undefined';
+        this.worker = null;
+        this.pendingGeneration = null;
+        this.abortController = null;
         
         // Visualization options
         this.showWireframe = false;
@@ -29,19 +84,18 @@ export class DungeonScene {
     }
     
     /**
-     * Generate and display a new dungeon
+     * Generate and display a new dungeon.
+     * Calling this again while a generation is running cancels the earlier one.
+     * Resolves to the dungeon, or null if this generation was cancelled; rejects if it failed.
      */
     async generateDungeon(config = {}) {
         if (this.isGenerating) {
-            console.warn('Generation already in progress');
-            return;
+            this.cancelGeneration();
         }
         
+        const generationId = ++this.generationId;
         this.isGenerating = true;
-        this.generationProgress = 0;
-        
-        // Clear existing dungeon
-        this.dispose();
+        this.reportProgress(0, 'starting');
         
         try {
             // Default config
@@ -50,31 +104,217 @@ export class DungeonScene {
                 maxRooms: 20,
                 maxDepth: 8,
                 theme: 'mixed',
-                optimizeGeometry: true // Set to false to debug individual room meshes
+                optimizeGeometry: true, // Set to false to debug individual room meshes
+                navMesh: true, // Built with the dungeon, in the worker, rather than on first use here
+                // Merged meshes may pass 65,535 vertices; without 32-bit indices they are split
+                uint32Indices: this.engine.renderer ? this.engine.renderer.supportsUint32Indices : true
             };
             
             config = { ...defaultConfig, ...config };
             
             console.log('🏰 Generating dungeon...');
             
-            // Generate dungeon data
-            this.currentDungeon = await this.dungeonGenerator.generate(config);
+            // Generate dungeon data (the previous dungeon stays visible meanwhile)
+            const dungeon = this.useWorker
+                ? await this.generateInWorker(config, generationId)
+                : await this.generateOnMainThread(config);
             
-            // Create 3D scene representation from the generated data
-            if (this.currentDungeon) {
-                await this.createDungeonScene();
-                this.positionCameraAtEntrance();
-                console.log('✅ Dungeon generation complete!');
-            } else {
+            if (!dungeon) {
                 throw new Error("Dungeon generator returned null or undefined.");
             }
             
+            // A dungeon loaded meanwhile takes its place
+            if (generationId !== this.generationId) {
+                console.log('⏹️ Dungeon generation cancelled');
+                return null;
+            }
+            
+            // Swap in the new dungeon
+            this.dispose();
+            this.currentDungeon = dungeon;
+            await this.createDungeonScene();
+            this.startEcosystem();
+            this.positionCameraAtEntrance();
+            console.log('✅ Dungeon generation complete!');
+            
+            return dungeon;
+            
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('⏹️ Dungeon generation cancelled');
+                return null;
+            }
             console.error('❌ Dungeon generation failed:', error);
+            throw error;
         } finally {
+            // A newer request owns the state once this one was superseded
+            if (generationId === this.generationId) {
+                this.isGenerating = false;
+                this.reportProgress(100, 'complete');
+            }
+        }
+    }
+    
+    /**
+     * Run the generator in the background worker and rebuild its result
+     */
+    generateInWorker(config, generationId) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./GenerationWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+            this.worker.onerror = (event) => this.handleWorkerError(event);
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.pendingGeneration = { id: generationId, config, resolve, reject };
+            this.worker.postMessage({
+                type: 'GENERATE',
+                id: generationId,
+                config,
+                theme: DungeonThemes.get(config.theme)
+            });
+        });
+    }
+    
+    /**
+     * Fallback when workers are unavailable: generate inline, cancellable between phases
+     */
+    async generateOnMainThread(config) {
+        const controller = new AbortController();
+        this.abortController = controller;
+        
+        try {
+            return await this.dungeonGenerator.generate(config, {
+                onProgress: (progress, phase) => this.reportProgress(progress, phase),
+                signal: controller.signal
+            });
+        } finally {
+            if (this.abortController === controller) {
+                this.abortController = null;
+            }
+        }
+    }
+    
+    /**
+     * Handle messages posted back by the generation worker
+     */
+    handleWorkerMessage(message) {
+        const pending = this.pendingGeneration;
+        if (!pending || message.id !== pending.id) return;
+        
+        switch (message.type) {
+            case 'PROGRESS':
+                this.reportProgress(message.progress, message.phase);
+                break;
+                
+            case 'COMPLETE':
+                this.pendingGeneration = null;
+                try {
+                    pending.resolve(DungeonSerializer.fromJSON(message.data, message.buffers));
+                } catch (error) {
+                    pending.reject(error);
+                }
+                break;
+                
+            case 'ERROR':
+                this.pendingGeneration = null;
+                pending.reject(new Error(message.message));
+                break;
+        }
+    }
+    
+    /**
+     * A worker that failed to load or crashed is discarded; fall back to the main thread
+     */
+    handleWorkerError(event) {
+        console.warn('⚠️ Generation worker failed, falling back to main thread:', event.message);
+        
+        this.terminateWorker();
+        this.useWorker = false;
+        
+        const pending = this.pendingGeneration;
+        if (pending) {
+            this.pendingGeneration = null;
+            event.preventDefault?.();
+            this.generateOnMainThread(pending.config).then(pending.resolve, pending.reject);
+        }
+    }
+    
+    /**
+     * Cancel the in-flight generation, if any
+     */
+    cancelGeneration() {
+        const pending = this.pendingGeneration;
+        if (pending) {
+            // Terminating is the only way to interrupt the worker mid-phase
+            this.terminateWorker();
+            this.pendingGeneration = null;
+            
+            const error = new Error('Dungeon generation cancelled');
+            error.name = 'AbortError';
+            pending.reject(error);
+        }
+        
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+    
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * Record generation progress and notify the UI
+     */
+    reportProgress(progress, phase) {
+        this.generationProgress = progress;
+        this.generationPhase = phase;
+        
+        if (this.onProgress) {
+            this.onProgress(progress, phase);
+        }
+    }
+    
+    /**
+     * Display a previously saved dungeon instead of generating a new one.
+     * Accepts a JSON string, a parsed save object or a binary ArrayBuffer.
+     * A generation still running is cancelled in favour of the loaded dungeon.
+     */
+    async loadDungeon(source) {
+        const dungeon = DungeonSerializer.deserialize(source);
+        
+        if (this.isGenerating) {
+            this.cancelGeneration();
             this.isGenerating = false;
-            this.generationProgress = 100;
+            this.reportProgress(100, 'complete');
         }
+        // Any generation still finishing is superseded by this load
+        this.generationId++;
+        
+        this.dispose();
+        this.currentDungeon = dungeon;
+        await this.createDungeonScene();
+        this.startEcosystem();
+        this.positionCameraAtEntrance();
+        
+        console.log(`📂 Loaded dungeon (seed: ${dungeon.config?.seed})`);
+        return dungeon;
+    }
+    
+    /**
+     * Serialize the current dungeon for saving.
+     * Binary output keeps geometry buffers raw instead of base64-encoding them.
+     */
+    saveDungeon(options = {}) {
+        if (!this.currentDungeon) return null;
+        
+        return options.binary
+            ? DungeonSerializer.toBinary(this.currentDungeon)
+            : DungeonSerializer.stringify(this.currentDungeon);
     }
     
     /**
@@ -95,9 +335,16 @@ export class DungeonScene {
         // Check if optimized geometry was created and should be used.
         if (geometrySystem.optimized && geometrySystem.optimized.size > 0) {
             console.log('✅ Rendering from OPTIMIZED geometry.');
-            for (const [materialName, mergedGeometry] of geometrySystem.optimized) {
-                const material = this.getMaterial(materialName);
-                const mesh = new Mesh(mergedGeometry, material, `Optimized_${materialName}`);
+            // One mesh per material per cell, so the ones out of view can be culled
+            for (const [key, mergedGeometry] of geometrySystem.optimized) {
+                const material = this.getMaterial(mergedGeometry.material || key);
+                const mesh = new Mesh(mergedGeometry, material, `Optimized_${key}`);
+                if (mergedGeometry.sources) {
+                    mesh.userData.sectors = mergedGeometry.sources;
+                }
+                if ((mergedGeometry.material || key) === 'WATER') {
+                    mesh.userData.passable = true; // Wade through it in walk mode
+                }
                 this.dungeonGroup.addChild(mesh);
             }
         } else {
@@ -106,6 +353,11 @@ export class DungeonScene {
             this.createRoomMeshes();
             this.createConnectionMeshes();
         }
+        this.createFeatureInstances();
+        this.createCreatureMesh();
+
+        // Rooms and tunnels are drawn only when seen through the doorways leading to them
+        this.scene.portalCulling = DungeonPortals.build(this.currentDungeon);
 
         // Environmental features and lights are added separately.
         if (this.showEnvironment) {
@@ -115,7 +367,7 @@ export class DungeonScene {
     }
     
     /**
-     * Creates meshes for each room component (floor, walls, ceiling).
+     * Creates meshes for each room component (floor, walls, ceiling, water).
      * This is the un-optimized rendering path.
      */
     createRoomMeshes() {
@@ -127,6 +379,7 @@ export class DungeonScene {
 
             const roomNode = new Group(`Room_${roomId}`);
             roomNode.setPosition(room.position.x, room.position.y, room.position.z);
+            roomNode.userData.sectors = [roomId];
             
             const material = this.getMaterial(roomGeometry.material);
 
@@ -142,7 +395,12 @@ export class DungeonScene {
                 const ceilingMesh = new Mesh(roomGeometry.ceiling, material, `Ceiling_${roomId}`);
                 roomNode.addChild(ceilingMesh);
             }
-            
+            if (roomGeometry.water) {
+                const waterMesh = new Mesh(roomGeometry.water, this.getMaterial('WATER'), `Water_${roomId}`);
+                waterMesh.userData.passable = true;
+                roomNode.addChild(waterMesh);
+            }
+
             roomGroup.addChild(roomNode);
         }
         this.dungeonGroup.addChild(roomGroup);
@@ -162,11 +420,62 @@ export class DungeonScene {
                 this.getMaterial(connGeometry.material),
                 `Tunnel_${connId}`
             );
+            tunnelMesh.userData.sectors = [connId];
             connectionGroup.addChild(tunnelMesh);
         }
         this.dungeonGroup.addChild(connectionGroup);
     }
     
+    /**
+     * Draws room features instanced: one InstancedMesh per prototype mesh and material
+     * (see FeatureMeshLibrary.placeRoomFeatures), holding every instance of it in the
+     * dungeon, so all the stalactites or crystals of one shape take a single draw call.
+     */
+    createFeatureInstances() {
+        const groups = new Map();
+        for (const [roomId, roomGeometry] of this.currentDungeon.geometry.rooms) {
+            const room = this.currentDungeon.rooms.find(r => r.id === roomId);
+            if (!room) continue;
+
+            const roomMatrix = Matrix4.translation(room.position);
+            for (const instance of roomGeometry.featureInstances || []) {
+                const key = `${instance.material}|${instance.key}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { ...instance, matrices: [], rooms: new Set() });
+                }
+                groups.get(key).matrices.push(roomMatrix.multiply(Matrix4.fromArray(instance.matrix)));
+                groups.get(key).rooms.add(roomId);
+            }
+        }
+
+        const featureGroup = new Group('Features');
+        for (const { type, shape, material, matrices, rooms } of groups.values()) {
+            const mesh = new InstancedMesh(
+                FeatureMeshLibrary.createPrototype(type, shape),
+                this.getMaterial(material),
+                matrices.length,
+                `Features_${type}_${material}`
+            );
+            for (const matrix of matrices) {
+                mesh.addInstance(matrix);
+            }
+            mesh.userData.sectors = Array.from(rooms);
+            featureGroup.addChild(mesh);
+        }
+        this.dungeonGroup.addChild(featureGroup);
+    }
+    
+    /**
+     * The instanced node observed creatures are drawn with (see updateCreatureInstances)
+     */
+    createCreatureMesh() {
+        const material = new Material({ color: [1, 1, 1], roughness: 0.6 });
+        this.creatureMesh = new InstancedMesh(createCreatureGeometry(), material, 64, 'Creatures');
+        this.creatureMesh.userData.passable = true; // Walked through rather than into
+        this.creatureSlots = [];
+        this.dungeonGroup.addChild(this.creatureMesh);
+    }
+    
     /**
      * Creates meshes for environmental features like water.
      */
@@ -190,14 +499,34 @@ export class DungeonScene {
         
         const lightGroup = new Group('Lights');
         
+        // Underground, the placed lights should do most of the work
+        if (!this.previousAmbient) {
+            this.previousAmbient = this.scene.ambientLight.clone();
+        }
+        this.scene.ambientLight = DUNGEON_AMBIENT.clone();
+        
         for (const lightData of this.currentDungeon.environment.lightSources || []) {
             const light = new Light(this.getLightType(lightData.type), `Light_${lightData.id}`);
             light.setPosition(lightData.position.x, lightData.position.y, lightData.position.z);
             
+            const sector = this.scene.portalCulling?.findSector(lightData.position);
+            if (sector) {
+                light.userData.sectors = [sector];
+            }
+            
             const lightComponent = light.getComponent('light');
             lightComponent.color = new Vector3(...lightData.color);
-            lightComponent.intensity = lightData.intensity;
+            lightComponent.intensity = lightData.intensity * LIGHT_INTENSITY_SCALE;
             lightComponent.range = lightData.range;
+            if (lightData.angle) {
+                lightComponent.angle = lightData.angle;
+            }
+            if (SHADOW_CASTING_LIGHTS.has(lightData.type)) {
+                lightComponent.castShadow = true;
+                if (lightComponent.type === 'point') {
+                    lightComponent.shadowResolution = POINT_SHADOW_RESOLUTION;
+                }
+            }
             
             lightGroup.addChild(light);
         }
@@ -205,19 +534,50 @@ export class DungeonScene {
     }
     
     /**
-     * Get material definition for a given material type string.
+     * Get the material for a given material type string. Meshes of one type share a
+     * Material, so its texture shows up on all of them once it has loaded.
      */
     getMaterial(materialType) {
         const materials = this.currentDungeon.geometry.materials;
-        const materialData = materials[materialType] || materials.CAVE_ROCK; // Default material
+        if (!materials[materialType]) {
+            materialType = 'CAVE_ROCK'; // Default material
+        }
+        if (this.materials.has(materialType)) {
+            return this.materials.get(materialType);
+        }
         
-        return {
-            type: 'phong', // Assuming a Phong lighting model
+        const materialData = materials[materialType];
+        const material = new Material({
+            type: materialData.texture ? (materialData.mapping || 'triplanar') : 'phong',
             color: materialData.color,
             roughness: materialData.roughness || 0.8,
             emissive: materialData.emissive || 0,
-            transparency: materialData.transparency || 0
-        };
+            transparency: materialData.transparency || 0,
+            mapUrl: materialData.texture || null,
+            textureScale: materialData.textureScale
+        });
+        this.materials.set(materialType, material);
+        
+        if (material.mapUrl) {
+            this.loadMaterialTexture(material);
+        }
+        return material;
+    }
+    
+    /**
+     * Fetch a material's texture in the background; until it arrives (or if it never
+     * does) the material renders in its flat colour.
+     */
+    loadMaterialTexture(material) {
+        assetLoader.load(material.mapUrl, 'texture')
+            .then(texture => {
+                material.map = texture;
+            })
+            .catch(error => {
+                if (this.missingTextures.has(material.mapUrl)) return;
+                this.missingTextures.add(material.mapUrl);
+                console.warn(`⚠️ ${error.message}, using flat colour`);
+            });
     }
     
     /**
@@ -225,7 +585,7 @@ export class DungeonScene {
      */
     getLightType(type) {
         switch (type) {
-            case 'NATURAL_SUNLIGHT': return 'directional';
+            case 'NATURAL_SUNLIGHT': return 'point'; // Daylight only spills in around the entrance
             case 'LIGHT_SHAFT': return 'spot';
             case 'TORCH':
             case 'BIOLUMINESCENT_FUNGI':
@@ -251,6 +611,79 @@ export class DungeonScene {
         this.engine.camera.setTarget(entrancePos);
     }
     
+    /**
+     * Find the room or tunnel under a screen point (normalized 0-1, as from
+     * InputManager.getNormalizedMousePosition) and describe it, or null if none is there.
+     */
+    inspectAt(x, y) {
+        if (!this.currentDungeon || !this.engine.camera) return null;
+        
+        const { origin, direction } = this.engine.camera.getRay(x, y);
+        const hit = this.scene.raycast(origin, direction)[0];
+        if (!hit) return null;
+        
+        const id = DungeonInspector.identify(hit, this.scene.portalCulling);
+        const info = id && DungeonInspector.describe(this.currentDungeon, id);
+        return info ? { ...info, point: hit.point, distance: hit.distance } : null;
+    }
+    
+    /**
+     * Switch the camera between orbiting and walking through the dungeon on foot,
+     * colliding with its rooms and tunnels. Returns whether it is now walking.
+     */
+    toggleWalkMode() {
+        const camera = this.engine.camera;
+        if (!camera || !this.currentDungeon) return false;
+
+        if (camera.mode === 'walk') {
+            camera.setOrbitMode();
+            return false;
+        }
+        camera.setWalkMode(new CharacterController(this.scene));
+        return true;
+    }
+    
+    /**
+     * The current dungeon's navigation mesh: the one generated with it, or for saves
+     * made without one, built the first time it is asked for
+     */
+    getNavMesh() {
+        if (!this.currentDungeon) return null;
+        if (!this.navMesh) {
+            this.navMesh = this.currentDungeon.navMesh ?? NavMeshBuilder.build(this.currentDungeon);
+        }
+        return this.navMesh;
+    }
+    
+    /**
+     * Show or hide the navigation mesh over the floors. Returns whether it is shown.
+     */
+    toggleNavMeshOverlay() {
+        if (!this.dungeonGroup) return false;
+
+        if (this.navMeshOverlay) {
+            this.dungeonGroup.removeChild(this.navMeshOverlay);
+            this.navMeshOverlay = null;
+            return false;
+        }
+
+        const navMesh = this.getNavMesh();
+        const material = new Material({ color: [0.2, 0.9, 0.4], emissive: 0.6, transparency: 0.5 });
+        this.navMeshOverlay = new Mesh(navMesh.toGeometry(), material, 'NavMesh');
+        this.navMeshOverlay.userData.passable = true;
+        this.dungeonGroup.addChild(this.navMeshOverlay);
+        return true;
+    }
+    
+    /**
+     * Populate the current dungeon and hand the simulation to the engine to step
+     */
+    startEcosystem() {
+        this.ecosystem = EcosystemManager.fromDungeon(this.currentDungeon);
+        this.engine.ecosystem = this.ecosystem;
+        return this.ecosystem;
+    }
+    
     /**
      * Get generation statistics for display in the UI.
      */
@@ -274,17 +707,115 @@ export class DungeonScene {
      * Update loop for the dungeon scene (e.g., for animations).
      */
     update(deltaTime) {
-        // Placeholder for future updates like flickering lights, water animation, etc.
+        if (this.ecosystem) {
+            // Creatures keep to the navigation mesh generated with the dungeon (older saves
+            // have none until something builds it)
+            this.ecosystem.agents.navMesh = this.navMesh ?? this.currentDungeon?.navMesh ?? null;
+            this.ecosystem.setObservedRooms(this.getObservedRooms());
+        }
+        this.updateCreatureInstances();
+    }
+    
+    /**
+     * Give each observed creature an instance at its position, facing its heading and
+     * tinted for its species. Instances are only written for creatures that moved,
+     * turned or changed, so the renderer re-uploads just that dirty range.
+     */
+    updateCreatureInstances() {
+        const mesh = this.creatureMesh;
+        if (!mesh) return;
+
+        const agents = this.ecosystem ? this.ecosystem.agents.agents.filter(agent => agent.alive) : [];
+        agents.forEach((agent, i) => {
+            if (i === mesh.count) {
+                mesh.addInstance();
+                this.creatureSlots[i] = {};
+            }
+
+            const slot = this.creatureSlots[i];
+            const look = CREATURE_LOOKS[agent.speciesId] ?? DEFAULT_CREATURE_LOOK;
+            if (slot.speciesId !== agent.speciesId) {
+                mesh.setColorAt(i, look.color);
+                slot.speciesId = agent.speciesId;
+                slot.position = null;
+            }
+
+            const angle = Math.atan2(agent.heading.x, agent.heading.z);
+            if (slot.position && slot.position.equals(agent.position) && slot.angle === angle) return;
+
+            mesh.setTransformAt(i, agent.position, Quaternion.fromAxisAngle(Vector3.up(), angle), look.size);
+            slot.position = agent.position.clone();
+            slot.angle = angle;
+        });
+
+        while (mesh.count > agents.length) {
+            mesh.removeInstance(mesh.count - 1);
+        }
+        this.creatureSlots.length = agents.length;
+    }
+    
+    /**
+     * Rooms the player can see, where creatures are simulated individually: the room
+     * sectors portal culling found visible, or the rooms near the camera without it
+     */
+    getObservedRooms() {
+        if (!this.currentDungeon) return [];
+        
+        const visible = this.scene.visibleSectors;
+        if (visible) {
+            return this.currentDungeon.rooms.filter(room => visible.has(room.id)).map(room => room.id);
+        }
+        
+        const camera = this.engine.camera?.getPosition?.();
+        if (!camera) return [];
+        return this.currentDungeon.rooms
+            .filter(room => room.position.distance(camera) <= OBSERVATION_RANGE)
+            .map(room => room.id);
     }
     
     /**
      * Clean up all resources used by the current dungeon scene.
      */
     dispose() {
+        // Nothing left to walk on
+        this.engine.camera?.setOrbitMode();
+        
         if (this.dungeonGroup) {
+            // Features and creatures leave for good, so their per-instance GPU buffers go too
+            const renderer = this.engine.renderer;
+            if (renderer?.deleteInstanceBuffers) {
+                this.dungeonGroup.traverse((node) => {
+                    if (node instanceof InstancedMesh) renderer.deleteInstanceBuffers(node);
+                });
+            }
             this.scene.removeChild(this.dungeonGroup);
             this.dungeonGroup = null;
         }
+        if (this.previousAmbient) {
+            this.scene.ambientLight = this.previousAmbient;
+            this.previousAmbient = null;
+        }
+        this.scene.portalCulling = null;
+        this.scene.visibleSectors = null;
+        this.navMesh = null;
+        this.navMeshOverlay = null;
+        this.creatureMesh = null;
+        this.creatureSlots = [];
+        if (this.ecosystem && this.engine.ecosystem === this.ecosystem) {
+            this.engine.ecosystem = null;
+        }
+        this.ecosystem = null;
+        this.materials.clear();
         this.currentDungeon = null;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Unit-length creature body: a flattened ovoid resting on y = 0, its head towards +z
+ */
+function createCreatureGeometry() {
+    const body = GeometryBuilder.createIcosphere(0.5, 1);
+    GeometryBuilder.transformGeometry(body,
+        Matrix4.translation(new Vector3(0, 0.2, 0)).multiply(Matrix4.scaling(new Vector3(0.6, 0.4, 1))));
+    return body;
+}
@@ -0,0 +1,266 @@
+/**
+ * DungeonSerializer - Versioned save/load format for generated dungeons
+ * Converts Vector3s, Maps and typed arrays into plain JSON (optionally with a
+ * binary side-car for geometry buffers) and rebuilds a live dungeon object
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { DungeonLayout } from './DungeonLayout.js';
+import { NavMesh } from './NavMesh.js';
+
+export const DUNGEON_FORMAT = 'dungeon-ecosystem/dungeon';
+export const DUNGEON_FORMAT_VERSION = 1;
+
+// Binary container: magic, version, JSON length, JSON header, aligned buffers
+const BINARY_MAGIC = 0x474e5544; // 'DUNG' little-endian
+const BINARY_HEADER_SIZE = 12;
+const BINARY_ALIGNMENT = 8;
+
+const TYPED_ARRAYS = {
+    Float32Array,
+    Float64Array,
+    Int8Array,
+    Int16Array,
+    Int32Array,
+    Uint8Array,
+    Uint16Array,
+    Uint32Array
+};
+
+export class DungeonSerializer {
+    /**
+     * Convert a dungeon to a JSON-safe object.
+     * With `buffers` supplied, typed arrays are collected there instead of inlined as base64.
+     */
+    static toJSON(dungeon, buffers = null) {
+        // The navigation mesh packs itself into typed arrays; its spatial index is rebuilt
+        const data = dungeon.navMesh ? { ...dungeon, navMesh: dungeon.navMesh.toData() } : dungeon;
+        return {
+            format: DUNGEON_FORMAT,
+            version: DUNGEON_FORMAT_VERSION,
+            dungeon: encodeValue(data, buffers)
+        };
+    }
+
+    /**
+     * Serialize a dungeon to a JSON string
+     */
+    static stringify(dungeon, space = 0) {
+        return JSON.stringify(DungeonSerializer.toJSON(dungeon), null, space);
+    }
+
+    /**
+     * Serialize a dungeon to a single ArrayBuffer (JSON header + raw geometry buffers)
+     */
+    static toBinary(dungeon) {
+        const buffers = [];
+        const header = DungeonSerializer.toJSON(dungeon, buffers);
+
+        let bodyLength = 0;
+        header.buffers = buffers.map(array => {
+            bodyLength = align(bodyLength, BINARY_ALIGNMENT);
+            const entry = { byteOffset: bodyLength, byteLength: array.byteLength };
+            bodyLength += array.byteLength;
+            return entry;
+        });
+
+        const json = new TextEncoder().encode(JSON.stringify(header));
+        const bodyStart = align(BINARY_HEADER_SIZE + json.byteLength, BINARY_ALIGNMENT);
+        const output = new ArrayBuffer(bodyStart + bodyLength);
+        const view = new DataView(output);
+        const bytes = new Uint8Array(output);
+
+        view.setUint32(0, BINARY_MAGIC, true);
+        view.setUint32(4, DUNGEON_FORMAT_VERSION, true);
+        view.setUint32(8, json.byteLength, true);
+        bytes.set(json, BINARY_HEADER_SIZE);
+
+        buffers.forEach((array, i) => {
+            const source = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+            bytes.set(source, bodyStart + header.buffers[i].byteOffset);
+        });
+
+        return output;
+    }
+
+    /**
+     * Rebuild a dungeon from a JSON-safe object.
+     * `buffers` holds the ArrayBuffers or typed arrays referenced by index from the data.
+     */
+    static fromJSON(data, buffers = null) {
+        if (!data || data.format !== DUNGEON_FORMAT) {
+            throw new Error('Not a dungeon save file');
+        }
+        if (data.version > DUNGEON_FORMAT_VERSION) {
+            throw new Error(`Unsupported dungeon format version ${data.version} (max ${DUNGEON_FORMAT_VERSION})`);
+        }
+
+        const dungeon = decodeValue(data.dungeon, buffers);
+
+        // The layout carries query closures that cannot be stored; rebuild them
+        if (dungeon.layout) {
+            dungeon.layout = DungeonLayout.fromData(dungeon.layout);
+        }
+        if (dungeon.navMesh) {
+            dungeon.navMesh = NavMesh.fromData(dungeon.navMesh);
+        }
+
+        return dungeon;
+    }
+
+    /**
+     * Parse a dungeon from a JSON string
+     */
+    static parse(json) {
+        return DungeonSerializer.fromJSON(JSON.parse(json));
+    }
+
+    /**
+     * Parse a dungeon from a binary container
+     */
+    static fromBinary(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        if (!DungeonSerializer.isBinary(arrayBuffer)) {
+            throw new Error('Not a binary dungeon save file');
+        }
+
+        const jsonLength = view.getUint32(8, true);
+        const json = new TextDecoder().decode(new Uint8Array(arrayBuffer, BINARY_HEADER_SIZE, jsonLength));
+        const header = JSON.parse(json);
+        const bodyStart = align(BINARY_HEADER_SIZE + jsonLength, BINARY_ALIGNMENT);
+
+        const buffers = (header.buffers || []).map(entry =>
+            arrayBuffer.slice(bodyStart + entry.byteOffset, bodyStart + entry.byteOffset + entry.byteLength)
+        );
+
+        return DungeonSerializer.fromJSON(header, buffers);
+    }
+
+    /**
+     * Check whether an ArrayBuffer holds the binary format
+     */
+    static isBinary(arrayBuffer) {
+        return arrayBuffer.byteLength >= BINARY_HEADER_SIZE &&
+            new DataView(arrayBuffer).getUint32(0, true) === BINARY_MAGIC;
+    }
+
+    /**
+     * Load from any supported representation (string, parsed object or ArrayBuffer)
+     */
+    static deserialize(input) {
+        if (input instanceof ArrayBuffer) {
+            if (DungeonSerializer.isBinary(input)) {
+                return DungeonSerializer.fromBinary(input);
+            }
+            return DungeonSerializer.parse(new TextDecoder().decode(input));
+        }
+        if (typeof input === 'string') {
+            return DungeonSerializer.parse(input);
+        }
+        return DungeonSerializer.fromJSON(input);
+    }
+}
+
+function align(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+function encodeValue(value, buffers) {
+    if (value === null || typeof value !== 'object') {
+        return typeof value === 'function' ? undefined : value;
+    }
+
+    if (value instanceof Vector3) {
+        return { $type: 'Vector3', value: [value.x, value.y, value.z] };
+    }
+
+    if (value instanceof Map) {
+        return {
+            $type: 'Map',
+            entries: Array.from(value, ([key, entry]) => [encodeValue(key, buffers), encodeValue(entry, buffers)])
+        };
+    }
+
+    if (ArrayBuffer.isView(value)) {
+        const type = value.constructor.name;
+        if (buffers) {
+            buffers.push(value);
+            return { $type: type, buffer: buffers.length - 1 };
+        }
+        return { $type: type, base64: bytesToBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)) };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(entry => {
+            const encoded = encodeValue(entry, buffers);
+            return encoded === undefined ? null : encoded;
+        });
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+        const encoded = encodeValue(entry, buffers);
+        if (encoded !== undefined) {
+            result[key] = encoded;
+        }
+    }
+    return result;
+}
+
+function decodeValue(value, buffers) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(entry => decodeValue(entry, buffers));
+    }
+
+    switch (value.$type) {
+        case 'Vector3':
+            return new Vector3(value.value[0], value.value[1], value.value[2]);
+        case 'Map':
+            return new Map(value.entries.map(([key, entry]) => [decodeValue(key, buffers), decodeValue(entry, buffers)]));
+        case undefined:
+            break;
+        default: {
+            const ArrayType = TYPED_ARRAYS[value.$type];
+            if (!ArrayType) {
+                throw new Error(`Unknown serialized type: ${value.$type}`);
+            }
+            if (value.buffer !== undefined) {
+                const source = buffers?.[value.buffer];
+                if (!source) {
+                    throw new Error(`Missing binary buffer ${value.buffer}`);
+                }
+                // Typed arrays handed over directly (e.g. transferred from a worker) are used as-is
+                return source instanceof ArrayType ? source : new ArrayType(source);
+            }
+            const bytes = base64ToBytes(value.base64);
+            return new ArrayType(bytes.buffer, 0, bytes.byteLength / ArrayType.BYTES_PER_ELEMENT);
+        }
+    }
+
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+        result[key] = decodeValue(entry, buffers);
+    }
+    return result;
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
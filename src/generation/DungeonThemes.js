@@ -0,0 +1,258 @@
+/**
+ * DungeonThemes - Data-driven theme registry for dungeon generation
+ * A theme biases region classification, room-type tables, entrance selection,
+ * connection styles and material palettes. Themes are plain data so they can
+ * be registered at runtime and posted to the generation worker.
+ */
+
+// Room types per depth tier (every two levels of depth), shared by themes that don't override them
+const DEFAULT_ROOM_TYPES = {
+    natural: [
+        ['ENTRANCE_CAVE', 'NATURAL_CHAMBER'],
+        ['NATURAL_CHAMBER', 'WATER_CAVE'],
+        ['CRYSTAL_CAVE', 'MUSHROOM_GROVE', 'DEEP_CAVE'],
+        ['UNDERGROUND_LAKE', 'LAVA_TUBES', 'DEEP_CAVE'],
+        ['ABYSS_CHAMBER', 'CRYSTAL_CATHEDRAL', 'MONSTER_DEN']
+    ],
+    manMade: [
+        ['ENTRANCE_HALL', 'GUARD_ROOM'],
+        ['STORAGE_ROOM', 'LIVING_QUARTERS', 'WORKSHOP'],
+        ['TEMPLE', 'LIBRARY', 'ARMORY'],
+        ['CRYPT', 'TREASURE_VAULT', 'RITUAL_CHAMBER'],
+        ['ANCIENT_VAULT', 'FORGOTTEN_SANCTUM', 'SEALED_TOMB']
+    ]
+};
+
+// Connection style weights keyed by the styles of the two rooms being joined
+const DEFAULT_CONNECTION_STYLES = {
+    NATURAL: { NATURAL_TUNNEL: 1 },
+    MAN_MADE: { CARVED_CORRIDOR: 1 },
+    MIXED: { TRANSITIONAL: 1 }
+};
+
+const DEFAULT_PALETTE = {
+    NATURAL: 'CAVE_ROCK',
+    MAN_MADE: 'CARVED_STONE'
+};
+
+const themes = new Map();
+
+export class DungeonThemes {
+    /**
+     * Register (or replace) a theme. Missing fields fall back to the defaults.
+     *
+     * Theme fields:
+     *   name             - display name
+     *   naturalBias      - added to config.naturalCaveRatio when classifying regions
+     *   roomTypes        - { natural: [[...tier0], ...], manMade: [...] }
+     *   roomTemplates    - extra RoomGenerator templates keyed by room type
+     *   entranceWeights  - { CAVE_MOUTH, RUINS_ENTRANCE, SINKHOLE } selection weights
+     *   connectionStyles - { NATURAL, MAN_MADE, MIXED } -> { styleName: weight }
+     *   palette          - material per room style, optionally overridden per room type
+     *   materials        - extra material definitions referenced by the palette
+     */
+    static register(id, theme) {
+        themes.set(id, {
+            id,
+            name: theme.name || id,
+            naturalBias: theme.naturalBias || 0,
+            roomTypes: { ...DEFAULT_ROOM_TYPES, ...theme.roomTypes },
+            roomTemplates: { ...theme.roomTemplates },
+            entranceWeights: { CAVE_MOUTH: 1, RUINS_ENTRANCE: 1, SINKHOLE: 1, ...theme.entranceWeights },
+            connectionStyles: { ...DEFAULT_CONNECTION_STYLES, ...theme.connectionStyles },
+            palette: { ...DEFAULT_PALETTE, ...theme.palette },
+            materials: { ...theme.materials }
+        });
+        return themes.get(id);
+    }
+
+    /**
+     * Look up a theme by id, falling back to 'mixed' for unknown ids
+     */
+    static get(id) {
+        if (!themes.has(id)) {
+            console.warn(`Unknown dungeon theme "${id}", using "mixed"`);
+            return themes.get('mixed');
+        }
+        return themes.get(id);
+    }
+
+    static has(id) {
+        return themes.has(id);
+    }
+
+    /**
+     * All registered themes as { id, name } (for UI lists)
+     */
+    static list() {
+        return Array.from(themes.values(), theme => ({ id: theme.id, name: theme.name }));
+    }
+}
+
+// Built-in themes
+DungeonThemes.register('mixed', {
+    name: 'Mixed'
+});
+
+DungeonThemes.register('natural', {
+    name: 'Natural Caves',
+    naturalBias: 0.5,
+    entranceWeights: { CAVE_MOUTH: 3, RUINS_ENTRANCE: 0, SINKHOLE: 2 },
+    connectionStyles: {
+        MAN_MADE: { CARVED_CORRIDOR: 1, TRANSITIONAL: 1 },
+        MIXED: { NATURAL_TUNNEL: 2, TRANSITIONAL: 1 }
+    }
+});
+
+DungeonThemes.register('ruins', {
+    name: 'Ancient Ruins',
+    naturalBias: -0.6,
+    entranceWeights: { CAVE_MOUTH: 0.5, RUINS_ENTRANCE: 4, SINKHOLE: 0.5 },
+    connectionStyles: {
+        NATURAL: { NATURAL_TUNNEL: 1, TRANSITIONAL: 1 },
+        MIXED: { CARVED_CORRIDOR: 2, TRANSITIONAL: 1 }
+    },
+    palette: { MAN_MADE: 'ANCIENT_STONE' }
+});
+
+DungeonThemes.register('flooded_mine', {
+    name: 'Flooded Mine',
+    naturalBias: -0.2,
+    roomTypes: {
+        natural: [
+            ['ENTRANCE_CAVE', 'NATURAL_CHAMBER'],
+            ['WATER_CAVE', 'NATURAL_CHAMBER'],
+            ['WATER_CAVE', 'FLOODED_CHAMBER'],
+            ['UNDERGROUND_LAKE', 'FLOODED_CHAMBER'],
+            ['UNDERGROUND_LAKE', 'FLOODED_CHAMBER']
+        ],
+        manMade: [
+            ['MINE_ENTRANCE', 'MINE_GALLERY'],
+            ['MINE_GALLERY', 'ORE_CHAMBER', 'STORAGE_ROOM'],
+            ['MINE_GALLERY', 'ORE_CHAMBER', 'PUMP_ROOM'],
+            ['FLOODED_GALLERY', 'ORE_CHAMBER', 'PUMP_ROOM'],
+            ['FLOODED_GALLERY', 'COLLAPSED_SHAFT']
+        ]
+    },
+    roomTemplates: {
+        MINE_ENTRANCE: {
+            baseShape: 'rectangular',
+            sizeRange: { width: [6, 9], length: [12, 18], height: [4, 6] },
+            irregularity: 0.15,
+            features: ['torch_sconces'],
+            decay: 0.4,
+            architecturalStyle: 'industrial'
+        },
+        MINE_GALLERY: {
+            baseShape: 'rectangular',
+            sizeRange: { width: [5, 8], length: [15, 25], height: [3, 5] },
+            irregularity: 0.2,
+            features: ['torch_sconces'],
+            decay: 0.5,
+            architecturalStyle: 'industrial'
+        },
+        ORE_CHAMBER: {
+            baseShape: 'rectangular',
+            sizeRange: { width: [10, 16], length: [10, 16], height: [5, 8] },
+            irregularity: 0.3,
+            features: ['crystal_formations'],
+            decay: 0.5,
+            architecturalStyle: 'industrial'
+        },
+        PUMP_ROOM: {
+            baseShape: 'rectangular',
+            sizeRange: { width: [8, 12], length: [8, 12], height: [5, 7] },
+            irregularity: 0.1,
+            features: ['water_pool'],
+            decay: 0.6,
+            waterLevel: 0.2,
+            humidity: 0.9,
+            architecturalStyle: 'industrial'
+        },
+        FLOODED_GALLERY: {
+            baseShape: 'rectangular',
+            sizeRange: { width: [5, 8], length: [15, 25], height: [3, 5] },
+            irregularity: 0.25,
+            features: ['water_pool'],
+            decay: 0.7,
+            waterLevel: 0.6,
+            humidity: 1.0,
+            architecturalStyle: 'industrial'
+        },
+        COLLAPSED_SHAFT: {
+            baseShape: 'rectangular',
+            sizeRange: { width: [6, 10], length: [6, 10], height: [8, 14] },
+            irregularity: 0.4,
+            features: ['broken_stairs'],
+            decay: 0.9,
+            architecturalStyle: 'industrial'
+        },
+        FLOODED_CHAMBER: {
+            baseShape: 'bowl',
+            sizeRange: { radius: [10, 18], depth: [4, 8] },
+            irregularity: 0.3,
+            features: ['water_pool', 'flowstone'],
+            waterLevel: 0.7,
+            humidity: 1.0
+        }
+    },
+    entranceWeights: { CAVE_MOUTH: 1, RUINS_ENTRANCE: 2, SINKHOLE: 1 },
+    connectionStyles: {
+        NATURAL: { NATURAL_TUNNEL: 2, CARVED_CORRIDOR: 1 },
+        MIXED: { CARVED_CORRIDOR: 2, TRANSITIONAL: 1 }
+    },
+    palette: { NATURAL: 'WET_ROCK', MAN_MADE: 'MINE_TIMBER', ORE_CHAMBER: 'WET_ROCK' },
+    materials: {
+        WET_ROCK: { color: [0.25, 0.28, 0.3], roughness: 0.4, texture: 'textures/stone-wall.png', mapping: 'triplanar', textureScale: 0.25 },
+        MINE_TIMBER: { color: [0.38, 0.28, 0.18], roughness: 0.85 }
+    }
+});
+
+DungeonThemes.register('volcanic', {
+    name: 'Volcanic',
+    naturalBias: 0.4,
+    roomTypes: {
+        natural: [
+            ['ENTRANCE_CAVE', 'NATURAL_CHAMBER'],
+            ['NATURAL_CHAMBER', 'LAVA_TUBES'],
+            ['LAVA_TUBES', 'OBSIDIAN_CAVE', 'CRYSTAL_CAVE'],
+            ['LAVA_TUBES', 'MAGMA_CHAMBER', 'OBSIDIAN_CAVE'],
+            ['MAGMA_CHAMBER', 'ABYSS_CHAMBER']
+        ]
+    },
+    roomTemplates: {
+        LAVA_TUBES: {
+            baseShape: 'elongated',
+            sizeRange: { length: [20, 35], width: [6, 10], height: [4, 7] },
+            irregularity: 0.25,
+            features: ['flowstone'],
+            floorSlope: 0.1,
+            humidity: 0.1
+        },
+        OBSIDIAN_CAVE: {
+            baseShape: 'geodesic',
+            sizeRange: { radius: [10, 16], height: [6, 10] },
+            irregularity: 0.3,
+            features: ['crystal_formations', 'reflective_surfaces'],
+            floorSlope: 0.1,
+            lightReflectivity: 0.6,
+            humidity: 0.05
+        },
+        MAGMA_CHAMBER: {
+            baseShape: 'bowl',
+            sizeRange: { radius: [18, 28], depth: [6, 12] },
+            irregularity: 0.35,
+            features: ['stalactites'],
+            humidity: 0
+        }
+    },
+    entranceWeights: { CAVE_MOUTH: 2, RUINS_ENTRANCE: 0.5, SINKHOLE: 3 },
+    connectionStyles: {
+        MIXED: { NATURAL_TUNNEL: 1, TRANSITIONAL: 1 }
+    },
+    palette: { NATURAL: 'BASALT', MAN_MADE: 'ANCIENT_STONE', OBSIDIAN_CAVE: 'OBSIDIAN' },
+    materials: {
+        BASALT: { color: [0.22, 0.2, 0.2], roughness: 0.95, texture: 'textures/stone-wall.png', mapping: 'triplanar', textureScale: 0.3 },
+        OBSIDIAN: { color: [0.08, 0.07, 0.1], roughness: 0.2 }
+    }
+});
@@ -5,15 +5,27 @@
 
 import { Vector3 } from '../math/Vector3.js';
 import { MathUtils } from '../math/MathUtils.js';
+import { SeededRandom } from '../math/SeededRandom.js';
+import { RoomShapes } from './RoomShapes.js';
 
 export class EnvironmentalPlacer {
     constructor() {
+        this.rng = new SeededRandom();
         this.waterFlowSimulator = new WaterFlowSimulator();
         this.temperatureCalculator = new TemperatureCalculator();
         this.lightCalculator = new LightCalculator();
         this.organicPlacer = new OrganicMatterPlacer();
     }
     
+    /**
+     * Use the given random stream for subsequent generation
+     */
+    setRandom(rng) {
+        this.rng = rng;
+        this.temperatureCalculator.rng = rng.fork('temperature');
+        this.organicPlacer.rng = rng.fork('organic');
+    }
+    
     /**
      * Place all environmental features in the dungeon
      */
@@ -85,7 +97,7 @@ export class EnvironmentalPlacer {
         for (const room of dungeonData.rooms) {
             const waterProbability = this.calculateWaterProbability(room);
             
-            if (Math.random() < waterProbability) {
+            if (this.rng.next() < waterProbability) {
                 const waterFeature = {
                     id: `water_${room.id}`,
                     roomId: room.id,
@@ -99,7 +111,7 @@ export class EnvironmentalPlacer {
                         clarity: this.calculateWaterClarity(room),
                         mineralContent: room.depth * 0.05,
                         flow: 'STILL', // Updated by flow simulator
-                        ph: 6.5 + Math.random() * 2
+                        ph: 6.5 + this.rng.next() * 2
                     },
                     connections: [] // Filled by flow simulator
                 };
@@ -166,7 +178,7 @@ export class EnvironmentalPlacer {
             weights[0] -= 0.2;
         }
         
-        return types[MathUtils.randomWeighted(weights)];
+        return types[this.rng.weighted(weights)];
     }
     
     /**
@@ -181,7 +193,7 @@ export class EnvironmentalPlacer {
         };
         
         const base = baseCoverage[room.type] || 0.1;
-        const variation = Math.random() * 0.3;
+        const variation = this.rng.next() * 0.3;
         
         return MathUtils.clamp(base + variation, 0.05, 0.9);
     }
@@ -191,10 +203,10 @@ export class EnvironmentalPlacer {
      */
     calculateWaterDepth(room) {
         if (room.type === 'UNDERGROUND_LAKE') {
-            return 2 + Math.random() * 8; // Deep lakes
+            return 2 + this.rng.next() * 8; // Deep lakes
         }
         
-        const baseDepth = 0.3 + Math.random() * 1.5;
+        const baseDepth = 0.3 + this.rng.next() * 1.5;
         
         // Deeper at lower levels
         const depthBonus = room.depth * 0.1;
@@ -208,15 +220,15 @@ export class EnvironmentalPlacer {
     calculateWaterClarity(room) {
         // Stagnant water is less clear
         if (room.connections.length === 1) {
-            return 0.1 + Math.random() * 0.3;
+            return 0.1 + this.rng.next() * 0.3;
         }
         
         // Flowing water is clearer
         if (room.connections.length > 2) {
-            return 0.6 + Math.random() * 0.3;
+            return 0.6 + this.rng.next() * 0.3;
         }
         
-        return 0.3 + Math.random() * 0.4;
+        return 0.3 + this.rng.next() * 0.4;
     }
     
     /**
@@ -258,11 +270,11 @@ export class EnvironmentalPlacer {
             
             // Light shafts in rooms near entrance
             for (const room of dungeonData.rooms) {
-                if (room.depth === 1 && room.style === 'NATURAL' && Math.random() < 0.3) {
+                if (room.depth === 1 && room.style === 'NATURAL' && this.rng.next() < 0.3) {
                     lightSources.push({
                         id: `light_shaft_${room.id}`,
                         type: 'LIGHT_SHAFT',
-                        position: room.position.clone().add(new Vector3(0, room.size.height, 0)),
+                        position: room.position.clone().add(new Vector3(0, RoomShapes.getHeight(room), 0)),
                         intensity: 0.5,
                         color: [1, 0.95, 0.8],
                         attenuation: {
@@ -282,22 +294,23 @@ export class EnvironmentalPlacer {
             if (room.style === 'NATURAL' && room.depth > 3) {
                 const bioChance = 0.2 + (room.depth - 3) * 0.1;
                 
-                if (Math.random() < bioChance) {
+                if (this.rng.next() < bioChance) {
                     // Glowing fungi
-                    if (room.type === 'MUSHROOM_GROVE' || Math.random() < 0.3) {
-                        const count = 3 + Math.floor(Math.random() * 5);
+                    if (room.type === 'MUSHROOM_GROVE' || this.rng.next() < 0.3) {
+                        const count = 3 + Math.floor(this.rng.next() * 5);
+                        const spread = room.size.radius || RoomShapes.getBoundingRadius(room);
                         for (let i = 0; i < count; i++) {
                             const offset = new Vector3(
-                                (Math.random() - 0.5) * room.size.radius,
+                                (this.rng.next() - 0.5) * spread,
                                 0,
-                                (Math.random() - 0.5) * room.size.radius
+                                (this.rng.next() - 0.5) * spread
                             );
                             
                             lightSources.push({
                                 id: `bio_fungi_${room.id}_${i}`,
                                 type: 'BIOLUMINESCENT_FUNGI',
                                 position: room.position.clone().add(offset),
-                                intensity: 0.1 + Math.random() * 0.1,
+                                intensity: 0.1 + this.rng.next() * 0.1,
                                 color: [0.2, 0.8, 0.4],
                                 attenuation: {
                                     constant: 1,
@@ -312,7 +325,7 @@ export class EnvironmentalPlacer {
                     }
                     
                     // Glowing crystals
-                    if (room.type === 'CRYSTAL_CAVE' || Math.random() < 0.2) {
+                    if (room.type === 'CRYSTAL_CAVE' || this.rng.next() < 0.2) {
                         lightSources.push({
                             id: `crystal_glow_${room.id}`,
                             type: 'CRYSTAL_GLOW',
@@ -341,7 +354,7 @@ export class EnvironmentalPlacer {
                     const pos = this.getTorchPosition(room, t);
                     
                     // Some torches are extinguished
-                    const lit = Math.random() > 0.3 - (room.depth * 0.05);
+                    const lit = this.rng.next() > 0.3 - (room.depth * 0.05);
                     
                     if (lit) {
                         lightSources.push({
@@ -364,11 +377,11 @@ export class EnvironmentalPlacer {
                 }
                 
                 // Special room lighting
-                if (room.type === 'TEMPLE' && Math.random() < 0.7) {
+                if (room.type === 'TEMPLE' && this.rng.next() < 0.7) {
                     lightSources.push({
                         id: `sacred_light_${room.id}`,
                         type: 'MAGICAL_LIGHT',
-                        position: room.position.clone().add(new Vector3(0, room.size.height * 0.8, 0)),
+                        position: room.position.clone().add(new Vector3(0, RoomShapes.getHeight(room) * 0.8, 0)),
                         intensity: 0.6,
                         color: [0.8, 0.8, 1],
                         attenuation: {
@@ -568,6 +581,10 @@ class WaterFlowSimulator {
  * Temperature zone calculator
  */
 class TemperatureCalculator {
+    constructor() {
+        this.rng = new SeededRandom();
+    }
+    
     async calculateZones(dungeonData, waterBodies) {
         const zones = [];
         
@@ -619,7 +636,7 @@ class TemperatureCalculator {
         const sources = [];
         
         // Lava pools in deep caves
-        if (room.depth > 7 && room.style === 'NATURAL' && Math.random() < 0.1) {
+        if (room.depth > 7 && room.style === 'NATURAL' && this.rng.next() < 0.1) {
             sources.push({
                 type: 'LAVA_POOL',
                 temperature: 800,
@@ -628,7 +645,7 @@ class TemperatureCalculator {
         }
         
         // Thermal vents
-        if (room.depth > 5 && Math.random() < 0.15) {
+        if (room.depth > 5 && this.rng.next() < 0.15) {
             sources.push({
                 type: 'THERMAL_VENT',
                 temperature: 60,
@@ -719,6 +736,10 @@ class LightCalculator {
  * Organic matter placement system
  */
 class OrganicMatterPlacer {
+    constructor() {
+        this.rng = new SeededRandom();
+    }
+    
     async placeOrganicMatter(dungeonData, waterBodies, lightMap) {
         const deposits = [];
         
@@ -742,15 +763,15 @@ class OrganicMatterPlacer {
                 probability *= 0.3;
             }
             
-            if (Math.random() < probability) {
+            if (this.rng.next() < probability) {
                 const deposit = {
                     id: `organic_${room.id}`,
                     roomId: room.id,
                     type: this.selectOrganicType(room, lightLevel, hasWater),
-                    amount: 10 + Math.random() * 40,
+                    amount: 10 + this.rng.next() * 40,
                     quality: this.calculateQuality(room),
                     position: this.selectPosition(room),
-                    regenerationRate: 0.1 + Math.random() * 0.2
+                    regenerationRate: 0.1 + this.rng.next() * 0.2
                 };
                 
                 deposits.push(deposit);
@@ -784,11 +805,13 @@ class OrganicMatterPlacer {
     }
     
     selectPosition(room) {
-        // Place organic matter in corners and edges
+        // Place organic matter in corners and edges (rectangular rooms have no radius)
+        const spanX = room.size.radius ?? room.size.width / 2;
+        const spanZ = room.size.radius ?? room.size.length / 2;
         const offset = new Vector3(
-            (Math.random() - 0.5) * room.size.radius * 0.8,
+            (this.rng.next() - 0.5) * spanX * 0.8,
             0,
-            (Math.random() - 0.5) * room.size.radius * 0.8
+            (this.rng.next() - 0.5) * spanZ * 0.8
         );
         
         return room.position.clone().add(offset);
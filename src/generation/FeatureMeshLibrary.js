@@ -0,0 +1,419 @@
+/**
+ * FeatureMeshLibrary - Procedural meshes for the features RoomGenerator places in rooms
+ * Every instance type has a builder that makes its mesh around the origin (standing on
+ * y = 0, +z facing into the room). Instances of a type share a few prototype meshes,
+ * stretched to each one's size, so they can be drawn instanced. placeRoomFeatures
+ * mounts each instance on the floor, ceiling or nearest wall and turns it;
+ * buildRoomFeatures merges the placed meshes per material.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { Matrix4 } from '../math/Matrix4.js';
+import { SeededRandom } from '../math/SeededRandom.js';
+import { GeometryBuilder } from '../rendering/GeometryBuilder.js';
+import { RoomShapes } from './RoomShapes.js';
+
+const FEATURE_CLEARANCE = 0.3;  // Gap kept to walls, pillars, doorways and other features
+const FLOOR_SINK = 0.2;         // Dome floors are faceted, so floor features are pushed into them
+const STALACTITE_ROOT = 0.5;    // Hidden length above the ceiling that covers its unevenness
+const BROKEN_CONDITION = 0.5;   // Columns in worse condition than this have lost their top
+const STAIR_RISE = 0.5;
+const STAIR_TREAD = 0.35;
+const CRYSTAL_VARIANTS = 4;     // Differently shaped cluster meshes crystals pick from
+
+/**
+ * Per instance type:
+ *   mount    - 'floor', 'ceiling' or 'wall' (or a function of the feature group)
+ *   material - fixed material, otherwise the room's own
+ *   radius   - footprint radius used for clearance checks
+ *   height   - space the mesh needs between floor and ceiling
+ *   depth    - how far a wall-mounted mesh reaches into the room
+ *   turn     - 'random' for natural formations (others face +z or into the room)
+ *   shape    - what the prototype mesh is built from; instances of one shape share it
+ *   scale    - [x, y, z] stretch from the prototype to the instance's size
+ *   build    - prototype builder, given the shape
+ */
+const FEATURE_MESHES = {
+    stalactite: {
+        mount: 'ceiling',
+        radius: f => f.thickness,
+        height: f => f.length,
+        turn: 'random',
+        scale: f => [f.thickness, f.length, f.thickness],
+        build: () => FeatureMeshLibrary.createStalactite(1, 1)
+    },
+    stalagmite: {
+        mount: 'floor',
+        radius: f => f.thickness,
+        height: f => f.height,
+        turn: 'random',
+        scale: f => [f.thickness, f.height, f.thickness],
+        build: () => FeatureMeshLibrary.createStalagmite(1, 1)
+    },
+    crystal_cluster: {
+        mount: 'floor',
+        material: 'CRYSTAL',
+        radius: f => f.size * 0.6,
+        height: f => f.size * 1.4,
+        turn: 'random',
+        shape: (f, rng) => ({ variant: rng.int(0, CRYSTAL_VARIANTS - 1) }),
+        scale: f => [f.size, f.size, f.size],
+        build: shape => FeatureMeshLibrary.createCrystalCluster(1, new SeededRandom(`crystal_cluster/${shape.variant}`))
+    },
+    mushroom: {
+        mount: 'floor',
+        material: 'FUNGUS',
+        radius: f => f.size,
+        height: f => f.size * 2.5,
+        turn: 'random',
+        scale: f => [f.size, f.size, f.size],
+        build: () => FeatureMeshLibrary.createMushroom(1)
+    },
+    column: {
+        mount: 'floor',
+        radius: f => f.radius * 1.3,
+        height: f => f.height,
+        shape: f => ({ height: f.height, condition: f.condition ?? 1 }),
+        scale: f => [f.radius, 1, f.radius],
+        build: shape => FeatureMeshLibrary.createColumn(shape.height, 1, shape.condition)
+    },
+    altar: {
+        mount: 'floor',
+        radius: f => Math.hypot(f.size.width, f.size.depth) / 2,
+        height: f => f.size.height,
+        shape: f => ({ size: f.size }),
+        build: shape => FeatureMeshLibrary.createAltar(shape.size)
+    },
+    tomb: {
+        mount: feature => (feature.layout === 'grid' ? 'floor' : 'wall'),
+        radius: f => Math.hypot(f.size.width, f.size.depth) / 2,
+        height: f => f.size.height,
+        depth: f => f.size.depth,
+        shape: f => ({ size: f.size, sealed: f.sealed ?? true }),
+        build: shape => FeatureMeshLibrary.createTomb(shape.size, shape.sealed)
+    },
+    torch_sconce: {
+        mount: 'wall',
+        material: 'IRON',
+        radius: () => 0.3,
+        height: f => f.height + 0.5,
+        depth: () => 0.3,
+        gap: 0,
+        build: () => FeatureMeshLibrary.createTorchSconce()
+    },
+    broken_stairs: {
+        mount: 'wall',
+        radius: f => Math.max(f.width, getStairRun(f.height)) / 2,
+        height: f => f.height,
+        depth: f => getStairRun(f.height),
+        shape: f => ({ width: f.width, height: f.height, intact: f.intactPercentage ?? 1 }),
+        build: shape => FeatureMeshLibrary.createBrokenStairs(shape.width, shape.height, shape.intact)
+    }
+};
+
+export class FeatureMeshLibrary {
+    /**
+     * Where every feature instance in a room stands, as plain data that can be saved with
+     * the dungeon: [{ type, shape, key, material, matrix }], where the room-local matrix
+     * (16 numbers, column-major) carries the prototype mesh for `shape` (see
+     * createPrototype) into place and `key` names that prototype. Instances that would
+     * stand outside the footprint, lack headroom or block a pillar, doorway or earlier
+     * feature are left out. Features without instances (flowstone, carvings) are surface
+     * treatments and water pools are the room's own water surface.
+     *
+     * options:
+     *   doorways      - the room's doorway records (kept clear)
+     *   material      - material for features without one of their own
+     *   rng           - random stream for orientation and crystal shapes
+     *   ceilingHeight - (x, z) -> ceiling height, defaults to RoomShapes.getCeilingHeight
+     */
+    static placeRoomFeatures(room, options = {}) {
+        const {
+            doorways = [],
+            material = 'CAVE_ROCK',
+            rng = new SeededRandom(),
+            ceilingHeight = (x, z) => RoomShapes.getCeilingHeight(room, x, z)
+        } = options;
+
+        const shape = RoomShapes.getShape(room);
+        const obstacles = [
+            ...(shape.pillars || []).map(pillar => ({ x: pillar.x, z: pillar.z, radius: pillar.halfSize * Math.SQRT2 })),
+            ...doorways.map(doorway => {
+                const local = doorway.position.subtract(room.position);
+                return { x: local.x, z: local.z, radius: doorway.width / 2 };
+            })
+        ];
+
+        const placed = [];
+        for (const feature of room.features || []) {
+            const instances = feature.instances || (feature.position ? [feature] : []);
+
+            for (const instance of instances) {
+                const spec = FEATURE_MESHES[instance.type];
+                if (!spec) continue;
+
+                const placement = placeInstance(room, feature, instance, spec, obstacles, ceilingHeight, rng);
+                if (!placement) continue;
+
+                const prototypeShape = spec.shape ? spec.shape(instance, rng) : {};
+                const matrix = spec.scale
+                    ? placement.matrix.multiply(Matrix4.scaling(new Vector3(...spec.scale(instance))))
+                    : placement.matrix;
+                placed.push({
+                    type: instance.type,
+                    shape: prototypeShape,
+                    key: FeatureMeshLibrary.getPrototypeKey(instance.type, prototypeShape),
+                    material: spec.material || material,
+                    matrix: Array.from(matrix.elements)
+                });
+            }
+        }
+        return placed;
+    }
+
+    /**
+     * Room-local meshes for every feature instance in a room, as a Map of material -> geometry.
+     * Takes the same options as placeRoomFeatures, or the instances it placed as `placed`.
+     */
+    static buildRoomFeatures(room, options = {}) {
+        const placed = options.placed || FeatureMeshLibrary.placeRoomFeatures(room, options);
+
+        const prototypes = new Map();
+        const meshesByMaterial = new Map();
+        for (const { type, shape, key, material, matrix } of placed) {
+            if (!prototypes.has(key)) {
+                prototypes.set(key, FeatureMeshLibrary.createPrototype(type, shape));
+            }
+            const prototype = prototypes.get(key);
+            const geometry = { ...prototype, vertices: prototype.vertices.slice(), normals: prototype.normals.slice() };
+            GeometryBuilder.transformGeometry(geometry, Matrix4.fromArray(matrix));
+
+            if (!meshesByMaterial.has(material)) {
+                meshesByMaterial.set(material, []);
+            }
+            meshesByMaterial.get(material).push(geometry);
+        }
+
+        const merged = new Map();
+        for (const [meshMaterial, geometries] of meshesByMaterial) {
+            merged.set(meshMaterial, GeometryBuilder.mergeGeometries(geometries));
+        }
+        return merged;
+    }
+
+    /**
+     * The mesh instances of a type and shape share, before their placement matrix
+     */
+    static createPrototype(type, shape = {}) {
+        const spec = FEATURE_MESHES[type];
+        if (!spec) throw new Error(`No feature mesh for ${type}`);
+        return spec.build(shape);
+    }
+
+    /**
+     * Name of the prototype a type and shape share, the same for every equal shape
+     */
+    static getPrototypeKey(type, shape = {}) {
+        return Object.keys(shape).length > 0 ? `${type}:${JSON.stringify(shape)}` : type;
+    }
+
+    /**
+     * Instance types that have a mesh
+     */
+    static getFeatureTypes() {
+        return Object.keys(FEATURE_MESHES);
+    }
+
+    /**
+     * Cone hanging down from y = 0 with its tip at -length. Its open base continues
+     * above the origin so an uneven ceiling never shows a gap.
+     */
+    static createStalactite(length, thickness) {
+        const cone = GeometryBuilder.createCone(thickness, length + STALACTITE_ROOT, 6, false);
+        GeometryBuilder.transformGeometry(cone,
+            Matrix4.translation(new Vector3(0, STALACTITE_ROOT, 0)).multiply(Matrix4.rotationX(Math.PI)));
+        return cone;
+    }
+
+    /**
+     * Open-based cone rising from the floor
+     */
+    static createStalagmite(height, thickness) {
+        return GeometryBuilder.createCone(thickness, height, 6, false);
+    }
+
+    /**
+     * A few six-sided pointed shards leaning out from a common base
+     */
+    static createCrystalCluster(size, rng = new SeededRandom()) {
+        const shards = [];
+        const count = rng.int(3, 6);
+
+        for (let i = 0; i < count; i++) {
+            const radius = size * rng.range(0.12, 0.22);
+            const length = size * rng.range(0.6, 1.4);
+            const prism = GeometryBuilder.createCylinder(radius, radius, length * 0.75, 6, false);
+            const tip = GeometryBuilder.createCone(radius, length * 0.25, 6, false);
+            GeometryBuilder.translateGeometry(tip, 0, length * 0.75, 0);
+            const shard = GeometryBuilder.mergeGeometries([prism, tip]);
+
+            const angle = rng.range(0, Math.PI * 2);
+            const offset = rng.range(0, size * 0.25);
+            GeometryBuilder.transformGeometry(shard,
+                Matrix4.translation(new Vector3(Math.cos(angle) * offset, 0, Math.sin(angle) * offset))
+                    .multiply(Matrix4.rotationY(angle))
+                    .multiply(Matrix4.rotationX(rng.range(0, 0.6))));
+            shards.push(shard);
+        }
+
+        return GeometryBuilder.mergeGeometries(shards);
+    }
+
+    /**
+     * Tapered stem under a conical cap of radius `size`
+     */
+    static createMushroom(size) {
+        const stemHeight = size * 2;
+        const stem = GeometryBuilder.createCylinder(size * 0.15, size * 0.2, stemHeight, 6, false);
+        const cap = GeometryBuilder.createCone(size, size * 0.5, 8);
+        GeometryBuilder.translateGeometry(cap, 0, stemHeight * 0.95, 0);
+        return GeometryBuilder.mergeGeometries([stem, cap]);
+    }
+
+    /**
+     * Plinth, shaft and capital; badly decayed columns are broken off part-way up
+     */
+    static createColumn(height, radius, condition = 1) {
+        const block = radius * 2.6;
+        const plinth = createBlock(block, 0.3, block, 0);
+
+        if (condition < BROKEN_CONDITION) {
+            const stump = (height - 0.3) * (0.35 + condition);
+            const shaft = GeometryBuilder.createCylinder(radius, radius, stump, 10);
+            GeometryBuilder.translateGeometry(shaft, 0, 0.3, 0);
+            return GeometryBuilder.mergeGeometries([plinth, shaft]);
+        }
+
+        const shaft = GeometryBuilder.createCylinder(radius * 0.9, radius, height - 0.6, 10, false);
+        GeometryBuilder.translateGeometry(shaft, 0, 0.3, 0);
+        const capital = createBlock(block, 0.3, block, height - 0.3);
+        return GeometryBuilder.mergeGeometries([plinth, shaft, capital]);
+    }
+
+    /**
+     * Solid base under an overhanging slab
+     */
+    static createAltar(size) {
+        const { width, height, depth } = size;
+        const base = createBlock(width * 0.8, height * 0.85, depth * 0.8, 0);
+        const slab = createBlock(width, height * 0.15, depth, height * 0.85);
+        return GeometryBuilder.mergeGeometries([base, slab]);
+    }
+
+    /**
+     * Coffin-shaped block with a lid; opened tombs have their lid pushed askew
+     */
+    static createTomb(size, sealed = true) {
+        const { width, height, depth } = size;
+        const body = createBlock(width, height * 0.8, depth, 0);
+        const lid = createBlock(width * 1.05, height * 0.2, depth * 1.05, 0);
+
+        const lidPlacement = sealed
+            ? Matrix4.translation(new Vector3(0, height * 0.8, 0))
+            : Matrix4.translation(new Vector3(width * 0.3, height * 0.8, 0)).multiply(Matrix4.rotationY(0.3));
+        GeometryBuilder.transformGeometry(lid, lidPlacement);
+
+        return GeometryBuilder.mergeGeometries([body, lid]);
+    }
+
+    /**
+     * Iron bracket on the wall holding a torch that leans into the room.
+     * Mounted at the torch's height, so the origin is the bracket rather than the floor.
+     */
+    static createTorchSconce() {
+        const bracket = createBlock(0.12, 0.12, 0.3, -0.06);
+        const torch = GeometryBuilder.createCylinder(0.05, 0.035, 0.5, 6);
+        GeometryBuilder.transformGeometry(torch,
+            Matrix4.translation(new Vector3(0, -0.1, 0.12)).multiply(Matrix4.rotationX(0.35)));
+        return GeometryBuilder.mergeGeometries([bracket, torch]);
+    }
+
+    /**
+     * Solid flight climbing towards -z (the wall). Only the lower `intact` share of
+     * its height is left standing.
+     */
+    static createBrokenStairs(width, height, intact = 1) {
+        const count = Math.ceil(height / STAIR_RISE);
+        const run = count * STAIR_TREAD;
+        const steps = [];
+
+        for (let k = 0; k < count; k++) {
+            const stepHeight = (count - k) * STAIR_RISE;
+            if (stepHeight > Math.max(STAIR_RISE, intact * height)) continue;
+
+            const step = createBlock(width, stepHeight, STAIR_TREAD, 0);
+            GeometryBuilder.translateGeometry(step, 0, 0, -run / 2 + (k + 0.5) * STAIR_TREAD);
+            steps.push(step);
+        }
+
+        return GeometryBuilder.mergeGeometries(steps);
+    }
+}
+
+function getStairRun(height) {
+    return Math.ceil(height / STAIR_RISE) * STAIR_TREAD;
+}
+
+// Box standing at height y, centred on the y axis
+function createBlock(width, height, depth, y) {
+    const box = GeometryBuilder.createBox(width, height, depth);
+    GeometryBuilder.translateGeometry(box, 0, y + height / 2, 0);
+    return box;
+}
+
+/**
+ * Where and how an instance stands in the room, as a room-local transform, or null if
+ * it doesn't fit. Accepted floor and wall features become obstacles for later ones.
+ */
+function placeInstance(room, feature, instance, spec, obstacles, ceilingHeight, rng) {
+    const { x, z } = instance.position;
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return null;
+
+    const mount = typeof spec.mount === 'function' ? spec.mount(feature) : spec.mount;
+    const radius = spec.radius(instance);
+    const natural = RoomShapes.isNatural(room);
+    let center = { x, z };
+    let angle = spec.turn === 'random' ? rng.range(0, Math.PI * 2) : 0;
+
+    if (mount === 'wall') {
+        const wall = RoomShapes.getNearestWall(room, x, z);
+        const reach = spec.depth(instance) / 2 + (spec.gap ?? FEATURE_CLEARANCE);
+        center = { x: wall.x + wall.inward.x * reach, z: wall.z + wall.inward.z * reach };
+        angle = Math.atan2(wall.inward.x, wall.inward.z);
+        if (!RoomShapes.containsPoint(room, center.x, center.z)) return null;
+    } else {
+        const margin = radius + FEATURE_CLEARANCE;
+        const samples = [[0, 0], [margin, 0], [-margin, 0], [0, margin], [0, -margin]];
+        if (!samples.every(([dx, dz]) => RoomShapes.containsPoint(room, center.x + dx, center.z + dz))) return null;
+    }
+
+    const floorY = RoomShapes.getFloorHeight(room, center.x, center.z);
+    const ceilingY = ceilingHeight(center.x, center.z);
+    if (spec.height(instance) > ceilingY - floorY - FEATURE_CLEARANCE) return null;
+
+    if (mount !== 'ceiling') {
+        const blocked = obstacles.some(obstacle =>
+            Math.hypot(obstacle.x - center.x, obstacle.z - center.z) < obstacle.radius + radius + FEATURE_CLEARANCE);
+        if (blocked) return null;
+        obstacles.push({ ...center, radius });
+    }
+
+    let y = mount === 'ceiling' ? ceilingY : floorY - (natural ? FLOOR_SINK : 0);
+    if (instance.type === 'torch_sconce') {
+        y = floorY + instance.height;
+    }
+
+    return {
+        matrix: Matrix4.translation(new Vector3(center.x, y, center.z)).multiply(Matrix4.rotationY(angle))
+    };
+}
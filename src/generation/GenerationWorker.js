@@ -0,0 +1,38 @@
+/**
+ * GenerationWorker - Runs DungeonGenerator off the main thread
+ * Receives GENERATE requests, streams PROGRESS messages and hands the finished
+ * dungeon back as serialized data with its geometry buffers transferred
+ */
+
+import { DungeonGenerator } from './DungeonGenerator.js';
+import { DungeonSerializer } from './DungeonSerializer.js';
+import { DungeonThemes } from './DungeonThemes.js';
+
+const generator = new DungeonGenerator();
+
+self.onmessage = async (event) => {
+    const { type, id, config, theme } = event.data;
+    if (type !== 'GENERATE') return;
+
+    // Themes registered on the main thread travel with the request
+    if (theme) {
+        DungeonThemes.register(config.theme, theme);
+    }
+
+    try {
+        const dungeon = await generator.generate(config, {
+            onProgress: (progress, phase) => {
+                self.postMessage({ type: 'PROGRESS', id, progress, phase });
+            }
+        });
+
+        // Typed arrays travel as transferables instead of being copied
+        const buffers = [];
+        const data = DungeonSerializer.toJSON(dungeon, buffers);
+        const transfer = [...new Set(buffers.map(array => array.buffer))];
+
+        self.postMessage({ type: 'COMPLETE', id, data, buffers }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'ERROR', id, message: error.message });
+    }
+};
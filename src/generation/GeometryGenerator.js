@@ -6,28 +6,110 @@
 import { Vector3 } from '../math/Vector3.js';
 import { Matrix4 } from '../math/Matrix4.js';
 import { GeometryBuilder } from '../rendering/GeometryBuilder.js';
+import { SeededRandom } from '../math/SeededRandom.js';
+import { MathUtils } from '../math/MathUtils.js';
 import { SimplexNoise } from './SimplexNoise.js';
+import { DungeonThemes } from './DungeonThemes.js';
+import { RoomShapes } from './RoomShapes.js';
+import { FeatureMeshLibrary } from './FeatureMeshLibrary.js';
+
+// Cross-section settings per connection style
+const TUNNEL_PROFILES = {
+    NATURAL_TUNNEL: { carved: 0, irregularity: 0.3 },
+    TRANSITIONAL: { carved: 0.5, irregularity: 0.15 },
+    CARVED_CORRIDOR: { carved: 1, irregularity: 0 }
+};
+const TUNNEL_SEGMENTS = 16;      // Points around each cross-section ring
+const TUNNEL_RING_SPACING = 1.5;  // Distance between rings along the path
+const TUNNEL_STUB_LENGTH = 1;     // Straight run out of every doorway
+const DOORWAY_MARGIN = 0.5;       // Wall kept between an opening and corners/other openings
+
+// Dome floors are concentric rings inside the shell's bottom row (bowls need more for their curve)
+const FLOOR_RINGS = 3;
+const BOWL_FLOOR_RINGS = 6;
+
+// Optimized meshes merge by material within square cells this wide, so frustum culling can skip them
+const MESH_CELL_SIZE = 64;
+
+// Water surfaces sit waterLevel of the way up a bowl, or this deep over flat floors
+const FLOOD_DEPTH = 1;
+
+const UP = new Vector3(0, 1, 0);
+const DOWN = new Vector3(0, -1, 0);
 
 export class GeometryGenerator {
     constructor() {
+        this.rng = new SeededRandom();
         this.noise = new SimplexNoise();
+        // texture is an asset URL; mapping is 'triplanar' (world axes) or 'textured' (mesh UVs);
+        // textureScale is texture repeats per world unit
         this.materials = {
-            CAVE_ROCK: { color: [0.4, 0.35, 0.3], roughness: 0.9 },
-            CARVED_STONE: { color: [0.5, 0.48, 0.45], roughness: 0.7 },
-            ANCIENT_STONE: { color: [0.35, 0.32, 0.3], roughness: 0.8 },
+            CAVE_ROCK: { color: [0.4, 0.35, 0.3], roughness: 0.9, texture: 'textures/stone-wall.png', mapping: 'triplanar', textureScale: 0.25 },
+            CARVED_STONE: { color: [0.5, 0.48, 0.45], roughness: 0.7, texture: 'textures/stone-floor.png', mapping: 'triplanar', textureScale: 0.5 },
+            ANCIENT_STONE: { color: [0.35, 0.32, 0.3], roughness: 0.8, texture: 'textures/stone-wall.png', mapping: 'triplanar', textureScale: 0.5 },
+            WATER: { color: [0.12, 0.25, 0.32], roughness: 0.05, transparency: 0.4, texture: 'textures/water.png', mapping: 'triplanar', textureScale: 0.2 },
+            CRYSTAL: { color: [0.6, 0.5, 0.85], roughness: 0.1, emissive: 0.4 },
+            FUNGUS: { color: [0.55, 0.5, 0.35], roughness: 0.6, emissive: 0.2, texture: 'textures/moss.png', mapping: 'textured', textureScale: 2 },
+            IRON: { color: [0.2, 0.2, 0.22], roughness: 0.5 }
         };
+        this.theme = DungeonThemes.get('mixed');
+    }
+
+    /**
+     * Use the given random stream for subsequent generation (also reseeds the noise field)
+     */
+    setRandom(rng) {
+        this.rng = rng;
+        this.noise = new SimplexNoise(rng.fork('noise'));
+    }
+
+    /**
+     * Use the theme's material palette (and any materials it defines)
+     */
+    setTheme(theme) {
+        this.theme = theme;
+    }
+
+    /**
+     * Material for a room: a per-type palette entry wins over the per-style one
+     */
+    selectMaterial(room) {
+        const palette = this.theme.palette;
+        return palette[room.type] || palette[room.style] || 'CAVE_ROCK';
     }
 
-    async generateGeometry(dungeonData, config) {
-        const geometrySystem = { rooms: new Map(), connections: new Map(), optimized: null, materials: this.materials };
+    async generateGeometry(dungeonData, config, onProgress = null) {
+        const materials = { ...this.materials, ...this.theme.materials };
+        const geometrySystem = { rooms: new Map(), connections: new Map(), optimized: null, materials };
+        const roomsById = new Map(dungeonData.rooms.map(room => [room.id, room]));
+        const connections = dungeonData.connections || [];
+
+        // Doorways come first: each end ring is shared by a room opening and its tunnel
+        const doorwaysByRoom = this.placeDoorways(dungeonData.rooms, connections, roomsById);
+
+        // Progress counts room and tunnel meshes, with the merge as one more step
+        const steps = dungeonData.rooms.length + connections.length + 1;
+        let built = 0;
 
         for (const room of dungeonData.rooms) {
-            const roomGeometry = this.generateRoomGeometry(room);
+            const roomGeometry = this.generateRoomGeometry(room, doorwaysByRoom.get(room.id));
             if (roomGeometry) geometrySystem.rooms.set(room.id, roomGeometry);
+            onProgress?.(++built / steps);
+        }
+
+        for (const connection of connections) {
+            const doorways = connection.rooms.map(id =>
+                doorwaysByRoom.get(id)?.find(doorway => doorway.connection === connection));
+            const connectionGeometry = this.generateConnectionGeometry(connection, doorways);
+            if (connectionGeometry) geometrySystem.connections.set(connection.id, connectionGeometry);
+            onProgress?.(++built / steps);
         }
 
         if (config.optimizeGeometry !== false) {
-            geometrySystem.optimized = this.optimizeGeometry(geometrySystem.rooms, dungeonData);
+            geometrySystem.optimized = this.optimizeGeometry(geometrySystem.rooms, dungeonData, geometrySystem.connections, {
+                uint32: config.uint32Indices !== false,
+                cellSize: config.meshCellSize ?? MESH_CELL_SIZE
+            });
         }
 
         return geometrySystem;
@@ -35,94 +117,867 @@ export class GeometryGenerator {
 
     /**
      * Bakes the world transform of each room into its geometry before merging.
+     * Tunnels are already built in world space and are merged as-is. Features are left
+     * out: they are drawn instanced (see DungeonScene.createFeatureInstances).
+     * Parts merge per material within each cellSize square of the xz plane (a room
+     * by its position, a tunnel by its centre), keyed 'MATERIAL@x,z'; each merged
+     * geometry records its `material`, `cell` and the room and connection ids it was
+     * built from (`sources`). cellSize 0 merges by material only.
+     * Without `uint32`, large merges keep 16-bit indices split into chunks.
      */
-    optimizeGeometry(roomGeometries, dungeonData) {
+    optimizeGeometry(roomGeometries, dungeonData, connectionGeometries = new Map(), { uint32 = true, cellSize = MESH_CELL_SIZE } = {}) {
         console.log('   Optimizing geometry by merging meshes...');
-        const geometryByMaterial = new Map();
+        const groups = new Map();
+
+        const addPart = (material, position, geometry, source) => {
+            const cell = cellSize > 0
+                ? { x: Math.floor(position.x / cellSize), z: Math.floor(position.z / cellSize) }
+                : null;
+            const key = cell ? `${material}@${cell.x},${cell.z}` : material;
+            if (!groups.has(key)) {
+                groups.set(key, { material, cell, geometries: [], sources: new Set() });
+            }
+            groups.get(key).geometries.push(geometry);
+            groups.get(key).sources.add(source);
+        };
 
         for (const [roomId, roomGeo] of roomGeometries) {
             const room = dungeonData.rooms.find(r => r.id === roomId);
             if (!room) continue;
 
             const material = roomGeo.material || 'CAVE_ROCK';
-            if (!geometryByMaterial.has(material)) {
-                geometryByMaterial.set(material, []);
-            }
-            
             const transformMatrix = Matrix4.translation(room.position);
-            
-            const components = [roomGeo.floor, roomGeo.walls, roomGeo.ceiling].filter(Boolean);
-            for(const component of components) {
-                const transformedComponent = { ...component, vertices: component.vertices.slice(), normals: component.normals.slice() };
-                GeometryBuilder.transformGeometry(transformedComponent, transformMatrix);
-                geometryByMaterial.get(material).push(transformedComponent);
+            const transform = part => {
+                const transformed = { ...part, vertices: part.vertices.slice(), normals: part.normals.slice() };
+                GeometryBuilder.transformGeometry(transformed, transformMatrix);
+                return transformed;
+            };
+
+            for (const component of [roomGeo.floor, roomGeo.walls, roomGeo.ceiling].filter(Boolean)) {
+                addPart(material, room.position, transform(component), roomId);
+            }
+
+            if (roomGeo.water) {
+                addPart('WATER', room.position, transform(roomGeo.water), roomId);
             }
         }
+
+        for (const [connectionId, connectionGeo] of connectionGeometries) {
+            const { min, max } = GeometryBuilder.computeBoundingBox(connectionGeo.tunnel);
+            addPart(connectionGeo.material || 'CAVE_ROCK', min.add(max).multiply(0.5), connectionGeo.tunnel, connectionId);
+        }
         
         const optimized = new Map();
-        for (const [material, geometries] of geometryByMaterial) {
-            if (geometries.length > 0) {
-                optimized.set(material, GeometryBuilder.mergeGeometries(geometries));
-            }
+        for (const [key, { material, cell, geometries, sources }] of groups) {
+            const merged = GeometryBuilder.mergeGeometries(geometries, { uint32 });
+            merged.material = material;
+            merged.cell = cell;
+            merged.sources = Array.from(sources);
+            optimized.set(key, merged);
         }
 
         console.log(`   Optimized to ${optimized.size} final meshes.`);
         return optimized;
     }
     
-    generateRoomGeometry(room) {
-        if (room.style === 'NATURAL') {
-            return this.generateNaturalCaveGeometry(room);
-        } else {
-            return this.generateManMadeRoomGeometry(room);
+    generateRoomGeometry(room, doorways = []) {
+        const natural = RoomShapes.isNatural(room);
+        const geometry = natural
+            ? this.generateNaturalCaveGeometry(room, doorways)
+            : this.generateManMadeRoomGeometry(room, doorways);
+
+        // Features are drawn instanced from featureInstances; their merged meshes stand in
+        // the way of the navigation mesh
+        geometry.featureInstances = FeatureMeshLibrary.placeRoomFeatures(room, {
+            doorways,
+            material: geometry.material,
+            rng: this.rng.fork(`features/${room.id}`),
+            // Shell noise moves a dome's ceiling around, so measure the built shell
+            ceilingHeight: natural
+                ? (x, z) => castUp(geometry.walls, x, z, RoomShapes.getFloorHeight(room, x, z)) ??
+                    RoomShapes.getCeilingHeight(room, x, z)
+                : undefined
+        });
+        geometry.features = FeatureMeshLibrary.buildRoomFeatures(room, { placed: geometry.featureInstances });
+
+        // World-aligned UVs, so shells, floors and the tunnels meeting them share one texture grid
+        for (const part of [geometry.floor, geometry.walls, geometry.ceiling, geometry.water]) {
+            if (part) GeometryBuilder.generateTriplanarUVs(part, 1, room.position);
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Place a doorway where each connection's path leaves each of its rooms, keep
+     * openings on the same room apart, and build the end ring shared with the tunnel.
+     */
+    placeDoorways(rooms, connections, roomsById) {
+        const doorwaysByRoom = new Map(rooms.map(room => [room.id, []]));
+
+        for (const connection of connections) {
+            const [roomA, roomB] = connection.rooms.map(id => roomsById.get(id));
+            if (!roomA || !roomB) continue;
+
+            const path = connection.path;
+            const exitA = RoomShapes.findExit(roomA, path);
+            const exitB = RoomShapes.findExit(roomB, path.slice().reverse());
+            if (!exitA || !exitB) continue; // Overlapping rooms: nothing to tunnel through
+
+            const profile = TUNNEL_PROFILES[connection.style] || TUNNEL_PROFILES.TRANSITIONAL;
+            const shared = {
+                connection,
+                profile,
+                width: connection.width || 3,
+                height: Math.min(connection.height || 3, this.getMaxDoorwayHeight(roomA), this.getMaxDoorwayHeight(roomB))
+            };
+
+            // pathIndex: first path point outside room A / last point outside room B
+            doorwaysByRoom.get(roomA.id).push({ ...shared, room: roomA, location: exitA, pathIndex: exitA.segment + 1, entering: false });
+            doorwaysByRoom.get(roomB.id).push({ ...shared, room: roomB, location: exitB, pathIndex: path.length - 2 - exitB.segment, entering: true });
+        }
+
+        for (const [roomId, doorways] of doorwaysByRoom) {
+            const room = roomsById.get(roomId);
+            if (RoomShapes.isNatural(room)) {
+                this.spaceShellDoorways(room, doorways);
+            } else {
+                this.spaceWallDoorways(room, doorways);
+            }
+            doorways.forEach(doorway => this.buildDoorway(doorway));
+        }
+
+        return doorwaysByRoom;
+    }
+
+    /**
+     * Tallest opening a room can take without cutting into its ceiling
+     */
+    getMaxDoorwayHeight(room) {
+        return RoomShapes.isNatural(room)
+            ? RoomShapes.getHeight(room) * 0.6
+            : RoomShapes.getHeight(room) - DOORWAY_MARGIN;
+    }
+
+    /**
+     * Half the widest extent of an opening (noise can widen the tunnel profile)
+     */
+    getDoorwayHalfWidth(doorway) {
+        return doorway.width / 2 * (1 + doorway.profile.irregularity);
+    }
+
+    /**
+     * Spread doorways around a natural room's shell so their openings don't share columns
+     */
+    spaceShellDoorways(room, doorways) {
+        const gap = (2 * Math.PI / RoomShapes.getShape(room).segments.azimuth) * 2;
+        const placed = [];
+
+        for (const doorway of doorways) {
+            const speed = RoomShapes.getBoundarySpeed(room, doorway.location.azimuth);
+            doorway.halfSpan = Math.asin(Math.min(0.95, (this.getDoorwayHalfWidth(doorway) + DOORWAY_MARGIN) / speed));
+
+            const desired = doorway.location.azimuth;
+            const candidates = [desired];
+            for (const other of placed) {
+                const spacing = other.halfSpan + doorway.halfSpan + gap;
+                candidates.push(other.location.azimuth + spacing, other.location.azimuth - spacing);
+            }
+
+            const fits = azimuth => placed.every(other =>
+                angularDistance(azimuth, other.location.azimuth) >= other.halfSpan + doorway.halfSpan + gap - 1e-9);
+            const best = candidates.filter(fits)
+                .sort((a, b) => angularDistance(a, desired) - angularDistance(b, desired))[0];
+
+            doorway.location = { ...doorway.location, azimuth: best ?? desired };
+            placed.push(doorway);
+        }
+    }
+
+    /**
+     * Slide doorways along (or onto other) walls so openings keep clear of corners and each other
+     */
+    spaceWallDoorways(room, doorways) {
+        const edges = RoomShapes.getEdges(room);
+        const placed = [];
+
+        for (const doorway of doorways) {
+            const half = this.getDoorwayHalfWidth(doorway);
+            const exitEdge = edges[doorway.location.edge];
+            const exitPoint = {
+                x: exitEdge.start.x + exitEdge.dir.x * doorway.location.offset,
+                z: exitEdge.start.z + exitEdge.dir.z * doorway.location.offset
+            };
+
+            // Prefer the wall the path crosses, then walls facing the same way
+            const preferred = edges.slice().sort((a, b) =>
+                (b.inward.x * exitEdge.inward.x + b.inward.z * exitEdge.inward.z) -
+                (a.inward.x * exitEdge.inward.x + a.inward.z * exitEdge.inward.z));
+
+            let location = null;
+            for (const edge of preferred) {
+                const min = half + DOORWAY_MARGIN;
+                const max = edge.length - half - DOORWAY_MARGIN;
+                if (max < min) continue;
+
+                const onEdge = placed.filter(other => other.location.edge === edge.index);
+                const desired = (exitPoint.x - edge.start.x) * edge.dir.x + (exitPoint.z - edge.start.z) * edge.dir.z;
+                const candidates = [desired];
+                for (const other of onEdge) {
+                    const spacing = other.half + half + DOORWAY_MARGIN;
+                    candidates.push(other.location.offset + spacing, other.location.offset - spacing);
+                }
+
+                const best = candidates
+                    .map(offset => Math.min(max, Math.max(min, offset)))
+                    .filter(offset => onEdge.every(other =>
+                        Math.abs(offset - other.location.offset) >= other.half + half + DOORWAY_MARGIN - 1e-9))
+                    .sort((a, b) => Math.abs(a - desired) - Math.abs(b - desired))[0];
+
+                if (best !== undefined) {
+                    location = { ...doorway.location, edge: edge.index, offset: best };
+                    break;
+                }
+            }
+
+            doorway.half = half;
+            doorway.location = location || doorway.location;
+            placed.push(doorway);
         }
     }
 
-    generateNaturalCaveGeometry(room) {
-        const radius = room.size.radius || 10;
-        const caveGeo = GeometryBuilder.createIcosphere(radius, 2);
-        for (let i = 0; i < caveGeo.vertices.length; i+=3) {
-            const x = caveGeo.vertices[i], y = caveGeo.vertices[i+1], z = caveGeo.vertices[i+2];
-            const noise = 1 + (this.noise.noise3D(x*0.1, y*0.1, z*0.1) * 0.4);
-            caveGeo.vertices[i] *= noise;
-            caveGeo.vertices[i+1] *= noise;
-            caveGeo.vertices[i+2] *= noise;
-            if (caveGeo.vertices[i+1] < 0) caveGeo.vertices[i+1] = 0;
+    /**
+     * Resolve a doorway's world frame and end ring, and record it on the connection
+     */
+    buildDoorway(doorway) {
+        const { room, connection } = doorway;
+        const frame = RoomShapes.getBoundaryFrame(room, doorway.location);
+
+        // Rings are oriented along the tunnel's travel direction (room A -> room B)
+        const travel = doorway.entering ? frame.normal.negate() : frame.normal;
+
+        doorway.position = frame.position;
+        doorway.normal = frame.normal;
+        doorway.right = travel.cross(UP).normalize();
+        doorway.ring = this.createTunnelRing(frame.position, doorway.right, doorway.width, doorway.height, doorway.profile);
+        doorway.archCenter = this.getArchCenter(doorway.width, doorway.height);
+
+        const record = connection.doorways?.[room.id];
+        if (record) {
+            Object.assign(record, {
+                wall: RoomShapes.isNatural(room) ? 'shell' : RoomShapes.wallName(frame.normal.x, frame.normal.z),
+                localPosition: frame.position.subtract(room.position),
+                position: frame.position,
+                direction: frame.normal,
+                width: doorway.width,
+                height: doorway.height
+            });
+        }
+    }
+
+    /**
+     * Natural rooms are noise-displaced domes over an elliptical, possibly sloped or
+     * sunken floor. Openings remove a block of shell cells and a collar zips the hole's
+     * rim to the tunnel's end ring.
+     */
+    generateNaturalCaveGeometry(room, doorways = []) {
+        const shape = RoomShapes.getShape(room);
+        const segments = shape.segments.azimuth;
+        const rows = shape.segments.elevation;
+        const azimuthStep = (Math.PI * 2) / segments;
+        const column = c => ((c % segments) + segments) % segments;
+        const vertex = (r, c) => r * segments + column(c);
+
+        // Openings in grid terms: columns [c0, c1]
+        const openings = doorways.map(doorway => ({
+            doorway,
+            c0: Math.floor((doorway.location.azimuth - doorway.halfSpan) / azimuthStep),
+            c1: Math.ceil((doorway.location.azimuth + doorway.halfSpan) / azimuthStep)
+        }));
+
+        // Noise fades out around openings so the rim meets the tunnel cleanly
+        const noiseScale = new Float32Array(segments).fill(1);
+        for (let c = 0; c < segments; c++) {
+            for (const opening of openings) {
+                const mid = (opening.c0 + opening.c1) / 2;
+                const halfCols = (opening.c1 - opening.c0) / 2;
+                let distance = Math.abs(c - mid) % segments;
+                distance = Math.min(distance, segments - distance) - halfCols;
+                noiseScale[c] = Math.min(noiseScale[c], MathUtils.clamp01((distance - 1) / 3));
+            }
+        }
+
+        // Shell grid: each column rises from the floor's edge to the ceiling, plus a pole vertex
+        const positions = [];
+        for (let r = 0; r < rows; r++) {
+            const elevation = (r / rows) * Math.PI / 2;
+            const rise = Math.sin(elevation);
+            for (let c = 0; c < segments; c++) {
+                const edge = RoomShapes.getDomeBoundary(room, c * azimuthStep);
+                const floorY = RoomShapes.getFloorHeight(room, edge.x, edge.z);
+                const base = new Vector3(
+                    edge.x * Math.cos(elevation),
+                    floorY + (shape.height - floorY * rise) * rise,
+                    edge.z * Math.cos(elevation)
+                );
+                positions.push(this.displaceShell(base, floorY, shape, noiseScale[c] * (1 + shape.ceilingVariation * rise)));
+            }
+        }
+        const pole = positions.length;
+        positions.push(this.displaceShell(new Vector3(0, shape.height, 0), 0, shape, 1 + shape.ceilingVariation));
+
+        // Each opening clears rows until the shell is above the top of its ring
+        for (const opening of openings) {
+            const top = Math.max(...opening.doorway.ring.map(p => p.y - room.position.y)) + DOORWAY_MARGIN;
+            opening.rows = 1;
+            while (opening.rows < rows - 1) {
+                const clear = [];
+                for (let c = opening.c0; c <= opening.c1; c++) clear.push(positions[vertex(opening.rows, c)].y >= top);
+                if (clear.every(Boolean)) break;
+                opening.rows++;
+            }
+        }
+
+        const removedCells = new Set();
+        for (const opening of openings) {
+            for (let r = 0; r < opening.rows; r++) {
+                for (let c = opening.c0; c < opening.c1; c++) removedCells.add(vertex(r, c));
+            }
+        }
+
+        const triangles = [];
+        const collarTriangles = [];
+        for (let r = 0; r < rows - 1; r++) {
+            for (let c = 0; c < segments; c++) {
+                if (removedCells.has(vertex(r, c))) continue;
+                triangles.push([vertex(r, c), vertex(r, c + 1), vertex(r + 1, c + 1)]);
+                triangles.push([vertex(r, c), vertex(r + 1, c + 1), vertex(r + 1, c)]);
+            }
+        }
+        for (let c = 0; c < segments; c++) {
+            triangles.push([vertex(rows - 1, c), vertex(rows - 1, c + 1), pole]);
+        }
+
+        // Collars zip each hole's rim (up one side, over, down the other) to the ring's arch.
+        // Both start and end on the floor, where the floor outline closes the gap.
+        for (const opening of openings) {
+            const { c0, c1, rows: top, doorway } = opening;
+            const rim = [];
+            for (let r = 0; r <= top; r++) rim.push(vertex(r, c0));
+            for (let c = c0 + 1; c <= c1; c++) rim.push(vertex(top, c));
+            for (let r = top - 1; r >= 0; r--) rim.push(vertex(r, c1));
+
+            opening.ringStart = positions.length;
+            doorway.ring.forEach(p => positions.push(p.subtract(room.position)));
+            const arch = getRingOpeningIndices().map(j => opening.ringStart + j);
+
+            const center = doorway.position.subtract(room.position).add(new Vector3(0, doorway.archCenter, 0));
+            const collar = zipChains(arch, rim, positions, center, doorway.right);
+            collarTriangles.push(...orientStrip(collar, positions, doorway.normal.negate()));
+        }
+
+        const openingAt = new Map(openings.map(opening => [column(opening.c0), opening]));
+        const removedColumns = new Set(openings.flatMap(opening =>
+            Array.from({ length: opening.c1 - opening.c0 - 1 }, (_, k) => column(opening.c0 + 1 + k))));
+
+        // Floor outline: the shell's bottom row, detouring through each doorway's floor points
+        const floorOutline = [];
+        for (let c = 0; c < segments; c++) {
+            if (removedColumns.has(c)) continue;
+            floorOutline.push(positions[vertex(0, c)]);
+
+            const opening = openingAt.get(c);
+            if (!opening) continue;
+            const ringPoint = j => positions[opening.ringStart + j];
+            const polarAngle = j => Math.atan2(ringPoint(j).z, ringPoint(j).x);
+            const reference = polarAngle(getRingFloorIndices()[0]);
+            floorOutline.push(...getRingFloorIndices()
+                .sort((a, b) => angularOffset(polarAngle(a), reference) - angularOffset(polarAngle(b), reference))
+                .map(ringPoint));
+        }
+
+        // Everything faces a point above the floor centre, i.e. into the room
+        const inside = new Vector3(0, shape.height * 0.4, 0);
+        const walls = buildGeometry(positions, [
+            ...orientTriangles(triangles, positions, centroid => inside.subtract(centroid)),
+            ...collarTriangles
+        ]);
+
+        const floor = this.createDomeFloor(room, floorOutline);
+        const water = this.createWaterSurface(room, floorOutline, floor);
+
+        return { floor, walls, water, material: this.selectMaterial(room) };
+    }
+
+    /**
+     * Push a shell point in or out by noise. Heights scale from the floor so the bottom row stays on it.
+     */
+    displaceShell(base, floorY, shape, noiseScale) {
+        const n = this.noise.noise3D(base.x * 0.1, base.y * 0.1, base.z * 0.1);
+        const scale = 1 + n * shape.irregularity * noiseScale;
+        return new Vector3(base.x * scale, floorY + (base.y - floorY) * scale, base.z * scale);
+    }
+
+    /**
+     * Dome floor as concentric rings shrinking from its outline to the centre, so
+     * floor slope and bowl depth are followed across the whole floor
+     */
+    createDomeFloor(room, outline) {
+        const shape = RoomShapes.getShape(room);
+        const ringCount = shape.bowlDepth > 0 ? BOWL_FLOOR_RINGS : FLOOR_RINGS;
+        const positions = outline.slice();
+        const rings = [outline.map((_, i) => i)];
+
+        for (let k = ringCount - 1; k >= 1; k--) {
+            const start = positions.length;
+            for (const p of outline) {
+                const x = p.x * k / ringCount;
+                const z = p.z * k / ringCount;
+                positions.push(new Vector3(x, RoomShapes.getFloorHeight(room, x, z), z));
+            }
+            rings.push(outline.map((_, i) => start + i));
+        }
+        const center = positions.length;
+        positions.push(new Vector3(0, RoomShapes.getFloorHeight(room, 0, 0), 0));
+
+        const triangles = [];
+        const count = outline.length;
+        for (let k = 0; k < rings.length; k++) {
+            for (let i = 0; i < count; i++) {
+                const next = (i + 1) % count;
+                if (k === rings.length - 1) {
+                    triangles.push([rings[k][i], rings[k][next], center]);
+                } else {
+                    triangles.push([rings[k][i], rings[k][next], rings[k + 1][next]]);
+                    triangles.push([rings[k][i], rings[k + 1][next], rings[k + 1][i]]);
+                }
+            }
         }
-        GeometryBuilder.calculateNormals(caveGeo);
-        // Flip normals to be visible from the inside
-        for (let i = 0; i < caveGeo.normals.length; i++) { caveGeo.normals[i] *= -1; }
 
-        return { walls: caveGeo, material: 'CAVE_ROCK' };
+        return buildGeometry(positions, orientTriangles(triangles, positions, () => UP));
+    }
+
+    /**
+     * Flat water surface for templates with a waterLevel: part-way up a bowl, or a
+     * shallow flood over other floors. Returns null for dry rooms.
+     */
+    createWaterSurface(room, outline, floor) {
+        const shape = RoomShapes.getShape(room);
+        if (!shape.waterLevel) return null;
+
+        let lowest = Infinity;
+        for (let i = 1; i < floor.vertices.length; i += 3) lowest = Math.min(lowest, floor.vertices[i]);
+
+        const waterY = lowest + shape.waterLevel * (shape.bowlDepth || FLOOD_DEPTH);
+
+        // A bowl's water only reaches part of the way to its rim
+        const extent = shape.bowlDepth > 0 ? Math.sqrt(shape.waterLevel) : 1;
+        const positions = outline.map(p => new Vector3(p.x * extent, waterY, p.z * extent));
+        const triangles = chunkTriangles(GeometryBuilder.triangulatePolygon(positions.map(p => [p.x, p.z])));
+
+        return buildGeometry(positions, orientTriangles(triangles, positions, () => UP));
     }
 
-    generateManMadeRoomGeometry(room) {
-        return this.createArchitecturalShape(room);
+    generateManMadeRoomGeometry(room, doorways = []) {
+        return this.createArchitecturalShape(room, doorways);
     }
 
-    createArchitecturalShape(room) {
+    createArchitecturalShape(room, doorways = []) {
         const shape = room.template?.baseShape || 'rectangular';
         switch (shape) {
             case 'rectangular':
             default:
-                return this.createRectangularRoom(room);
+                return this.createPolygonRoom(room, doorways);
         }
     }
-    
-    createRectangularRoom(room) {
-        const width = room.size.width || 10;
-        const height = room.size.height || 8;
-        const length = room.size.length || 15;
 
-        const floor = GeometryBuilder.createPlane(width, length, 4, 4);
-        const ceiling = GeometryBuilder.createPlane(width, length, 4, 4);
-        
-        GeometryBuilder.translateGeometry(ceiling, 0, height, 0);
-        for (let i = 0; i < ceiling.normals.length; i+=3) { ceiling.normals[i+1] *= -1; }
-        for (let i = 0; i < ceiling.indices.length; i += 3) { [ceiling.indices[i+1], ceiling.indices[i+2]] = [ceiling.indices[i+2], ceiling.indices[i+1]]; }
-        
-        const walls = GeometryBuilder.createRectangularWalls(width, height, length);
+    /**
+     * Extrude the room's floor outline into floor, ceiling and single-sided wall panels.
+     * Each doorway notches its wall panel with the exact outline of the tunnel's end ring.
+     */
+    createPolygonRoom(room, doorways = []) {
+        const height = RoomShapes.getHeight(room);
+        const edges = RoomShapes.getEdges(room);
+        const openingsByEdge = edges.map(edge => doorways
+            .filter(doorway => doorway.location.edge === edge.index)
+            .sort((a, b) => a.location.offset - b.location.offset));
+
+        // Doorway floor points join the floor outline so the tunnel floor shares its edge
+        const outline = [];
+        edges.forEach((edge, i) => {
+            outline.push(edge.start);
+            for (const doorway of openingsByEdge[i]) {
+                const floorPoints = doorway.ring
+                    .filter((_, j) => isRingFloorPoint(j))
+                    .map(p => ({ x: p.x - room.position.x, z: p.z - room.position.z }))
+                    .sort((a, b) =>
+                        ((a.x - edge.start.x) * edge.dir.x + (a.z - edge.start.z) * edge.dir.z) -
+                        ((b.x - edge.start.x) * edge.dir.x + (b.z - edge.start.z) * edge.dir.z));
+                outline.push(...floorPoints);
+            }
+        });
+
+        const floorPositions = outline.map(p => new Vector3(p.x, 0, p.z));
+        const floorTriangles = chunkTriangles(GeometryBuilder.triangulatePolygon(outline.map(p => [p.x, p.z])));
+        const floor = buildGeometry(floorPositions, orientTriangles(floorTriangles, floorPositions, () => UP));
+
+        const ceilingPositions = edges.map(edge => new Vector3(edge.start.x, height, edge.start.z));
+        const ceilingTriangles = chunkTriangles(GeometryBuilder.triangulatePolygon(edges.map(edge => [edge.start.x, edge.start.z])));
+        const ceiling = buildGeometry(ceilingPositions, orientTriangles(ceilingTriangles, ceilingPositions, () => DOWN));
+
+        const panels = edges.map((edge, i) => this.createWallPanel(room, edge, height, openingsByEdge[i]));
+        const pillars = RoomShapes.getShape(room).pillars.map(pillar => this.createPillar(pillar, height));
+
+        return {
+            floor,
+            walls: GeometryBuilder.mergeGeometries([...panels, ...pillars]),
+            ceiling,
+            water: this.createWaterSurface(room, floorPositions, floor),
+            material: this.selectMaterial(room)
+        };
+    }
+
+    /**
+     * Closed floor-to-ceiling box for a grid room's pillar, facing outwards
+     */
+    createPillar(pillar, height) {
+        const { x, z, halfSize } = pillar;
+        const positions = [];
+        for (const y of [0, height]) {
+            positions.push(
+                new Vector3(x - halfSize, y, z - halfSize),
+                new Vector3(x + halfSize, y, z - halfSize),
+                new Vector3(x + halfSize, y, z + halfSize),
+                new Vector3(x - halfSize, y, z + halfSize)
+            );
+        }
+
+        const triangles = [[0, 1, 2], [0, 2, 3], [4, 5, 6], [4, 6, 7]];
+        for (let i = 0; i < 4; i++) {
+            const next = (i + 1) % 4;
+            triangles.push([i, next, 4 + next], [i, 4 + next, 4 + i]);
+        }
+
+        const center = new Vector3(x, height / 2, z);
+        return buildGeometry(positions, orientTriangles(triangles, positions, centroid => centroid.subtract(center)));
+    }
+
+    /**
+     * One wall as a polygon in (along-wall, height) space with doorway notches cut up from the floor
+     */
+    createWallPanel(room, edge, height, openings) {
+        const toLocal = (s, y) => new Vector3(edge.start.x + edge.dir.x * s, y, edge.start.z + edge.dir.z * s);
+        const positions = [toLocal(0, 0)];
+        const outline = [[0, 0]];
+
+        for (const doorway of openings) {
+            const ring = doorway.ring.map(p => p.subtract(room.position));
+            const along = p => (p.x - edge.start.x) * edge.dir.x + (p.z - edge.start.z) * edge.dir.z;
+
+            const notch = getRingOpeningIndices();
+            if (along(ring[notch[0]]) > along(ring[notch[notch.length - 1]])) notch.reverse();
+
+            for (const j of notch) {
+                positions.push(ring[j]);
+                outline.push([along(ring[j]), ring[j].y]);
+            }
+        }
+
+        for (const [s, y] of [[edge.length, 0], [edge.length, height], [0, height]]) {
+            positions.push(toLocal(s, y));
+            outline.push([s, y]);
+        }
+
+        const inward = new Vector3(edge.inward.x, 0, edge.inward.z);
+        const triangles = chunkTriangles(GeometryBuilder.triangulatePolygon(outline));
+        return buildGeometry(positions, orientTriangles(triangles, positions, () => inward));
+    }
+
+    /**
+     * Sweep a cross-section along a connection's path between its two doorway rings.
+     * Short straight stubs leave each doorway square to the wall; the floor ramps
+     * evenly between the two room floor heights.
+     */
+    generateConnectionGeometry(connection, doorways) {
+        const [doorA, doorB] = doorways || [];
+        if (!doorA || !doorB) return null;
+
+        const stubA = doorA.position.add(doorA.normal.multiply(TUNNEL_STUB_LENGTH));
+        const stubB = doorB.position.add(doorB.normal.multiply(TUNNEL_STUB_LENGTH));
+
+        // Path points outside both rooms and beyond both stubs
+        const interior = connection.path.slice(doorA.pathIndex, doorB.pathIndex + 1).filter(p =>
+            p.subtract(stubA).dot(doorA.normal) > TUNNEL_STUB_LENGTH * 0.5 &&
+            p.subtract(stubB).dot(doorB.normal) > TUNNEL_STUB_LENGTH * 0.5);
+
+        const centerline = this.resamplePath([stubA, ...interior, stubB], TUNNEL_RING_SPACING);
+
+        // Even ramp between floor heights
+        const lengths = [0];
+        for (let i = 1; i < centerline.length; i++) {
+            lengths.push(lengths[i - 1] + centerline[i].distance(centerline[i - 1]));
+        }
+        const total = lengths[lengths.length - 1] || 1;
+        centerline.forEach((point, i) => {
+            point.y = doorA.position.y + (doorB.position.y - doorA.position.y) * (lengths[i] / total);
+        });
+
+        const rings = centerline.map((point, i) => {
+            let right;
+            if (i === 0) {
+                right = doorA.right;
+            } else if (i === centerline.length - 1) {
+                right = doorB.right;
+            } else {
+                const tangent = centerline[i + 1].subtract(centerline[i - 1]);
+                tangent.y = 0;
+                right = tangent.cross(UP);
+                right = right.isZero() ? doorA.right : right.normalize();
+            }
+            return this.createTunnelRing(point, right, doorA.width, doorA.height, doorA.profile);
+        });
+
+        const tunnel = GeometryBuilder.createTube([doorA.ring, ...rings, doorB.ring]);
+        return {
+            tunnel: GeometryBuilder.generateTriplanarUVs(tunnel),
+            material: this.selectConnectionMaterial(connection)
+        };
+    }
+
+    /**
+     * Height of the arch centre for a tunnel cross-section
+     */
+    getArchCenter(width, height) {
+        return Math.max(height * 0.5, height - width / 2);
+    }
+
+    /**
+     * One cross-section ring. Points are placed by angle around the arch centre so that
+     * the natural (egg-shaped) and carved (flat floor, vertical walls, arched ceiling)
+     * outlines line up point for point and can be blended. The lowest points are always
+     * flattened onto the floor so tunnels stay walkable and meet room floors cleanly.
+     */
+    createTunnelRing(center, right, width, height, profile) {
+        const halfWidth = width / 2;
+        const archCenter = this.getArchCenter(width, height);
+        const archHeight = height - archCenter;
+        const ring = [];
+
+        for (let j = 0; j < TUNNEL_SEGMENTS; j++) {
+            const angle = (j / TUNNEL_SEGMENTS) * Math.PI * 2;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+
+            // Natural outline: ellipse above the centre, squashed to the floor below it
+            const downRadius = sin >= 0 ? archHeight : archCenter;
+            const naturalRadius = 1 / Math.sqrt((cos / halfWidth) ** 2 + (sin / downRadius) ** 2);
+
+            // Carved outline: elliptical arch above, straight walls and floor below
+            let carvedRadius;
+            if (sin >= 0) {
+                carvedRadius = 1 / Math.sqrt((cos / halfWidth) ** 2 + (sin / archHeight) ** 2);
+            } else {
+                const toFloor = archCenter / -sin;
+                const toWall = Math.abs(cos) > 1e-6 ? halfWidth / Math.abs(cos) : Infinity;
+                carvedRadius = Math.min(toFloor, toWall);
+            }
+
+            const r = naturalRadius + (carvedRadius - naturalRadius) * profile.carved;
+            let u = cos * r;
+            let v = archCenter + sin * r;
+
+            if (profile.irregularity > 0) {
+                const base = center.add(right.multiply(u)).add(new Vector3(0, v, 0));
+                const n = this.noise.noise3D(base.x * 0.15, base.y * 0.15, base.z * 0.15);
+                const scale = 1 + n * profile.irregularity;
+                u *= scale;
+                v = Math.max(0, archCenter + (v - archCenter) * scale);
+            }
+
+            if (isRingFloorPoint(j)) v = 0;
+
+            ring.push(center.add(right.multiply(u)).add(new Vector3(0, v, 0)));
+        }
+
+        return ring;
+    }
+
+    /**
+     * Resample a polyline so consecutive points are at most `spacing` apart
+     */
+    resamplePath(path, spacing) {
+        const result = [path[0].clone()];
+
+        for (let i = 1; i < path.length; i++) {
+            const start = path[i - 1];
+            const end = path[i];
+            const steps = Math.max(1, Math.ceil(start.distance(end) / spacing));
+            for (let s = 1; s <= steps; s++) {
+                result.push(start.lerp(end, s / steps));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Tunnel material: a palette entry for the connection style, else by carved/natural
+     */
+    selectConnectionMaterial(connection) {
+        const palette = this.theme.palette;
+        const style = connection.style === 'CARVED_CORRIDOR' ? 'MAN_MADE' : 'NATURAL';
+        return palette[connection.style] || palette[style] || 'CAVE_ROCK';
+    }
+}
+
+// Ring points well below the arch centre are flattened onto the floor
+function isRingFloorPoint(j) {
+    return Math.sin((j / TUNNEL_SEGMENTS) * Math.PI * 2) < -0.6;
+}
+
+function getRingFloorIndices() {
+    return Array.from({ length: TUNNEL_SEGMENTS }, (_, j) => j).filter(isRingFloorPoint);
+}
 
-        return { floor, walls, ceiling, material: 'CARVED_STONE' };
+/**
+ * Ring indices around the opening: from the last floor point, over the arch, to the first
+ */
+function getRingOpeningIndices() {
+    const last = getRingFloorIndices().pop();
+    const indices = [last];
+    for (let j = (last + 1) % TUNNEL_SEGMENTS; ; j = (j + 1) % TUNNEL_SEGMENTS) {
+        indices.push(j);
+        if (isRingFloorPoint(j)) return indices;
     }
-}
\ No newline at end of file
+}
+
+// Signed angle from b to a, in (-PI, PI]
+function angularOffset(a, b) {
+    let d = (a - b) % (Math.PI * 2);
+    if (d > Math.PI) d -= Math.PI * 2;
+    if (d <= -Math.PI) d += Math.PI * 2;
+    return d;
+}
+
+function angularDistance(a, b) {
+    return Math.abs(angularOffset(a, b));
+}
+
+function chunkTriangles(indices) {
+    const triangles = [];
+    for (let i = 0; i < indices.length; i += 3) {
+        triangles.push([indices[i], indices[i + 1], indices[i + 2]]);
+    }
+    return triangles;
+}
+
+/**
+ * Wind each triangle so its face normal agrees with `facing(centroid)`
+ */
+function orientTriangles(triangles, positions, facing) {
+    return triangles.map(([a, b, c]) => {
+        const { normal, centroid } = describeTriangle(positions[a], positions[b], positions[c]);
+        return normal.dot(facing(centroid)) >= 0 ? [a, b, c] : [a, c, b];
+    });
+}
+
+/**
+ * Flip a consistently wound strip as a whole if it mostly faces away from `facing`
+ */
+function orientStrip(triangles, positions, facing) {
+    let agreement = 0;
+    for (const [a, b, c] of triangles) {
+        agreement += describeTriangle(positions[a], positions[b], positions[c]).normal.dot(facing);
+    }
+    return agreement >= 0 ? triangles : triangles.map(([a, b, c]) => [a, c, b]);
+}
+
+// Area-weighted normal and centroid of a triangle
+function describeTriangle(pa, pb, pc) {
+    return {
+        normal: pb.subtract(pa).cross(pc.subtract(pa)),
+        centroid: pa.add(pb).add(pc).multiply(1 / 3)
+    };
+}
+
+/**
+ * Build an indexed geometry from positions and wound triangles. Degenerate triangles are dropped.
+ */
+function buildGeometry(positions, triangles) {
+    const vertices = new Float32Array(positions.length * 3);
+    positions.forEach((p, i) => vertices.set([p.x, p.y, p.z], i * 3));
+
+    const indices = [];
+    for (const [a, b, c] of triangles) {
+        if (describeTriangle(positions[a], positions[b], positions[c]).normal.lengthSquared() < 1e-10) continue;
+        indices.push(a, b, c);
+    }
+
+    const geometry = { vertices, indices: new Uint16Array(indices) };
+    GeometryBuilder.calculateNormals(geometry);
+    return geometry;
+}
+
+/**
+ * Stitch two open chains that both sweep around `center` (in the plane spanned by
+ * `right` and world up) into a band of triangles, advancing along them by angle.
+ * The chains are reversed as needed so both sweep the same way from the same end.
+ */
+// Height of the lowest triangle above (x, y, z) hit by a vertical ray, or null
+function castUp(geometry, x, z, y) {
+    const { vertices, indices } = geometry;
+    let nearest = null;
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(index => index * 3);
+        const ax = vertices[a], az = vertices[a + 2];
+        const bx = vertices[b], bz = vertices[b + 2];
+        const cx = vertices[c], cz = vertices[c + 2];
+
+        // Barycentric coordinates of (x, z) in the triangle's footprint
+        const det = (bz - cz) * (ax - cx) + (cx - bx) * (az - cz);
+        if (Math.abs(det) < 1e-9) continue;
+        const u = ((bz - cz) * (x - cx) + (cx - bx) * (z - cz)) / det;
+        const v = ((cz - az) * (x - cx) + (ax - cx) * (z - cz)) / det;
+        if (u < 0 || v < 0 || u + v > 1) continue;
+
+        const hit = u * vertices[a + 1] + v * vertices[b + 1] + (1 - u - v) * vertices[c + 1];
+        if (hit > y && (nearest === null || hit < nearest)) nearest = hit;
+    }
+
+    return nearest;
+}
+
+function zipChains(chainA, chainB, positions, center, right) {
+    const sweep = chain => {
+        const angles = [];
+        chain.forEach((index, i) => {
+            const offset = positions[index].subtract(center);
+            const angle = Math.atan2(offset.y, offset.dot(right));
+            angles.push(i === 0 ? angle : angles[i - 1] + angularOffset(angle, angles[i - 1]));
+        });
+        return angles;
+    };
+
+    let a = chainA.slice();
+    let b = chainB.slice();
+    if (sweep(a).pop() < sweep(a)[0]) a.reverse();
+    if (sweep(b).pop() < sweep(b)[0]) b.reverse();
+    const angleA = sweep(a);
+    const angleB = sweep(b);
+
+    const triangles = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length - 1 || j < b.length - 1) {
+        if (j === b.length - 1 || (i < a.length - 1 && angleA[i + 1] <= angleB[j + 1])) {
+            triangles.push([a[i], a[i + 1], b[j]]);
+            i++;
+        } else {
+            triangles.push([a[i], b[j + 1], b[j]]);
+            j++;
+        }
+    }
+
+    return triangles;
+}
@@ -0,0 +1,456 @@
+/**
+ * NavMesh - Walkable floor polygons for creature pathfinding
+ * Convex polygons (built by NavMeshBuilder) tagged with the room or connection they
+ * lie in. Neighbouring polygons are linked through portal edges: the edge they share,
+ * or the floor of the doorway between a room and its tunnel. Paths are found with A*
+ * over the polygons and straightened with the funnel algorithm.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { BVH } from '../rendering/SpatialIndex.js';
+
+// Nearest-point searches start this wide and double until they find something
+const SEARCH_RADIUS = 2;
+
+// Random points picked within a radius are redrawn up to this many times if they fall outside it
+const RANDOM_POINT_ATTEMPTS = 8;
+
+export class NavMesh {
+    /**
+     * vertices: Vector3s. polygons: { region, vertices (indices, counter-clockwise seen
+     * from above), triangles ([i, j, k] index triples covering it), links ([{ to, portal:
+     * [Vector3, Vector3] }]) }
+     */
+    constructor(vertices = [], polygons = []) {
+        this.vertices = vertices;
+        this.polygons = polygons.map((polygon, id) => ({
+            id,
+            region: polygon.region,
+            vertices: polygon.vertices,
+            triangles: polygon.triangles,
+            links: polygon.links || [],
+            ...measurePolygon(vertices, polygon)
+        }));
+
+        this.spatialIndex = new BVH().build(this.polygons);
+        this.components = this.labelComponents();
+    }
+
+    get polygonCount() {
+        return this.polygons.length;
+    }
+
+    /**
+     * Closest point on the mesh to a position, as { point, polygon }, or null if
+     * nothing is within maxDistance. With `region`, only that room's or tunnel's floor
+     * is considered.
+     */
+    findNearestPoint(position, maxDistance = Infinity, region = null) {
+        if (this.polygons.length === 0) return null;
+
+        // No need to look further than the far corner of the whole mesh
+        const { min, max } = this.spatialIndex.root;
+        const reach = Math.min(maxDistance, Math.hypot(
+            Math.max(position.x - min[0], max[0] - position.x),
+            Math.max(position.y - min[1], max[1] - position.y),
+            Math.max(position.z - min[2], max[2] - position.z)
+        ));
+
+        for (let radius = Math.min(SEARCH_RADIUS, reach); ; radius = Math.min(radius * 2, reach)) {
+            let best = null;
+            for (const polygon of this.spatialIndex.querySphere(position, radius)) {
+                if (region !== null && polygon.region !== region) continue;
+                const point = this.closestPointOnPolygon(polygon, position);
+                const distance = point.distance(position);
+                if (!best || distance < best.distance) best = { point, polygon, distance };
+            }
+
+            // Anything closer would have been inside this radius
+            if (best && best.distance <= radius) return { point: best.point, polygon: best.polygon };
+            if (radius >= reach) return null;
+        }
+    }
+
+    /**
+     * Walkable path between two positions (each snapped to the mesh first) as a list of
+     * Vector3 corners from start to end, or null if they aren't connected
+     */
+    findPath(start, end) {
+        const from = this.findNearestPoint(start);
+        const to = this.findNearestPoint(end);
+        if (!from || !to) return null;
+
+        const corridor = this.findPolygonPath(from.polygon, to.polygon, from.point, to.point);
+        if (!corridor) return null;
+
+        return this.stringPull(from.point, to.point, corridor);
+    }
+
+    /**
+     * A* over the polygon graph; returns the polygons from start to end, or null.
+     * Each polygon is entered at the middle of its portal, and costs are measured
+     * between those points (from startPoint, to endPoint).
+     */
+    findPolygonPath(start, end, startPoint = start.center, endPoint = end.center) {
+        if (this.components[start.id] !== this.components[end.id]) return null;
+
+        const cameFrom = new Map();
+        const entry = new Map([[start.id, startPoint]]);
+        const gScore = new Map([[start.id, 0]]);
+        const open = new MinHeap();
+        open.push(start.id, startPoint.distance(endPoint));
+        const closed = new Set();
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === end.id) {
+                const path = [end];
+                for (let id = current; cameFrom.has(id); id = cameFrom.get(id)) {
+                    path.unshift(this.polygons[cameFrom.get(id)]);
+                }
+                return path;
+            }
+            if (closed.has(current)) continue;
+            closed.add(current);
+
+            const from = entry.get(current);
+            for (const link of this.polygons[current].links) {
+                if (closed.has(link.to)) continue;
+
+                const through = link.to === end.id ? endPoint : link.portal[0].lerp(link.portal[1], 0.5);
+                const tentative = gScore.get(current) + from.distance(through);
+                if (tentative < (gScore.get(link.to) ?? Infinity)) {
+                    cameFrom.set(link.to, current);
+                    entry.set(link.to, through);
+                    gScore.set(link.to, tentative);
+                    open.push(link.to, tentative + through.distance(endPoint));
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Shortest path through a corridor of polygons (the "simple stupid funnel algorithm")
+     */
+    stringPull(start, end, corridor) {
+        const portals = [{ left: start, right: start }];
+        for (let i = 0; i < corridor.length - 1; i++) {
+            const link = corridor[i].links.find(candidate => candidate.to === corridor[i + 1].id);
+            const [a, b] = link.portal;
+            portals.push(triArea2(corridor[i].center, a, b) > 0 ? { left: a, right: b } : { left: b, right: a });
+        }
+        portals.push({ left: end, right: end });
+
+        const points = [start.clone()];
+        let apex = start;
+        let left = start;
+        let right = start;
+        let apexIndex = 0;
+        let leftIndex = 0;
+        let rightIndex = 0;
+
+        for (let i = 1; i < portals.length; i++) {
+            const portal = portals[i];
+
+            // Tighten the right side, unless it would cross over the left
+            if (triArea2(apex, right, portal.right) <= 0) {
+                if (samePoint(apex, right) || triArea2(apex, left, portal.right) > 0) {
+                    right = portal.right;
+                    rightIndex = i;
+                } else {
+                    points.push(left.clone());
+                    apex = right = left;
+                    apexIndex = rightIndex = leftIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+
+            // Likewise the left side
+            if (triArea2(apex, left, portal.left) >= 0) {
+                if (samePoint(apex, left) || triArea2(apex, right, portal.left) < 0) {
+                    left = portal.left;
+                    leftIndex = i;
+                } else {
+                    points.push(right.clone());
+                    apex = left = right;
+                    apexIndex = leftIndex = rightIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+        }
+
+        if (!samePoint(points[points.length - 1], end)) points.push(end.clone());
+        return points;
+    }
+
+    /**
+     * Uniformly random point on the mesh. With `near`, only polygons reachable from it
+     * (and, with a radius, within that distance of it) are picked. rng is a SeededRandom.
+     */
+    getRandomPoint(rng, near = null, radius = Infinity) {
+        let candidates = this.polygons;
+        if (near) {
+            const start = this.findNearestPoint(near);
+            if (!start) return null;
+
+            const component = this.components[start.polygon.id];
+            const nearby = Number.isFinite(radius) ? this.spatialIndex.querySphere(near, radius) : this.polygons;
+            candidates = nearby.filter(polygon => this.components[polygon.id] === component);
+        }
+
+        // Polygons can reach well past the radius; points that land beyond it are redrawn
+        let polygon = null;
+        for (let attempt = 0; attempt < RANDOM_POINT_ATTEMPTS; attempt++) {
+            polygon = pickByArea(rng, candidates, candidate => candidate.area);
+            if (!polygon) return null;
+
+            const point = this.getRandomPointIn(polygon, rng);
+            if (!near || !Number.isFinite(radius) || point.distance(near) <= radius) return point;
+        }
+        return this.closestPointOnPolygon(polygon, near);
+    }
+
+    /**
+     * Uniformly random point on one polygon
+     */
+    getRandomPointIn(polygon, rng) {
+        const [a, b, c] = pickByArea(rng, polygon.triangles.map(triangle => triangle.map(i => this.vertices[i])), triangleArea);
+        let u = rng.next();
+        let v = rng.next();
+        if (u + v > 1) {
+            u = 1 - u;
+            v = 1 - v;
+        }
+        return a.add(b.subtract(a).multiply(u)).add(c.subtract(a).multiply(v));
+    }
+
+    closestPointOnPolygon(polygon, position) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const [i, j, k] of polygon.triangles) {
+            const point = Vector3.closestPointOnTriangle(position, this.vertices[i], this.vertices[j], this.vertices[k]);
+            const distance = point.distanceSquared(position);
+            if (distance < bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Connected component id per polygon, so unreachable queries fail without a search
+     */
+    labelComponents() {
+        const components = new Array(this.polygons.length).fill(-1);
+        let next = 0;
+
+        for (const polygon of this.polygons) {
+            if (components[polygon.id] !== -1) continue;
+
+            const stack = [polygon.id];
+            components[polygon.id] = next;
+            while (stack.length > 0) {
+                for (const link of this.polygons[stack.pop()].links) {
+                    if (components[link.to] === -1) {
+                        components[link.to] = next;
+                        stack.push(link.to);
+                    }
+                }
+            }
+            next++;
+        }
+
+        return components;
+    }
+
+    /**
+     * Plain data for drawing or saving the mesh: vertices, polygons and the portal links
+     */
+    getDebugVisualization() {
+        const links = [];
+        for (const polygon of this.polygons) {
+            for (const link of polygon.links) {
+                if (link.to > polygon.id) {
+                    links.push({ from: polygon.id, to: link.to, portal: link.portal.map(point => point.toArray()) });
+                }
+            }
+        }
+
+        return {
+            vertices: this.vertices.map(vertex => vertex.toArray()),
+            polygons: this.polygons.map(polygon => ({
+                id: polygon.id,
+                region: polygon.region,
+                vertices: polygon.vertices.slice(),
+                center: polygon.center.toArray(),
+                area: polygon.area
+            })),
+            links
+        };
+    }
+
+    /**
+     * Compact data for saving the mesh or passing it between threads, with the vertices,
+     * polygon outlines, triangles and links packed into typed arrays (see fromData)
+     */
+    toData() {
+        const regions = [...new Set(this.polygons.map(polygon => polygon.region))];
+        const regionIndex = new Map(regions.map((region, i) => [region, i]));
+        const links = this.polygons.flatMap(polygon => polygon.links
+            .filter(link => link.to > polygon.id)
+            .map(link => ({ from: polygon.id, ...link })));
+
+        return {
+            regions,
+            vertices: new Float32Array(this.vertices.flatMap(vertex => [vertex.x, vertex.y, vertex.z])),
+            polygonRegions: Uint32Array.from(this.polygons, polygon => regionIndex.get(polygon.region)),
+            polygonSizes: Uint32Array.from(this.polygons, polygon => polygon.vertices.length),
+            polygonVertices: Uint32Array.from(this.polygons.flatMap(polygon => polygon.vertices)),
+            triangleCounts: Uint32Array.from(this.polygons, polygon => polygon.triangles.length),
+            triangles: Uint32Array.from(this.polygons.flatMap(polygon => polygon.triangles.flat())),
+            linkPairs: Uint32Array.from(links.flatMap(link => [link.from, link.to])),
+            portals: Float32Array.from(links.flatMap(link => link.portal.flatMap(point => [point.x, point.y, point.z])))
+        };
+    }
+
+    /**
+     * Rebuild a mesh from toData's output (e.g. a loaded save or a worker's result)
+     */
+    static fromData(data) {
+        const vertices = [];
+        for (let i = 0; i < data.vertices.length; i += 3) {
+            vertices.push(new Vector3(data.vertices[i], data.vertices[i + 1], data.vertices[i + 2]));
+        }
+
+        let nextVertex = 0;
+        let nextTriangle = 0;
+        const polygons = Array.from(data.polygonRegions, (region, id) => {
+            const outline = Array.from(data.polygonVertices.subarray(nextVertex, nextVertex += data.polygonSizes[id]));
+            const triangles = [];
+            for (let t = 0; t < data.triangleCounts[id]; t++, nextTriangle += 3) {
+                triangles.push(Array.from(data.triangles.subarray(nextTriangle, nextTriangle + 3)));
+            }
+            return { region: data.regions[region], vertices: outline, triangles, links: [] };
+        });
+
+        const point = i => new Vector3(data.portals[i], data.portals[i + 1], data.portals[i + 2]);
+        for (let i = 0; i < data.linkPairs.length; i += 2) {
+            const portal = [point(i * 3), point(i * 3 + 3)];
+            polygons[data.linkPairs[i]].links.push({ to: data.linkPairs[i + 1], portal });
+            polygons[data.linkPairs[i + 1]].links.push({ to: data.linkPairs[i], portal });
+        }
+
+        return new NavMesh(vertices, polygons);
+    }
+
+    /**
+     * The polygons as an upward-facing triangle geometry, lifted slightly off the floor
+     */
+    toGeometry(lift = 0.05) {
+        const vertices = new Float32Array(this.vertices.length * 3);
+        const normals = new Float32Array(this.vertices.length * 3);
+        this.vertices.forEach((vertex, i) => {
+            vertices.set([vertex.x, vertex.y + lift, vertex.z], i * 3);
+            normals[i * 3 + 1] = 1;
+        });
+
+        const indices = this.polygons.flatMap(polygon => polygon.triangles.flat());
+        return {
+            vertices,
+            normals,
+            indices: this.vertices.length > 65535 ? new Uint32Array(indices) : new Uint16Array(indices)
+        };
+    }
+}
+
+/**
+ * Centre, area and bounds of a polygon (bounds are what the spatial index reads)
+ */
+function measurePolygon(vertices, polygon) {
+    const points = polygon.vertices.map(i => vertices[i]);
+    const center = points.reduce((sum, point) => sum.add(point), new Vector3()).divide(points.length);
+    const area = polygon.triangles.reduce((sum, triangle) => sum + triangleArea(triangle.map(i => vertices[i])), 0);
+
+    const min = new Vector3(Infinity, Infinity, Infinity);
+    const max = new Vector3(-Infinity, -Infinity, -Infinity);
+    for (const point of points) {
+        min.set(Math.min(min.x, point.x), Math.min(min.y, point.y), Math.min(min.z, point.z));
+        max.set(Math.max(max.x, point.x), Math.max(max.y, point.y), Math.max(max.z, point.z));
+    }
+
+    return { center, area, bounds: { min, max } };
+}
+
+function triangleArea([a, b, c]) {
+    return b.subtract(a).cross(c.subtract(a)).length() / 2;
+}
+
+function pickByArea(rng, items, getArea) {
+    const total = items.reduce((sum, item) => sum + getArea(item), 0);
+    let target = rng.next() * total;
+    for (const item of items) {
+        target -= getArea(item);
+        if (target < 0) return item;
+    }
+    return items[items.length - 1] || null;
+}
+
+/**
+ * Twice the signed area of triangle abc in the xz plane
+ */
+function triArea2(a, b, c) {
+    return (c.x - a.x) * (b.z - a.z) - (b.x - a.x) * (c.z - a.z);
+}
+
+function samePoint(a, b) {
+    return Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.z - b.z) < 1e-6;
+}
+
+/**
+ * Binary heap of ids by priority, for the A* open list
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(id, priority) {
+        const items = this.items;
+        items.push({ id, priority });
+        for (let i = items.length - 1; i > 0;) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            for (let i = 0; ;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.id;
+    }
+}
@@ -0,0 +1,501 @@
+/**
+ * NavMeshBuilder - Builds a dungeon's NavMesh from its room and tunnel floors
+ * Floor triangles steeper than maxSlope are dropped. The rest are cut along a square
+ * grid (so neighbouring triangles are split at the same points) and each piece without
+ * `clearance` of headroom (under a low ceiling, a pillar or a stalagmite) is dropped
+ * too. The pieces left in each room or tunnel are merged into larger convex polygons
+ * (across the grid lines too, as corners left in line by the cuts don't count towards
+ * their size), linked across shared edges and narrow cracks, and rooms are linked to
+ * their tunnels across the doorway floors. Stray patches cut off from everything else
+ * are dropped.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { MeshBVH } from '../rendering/MeshBVH.js';
+import { NavMesh } from './NavMesh.js';
+import { RoomShapes } from './RoomShapes.js';
+
+// Width of the grid floors are cut along: the finest obstacle the mesh can go around
+export const NAV_CELL_SIZE = 1.5;
+
+// Merged polygons stop growing at this many corners (vertices left in line by grid cuts don't count)
+const MAX_POLYGON_CORNERS = 12;
+
+// How far (as the sine of the angle) an outline may bend inwards at a vertex and still count as
+// convex, or bend outwards and still count as in line; absorbs welding and rounding error
+const TURN_TOLERANCE = 1e-3;
+
+// Edges are keyed by their two vertex indices, which stay below this
+const EDGE_KEY_BASE = 2 ** 26;
+
+// Vertices closer than this are welded together
+const WELD_PRECISION = 1e3;
+
+// Widest gap between two polygons of a room or tunnel that is stitched across
+const CRACK_WIDTH = 0.3;
+
+// How far into a room or tunnel to look for the polygon at a doorway
+const DOORWAY_PROBE = 0.5;
+
+// Patches of floor smaller than this (square metres) not linked to the rest are dropped
+const MIN_ISLAND_AREA = 2;
+
+export class NavMeshBuilder {
+    /**
+     * Build the navigation mesh for a dungeon with generated geometry. The defaults
+     * suit a small creature that scrambles up slopes of 2 (rise over run) and needs
+     * 0.5 of headroom; pass CharacterController's values for a person-sized walker.
+     * Cracks up to stepHeight high are stepped across.
+     */
+    static build(dungeon, options = {}) {
+        const settings = {
+            maxSlope: options.maxSlope ?? 2,
+            clearance: options.clearance ?? 0.5,
+            agentRadius: options.agentRadius ?? 0.3,
+            stepHeight: options.stepHeight ?? 0.5,
+            cellSize: options.cellSize ?? NAV_CELL_SIZE
+        };
+        const { rooms = [], connections = [], geometry } = dungeon;
+        const builder = { vertices: [], weld: new Map(), polygons: [] };
+        if (!geometry) return new NavMesh();
+
+        for (const room of rooms) {
+            const roomGeometry = geometry.rooms.get(room.id);
+            if (!roomGeometry?.floor) continue;
+
+            // Room geometry is local to the room; features and pillars stand in the way
+            const obstacles = [roomGeometry.walls, roomGeometry.ceiling, ...Array.from(roomGeometry.features || [], ([, part]) => part)];
+            NavMeshBuilder.addRegion(builder, room.id, roomGeometry.floor, room.position, obstacles, settings, {
+                // Start below the floor, so rays from under a pillar meet its base
+                rayStart: -0.1
+            });
+        }
+
+        for (const connection of connections) {
+            const tunnel = geometry.connections.get(connection.id)?.tunnel;
+            if (!tunnel) continue;
+
+            // The tube is its own floor; rays start just above it
+            NavMeshBuilder.addRegion(builder, connection.id, tunnel, Vector3.zero(), [tunnel], settings, { rayStart: 0.05 });
+        }
+
+        NavMeshBuilder.linkSharedEdges(builder.polygons, builder.vertices);
+        const linked = new NavMesh(builder.vertices, builder.polygons);
+        NavMeshBuilder.stitchCracks(linked, settings);
+        NavMeshBuilder.linkConnections(linked, dungeon, settings);
+        linked.components = linked.labelComponents();
+        const navMesh = NavMeshBuilder.dropIslands(linked);
+
+        console.log(`🧭 Navigation mesh: ${navMesh.polygonCount} polygons`);
+        return navMesh;
+    }
+
+    /**
+     * Walkable, clear floor of one room or tunnel, merged into convex polygons
+     */
+    static addRegion(builder, region, floor, offset, obstacles, settings, { rayStart }) {
+        const minNormalY = 1 / Math.sqrt(1 + settings.maxSlope * settings.maxSlope);
+        const bvhs = obstacles.filter(part => part?.indices).map(part => MeshBVH.forGeometry(part));
+        const up = new Vector3(0, 1, 0);
+        const cells = new Map(); // Grid cell -> clear pieces of floor cut into it
+
+        const { vertices, indices } = floor;
+        const corner = i => new Vector3(vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]);
+        for (let t = 0; t + 2 < indices.length; t += 3) {
+            const triangle = [corner(indices[t]), corner(indices[t + 1]), corner(indices[t + 2])];
+            const normal = triangle[1].subtract(triangle[0]).cross(triangle[2].subtract(triangle[0])).normalize();
+            if (normal.y < minNormalY) continue;
+
+            for (const { cell, piece } of cutAlongGrid(triangle.map(point => point.add(offset)), settings.cellSize)) {
+                // Headroom over the piece's centre, measured in the region's own space
+                const center = piece.reduce((sum, point) => sum.add(point), new Vector3()).divide(piece.length);
+                const origin = center.subtract(offset).add(new Vector3(0, rayStart, 0));
+                const blocked = bvhs.some(bvh =>
+                    bvh.raycast(origin, up, settings.clearance - rayStart, { doubleSided: true }));
+                if (blocked) continue;
+
+                // Welding can collapse a sliver's corners; keep whatever is left of it
+                const ids = piece.map(point => weldVertex(builder, region, point))
+                    .filter((id, i, all) => id !== all[(i + 1) % all.length]);
+                if (ids.length < 3 || new Set(ids).size !== ids.length) continue;
+
+                if (!cells.has(cell)) cells.set(cell, []);
+                cells.get(cell).push({ region, vertices: ids, triangles: fan(ids) });
+            }
+        }
+
+        // The pieces in each cell are joined up first, so the merge across cells starts
+        // from whole cells instead of strips of triangle halves
+        const polygons = [];
+        for (const pieces of cells.values()) {
+            polygons.push(...mergePolygons(pieces, builder.vertices));
+        }
+
+        builder.polygons.push(...mergePolygons(polygons, builder.vertices));
+    }
+
+    /**
+     * Link polygons that share an edge (welded vertices never cross regions)
+     */
+    static linkSharedEdges(polygons, vertices) {
+        const edges = new Map();
+        polygons.forEach((polygon, index) => {
+            polygon.links = [];
+            forEachEdge(polygon.vertices, (a, b) => {
+                const key = edgeKey(a, b);
+                if (!edges.has(key)) edges.set(key, []);
+                edges.get(key).push(index);
+            });
+        });
+
+        // Merged polygons can share several edges in a line; one portal spans them all
+        const shared = new Map();
+        for (const [key, owners] of edges) {
+            if (owners.length !== 2) continue;
+            const pair = edgeKey(owners[0], owners[1]);
+            if (!shared.has(pair)) shared.set(pair, { owners, ids: new Set() });
+            edgeEnds(key).forEach(id => shared.get(pair).ids.add(id));
+        }
+
+        for (const { owners: [p, q], ids } of shared.values()) {
+            const points = Array.from(ids, id => vertices[id]);
+            let portal = [points[0], points[1]];
+            for (let i = 0; i < points.length; i++) {
+                for (let j = i + 1; j < points.length; j++) {
+                    if (points[i].distanceSquared(points[j]) > portal[0].distanceSquared(portal[1])) {
+                        portal = [points[i], points[j]];
+                    }
+                }
+            }
+            polygons[p].links.push({ to: q, portal });
+            polygons[q].links.push({ to: p, portal });
+        }
+    }
+
+    /**
+     * Link open edges to the floor just past them in the same room or tunnel. Tunnel
+     * tubes fold over themselves at sharp bends, leaving the floor on either side of the
+     * fold unjoined; here the edge itself is the portal.
+     */
+    static stitchCracks(navMesh, settings) {
+        const open = new Map();
+        for (const polygon of navMesh.polygons) {
+            forEachEdge(polygon.vertices, (a, b) => {
+                const key = edgeKey(a, b);
+                open.set(key, open.has(key) ? null : { polygon, a, b });
+            });
+        }
+
+        for (const edge of open.values()) {
+            if (!edge) continue;
+            const { polygon } = edge;
+            const a = navMesh.vertices[edge.a];
+            const b = navMesh.vertices[edge.b];
+
+            // Floor of the same region within CRACK_WIDTH of the edge's middle
+            const middle = a.lerp(b, 0.5);
+            for (const other of navMesh.spatialIndex.querySphere(middle, CRACK_WIDTH + settings.stepHeight)) {
+                if (other.region !== polygon.region || other === polygon) continue;
+                if (polygon.links.some(link => link.to === other.id)) continue;
+
+                const landing = navMesh.closestPointOnPolygon(other, middle);
+                if (Math.hypot(landing.x - middle.x, landing.z - middle.z) > CRACK_WIDTH ||
+                    Math.abs(landing.y - middle.y) > settings.stepHeight) continue;
+
+                // The portal is the stretch of the edge the other polygon lies alongside
+                const along = b.subtract(a);
+                const span = other.vertices.map(id => navMesh.vertices[id].subtract(a).dot(along) / along.dot(along));
+                const portal = [a.lerp(b, Math.max(0, Math.min(...span))), a.lerp(b, Math.min(1, Math.max(...span)))];
+                if (portal[0].distanceSquared(portal[1]) < 1e-6) continue; // Only touching at a corner
+
+                polygon.links.push({ to: other.id, portal });
+                other.links.push({ to: polygon.id, portal });
+            }
+        }
+    }
+
+    /**
+     * Portal links from rooms into their tunnels across each doorway's floor, and
+     * between rooms that open straight into each other (connections with no tunnel)
+     */
+    static linkConnections(navMesh, dungeon, settings) {
+        const nearestIn = (region, point) => navMesh.findNearestPoint(point, Infinity, region)?.polygon ?? null;
+        const link = (a, b, portal) => {
+            if (!a || !b) return;
+            a.links.push({ to: b.id, portal });
+            b.links.push({ to: a.id, portal });
+        };
+        const roomsById = new Map(dungeon.rooms.map(room => [room.id, room]));
+        const regions = new Set(navMesh.polygons.map(polygon => polygon.region));
+
+        for (const connection of dungeon.connections || []) {
+            const hasTunnel = regions.has(connection.id);
+
+            if (hasTunnel) {
+                for (const roomId of connection.rooms) {
+                    const doorway = connection.doorways?.[roomId];
+                    if (!doorway?.position) continue;
+
+                    // The doorway floor, narrowed so agents keep clear of its sides
+                    const right = doorway.direction.cross(new Vector3(0, 1, 0)).normalize();
+                    const halfWidth = Math.max(0, doorway.width / 2 - settings.agentRadius);
+                    const portal = [
+                        doorway.position.subtract(right.multiply(halfWidth)),
+                        doorway.position.add(right.multiply(halfWidth))
+                    ];
+                    link(
+                        nearestIn(roomId, doorway.position.subtract(doorway.direction.multiply(DOORWAY_PROBE))),
+                        nearestIn(connection.id, doorway.position.add(doorway.direction.multiply(DOORWAY_PROBE))),
+                        portal
+                    );
+                }
+                continue;
+            }
+
+            // Overlapping rooms: join them where the path runs through both
+            const [roomA, roomB] = connection.rooms.map(id => roomsById.get(id));
+            if (!roomA || !roomB) continue;
+            const inside = connection.path.filter(point =>
+                [roomA, roomB].every(room => RoomShapes.containsPoint(room, point.x - room.position.x, point.z - room.position.z)));
+            const point = inside[Math.floor(inside.length / 2)] || roomA.position.lerp(roomB.position, 0.5);
+            const a = nearestIn(roomA.id, point);
+            const b = nearestIn(roomB.id, point);
+            if (a && b) {
+                const middle = navMesh.closestPointOnPolygon(a, point).lerp(navMesh.closestPointOnPolygon(b, point), 0.5);
+                link(a, b, [middle, middle.clone()]);
+            }
+        }
+    }
+
+    /**
+     * The mesh without components (see NavMesh.labelComponents) smaller than
+     * MIN_ISLAND_AREA: slivers left between obstacles, or on ledges nothing leads to
+     */
+    static dropIslands(navMesh) {
+        const areas = new Map();
+        for (const polygon of navMesh.polygons) {
+            const component = navMesh.components[polygon.id];
+            areas.set(component, (areas.get(component) ?? 0) + polygon.area);
+        }
+
+        const kept = navMesh.polygons.filter(polygon => areas.get(navMesh.components[polygon.id]) >= MIN_ISLAND_AREA);
+        if (kept.length === navMesh.polygons.length) return navMesh;
+
+        // Links never leave a component, so every one kept points at a kept polygon
+        const ids = new Map(kept.map((polygon, index) => [polygon.id, index]));
+        return new NavMesh(navMesh.vertices, kept.map(polygon => ({
+            region: polygon.region,
+            vertices: polygon.vertices,
+            triangles: polygon.triangles,
+            links: polygon.links.map(link => ({ to: ids.get(link.to), portal: link.portal }))
+        })));
+    }
+}
+
+/**
+ * Index of a vertex in the mesh, shared with any earlier vertex of the region at the same spot
+ */
+function weldVertex(builder, region, point) {
+    const key = `${region}|${Math.round(point.x * WELD_PRECISION)},${Math.round(point.y * WELD_PRECISION)},${Math.round(point.z * WELD_PRECISION)}`;
+    if (!builder.weld.has(key)) {
+        builder.weld.set(key, builder.vertices.length);
+        builder.vertices.push(point);
+    }
+    return builder.weld.get(key);
+}
+
+/**
+ * Split a triangle into its convex pieces in each grid cell of the xz plane, wound
+ * counter-clockwise seen from above, as { cell ('i,j'), piece }
+ */
+function cutAlongGrid(triangle, cellSize) {
+    const xs = triangle.map(p => p.x);
+    const zs = triangle.map(p => p.z);
+    const pieces = [];
+
+    for (let i = Math.floor(Math.min(...xs) / cellSize); i * cellSize < Math.max(...xs); i++) {
+        const column = clipPolygon(clipPolygon(triangle, 'x', i * cellSize, 1), 'x', (i + 1) * cellSize, -1);
+        if (column.length < 3) continue;
+
+        for (let j = Math.floor(Math.min(...zs) / cellSize); j * cellSize < Math.max(...zs); j++) {
+            const piece = clipPolygon(clipPolygon(column, 'z', j * cellSize, 1), 'z', (j + 1) * cellSize, -1);
+            const area = signedAreaXZ(piece);
+            if (piece.length >= 3 && Math.abs(area) > 1e-6) {
+                pieces.push({ cell: `${i},${j}`, piece: area > 0 ? piece : piece.reverse() });
+            }
+        }
+    }
+
+    return pieces;
+}
+
+/**
+ * Keep the part of a polygon where sign * (point[axis] - value) >= 0
+ */
+function clipPolygon(points, axis, value, sign) {
+    const result = [];
+    for (let i = 0; i < points.length; i++) {
+        const current = points[i];
+        const next = points[(i + 1) % points.length];
+        const dc = sign * (current[axis] - value);
+        const dn = sign * (next[axis] - value);
+
+        if (dc >= 0) result.push(current);
+        if ((dc > 0 && dn < 0) || (dc < 0 && dn > 0)) {
+            const crossing = current.lerp(next, dc / (dc - dn));
+            crossing[axis] = value; // Exactly on the line, so both sides weld
+            result.push(crossing);
+        }
+    }
+    return result;
+}
+
+function signedAreaXZ(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.z * b.x - a.x * b.z;
+    }
+    return area / 2;
+}
+
+function fan(ids) {
+    const triangles = [];
+    for (let i = 1; i + 1 < ids.length; i++) {
+        triangles.push([ids[0], ids[i], ids[i + 1]]);
+    }
+    return triangles;
+}
+
+function forEachEdge(ids, callback) {
+    for (let i = 0; i < ids.length; i++) {
+        callback(ids[i], ids[(i + 1) % ids.length]);
+    }
+}
+
+/**
+ * One number for an unordered pair of indices (see edgeEnds)
+ */
+function edgeKey(a, b) {
+    return Math.min(a, b) * EDGE_KEY_BASE + Math.max(a, b);
+}
+
+function edgeEnds(key) {
+    return [Math.floor(key / EDGE_KEY_BASE), key % EDGE_KEY_BASE];
+}
+
+/**
+ * Greedily merge polygons across their shared edges (those on x grid lines, then
+ * longest first) while the result stays convex (seen from above) and within
+ * MAX_POLYGON_CORNERS
+ */
+function mergePolygons(polygons, vertices) {
+    const owners = new Map();
+    polygons.forEach((polygon, index) => forEachEdge(polygon.vertices, (a, b) => {
+        const key = edgeKey(a, b);
+        if (!owners.has(key)) owners.set(key, []);
+        owners.get(key).push(index);
+    }));
+
+    const candidates = [];
+    for (const [key, indices] of owners) {
+        if (indices.length !== 2) continue;
+        const [a, b] = edgeEnds(key);
+        candidates.push({ indices, a, b, acrossX: vertices[a].x === vertices[b].x, length: vertices[a].distanceSquared(vertices[b]) });
+    }
+    // Cells join into rows across the x grid lines before rows join across the z ones,
+    // so rows of the same width can become one rectangle
+    candidates.sort((x, y) => (y.acrossX - x.acrossX) || (y.length - x.length));
+
+    // Each piece points (eventually) at the merged polygon it became part of
+    const parent = polygons.map((_, index) => index);
+    const find = index => {
+        while (parent[index] !== index) index = parent[index] = parent[parent[index]];
+        return index;
+    };
+    const merged = polygons.slice();
+
+    for (const { indices, a, b } of candidates) {
+        const p = find(indices[0]);
+        const q = find(indices[1]);
+        if (p === q) continue;
+
+        const combined = joinAcrossEdge(merged[p].vertices, merged[q].vertices, a, b);
+        if (!combined || !isConvexXZ(combined, vertices) || countCornersXZ(combined, vertices) > MAX_POLYGON_CORNERS) continue;
+
+        // Every piece's triangles belong to exactly one polygon, so they can be gathered in place
+        merged[p].vertices = combined;
+        merged[p].triangles.push(...merged[q].triangles);
+        merged[q] = null;
+        parent[q] = p;
+    }
+
+    return merged.filter(Boolean);
+}
+
+/**
+ * Outline of two counter-clockwise polygons joined along their shared edge a-b
+ */
+function joinAcrossEdge(first, second, a, b) {
+    // In the first polygon the edge runs one way, in the second the other
+    const i = first.findIndex((id, k) => (id === a && first[(k + 1) % first.length] === b) || (id === b && first[(k + 1) % first.length] === a));
+    if (i === -1) return null;
+    const start = first[i];
+    const end = first[(i + 1) % first.length];
+
+    const j = second.findIndex((id, k) => id === end && second[(k + 1) % second.length] === start);
+    if (j === -1) return null;
+
+    // first from `end` round to `start`, then second from after `start` round to before `end`
+    const outline = [];
+    for (let k = 0; k < first.length; k++) outline.push(first[(i + 1 + k) % first.length]);
+    for (let k = 2; k < second.length; k++) outline.push(second[(j + k) % second.length]);
+
+    // Any further shared edges (in line with this one) fold back on themselves; drop them
+    for (let k = 0; outline.length > 3 && k < outline.length;) {
+        const before = outline[(k + outline.length - 1) % outline.length];
+        const after = outline[(k + 1) % outline.length];
+        if (before !== after) {
+            k++;
+            continue;
+        }
+        outline.splice(k, 1);
+        outline.splice(k % outline.length, 1);
+        k = Math.max(0, k - 1);
+    }
+
+    return new Set(outline).size === outline.length ? outline : null;
+}
+
+function isConvexXZ(ids, vertices) {
+    for (let i = 0; i < ids.length; i++) {
+        if (turnXZ(ids, vertices, i, -1) < -TURN_TOLERANCE) return false;
+    }
+    return true;
+}
+
+/**
+ * Vertices of an outline where it turns (rather than running on in line)
+ */
+function countCornersXZ(ids, vertices) {
+    let corners = 0;
+    for (let i = 0; i < ids.length; i++) {
+        if (turnXZ(ids, vertices, i, 1) > TURN_TOLERANCE) corners++;
+    }
+    return corners;
+}
+
+/**
+ * Sine of the angle an outline turns through at the vertex after ids[i], seen from
+ * above: positive where a counter-clockwise outline bends the convex way. Turns the
+ * other way from `sign` are only worked out as far as their sign.
+ */
+function turnXZ(ids, vertices, i, sign) {
+    const a = vertices[ids[i]];
+    const b = vertices[ids[(i + 1) % ids.length]];
+    const c = vertices[ids[(i + 2) % ids.length]];
+    const cross = (b.z - a.z) * (c.x - b.x) - (b.x - a.x) * (c.z - b.z);
+    if (cross * sign <= 0) return cross;
+    return cross / (Math.hypot(b.x - a.x, b.z - a.z) * Math.hypot(c.x - b.x, c.z - b.z));
+}
@@ -5,11 +5,17 @@
 
 import { Vector3 } from '../math/Vector3.js';
 import { MathUtils } from '../math/MathUtils.js';
+import { SeededRandom } from '../math/SeededRandom.js';
+import { DungeonThemes } from './DungeonThemes.js';
+import { RoomShapes } from './RoomShapes.js';
 
 export class RoomGenerator {
     constructor() {
-        // Room templates
-        this.templates = this.initializeTemplates();
+        this.rng = new SeededRandom();
+
+        // Room templates (extended by the active theme)
+        this.baseTemplates = this.initializeTemplates();
+        this.templates = this.baseTemplates;
 
         // Feature generators
         this.featureGenerators = {
@@ -31,6 +37,20 @@ export class RoomGenerator {
         };
     }
 
+    /**
+     * Use the given random stream for subsequent generation
+     */
+    setRandom(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * Add the theme's room templates to the built-in ones
+     */
+    setTheme(theme) {
+        this.templates = { ...this.baseTemplates, ...theme.roomTemplates };
+    }
+
     /**
      * Initialize room templates
      */
@@ -131,14 +151,15 @@ export class RoomGenerator {
     }
 
     /**
-     * Generate rooms from classified regions
+     * Generate rooms from classified regions, calling onProgress(fraction) as each is placed
      */
-    async generateRooms(regions, config) {
+    async generateRooms(regions, config, onProgress = null) {
         const rooms = [];
 
         for (const region of regions) {
             const room = await this.createRoom(region, config);
             rooms.push(room);
+            onProgress?.(rooms.length / regions.length);
         }
 
         // Post-process for coherence
@@ -171,6 +192,9 @@ export class RoomGenerator {
             geometry: null // Will be generated later
         };
 
+        // Footprint, height profile and variation for the template's baseShape
+        room.shape = RoomShapes.describe(room, this.rng);
+
         // Apply style-specific modifications
         if (region.style === 'NATURAL') {
             this.applyNaturalCaveProperties(room, region);
@@ -192,7 +216,7 @@ export class RoomGenerator {
 
         for (const [key, range] of Object.entries(sizeRange)) {
             if (Array.isArray(range)) {
-                size[key] = MathUtils.randomRange(range[0], range[1]);
+                size[key] = this.rng.range(range[0], range[1]);
             } else {
                 size[key] = range;
             }
@@ -230,7 +254,7 @@ export class RoomGenerator {
         room.properties = {
             irregularity: room.template.irregularity,
             erosionLevel: 0.1 + (room.depth * 0.05),
-            geologicalAge: MathUtils.randomRange(1000, 10000),
+            geologicalAge: this.rng.range(1000, 10000),
             mineralComposition: this.generateMineralComposition(),
             formationType: this.selectFormationType(room.depth)
         };
@@ -241,13 +265,13 @@ export class RoomGenerator {
         // Add natural modifiers
         room.modifiers = {
             noise: {
-                frequency: 0.1 + (Math.random() * 0.05),
+                frequency: 0.1 + (this.rng.next() * 0.05),
                 amplitude: room.template.irregularity,
                 octaves: 3
             },
             erosion: {
                 iterations: Math.floor(region.node.depth * 2),
-                strength: 0.1 + (Math.random() * 0.1)
+                strength: 0.1 + (this.rng.next() * 0.1)
             }
         };
     }
@@ -302,22 +326,24 @@ export class RoomGenerator {
 
     // Feature generation methods
     generateStalactites(room) {
-        const count = Math.floor(room.size.radius * 0.5 + Math.random() * 10);
+        const radius = this.getFeatureRadius(room);
+        const height = RoomShapes.getHeight(room);
+        const count = Math.floor(radius * 0.5 + this.rng.next() * 10);
         const stalactites = [];
 
         for (let i = 0; i < count; i++) {
-            const angle = (i / count) * Math.PI * 2 + (Math.random() - 0.5) * 0.5;
-            const distance = Math.random() * room.size.radius * 0.8;
+            const angle = (i / count) * Math.PI * 2 + (this.rng.next() - 0.5) * 0.5;
+            const distance = this.rng.next() * radius * 0.8;
 
             stalactites.push({
                 type: 'stalactite',
                 position: new Vector3(
                     Math.cos(angle) * distance,
-                    room.size.height * 0.8 + Math.random() * room.size.height * 0.2,
+                    height * 0.8 + this.rng.next() * height * 0.2,
                     Math.sin(angle) * distance
                 ),
-                length: 0.5 + Math.random() * 2,
-                thickness: 0.1 + Math.random() * 0.3,
+                length: 0.5 + this.rng.next() * 2,
+                thickness: 0.1 + this.rng.next() * 0.3,
                 mineralType: this.selectMineralType()
             });
         }
@@ -325,17 +351,18 @@ export class RoomGenerator {
         return {
             type: 'stalactites',
             instances: stalactites,
-            coverage: count / (room.size.radius * room.size.radius)
+            coverage: count / (radius * radius)
         };
     }
 
     generateStalagmites(room) {
-        const count = Math.floor(room.size.radius * 0.3 + Math.random() * 8);
+        const radius = this.getFeatureRadius(room);
+        const count = Math.floor(radius * 0.3 + this.rng.next() * 8);
         const stalagmites = [];
 
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * room.size.radius * 0.7;
+            const angle = this.rng.next() * Math.PI * 2;
+            const distance = this.rng.next() * radius * 0.7;
 
             stalagmites.push({
                 type: 'stalagmite',
@@ -344,8 +371,8 @@ export class RoomGenerator {
                     0,
                     Math.sin(angle) * distance
                 ),
-                height: 0.5 + Math.random() * 3,
-                thickness: 0.2 + Math.random() * 0.5,
+                height: 0.5 + this.rng.next() * 3,
+                thickness: 0.2 + this.rng.next() * 0.5,
                 mineralType: this.selectMineralType()
             });
         }
@@ -353,7 +380,7 @@ export class RoomGenerator {
         return {
             type: 'stalagmites',
             instances: stalagmites,
-            coverage: count / (room.size.radius * room.size.radius)
+            coverage: count / (radius * radius)
         };
     }
 
@@ -365,8 +392,8 @@ export class RoomGenerator {
             columns.push({
                 type: 'column',
                 position: pos,
-                height: room.size.height * 0.9,
-                radius: 0.3 + Math.random() * 0.2,
+                height: RoomShapes.getHeight(room) * 0.9,
+                radius: 0.3 + this.rng.next() * 0.2,
                 style: room.properties.architecturalStyle,
                 condition: 1 - room.modifiers.decay.amount
             });
@@ -385,10 +412,10 @@ export class RoomGenerator {
         return {
             type: 'water_pool',
             coverage: coverage,
-            depth: 0.5 + Math.random() * 2,
+            depth: 0.5 + this.rng.next() * 2,
             shape: room.style === 'NATURAL' ? 'organic' : 'geometric',
             properties: {
-                clarity: 0.3 + Math.random() * 0.7,
+                clarity: 0.3 + this.rng.next() * 0.7,
                 flow: room.connections.length > 2 ? 'flowing' : 'still',
                 temperature: room.environment.temperature - 2,
                 mineralContent: room.depth * 0.1
@@ -397,23 +424,23 @@ export class RoomGenerator {
     }
 
     generateCrystals(room) {
-        const clusters = Math.floor(3 + Math.random() * 5);
+        const clusters = Math.floor(3 + this.rng.next() * 5);
         const crystals = [];
 
         for (let i = 0; i < clusters; i++) {
             const angle = (i / clusters) * Math.PI * 2;
-            const distance = room.size.radius * (0.3 + Math.random() * 0.5);
+            const distance = this.getFeatureRadius(room) * (0.3 + this.rng.next() * 0.5);
 
             crystals.push({
                 type: 'crystal_cluster',
                 position: new Vector3(
                     Math.cos(angle) * distance,
-                    Math.random() * room.size.height * 0.5,
+                    this.rng.next() * RoomShapes.getHeight(room) * 0.5,
                     Math.sin(angle) * distance
                 ),
-                size: 0.5 + Math.random() * 1.5,
+                size: 0.5 + this.rng.next() * 1.5,
                 crystalType: this.selectCrystalType(),
-                glowIntensity: 0.1 + Math.random() * 0.3,
+                glowIntensity: 0.1 + this.rng.next() * 0.3,
                 color: this.selectCrystalColor()
             });
         }
@@ -433,26 +460,26 @@ export class RoomGenerator {
         // Lava tubes more common at depth
         if (depth > 5) weights[1] += 0.3;
 
-        return types[MathUtils.randomWeighted(weights)];
+        return types[this.rng.weighted(weights)];
     }
 
     generateMineralComposition() {
         return {
-            limestone: 0.3 + Math.random() * 0.4,
-            granite: 0.1 + Math.random() * 0.2,
-            quartz: 0.05 + Math.random() * 0.15,
-            other: 0.1 + Math.random() * 0.2
+            limestone: 0.3 + this.rng.next() * 0.4,
+            granite: 0.1 + this.rng.next() * 0.2,
+            quartz: 0.05 + this.rng.next() * 0.15,
+            other: 0.1 + this.rng.next() * 0.2
         };
     }
 
     selectMineralType() {
         const types = ['calcite', 'aragonite', 'gypsum', 'flowstone'];
-        return types[Math.floor(Math.random() * types.length)];
+        return types[Math.floor(this.rng.next() * types.length)];
     }
 
     selectCrystalType() {
         const types = ['quartz', 'amethyst', 'calcite', 'fluorite', 'selenite'];
-        return types[Math.floor(Math.random() * types.length)];
+        return types[Math.floor(this.rng.next() * types.length)];
     }
 
     selectCrystalColor() {
@@ -463,7 +490,7 @@ export class RoomGenerator {
             [0.4, 0.9, 0.4], // Green
             [1.0, 0.8, 0.4]  // Amber
         ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return colors[Math.floor(this.rng.next() * colors.length)];
     }
 
     selectColumnLayout(room) {
@@ -524,7 +551,7 @@ export class RoomGenerator {
         };
 
         const options = origins[roomType] || ['unknown_builders'];
-        return options[Math.floor(Math.random() * options.length)];
+        return options[Math.floor(this.rng.next() * options.length)];
     }
 
     estimateStructureAge(depth) {
@@ -533,7 +560,7 @@ export class RoomGenerator {
         const agePerLevel = 200;
         const variation = 100;
 
-        return baseAge + (depth * agePerLevel) + (Math.random() * variation * 2 - variation);
+        return baseAge + (depth * agePerLevel) + (this.rng.next() * variation * 2 - variation);
     }
 
     /**
@@ -578,34 +605,34 @@ export class RoomGenerator {
     generateFlowstone(room) {
         return {
             type: 'flowstone',
-            coverage: 0.2 + Math.random() * 0.3,
-            thickness: 0.1 + Math.random() * 0.3,
-            pattern: ['curtain', 'cascade', 'sheet'][Math.floor(Math.random() * 3)]
+            coverage: 0.2 + this.rng.next() * 0.3,
+            thickness: 0.1 + this.rng.next() * 0.3,
+            pattern: ['curtain', 'cascade', 'sheet'][Math.floor(this.rng.next() * 3)]
         };
     }
 
     generateMushrooms(room) {
-        const count = Math.floor(10 + Math.random() * 20);
+        const count = Math.floor(10 + this.rng.next() * 20);
         const mushrooms = [];
 
         for (let i = 0; i < count; i++) {
             mushrooms.push({
                 type: 'mushroom',
                 position: new Vector3(
-                    (Math.random() - 0.5) * room.size.radius * 1.5,
+                    (this.rng.next() - 0.5) * this.getFeatureRadius(room) * 1.5,
                     0,
-                    (Math.random() - 0.5) * room.size.radius * 1.5
+                    (this.rng.next() - 0.5) * this.getFeatureRadius(room) * 1.5
                 ),
-                size: 0.1 + Math.random() * 0.5,
-                species: ['glowcap', 'sporepuff', 'death_bell'][Math.floor(Math.random() * 3)],
-                glowing: Math.random() > 0.6
+                size: 0.1 + this.rng.next() * 0.5,
+                species: ['glowcap', 'sporepuff', 'death_bell'][Math.floor(this.rng.next() * 3)],
+                glowing: this.rng.next() > 0.6
             });
         }
 
         return {
             type: 'mushroom_grove',
             instances: mushrooms,
-            sporeLevel: 0.3 + Math.random() * 0.4
+            sporeLevel: 0.3 + this.rng.next() * 0.4
         };
     }
 
@@ -634,8 +661,8 @@ export class RoomGenerator {
                 type: 'torch_sconce',
                 position: pos,
                 height: 2.5,
-                lit: Math.random() > 0.3, // Some torches are extinguished
-                fuel: Math.random()
+                lit: this.rng.next() > 0.3, // Some torches are extinguished
+                fuel: this.rng.next()
             });
         }
 
@@ -649,7 +676,7 @@ export class RoomGenerator {
         return {
             type: 'carved_walls',
             style: room.properties.culturalOrigin,
-            coverage: 0.4 + Math.random() * 0.4,
+            coverage: 0.4 + this.rng.next() * 0.4,
             motifs: this.selectCarvingMotifs(room.properties.culturalOrigin),
             condition: 1 - room.modifiers.decay.amount
         };
@@ -657,7 +684,7 @@ export class RoomGenerator {
 
     generateTombs(room) {
         const layout = room.template.baseShape === 'grid' ? 'grid' : 'perimeter';
-        const count = Math.floor(5 + Math.random() * 15);
+        const count = Math.floor(5 + this.rng.next() * 15);
         const tombs = [];
 
         for (let i = 0; i < count; i++) {
@@ -665,8 +692,8 @@ export class RoomGenerator {
                 type: 'tomb',
                 position: this.getTombPosition(room, i, count, layout),
                 size: { width: 2, height: 1, depth: 1 },
-                sealed: Math.random() > 0.3,
-                inscriptions: Math.random() > 0.5
+                sealed: this.rng.next() > 0.3,
+                inscriptions: this.rng.next() > 0.5
             });
         }
 
@@ -682,13 +709,20 @@ export class RoomGenerator {
             type: 'broken_stairs',
             position: new Vector3(0, 0, room.size.length * 0.4),
             width: 3,
-            height: room.size.height * 0.6,
-            intactPercentage: 0.3 + Math.random() * 0.4,
-            climbable: Math.random() > 0.5
+            height: RoomShapes.getHeight(room) * 0.6,
+            intactPercentage: 0.3 + this.rng.next() * 0.4,
+            climbable: this.rng.next() > 0.5
         };
     }
 
     // Helper methods for feature placement
+    /**
+     * Radius natural features scatter within (elongated and rectangular rooms have no radius)
+     */
+    getFeatureRadius(room) {
+        return room.size.radius || Math.min(room.size.width || 10, room.size.length || 10) / 2;
+    }
+
     getPerimeterPosition(room, t) {
         const width = room.size.width || room.size.radius * 2;
         const length = room.size.length || room.size.radius * 2;
@@ -0,0 +1,434 @@
+/**
+ * RoomShapes - Room shape descriptors and footprint queries shared by layout, connection and geometry generation
+ * Every template baseShape belongs to one of two families:
+ *   dome    - a shell over an elliptical floor (organic, elongated, geodesic, bowl)
+ *   polygon - a floor outline extruded to the room height (rectangular, cross, octagonal, grid)
+ * All coordinates are room-local (x/z on the floor, y up from the room position).
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+
+// Shell grid resolution per dome shape (geodesic caves are deliberately coarse and faceted)
+const DOME_SEGMENTS = {
+    organic: { azimuth: 32, elevation: 8 },
+    elongated: { azimuth: 32, elevation: 8 },
+    geodesic: { azimuth: 12, elevation: 4 },
+    bowl: { azimuth: 32, elevation: 8 }
+};
+
+const POLYGON_SHAPES = ['rectangular', 'cross', 'octagonal', 'grid'];
+
+const DEFAULT_IRREGULARITY = 0.3;
+const PILLAR_SPACING = 5;     // Grid rooms: distance between pillar centres
+const PILLAR_HALF_SIZE = 0.4;
+const WALL_JITTER = 2;        // Polygon corners move up to irregularity * this many units
+
+export class RoomShapes {
+    /**
+     * Build the shape descriptor for a room from its template and size.
+     * Random variation (orientation, slope direction, corner jitter) is drawn from `rng` when given.
+     */
+    static describe(room, rng = null) {
+        const template = room.template || {};
+        const size = room.size || {};
+        const baseShape = template.baseShape || (room.style === 'NATURAL' ? 'organic' : 'rectangular');
+        const irregularity = template.irregularity ?? DEFAULT_IRREGULARITY;
+        const shape = { baseShape, irregularity, waterLevel: template.waterLevel || 0 };
+
+        if (POLYGON_SHAPES.includes(baseShape)) {
+            Object.assign(shape, {
+                family: 'polygon',
+                height: size.height || 8,
+                outline: createOutline(baseShape, size),
+                pillars: baseShape === 'grid' ? createPillarGrid(size) : []
+            });
+
+            if (rng && irregularity > 0) {
+                jitterOutline(shape.outline, irregularity, rng);
+            }
+            return shape;
+        }
+
+        const radius = size.radius || 10;
+        const elongated = baseShape === 'elongated';
+        const slope = template.floorSlope || 0;
+        const slopeAngle = rng ? rng.range(0, Math.PI * 2) : 0;
+
+        Object.assign(shape, {
+            family: 'dome',
+            radiusX: elongated ? (size.length || 20) / 2 : radius,
+            radiusZ: elongated ? (size.width || 10) / 2 : radius,
+            rotation: elongated && rng ? rng.range(0, Math.PI) : 0,
+            segments: DOME_SEGMENTS[baseShape] || DOME_SEGMENTS.organic,
+            ceilingVariation: template.ceilingVariation || 0,
+            floorGradient: { x: Math.cos(slopeAngle) * slope, z: Math.sin(slopeAngle) * slope },
+            bowlDepth: baseShape === 'bowl' ? (size.depth || radius * 0.3) : 0
+        });
+        shape.height = size.height || (baseShape === 'bowl' ? radius * 0.5 : Math.min(shape.radiusX, shape.radiusZ));
+
+        return shape;
+    }
+
+    /**
+     * The room's shape descriptor (rooms from older saves get one derived without variation)
+     */
+    static getShape(room) {
+        if (!room.shape) {
+            room.shape = RoomShapes.describe(room);
+        }
+        return room.shape;
+    }
+
+    /**
+     * Whether the room is a dome-shaped cave rather than an extruded floor plan
+     */
+    static isNatural(room) {
+        return RoomShapes.getShape(room).family === 'dome';
+    }
+
+    /**
+     * Ceiling height above the room position
+     */
+    static getHeight(room) {
+        return RoomShapes.getShape(room).height;
+    }
+
+    /**
+     * Floor outline of a polygon room as [{ x, z }], counter-clockwise in x/z
+     */
+    static getOutline(room) {
+        return RoomShapes.getShape(room).outline;
+    }
+
+    /**
+     * Wall segments of a polygon room with their direction and inward normal
+     */
+    static getEdges(room) {
+        const outline = RoomShapes.getOutline(room);
+
+        return outline.map((start, i) => {
+            const end = outline[(i + 1) % outline.length];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const dir = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+
+            return {
+                index: i,
+                start,
+                end,
+                length,
+                dir,
+                inward: { x: -dir.z, z: dir.x } // Left of a counter-clockwise edge
+            };
+        });
+    }
+
+    /**
+     * Point on a dome room's floor boundary at parametric angle `azimuth`
+     */
+    static getDomeBoundary(room, azimuth) {
+        const shape = RoomShapes.getShape(room);
+        return rotate(shape.radiusX * Math.cos(azimuth), shape.radiusZ * Math.sin(azimuth), shape.rotation);
+    }
+
+    /**
+     * Distance travelled along a dome room's boundary per radian of azimuth
+     */
+    static getBoundarySpeed(room, azimuth) {
+        const shape = RoomShapes.getShape(room);
+        return Math.hypot(shape.radiusX * Math.sin(azimuth), shape.radiusZ * Math.cos(azimuth));
+    }
+
+    /**
+     * Radius of a circle (around the room position) enclosing the whole room
+     */
+    static getBoundingRadius(room) {
+        const shape = RoomShapes.getShape(room);
+        if (shape.family === 'dome') {
+            return Math.max(shape.radiusX, shape.radiusZ) * (1 + shape.irregularity);
+        }
+        return Math.max(...shape.outline.map(p => Math.hypot(p.x, p.z)));
+    }
+
+    /**
+     * Height of the floor at a room-local point. Dome floors tilt by the template's
+     * floorSlope and bowls sink towards their centre; polygon floors are flat.
+     */
+    static getFloorHeight(room, x, z) {
+        const shape = RoomShapes.getShape(room);
+        if (shape.family !== 'dome') return 0;
+
+        let height = shape.floorGradient.x * x + shape.floorGradient.z * z;
+        if (shape.bowlDepth > 0) {
+            const local = toEllipseSpace(shape, x, z);
+            height -= shape.bowlDepth * Math.max(0, 1 - (local.x * local.x + local.z * local.z));
+        }
+        return height;
+    }
+
+    /**
+     * Height of the ceiling above a room-local floor point, ignoring the shell's noise.
+     * A dome's shell rises from the floor's edge, so its ceiling drops towards the walls.
+     */
+    static getCeilingHeight(room, x, z) {
+        const shape = RoomShapes.getShape(room);
+        if (shape.family !== 'dome') return shape.height;
+
+        const local = toEllipseSpace(shape, x, z);
+        const radial = Math.hypot(local.x, local.z);
+        const edge = RoomShapes.getDomeBoundary(room, Math.atan2(local.z, local.x));
+        const floorY = RoomShapes.getFloorHeight(room, edge.x, edge.z);
+        const rise = Math.sqrt(Math.max(0, 1 - radial * radial));
+        return floorY + (shape.height - floorY * rise) * rise;
+    }
+
+    /**
+     * Closest wall point to a room-local floor point, with the wall's inward normal
+     */
+    static getNearestWall(room, x, z) {
+        const shape = RoomShapes.getShape(room);
+
+        if (shape.family === 'dome') {
+            // Radial projection in ellipse space: exact for circles, close enough for the rest
+            const local = toEllipseSpace(shape, x, z);
+            const frame = RoomShapes.getBoundaryFrame(room, { azimuth: Math.atan2(local.z, local.x) });
+            const point = frame.position.subtract(room.position);
+            return { x: point.x, z: point.z, inward: { x: -frame.normal.x, z: -frame.normal.z } };
+        }
+
+        let nearest = null;
+        for (const edge of RoomShapes.getEdges(room)) {
+            const along = Math.min(edge.length, Math.max(0,
+                (x - edge.start.x) * edge.dir.x + (z - edge.start.z) * edge.dir.z));
+            const px = edge.start.x + edge.dir.x * along;
+            const pz = edge.start.z + edge.dir.z * along;
+            const distance = Math.hypot(x - px, z - pz);
+            if (!nearest || distance < nearest.distance) {
+                nearest = { x: px, z: pz, inward: edge.inward, distance };
+            }
+        }
+        return { x: nearest.x, z: nearest.z, inward: nearest.inward };
+    }
+
+    /**
+     * Whether a room-local floor point lies inside the footprint
+     */
+    static containsPoint(room, x, z) {
+        const shape = RoomShapes.getShape(room);
+        if (shape.family === 'dome') {
+            const local = toEllipseSpace(shape, x, z);
+            return local.x * local.x + local.z * local.z < 1;
+        }
+
+        // Even-odd rule
+        const outline = shape.outline;
+        let inside = false;
+        for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+            const a = outline[i];
+            const b = outline[j];
+            if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Find where a path starting inside the room first crosses its boundary.
+     * Returns { segment, azimuth } for dome rooms or { segment, edge, offset } for
+     * polygon ones (offset = distance along the edge), or null if the path never leaves.
+     */
+    static findExit(room, path) {
+        const shape = RoomShapes.getShape(room);
+        const local = path.map(p => ({ x: p.x - room.position.x, z: p.z - room.position.z }));
+
+        for (let i = 0; i < local.length - 1; i++) {
+            const a = local[i];
+            const b = local[i + 1];
+            if (!RoomShapes.containsPoint(room, a.x, a.z) || RoomShapes.containsPoint(room, b.x, b.z)) {
+                continue;
+            }
+
+            if (shape.family === 'dome') {
+                // In ellipse space the boundary is the unit circle
+                const ea = toEllipseSpace(shape, a.x, a.z);
+                const eb = toEllipseSpace(shape, b.x, b.z);
+                const t = intersectCircle(ea, eb, 1);
+                return { segment: i, azimuth: Math.atan2(ea.z + (eb.z - ea.z) * t, ea.x + (eb.x - ea.x) * t) };
+            }
+
+            let best = null;
+            for (const edge of RoomShapes.getEdges(room)) {
+                const hit = intersectSegments(a, b, edge.start, edge.end);
+                if (hit && (!best || hit.t < best.t)) {
+                    best = { t: hit.t, edge: edge.index, offset: hit.u * edge.length };
+                }
+            }
+            if (best) {
+                return { segment: i, edge: best.edge, offset: best.offset };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compass name for an outward direction (used to label doorway walls)
+     */
+    static wallName(x, z) {
+        if (Math.abs(x) > Math.abs(z)) {
+            return x > 0 ? 'east' : 'west';
+        }
+        return z > 0 ? 'south' : 'north';
+    }
+
+    /**
+     * World-space floor point, outward normal and wall tangent for a boundary location
+     */
+    static getBoundaryFrame(room, location) {
+        const shape = RoomShapes.getShape(room);
+
+        if (shape.family === 'dome') {
+            const point = RoomShapes.getDomeBoundary(room, location.azimuth);
+            const normal = rotate(
+                Math.cos(location.azimuth) / shape.radiusX,
+                Math.sin(location.azimuth) / shape.radiusZ,
+                shape.rotation
+            );
+            const length = Math.hypot(normal.x, normal.z);
+            return {
+                position: room.position.add(new Vector3(point.x, RoomShapes.getFloorHeight(room, point.x, point.z), point.z)),
+                normal: new Vector3(normal.x / length, 0, normal.z / length),
+                tangent: new Vector3(-normal.z / length, 0, normal.x / length)
+            };
+        }
+
+        const edge = RoomShapes.getEdges(room)[location.edge];
+        return {
+            position: room.position.add(new Vector3(
+                edge.start.x + edge.dir.x * location.offset,
+                0,
+                edge.start.z + edge.dir.z * location.offset
+            )),
+            normal: new Vector3(-edge.inward.x, 0, -edge.inward.z),
+            tangent: new Vector3(edge.dir.x, 0, edge.dir.z)
+        };
+    }
+}
+
+function rotate(x, z, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return { x: x * cos - z * sin, z: x * sin + z * cos };
+}
+
+// Room-local point to a space where the dome's floor boundary is the unit circle
+function toEllipseSpace(shape, x, z) {
+    const local = rotate(x, z, -shape.rotation);
+    return { x: local.x / shape.radiusX, z: local.z / shape.radiusZ };
+}
+
+function createOutline(baseShape, size) {
+    const halfWidth = (size.width || 10) / 2;
+    const halfLength = (size.length || 15) / 2;
+
+    switch (baseShape) {
+        case 'cross': {
+            // Nave along z, transept across x, offset towards the +z end
+            const nave = halfWidth * 0.4;
+            const transeptStart = halfLength * 0.05;
+            const transeptEnd = halfLength * 0.65;
+            return [
+                { x: -nave, z: -halfLength },
+                { x: nave, z: -halfLength },
+                { x: nave, z: transeptStart },
+                { x: halfWidth, z: transeptStart },
+                { x: halfWidth, z: transeptEnd },
+                { x: nave, z: transeptEnd },
+                { x: nave, z: halfLength },
+                { x: -nave, z: halfLength },
+                { x: -nave, z: transeptEnd },
+                { x: -halfWidth, z: transeptEnd },
+                { x: -halfWidth, z: transeptStart },
+                { x: -nave, z: transeptStart }
+            ];
+        }
+        case 'octagonal': {
+            const radius = size.radius || Math.min(halfWidth, halfLength);
+            return Array.from({ length: 8 }, (_, i) => {
+                const angle = (i + 0.5) * Math.PI / 4;
+                return { x: Math.cos(angle) * radius, z: Math.sin(angle) * radius };
+            });
+        }
+        case 'rectangular':
+        case 'grid':
+        default:
+            return [
+                { x: -halfWidth, z: -halfLength },
+                { x: halfWidth, z: -halfLength },
+                { x: halfWidth, z: halfLength },
+                { x: -halfWidth, z: halfLength }
+            ];
+    }
+}
+
+// Pillars on a regular grid, keeping a clear aisle along every wall
+function createPillarGrid(size) {
+    const width = size.width || 10;
+    const length = size.length || 15;
+    const columns = Math.max(0, Math.round(width / PILLAR_SPACING) - 1);
+    const rows = Math.max(0, Math.round(length / PILLAR_SPACING) - 1);
+    const pillars = [];
+
+    for (let i = 1; i <= columns; i++) {
+        for (let j = 1; j <= rows; j++) {
+            pillars.push({
+                x: -width / 2 + (i * width) / (columns + 1),
+                z: -length / 2 + (j * length) / (rows + 1),
+                halfSize: PILLAR_HALF_SIZE
+            });
+        }
+    }
+
+    return pillars;
+}
+
+// Nudge each corner, limited so short walls keep their shape
+function jitterOutline(outline, irregularity, rng) {
+    let shortest = Infinity;
+    outline.forEach((p, i) => {
+        const next = outline[(i + 1) % outline.length];
+        shortest = Math.min(shortest, Math.hypot(next.x - p.x, next.z - p.z));
+    });
+
+    const amount = Math.min(irregularity * WALL_JITTER, shortest * 0.1);
+    for (const p of outline) {
+        p.x += rng.range(-amount, amount);
+        p.z += rng.range(-amount, amount);
+    }
+}
+
+// Parameter t in [0, 1] where segment a->b (starting inside) leaves a circle at the origin
+function intersectCircle(a, b, radius) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const qa = dx * dx + dz * dz;
+    const qb = 2 * (a.x * dx + a.z * dz);
+    const qc = a.x * a.x + a.z * a.z - radius * radius;
+    const disc = Math.max(0, qb * qb - 4 * qa * qc);
+    return Math.min(1, Math.max(0, (-qb + Math.sqrt(disc)) / (2 * qa)));
+}
+
+// Intersection of segments p1->p2 and q1->q2 as parameters { t, u }, or null
+function intersectSegments(p1, p2, q1, q2) {
+    const rx = p2.x - p1.x, rz = p2.z - p1.z;
+    const sx = q2.x - q1.x, sz = q2.z - q1.z;
+    const denom = rx * sz - rz * sx;
+    if (Math.abs(denom) < 1e-9) return null;
+
+    const qpx = q1.x - p1.x, qpz = q1.z - p1.z;
+    const t = (qpx * sz - qpz * sx) / denom;
+    const u = (qpx * rz - qpz * rx) / denom;
+
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return { t, u };
+}
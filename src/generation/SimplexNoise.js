@@ -3,8 +3,10 @@
  * Used for natural cave deformation and organic shapes
  */
 
+import { SeededRandom } from '../math/SeededRandom.js';
+
 export class SimplexNoise {
-    constructor(seed = Math.random()) {
+    constructor(seed = 0) {
         this.seed = seed;
         this.perm = this.buildPermutationTable(seed);
         
@@ -17,10 +19,11 @@ export class SimplexNoise {
     }
     
     /**
-     * Build permutation table from seed
+     * Build permutation table from seed (number, string or SeededRandom)
      */
     buildPermutationTable(seed) {
         const perm = [];
+        const rng = seed instanceof SeededRandom ? seed : new SeededRandom(seed);
         
         // Initialize with values 0-255
         for (let i = 0; i < 256; i++) {
@@ -28,16 +31,7 @@ export class SimplexNoise {
         }
         
         // Shuffle using seed
-        let n = seed * 10000;
-        for (let i = 255; i > 0; i--) {
-            n = (n * 9301 + 49297) % 233280;
-            const j = Math.floor((n / 233280) * i);
-            
-            // Swap
-            const temp = perm[i];
-            perm[i] = perm[j];
-            perm[j] = temp;
-        }
+        rng.shuffle(perm);
         
         // Duplicate for overflow
         for (let i = 0; i < 256; i++) {
@@ -17,6 +17,9 @@ export class MathUtils {
     static _hasSpare = false;
     static _spare = 0;
 
+    // Source of uniform [0, 1) values for the random helpers below
+    static _randomSource = Math.random;
+
     // Basic utility functions
     static clamp(value, min, max) {
         return Math.max(min, Math.min(max, value));
@@ -96,45 +99,63 @@ export class MathUtils {
         return value > 0 ? 1 : value < 0 ? -1 : 0;
     }
 
-    // Random number generation
-    static random() {
-        return Math.random();
+    // Random number generation. Each helper draws from `rng` when given one (a
+    // SeededRandom or anything with next(), e.g. a generation phase's stream), otherwise
+    // from the shared source
+    static setRandomSource(source) {
+        // Accepts a function or anything with next() (e.g. SeededRandom); returns the
+        // source it replaces, so it can be put back
+        const previous = MathUtils._randomSource;
+        if (source && typeof source.next === 'function') {
+            MathUtils._randomSource = () => source.next();
+        } else {
+            MathUtils._randomSource = source || Math.random;
+        }
+        MathUtils._hasSpare = false;
+        return previous;
     }
 
-    static randomRange(min, max) {
-        return min + Math.random() * (max - min);
+    static random(rng = null) {
+        return rng ? rng.next() : MathUtils._randomSource();
     }
 
-    static randomInt(min, max) {
-        return Math.floor(min + Math.random() * (max - min + 1));
+    static randomRange(min, max, rng = null) {
+        return min + MathUtils.random(rng) * (max - min);
     }
 
-    static randomBool() {
-        return Math.random() < 0.5;
+    static randomInt(min, max, rng = null) {
+        return Math.floor(min + MathUtils.random(rng) * (max - min + 1));
     }
 
-    static randomSign() {
-        return Math.random() < 0.5 ? -1 : 1;
+    static randomBool(rng = null) {
+        return MathUtils.random(rng) < 0.5;
     }
 
-    static randomGaussian(mean = 0, stdDev = 1) {
-        // Box-Muller transform using class static variables
-        if (MathUtils._hasSpare) {
+    static randomSign(rng = null) {
+        return MathUtils.random(rng) < 0.5 ? -1 : 1;
+    }
+
+    static randomGaussian(mean = 0, stdDev = 1, rng = null) {
+        // Box-Muller transform; the spare value is only kept for the shared source, so a
+        // stream's draws never depend on what was drawn from another
+        if (!rng && MathUtils._hasSpare) {
             MathUtils._hasSpare = false;
             return MathUtils._spare * stdDev + mean;
         }
         
-        MathUtils._hasSpare = true;
-        const u = Math.random();
-        const v = Math.random();
+        const u = MathUtils.random(rng);
+        const v = MathUtils.random(rng);
         const mag = stdDev * Math.sqrt(-2 * Math.log(u));
-        MathUtils._spare = mag * Math.cos(MathUtils.TWO_PI * v);
+        if (!rng) {
+            MathUtils._hasSpare = true;
+            MathUtils._spare = mag * Math.cos(MathUtils.TWO_PI * v);
+        }
         return mag * Math.sin(MathUtils.TWO_PI * v) + mean;
     }
 
-    static randomWeighted(weights) {
+    static randomWeighted(weights, rng = null) {
         const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = MathUtils.random(rng) * totalWeight;
         
         for (let i = 0; i < weights.length; i++) {
             random -= weights[i];
@@ -241,6 +262,15 @@ export class MathUtils {
         return resourceOverlap * pop1 * pop2 / (pop1 + pop2 + 1);
     }
 
+    // 1 at the optimum, easing to 0 at the edges of { min, optimal, max } and 0 beyond them
+    static tolerance(value, { min, optimal, max }) {
+        if (!(value >= min && value <= max)) return 0;
+        if (value === optimal) return 1;
+        return value < optimal
+            ? MathUtils.smoothStep(min, optimal, value)
+            : MathUtils.smoothStep(max, optimal, value);
+    }
+
     // Environmental gradient calculations
     static temperatureGradient(distance, sourceTemp, ambientTemp, falloff = 1) {
         const factor = Math.exp(-distance * falloff);
@@ -272,6 +302,12 @@ export class MathUtils {
         return baseRate * (1 + environmentalStress);
     }
 
+    // Disease transmission: new infections per unit time by mass action, so crowding spreads it
+    static transmission(susceptible, infectious, rate, area) {
+        if (!(area > 0)) return 0;
+        return rate * susceptible * infectious / area;
+    }
+
     // Resource distribution
     static resourceDecay(amount, decayRate, deltaTime) {
         return amount * Math.exp(-decayRate * deltaTime);
@@ -541,13 +541,10 @@ export class Matrix4 {
 
     // Compose from TRS
     static compose(translation, rotation, scale) {
-        const result = Matrix4.identity();
-        
-        result.scaleInPlace(scale);
-        result.multiplyInPlace(rotation);
-        result.translateInPlace(translation);
-        
-        return result;
+        // T * R * S: scale first, then rotate, then move (the translation itself is not rotated)
+        return Matrix4.translation(translation)
+            .multiplyInPlace(rotation)
+            .scaleInPlace(scale);
     }
 
     // Utility methods
@@ -0,0 +1,133 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator
+ * sfc32 generator seeded through cyrb128, with labelled forks so every
+ * generation phase can draw from its own reproducible stream
+ */
+
+export class SeededRandom {
+    constructor(seed = 0) {
+        this.seed = seed;
+        this.state = new Uint32Array(4);
+        this.reset();
+    }
+
+    /**
+     * Hash an arbitrary seed (number or string) into four 32-bit words
+     */
+    static hashSeed(seed) {
+        const str = String(seed);
+        let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+
+        for (let i = 0; i < str.length; i++) {
+            const k = str.charCodeAt(i);
+            h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+            h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+            h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+            h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+        }
+
+        h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+        h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+        h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+        h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+
+        return [
+            (h1 ^ h2 ^ h3 ^ h4) >>> 0,
+            (h2 ^ h1) >>> 0,
+            (h3 ^ h1) >>> 0,
+            (h4 ^ h1) >>> 0
+        ];
+    }
+
+    /**
+     * Restart the sequence from the original seed
+     */
+    reset() {
+        this.state.set(SeededRandom.hashSeed(this.seed));
+
+        // Discard the first outputs to decorrelate similar seeds
+        for (let i = 0; i < 15; i++) {
+            this.nextUint32();
+        }
+
+        return this;
+    }
+
+    /**
+     * Create an independent stream derived from this seed and a label.
+     * Forks depend only on the seed, not on how much of this stream was used.
+     */
+    fork(label) {
+        return new SeededRandom(`${this.seed}/${label}`);
+    }
+
+    // Core generator (sfc32)
+    nextUint32() {
+        const s = this.state;
+        const t = (((s[0] + s[1]) >>> 0) + s[3]) >>> 0;
+        s[3] = (s[3] + 1) >>> 0;
+        s[0] = s[1] ^ (s[1] >>> 9);
+        s[1] = (s[2] + (s[2] << 3)) >>> 0;
+        s[2] = (s[2] << 21) | (s[2] >>> 11);
+        s[2] = (s[2] + t) >>> 0;
+        return t;
+    }
+
+    /**
+     * Uniform float in [0, 1)
+     */
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(min, max) {
+        return Math.floor(min + this.next() * (max - min + 1));
+    }
+
+    bool(probability = 0.5) {
+        return this.next() < probability;
+    }
+
+    sign() {
+        return this.next() < 0.5 ? -1 : 1;
+    }
+
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    weighted(weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        let random = this.next() * totalWeight;
+
+        for (let i = 0; i < weights.length; i++) {
+            random -= weights[i];
+            if (random <= 0) {
+                return i;
+            }
+        }
+
+        return weights.length - 1;
+    }
+
+    gaussian(mean = 0, stdDev = 1) {
+        // Box-Muller transform (no cached spare, so streams stay stateless)
+        const u = 1 - this.next();
+        const v = this.next();
+        return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            const temp = array[i];
+            array[i] = array[j];
+            array[j] = temp;
+        }
+        return array;
+    }
+}
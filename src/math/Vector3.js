@@ -332,6 +332,42 @@ export class Vector3 {
         return new Vector3(arr[0] || 0, arr[1] || 0, arr[2] || 0);
     }
 
+    /**
+     * Closest point on triangle abc to p, by Voronoi region (Ericson, Real-Time Collision Detection 5.1.5)
+     */
+    static closestPointOnTriangle(p, a, b, c) {
+        const ab = b.subtract(a);
+        const ac = c.subtract(a);
+        const ap = p.subtract(a);
+        const d1 = ab.dot(ap);
+        const d2 = ac.dot(ap);
+        if (d1 <= 0 && d2 <= 0) return a.clone();
+
+        const bp = p.subtract(b);
+        const d3 = ab.dot(bp);
+        const d4 = ac.dot(bp);
+        if (d3 >= 0 && d4 <= d3) return b.clone();
+
+        const vc = d1 * d4 - d3 * d2;
+        if (vc <= 0 && d1 >= 0 && d3 <= 0) return a.add(ab.multiply(d1 / (d1 - d3)));
+
+        const cp = p.subtract(c);
+        const d5 = ab.dot(cp);
+        const d6 = ac.dot(cp);
+        if (d6 >= 0 && d5 <= d6) return c.clone();
+
+        const vb = d5 * d2 - d1 * d6;
+        if (vb <= 0 && d2 >= 0 && d6 <= 0) return a.add(ac.multiply(d2 / (d2 - d6)));
+
+        const va = d3 * d6 - d5 * d4;
+        if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+            return b.add(c.subtract(b).multiply((d4 - d3) / ((d4 - d3) + (d5 - d6))));
+        }
+
+        const denom = 1 / (va + vb + vc);
+        return a.add(ab.multiply(vb * denom)).add(ac.multiply(vc * denom));
+    }
+
     // Cloning and copying
     clone() {
         return new Vector3(this.x, this.y, this.z);
@@ -29,6 +29,10 @@ export class Camera {
         
         // Movement properties for WASD
         this.movementSpeed = 15.0; // Units per second
+
+        // 'orbit' flies freely; 'walk' moves a CharacterController and looks with pointer lock
+        this.mode = 'orbit';
+        this.walker = null;
         
         // Mouse interaction
         this.isMouseDown = false;
@@ -80,6 +84,10 @@ export class Camera {
      */
     update(deltaTime) {
         if (!this.inputManager) return;
+        if (this.mode === 'walk') {
+            this.updateWalk(deltaTime);
+            return;
+        }
 
         // 1. Get the true forward vector (the direction the camera is looking)
         const forward = this.target.subtract(this.position).normalize();
@@ -136,6 +144,55 @@ export class Camera {
         }
     }
     
+    /**
+     * Walk mode: WASD moves the character over the ground, the eye rides on top of it
+     */
+    updateWalk(deltaTime) {
+        const forward = new Vector3(Math.sin(this.azimuth), 0, Math.cos(this.azimuth));
+        const right = forward.cross(this.up);
+        const input = this.inputManager;
+
+        const direction = new Vector3(0, 0, 0);
+        if (input.isKeyPressed(Keys.W) || input.isKeyPressed(Keys.ARROW_UP)) direction.addInPlace(forward);
+        if (input.isKeyPressed(Keys.S) || input.isKeyPressed(Keys.ARROW_DOWN)) direction.subtractInPlace(forward);
+        if (input.isKeyPressed(Keys.A) || input.isKeyPressed(Keys.ARROW_LEFT)) direction.subtractInPlace(right);
+        if (input.isKeyPressed(Keys.D) || input.isKeyPressed(Keys.ARROW_RIGHT)) direction.addInPlace(right);
+
+        this.walker.move(direction.normalize(), deltaTime);
+        this.position.copy(this.walker.getEyePosition());
+        this.updateViewMatrix();
+    }
+
+    /**
+     * Switch to first-person walking with a CharacterController, starting from where
+     * the camera is now (the character's eye is put at the camera's position)
+     */
+    setWalkMode(controller) {
+        this.walker = controller;
+        this.walker.setEyePosition(this.position);
+        this.mode = 'walk';
+        this.isMouseDown = false;
+        this.canvas.style.cursor = 'crosshair';
+
+        console.log('🚶 Walk mode: click to capture the mouse, WASD to walk, Esc to release');
+    }
+
+    /**
+     * Back to the free orbit camera, staying where the walk left off
+     */
+    setOrbitMode() {
+        if (this.mode === 'orbit') return;
+
+        this.mode = 'orbit';
+        this.walker = null;
+        if (document.pointerLockElement === this.canvas) {
+            document.exitPointerLock();
+        }
+        this.canvas.style.cursor = 'grab';
+
+        console.log('🎥 Orbit mode');
+    }
+
     /**
      * Update view matrix based on camera parameters.
      * For mouse orbit, it now updates the target's position relative to the camera.
@@ -191,6 +248,22 @@ export class Camera {
         return this.position.clone();
     }
     
+    /**
+     * World-space ray through a screen point given in normalized coordinates
+     * (0-1 across the canvas, y down, as from InputManager.getNormalizedMousePosition)
+     */
+    getRay(x, y) {
+        const inverse = this.projectionMatrix.multiply(this.viewMatrix).inverse();
+        const unproject = (ndcZ) => {
+            const p = inverse.transformPoint(x * 2 - 1, 1 - y * 2, ndcZ);
+            return new Vector3(p.x / p.w, p.y / p.w, p.z / p.w);
+        };
+
+        const near = unproject(-1);
+        const far = unproject(1);
+        return { origin: near, direction: far.subtract(near).normalize() };
+    }
+
     /**
      * Set camera target
      */
@@ -237,6 +310,7 @@ export class Camera {
      * Reset camera to default position
      */
     reset() {
+        this.setOrbitMode();
         this.position.set(0, 5, 10);
         this.azimuth = 0;
         this.elevation = -0.3;
@@ -247,6 +321,11 @@ export class Camera {
     
     // Mouse event handlers
     onMouseDown(event) {
+        if (this.mode === 'walk') {
+            if (document.pointerLockElement !== this.canvas) this.canvas.requestPointerLock?.();
+            return;
+        }
+
         this.isMouseDown = true;
         this.lastMouseX = event.clientX;
         this.lastMouseY = event.clientY;
@@ -254,6 +333,14 @@ export class Camera {
     }
     
     onMouseMove(event) {
+        if (this.mode === 'walk') {
+            // Mouse look: the view turns the way the mouse moves
+            if (document.pointerLockElement === this.canvas) {
+                this.rotate(-event.movementX * this.mouseSensitivity, -event.movementY * this.mouseSensitivity);
+            }
+            return;
+        }
+
         if (!this.isMouseDown) return;
         
         const deltaX = event.clientX - this.lastMouseX;
@@ -269,6 +356,8 @@ export class Camera {
     }
     
     onMouseUp(event) {
+        if (this.mode === 'walk') return;
+
         this.isMouseDown = false;
         this.canvas.style.cursor = 'grab';
     }
@@ -278,6 +367,7 @@ export class Camera {
      */
     onWheel(event) {
         event.preventDefault();
+        if (this.mode === 'walk') return; // No zooming through walls
         
         const delta = event.deltaY * this.wheelSensitivity * 0.1;
         
@@ -0,0 +1,299 @@
+/**
+ * CharacterController - Capsule that walks over a scene's mesh geometry
+ * An upright capsule (position is its feet) moved each frame by a horizontal walk
+ * direction plus gravity. It collides with every visible mesh in the scene, climbs
+ * ledges up to stepHeight and stands on slopes up to maxSlope; anything steeper acts
+ * as a wall. Meshes with userData.passable (e.g. water surfaces) are walked through.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { MeshBVH } from './MeshBVH.js';
+
+// Gap kept between the capsule and what it touches; contacts this close still count
+const SKIN = 0.02;
+
+// Penetration is resolved one contact at a time, deepest first, at most this often
+const MAX_RESOLVE_ITERATIONS = 6;
+
+// Substeps per move, each travelling at most this fraction of the radius
+const SUBSTEP_FRACTION = 0.5;
+const MAX_SUBSTEPS = 16;
+
+export class CharacterController {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        // Capsule
+        this.radius = options.radius ?? 0.4;
+        this.height = options.height ?? 1.8;
+        this.eyeHeight = options.eyeHeight ?? 1.6;
+
+        // Movement
+        this.walkSpeed = options.walkSpeed ?? 5;
+        this.gravity = options.gravity ?? 20;
+        this.maxFallSpeed = options.maxFallSpeed ?? 40;
+        this.stepHeight = options.stepHeight ?? 0.5;
+
+        // Steepest walkable ground as rise over run, like a room template's floorSlope
+        this.maxSlope = options.maxSlope ?? 1;
+
+        this.position = new Vector3();
+        this.velocity = new Vector3();
+        this.grounded = false;
+
+        // Height of the ground last stood on (where it touches, which on a rim is above the feet)
+        this.groundHeight = null;
+    }
+
+    /**
+     * Lowest y component a ground normal may have to be walkable
+     */
+    get minGroundNormalY() {
+        return 1 / Math.sqrt(1 + this.maxSlope * this.maxSlope);
+    }
+
+    /**
+     * Place the capsule so its eye is at a point (e.g. where the camera is)
+     */
+    setEyePosition(eye) {
+        this.position.set(eye.x, eye.y - this.eyeHeight, eye.z);
+        this.velocity.set(0, 0, 0);
+        this.grounded = false;
+        this.groundHeight = null;
+    }
+
+    getEyePosition() {
+        return this.position.add(new Vector3(0, this.eyeHeight, 0));
+    }
+
+    /**
+     * Walk along a horizontal direction (length up to 1, scaled by walkSpeed) for deltaTime
+     */
+    move(direction, deltaTime) {
+        const walk = new Vector3(direction.x, 0, direction.z).multiply(this.walkSpeed);
+        const travel = (walk.length() + Math.max(Math.abs(this.velocity.y), this.gravity * deltaTime)) * deltaTime;
+        const substeps = Math.min(MAX_SUBSTEPS, Math.max(1, Math.ceil(travel / (this.radius * SUBSTEP_FRACTION))));
+
+        for (let i = 0; i < substeps; i++) {
+            this.step(walk, deltaTime / substeps);
+        }
+        return this.position;
+    }
+
+    step(walk, deltaTime) {
+        const wasGrounded = this.grounded;
+        if (!wasGrounded) {
+            this.velocity.y = Math.max(this.velocity.y - this.gravity * deltaTime, -this.maxFallSpeed);
+        }
+
+        // Horizontal: slide along walls, or climb onto a ledge if that gets further
+        const offset = walk.multiply(deltaTime);
+        let moved = this.resolve(this.position.add(offset));
+        if (wasGrounded && this.stepHeight > 0 && offset.lengthSquared() > 0) {
+            const stepped = this.tryStep(offset);
+            if (stepped && progress(stepped.position, this.position, offset) > progress(moved.position, this.position, offset) + SKIN) {
+                moved = stepped;
+            }
+        }
+        this.position.copy(moved.position);
+        if (moved.ground) this.groundHeight = moved.groundHeight;
+
+        // Vertical: stick to the ground while walking (down slopes and steps), otherwise fall
+        if (wasGrounded && this.velocity.y <= 0) {
+            const snapped = this.sweepDown(this.position, this.stepHeight);
+            this.grounded = snapped !== null;
+            if (snapped) {
+                this.position.copy(snapped.position);
+                this.groundHeight = snapped.groundHeight;
+            }
+            return;
+        }
+
+        const fallen = this.resolve(this.position.add(new Vector3(0, this.velocity.y * deltaTime, 0)));
+        this.position.copy(fallen.position);
+        if (fallen.ground && this.velocity.y <= 0) {
+            this.grounded = true;
+            this.groundHeight = fallen.groundHeight;
+            this.velocity.y = 0;
+        } else if (fallen.ceiling && this.velocity.y > 0) {
+            this.velocity.y = 0;
+        }
+    }
+
+    /**
+     * Move up by stepHeight, across, then back down; only counts if it lands on ground
+     * no more than stepHeight above the ground it started on
+     */
+    tryStep(offset) {
+        const raised = this.resolve(this.position.add(new Vector3(0, this.stepHeight, 0))).position;
+        const across = this.resolve(raised.add(offset)).position;
+        const landed = this.sweepDown(across, this.stepHeight);
+
+        // The rounded bottom can catch a rim above the raised feet; that's too high a step
+        const from = this.groundHeight ?? this.position.y;
+        return landed && landed.groundHeight - from <= this.stepHeight + SKIN ? landed : null;
+    }
+
+    /**
+     * Lower the capsule up to a distance, in steps short enough not to sink past a ledge's
+     * rim, until it stands on ground. Returns the resolve() result it landed with, or null.
+     */
+    sweepDown(from, distance) {
+        const stride = this.radius * SUBSTEP_FRACTION;
+        let position = from;
+        for (let lowered = 0; lowered < distance; lowered += stride) {
+            const result = this.resolve(position.subtract(new Vector3(0, Math.min(stride, distance - lowered), 0)));
+            if (result.ground) return result;
+            position = result.position;
+        }
+        return null;
+    }
+
+    /**
+     * Push a capsule at a feet position out of the geometry around it. Ground pushes
+     * straight up (so slopes don't slide), other upward-facing surfaces push sideways
+     * only (so they can't be climbed) and ceilings push along their normal.
+     */
+    resolve(feet) {
+        const position = feet.clone();
+        const reach = this.radius + this.stepHeight;
+        const triangles = this.getTriangles(
+            position.subtract(new Vector3(reach, reach, reach)),
+            position.add(new Vector3(reach, this.height + reach, reach))
+        );
+        const result = { position, ground: false, groundHeight: null, ceiling: false };
+
+        for (let iteration = 0; iteration < MAX_RESOLVE_ITERATIONS; iteration++) {
+            let deepest = null;
+            for (const triangle of triangles) {
+                const contact = this.getContact(position, triangle);
+                if (!contact) continue;
+
+                if (contact.ground) {
+                    result.ground = true;
+                    result.groundHeight = Math.min(result.groundHeight ?? Infinity, contact.point.y);
+                }
+                if (contact.normal.y < -this.minGroundNormalY) result.ceiling = true;
+
+                // A ledge's rim is shared by its top and its side; resolve it as ground
+                const depth = contact.depth + (contact.ground ? SKIN : 0);
+                if (contact.depth > 0 && (!deepest || depth > deepest.priority)) {
+                    deepest = { ...contact, priority: depth };
+                }
+            }
+            if (!deepest) break;
+
+            position.addInPlace(this.getPushOut(deepest));
+        }
+
+        return result;
+    }
+
+    getPushOut({ normal, depth, ground }) {
+        if (ground) {
+            return new Vector3(0, Math.min(depth / normal.y, this.radius), 0);
+        }
+        if (normal.y > 0) {
+            const sideways = new Vector3(normal.x, 0, normal.z);
+            const length = sideways.length();
+            return sideways.normalize().multiply(Math.min(depth / length, this.radius));
+        }
+        return normal.multiply(depth);
+    }
+
+    /**
+     * Closest approach between the capsule's core segment and a triangle, if within
+     * radius + SKIN: where it touches, the direction from there to the capsule and how
+     * deep it overlaps
+     */
+    getContact(feet, [a, b, c]) {
+        const bottom = feet.add(new Vector3(0, this.radius, 0));
+        const top = feet.add(new Vector3(0, Math.max(this.radius, this.height - this.radius), 0));
+
+        const faceNormal = b.subtract(a).cross(c.subtract(a));
+        if (faceNormal.lengthSquared() < 1e-12) return null;
+        const n = faceNormal.normalize();
+
+        // Segment point nearest the triangle's plane, then the triangle point nearest that,
+        // then the segment point nearest that (exact for upright capsules on floors and walls)
+        const d0 = bottom.subtract(a).dot(n);
+        const d1 = top.subtract(a).dot(n);
+        const t = d0 * d1 <= 0 && d0 !== d1 ? d0 / (d0 - d1) : (Math.abs(d0) < Math.abs(d1) ? 0 : 1);
+        const onTriangle = Vector3.closestPointOnTriangle(bottom.lerp(top, t), a, b, c);
+        const onSegment = closestPointOnSegment(onTriangle, bottom, top);
+
+        const between = onSegment.subtract(onTriangle);
+        const distance = between.length();
+        if (distance > this.radius + SKIN) return null;
+
+        // Touching the face itself: push out on the side the capsule's core is on
+        const facing = d0 + d1 >= 0 ? n : n.negate();
+        const normal = distance > 1e-6 ? between.divide(distance) : facing;
+
+        // Ground is a walkable face under the capsule's core; this includes the rim of a
+        // ledge the rounded bottom is resting on, which is what lets it ride up onto low steps
+        const ground = facing.y >= this.minGroundNormalY && (distance <= 1e-6 || onTriangle.y < bottom.y - SKIN);
+        return { normal, depth: this.radius - distance, ground, point: onTriangle };
+    }
+
+    /**
+     * World-space triangles of the scene's solid meshes within a box
+     */
+    getTriangles(min, max) {
+        if (this.scene.spatialIndexDirty) this.scene.updateSpatialIndex();
+
+        const triangles = [];
+        for (const node of this.scene.spatialIndex.queryBox(min, max)) {
+            const mesh = node.getComponent('mesh');
+            if (!node.visibleInHierarchy || node.userData.passable || !mesh?.geometry?.indices) continue;
+
+            // Each instance of an InstancedMesh near the box is a copy of its geometry
+            const placements = mesh.instances
+                ? mesh.instances.queryBox(min, max).map(i => node.worldMatrix.multiply(mesh.instances.getMatrixAt(i)))
+                : [node.worldMatrix];
+            const bvh = MeshBVH.forGeometry(mesh.geometry);
+            for (const matrix of placements) {
+                const inverse = matrix.inverse();
+                if (!inverse) continue;
+
+                const local = transformBox(inverse, min, max);
+                for (const index of bvh.queryBox(local.min, local.max)) {
+                    triangles.push(bvh.getTriangle(index).map(corner => matrix.transformVector3(corner)));
+                }
+            }
+        }
+        return triangles;
+    }
+}
+
+/**
+ * How far a move from `from` got along the intended offset
+ */
+function progress(position, from, offset) {
+    return position.subtract(from).dot(offset.normalize());
+}
+
+function closestPointOnSegment(point, start, end) {
+    const segment = end.subtract(start);
+    const lengthSq = segment.lengthSquared();
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, point.subtract(start).dot(segment) / lengthSq)) : 0;
+    return start.add(segment.multiply(t));
+}
+
+/**
+ * Axis-aligned box around a box's eight corners after a transform
+ */
+function transformBox(matrix, min, max) {
+    const lo = new Vector3(Infinity, Infinity, Infinity);
+    const hi = new Vector3(-Infinity, -Infinity, -Infinity);
+    for (let corner = 0; corner < 8; corner++) {
+        const p = matrix.transformVector3(new Vector3(
+            corner & 1 ? max.x : min.x,
+            corner & 2 ? max.y : min.y,
+            corner & 4 ? max.z : min.z
+        ));
+        lo.set(Math.min(lo.x, p.x), Math.min(lo.y, p.y), Math.min(lo.z, p.z));
+        hi.set(Math.max(hi.x, p.x), Math.max(hi.y, p.y), Math.max(hi.z, p.z));
+    }
+    return { min: lo, max: hi };
+}
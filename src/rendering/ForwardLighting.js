@@ -0,0 +1,127 @@
+/**
+ * ForwardLighting - Picks the lights each draw call is shaded with
+ * Light nodes are gathered once per frame into world-space records; each draw then
+ * gets the MAX_LIGHTS most relevant ones for its bounds packed into uniform arrays.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+
+export const MAX_LIGHTS = 8;
+
+export const LIGHT_TYPES = { directional: 0, point: 1, spot: 2 };
+
+// pow(0, 0) is undefined in GLSL, so the falloff exponent stays positive
+const MIN_DECAY = 0.01;
+
+// Key light used when the scene has no lights of its own
+const DEFAULT_LIGHT = {
+    type: 'directional',
+    direction: new Vector3(-0.5, -1, -0.75).normalize(),
+    color: [0.8, 0.8, 0.8]
+};
+
+export class ForwardLighting {
+    constructor(maxLights = MAX_LIGHTS) {
+        this.maxLights = maxLights;
+        this.lights = [];
+        this.ambient = [0.2, 0.2, 0.2];
+
+        // Uniform arrays, reused for every draw
+        this.uniforms = {
+            count: 0,
+            positions: new Float32Array(maxLights * 4),  // xyz, type
+            colors: new Float32Array(maxLights * 4),     // rgb * intensity, range
+            directions: new Float32Array(maxLights * 4), // xyz, decay
+            cones: new Float32Array(maxLights * 4)       // cos outer, cos inner, shadow index (-1 for none), shadow bias
+        };
+    }
+
+    /**
+     * Gather this frame's lights from the scene's light nodes (see Scene.prepareRender)
+     */
+    setLights(lightNodes, ambientLight = null) {
+        this.lights = [];
+
+        for (const node of lightNodes) {
+            const light = node.getComponent('light');
+            if (!light || !(light.intensity > 0)) continue;
+
+            node.updateWorldMatrix(true, false);
+            const direction = node.worldMatrix
+                .transformVector3Direction(light.direction || new Vector3(0, -1, 0))
+                .normalize();
+
+            this.lights.push({
+                type: light.type,
+                position: node.worldMatrix.getPosition(),
+                direction,
+                color: [light.color.x * light.intensity, light.color.y * light.intensity, light.color.z * light.intensity],
+                range: light.range,
+                decay: light.decay ?? 1,
+                angle: light.angle ?? Math.PI / 3,
+                penumbra: light.penumbra ?? 0,
+                castShadow: !!light.castShadow,
+                shadowBias: light.shadowBias,
+                shadowResolution: light.shadowResolution,
+                shadow: null // Set by ShadowMaps when the light gets a shadow map this frame
+            });
+        }
+
+        if (this.lights.length === 0) {
+            this.lights.push(DEFAULT_LIGHT);
+        }
+
+        if (ambientLight) {
+            this.ambient = [ambientLight.x, ambientLight.y, ambientLight.z];
+        }
+    }
+
+    /**
+     * Lights that reach a bounding sphere, most relevant first. Directional lights always
+     * count; point and spot lights are ranked by brightness and closeness to the camera,
+     * so a merged mesh spanning the whole dungeon is lit by the lights around the viewer.
+     */
+    selectLights(center, radius, cameraPosition) {
+        const candidates = [];
+
+        for (const light of this.lights) {
+            if (light.type === 'directional') {
+                candidates.push({ light, score: Infinity });
+                continue;
+            }
+
+            if (light.position.distance(center) - radius > light.range) continue;
+
+            const brightness = Math.max(...light.color);
+            const toCamera = cameraPosition ? light.position.distance(cameraPosition) : 0;
+            candidates.push({ light, score: brightness * light.range / (light.range + toCamera) });
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+        return candidates.slice(0, this.maxLights).map(candidate => candidate.light);
+    }
+
+    /**
+     * Fill the uniform arrays for one draw and return them
+     */
+    packUniforms(center, radius, cameraPosition) {
+        const lights = this.selectLights(center, radius, cameraPosition);
+        const { positions, colors, directions, cones } = this.uniforms;
+
+        lights.forEach((light, i) => {
+            const o = i * 4;
+            const position = light.position || Vector3.zero();
+            positions.set([position.x, position.y, position.z, LIGHT_TYPES[light.type] ?? LIGHT_TYPES.point], o);
+            colors.set([...light.color, light.range || 0], o);
+            directions.set([light.direction.x, light.direction.y, light.direction.z, Math.max(light.decay ?? 1, MIN_DECAY)], o);
+
+            const outer = light.angle ?? Math.PI / 3;
+            const inner = outer * (1 - (light.penumbra ?? 0));
+            const shadow = light.shadow;
+            cones.set([Math.cos(outer), Math.cos(inner), shadow ? shadow.index : -1, shadow ? shadow.bias : 0], o);
+        });
+
+        this.uniforms.count = lights.length;
+        return this.uniforms;
+    }
+}
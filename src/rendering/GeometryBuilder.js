@@ -1,10 +1,15 @@
 /**
  * GeometryBuilder - Utilities for creating procedural 3D geometry
+ * Primitives carry UVs in geometry units (a 2 x 1 box face spans u 0-2, v 0-1), the
+ * same scale generateTriplanarUVs uses, so a material's textureScale means the same on every mesh.
  */
 
 import { Vector3 } from '../math/Vector3.js';
 import { Matrix4 } from '../math/Matrix4.js';
 
+// Most vertices 16-bit indices can address
+export const MAX_UINT16_VERTICES = 65536;
+
 export class GeometryBuilder {
 
     /**
@@ -72,9 +77,15 @@ export class GeometryBuilder {
             0,1,2, 0,2,3, 4,5,6, 4,6,7, 8,9,10, 8,10,11,
             12,13,14, 12,14,15, 16,17,18, 16,18,19, 20,21,22, 20,22,23,
         ];
+        // Each face runs bottom-left, bottom-right, top-right, top-left as seen from outside
+        const uvs = [];
+        for (const [u, v] of [[width, height], [width, height], [width, depth], [width, depth], [depth, height], [depth, height]]) {
+            uvs.push(0,0, u,0, u,v, 0,v);
+        }
         return {
             vertices: new Float32Array(vertices),
             normals: new Float32Array(normals),
+            uvs: new Float32Array(uvs),
             indices: new Uint16Array(indices),
         };
     }
@@ -83,11 +94,12 @@ export class GeometryBuilder {
      * Create a plane geometry
      */
     static createPlane(width = 1, height = 1, widthSegments = 1, heightSegments = 1) {
-        const vertices = []; const normals = []; const indices = [];
+        const vertices = []; const normals = []; const uvs = []; const indices = [];
         for (let y = 0; y <= heightSegments; y++) {
             for (let x = 0; x <= widthSegments; x++) {
                 vertices.push((x/widthSegments - 0.5) * width, 0, (y/heightSegments - 0.5) * height);
                 normals.push(0, 1, 0);
+                uvs.push(x / widthSegments * width, y / heightSegments * height);
             }
         }
         for (let y = 0; y < heightSegments; y++) {
@@ -102,10 +114,122 @@ export class GeometryBuilder {
         return {
             vertices: new Float32Array(vertices),
             normals: new Float32Array(normals),
+            uvs: new Float32Array(uvs),
             indices: new Uint16Array(indices),
         };
     }
 
+    /**
+     * Create a cylinder (or tapered frustum) standing on the origin along +y.
+     * Faces point outwards; `capped` false leaves both ends open.
+     */
+    static createCylinder(radiusTop = 1, radiusBottom = 1, height = 1, segments = 8, capped = true) {
+        const vertices = [];
+        const normals = [];
+        const uvs = [];
+        const indices = [];
+
+        // The side wraps u around the circumference, so the seam column is doubled
+        const slope = (radiusBottom - radiusTop) / height;
+        const circumference = Math.PI * (radiusTop + radiusBottom);
+        for (const [radius, y] of [[radiusBottom, 0], [radiusTop, height]]) {
+            for (let i = 0; i <= segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                const normal = new Vector3(Math.cos(angle), slope, Math.sin(angle)).normalize();
+                vertices.push(Math.cos(angle) * radius, y, Math.sin(angle) * radius);
+                normals.push(normal.x, normal.y, normal.z);
+                uvs.push(i / segments * circumference, y);
+            }
+        }
+        const ring = segments + 1;
+        for (let i = 0; i < segments; i++) {
+            indices.push(i, ring + i, i + 1);
+            indices.push(i + 1, ring + i, ring + i + 1);
+        }
+
+        if (capped) {
+            // Caps get their own vertices so the rim stays sharp
+            for (const [radius, y, up] of [[radiusBottom, 0, false], [radiusTop, height, true]]) {
+                const center = vertices.length / 3;
+                vertices.push(0, y, 0);
+                normals.push(0, up ? 1 : -1, 0);
+                uvs.push(0, 0);
+                for (let i = 0; i < segments; i++) {
+                    const angle = (i / segments) * Math.PI * 2;
+                    vertices.push(Math.cos(angle) * radius, y, Math.sin(angle) * radius);
+                    normals.push(0, up ? 1 : -1, 0);
+                    uvs.push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                }
+                for (let i = 0; i < segments; i++) {
+                    const a = center + 1 + i;
+                    const b = center + 1 + (i + 1) % segments;
+                    if (up) indices.push(center, b, a);
+                    else indices.push(center, a, b);
+                }
+            }
+        }
+
+        return {
+            vertices: new Float32Array(vertices),
+            normals: new Float32Array(normals),
+            uvs: new Float32Array(uvs),
+            indices: new Uint16Array(indices)
+        };
+    }
+
+    /**
+     * Create a cone with its base on the origin and its tip at +y.
+     * Faces point outwards; `capped` false leaves the base open.
+     */
+    static createCone(radius = 1, height = 1, segments = 8, capped = true) {
+        const vertices = [];
+        const normals = [];
+        const uvs = [];
+        const indices = [];
+
+        // Base ring with a doubled seam, then one tip vertex per side so each gets its own u
+        const circumference = Math.PI * 2 * radius;
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const normal = new Vector3(Math.cos(angle) * height, radius, Math.sin(angle) * height).normalize();
+            vertices.push(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+            normals.push(normal.x, normal.y, normal.z);
+            uvs.push(i / segments * circumference, 0);
+        }
+        const tip = segments + 1;
+        for (let i = 0; i < segments; i++) {
+            const angle = ((i + 0.5) / segments) * Math.PI * 2;
+            const normal = new Vector3(Math.cos(angle) * height, radius, Math.sin(angle) * height).normalize();
+            vertices.push(0, height, 0);
+            normals.push(normal.x, normal.y, normal.z);
+            uvs.push((i + 0.5) / segments * circumference, Math.hypot(radius, height));
+            indices.push(i, tip + i, i + 1);
+        }
+
+        if (capped) {
+            const center = vertices.length / 3;
+            vertices.push(0, 0, 0);
+            normals.push(0, -1, 0);
+            uvs.push(0, 0);
+            for (let i = 0; i < segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                vertices.push(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+                normals.push(0, -1, 0);
+                uvs.push(Math.cos(angle) * radius, Math.sin(angle) * radius);
+            }
+            for (let i = 0; i < segments; i++) {
+                indices.push(center, center + 1 + i, center + 1 + (i + 1) % segments);
+            }
+        }
+
+        return {
+            vertices: new Float32Array(vertices),
+            normals: new Float32Array(normals),
+            uvs: new Float32Array(uvs),
+            indices: new Uint16Array(indices)
+        };
+    }
+
     /**
      * Create rectangular walls with actual thickness.
      */
@@ -163,8 +287,15 @@ export class GeometryBuilder {
             faces = faces2;
         }
 
+        // Equirectangular wrap, in units of the sphere's surface
+        const uvs = baseVertices.flatMap(v => [
+            (0.5 + Math.atan2(v.z, v.x) / (Math.PI * 2)) * Math.PI * 2 * radius,
+            (0.5 + Math.asin(Math.max(-1, Math.min(1, v.y))) / Math.PI) * Math.PI * radius
+        ]);
+
         const geometry = {
             vertices: new Float32Array(baseVertices.flatMap(v => v.multiply(radius).toArray())),
+            uvs: new Float32Array(uvs),
             indices: new Uint16Array(faces.flat()),
         };
         this.calculateNormals(geometry);
@@ -206,6 +337,77 @@ export class GeometryBuilder {
         geometry.normals = normals;
     }
 
+    /**
+     * Give a geometry UVs by projecting each vertex onto the axis plane its normal faces
+     * most (box-projected triplanar mapping). Suits noise-deformed shells that have no
+     * natural unwrap; `offset` moves local geometry into world space so neighbouring
+     * meshes line up. The triplanar shader blends the same three projections per pixel.
+     */
+    static generateTriplanarUVs(geometry, scale = 1, offset = null) {
+        const { vertices, normals } = geometry;
+        const uvs = new Float32Array(vertices.length / 3 * 2);
+        const ox = offset ? offset.x : 0, oy = offset ? offset.y : 0, oz = offset ? offset.z : 0;
+
+        for (let i = 0, j = 0; i < vertices.length; i += 3, j += 2) {
+            const x = (vertices[i] + ox) * scale;
+            const y = (vertices[i + 1] + oy) * scale;
+            const z = (vertices[i + 2] + oz) * scale;
+            const nx = Math.abs(normals[i]), ny = Math.abs(normals[i + 1]), nz = Math.abs(normals[i + 2]);
+
+            if (ny >= nx && ny >= nz) {
+                uvs[j] = x; uvs[j + 1] = z;
+            } else if (nx >= nz) {
+                uvs[j] = z; uvs[j + 1] = y;
+            } else {
+                uvs[j] = x; uvs[j + 1] = y;
+            }
+        }
+
+        geometry.uvs = uvs;
+        return geometry;
+    }
+
+    /**
+     * Bounding sphere around the centre of a geometry's bounding box, as { center, radius }
+     */
+    static computeBoundingSphere(geometry) {
+        const { vertices } = geometry;
+        if (vertices.length === 0) return { center: new Vector3(0, 0, 0), radius: 0 };
+
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < vertices.length; i++) {
+            min[i % 3] = Math.min(min[i % 3], vertices[i]);
+            max[i % 3] = Math.max(max[i % 3], vertices[i]);
+        }
+
+        const center = new Vector3((min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2);
+        let radiusSq = 0;
+        for (let i = 0; i < vertices.length; i += 3) {
+            const dx = vertices[i] - center.x, dy = vertices[i + 1] - center.y, dz = vertices[i + 2] - center.z;
+            radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+        }
+
+        return { center, radius: Math.sqrt(radiusSq) };
+    }
+
+    /**
+     * Axis-aligned bounding box of a geometry's vertices
+     */
+    static computeBoundingBox(geometry) {
+        const { vertices } = geometry;
+        const min = new Vector3(Infinity, Infinity, Infinity);
+        const max = new Vector3(-Infinity, -Infinity, -Infinity);
+        if (vertices.length === 0) return { min: new Vector3(0, 0, 0), max: new Vector3(0, 0, 0) };
+
+        for (let i = 0; i < vertices.length; i += 3) {
+            min.set(Math.min(min.x, vertices[i]), Math.min(min.y, vertices[i + 1]), Math.min(min.z, vertices[i + 2]));
+            max.set(Math.max(max.x, vertices[i]), Math.max(max.y, vertices[i + 1]), Math.max(max.z, vertices[i + 2]));
+        }
+
+        return { min, max };
+    }
+
     /**
      * Helper function to translate geometry vertices.
      */
@@ -215,21 +417,194 @@ export class GeometryBuilder {
     }
 
     /**
-     * Merge multiple geometries into one
+     * Create a tube by stitching consecutive rings of points (each ring is a closed loop
+     * of Vector3 with the same point count). Faces point into the tube.
+     */
+    static createTube(rings) {
+        const ringSize = rings[0].length;
+        const vertices = [];
+        const indices = [];
+
+        for (const ring of rings) {
+            for (const point of ring) {
+                vertices.push(point.x, point.y, point.z);
+            }
+        }
+
+        for (let r = 0; r < rings.length - 1; r++) {
+            const current = r * ringSize;
+            const next = (r + 1) * ringSize;
+            for (let j = 0; j < ringSize; j++) {
+                const j2 = (j + 1) % ringSize;
+                indices.push(current + j, current + j2, next + j);
+                indices.push(current + j2, next + j2, next + j);
+            }
+        }
+
+        const geometry = {
+            vertices: new Float32Array(vertices),
+            indices: new Uint16Array(indices)
+        };
+        this.calculateNormals(geometry);
+        return geometry;
+    }
+
+    /**
+     * Triangulate a simple polygon by ear clipping.
+     * Takes 2D points as [[x, y], ...] in either winding; returns triangle indices
+     * wound counter-clockwise in that 2D space.
      */
-    static mergeGeometries(geometries) {
-        let totalVertices = 0, totalIndices = 0;
-        geometries.forEach(geo => { if(geo) { totalVertices += geo.vertices.length; totalIndices += geo.indices.length; }});
-        const merged = { vertices: new Float32Array(totalVertices), normals: new Float32Array(totalVertices), indices: new Uint16Array(totalIndices) };
+    static triangulatePolygon(points) {
+        const epsilon = 1e-7;
+        const area2 = (a, b, c) =>
+            (points[b][0] - points[a][0]) * (points[c][1] - points[a][1]) -
+            (points[b][1] - points[a][1]) * (points[c][0] - points[a][0]);
+
+        let signedArea = 0;
+        for (let i = 0; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            signedArea += x1 * y2 - x2 * y1;
+        }
+
+        const remaining = points.map((_, i) => i);
+        if (signedArea < 0) remaining.reverse();
+
+        const contains = (a, b, c, p) => {
+            if (p === a || p === b || p === c) return false;
+            const [px, py] = points[p];
+            if ((px === points[a][0] && py === points[a][1]) ||
+                (px === points[b][0] && py === points[b][1]) ||
+                (px === points[c][0] && py === points[c][1])) return false;
+            return area2(a, b, p) >= -epsilon && area2(b, c, p) >= -epsilon && area2(c, a, p) >= -epsilon;
+        };
+
+        const indices = [];
+        while (remaining.length > 3) {
+            let clipped = false;
+
+            for (let k = 0; k < remaining.length; k++) {
+                const a = remaining[(k + remaining.length - 1) % remaining.length];
+                const b = remaining[k];
+                const c = remaining[(k + 1) % remaining.length];
+                if (area2(a, b, c) <= epsilon) continue; // Reflex or collinear
+
+                if (remaining.some(p => contains(a, b, c, p))) continue;
+
+                indices.push(a, b, c);
+                remaining.splice(k, 1);
+                clipped = true;
+                break;
+            }
+
+            if (!clipped) {
+                // Only collinear or degenerate corners left: drop one without a triangle
+                const k = remaining.findIndex((b, k) => {
+                    const a = remaining[(k + remaining.length - 1) % remaining.length];
+                    const c = remaining[(k + 1) % remaining.length];
+                    return Math.abs(area2(a, b, c)) <= epsilon;
+                });
+                remaining.splice(k >= 0 ? k : 0, 1);
+            }
+        }
+
+        if (area2(remaining[0], remaining[1], remaining[2]) > epsilon) {
+            indices.push(remaining[0], remaining[1], remaining[2]);
+        }
+
+        return indices;
+    }
+
+    /**
+     * Merge multiple geometries into one. UVs are kept only if every geometry has them.
+     * Past MAX_UINT16_VERTICES the indices become a Uint32Array. With `uint32: false`
+     * they stay 16-bit instead, relative to the first vertex of one of the geometry's
+     * `chunks` ({ vertexOffset, indexOffset, indexCount }, at most maxVertices each).
+     */
+    static mergeGeometries(geometries, options = {}) {
+        const { uint32 = true, maxVertices = MAX_UINT16_VERTICES } = options;
+        const countVertices = parts => parts.reduce((sum, geo) => sum + geo.vertices.length / 3, 0);
+
+        let parts = geometries.filter(Boolean);
+        const chunked = !uint32 && countVertices(parts) > maxVertices;
+        if (chunked) {
+            parts = parts.flatMap(geo => geo.vertices.length / 3 > maxVertices ? this.splitGeometry(geo, maxVertices) : [geo]);
+        }
+
+        const totalVertices = countVertices(parts) * 3;
+        const totalIndices = parts.reduce((sum, geo) => sum + geo.indices.length, 0);
+        const IndexArray = !chunked && totalVertices / 3 > MAX_UINT16_VERTICES ? Uint32Array : Uint16Array;
+        const merged = { vertices: new Float32Array(totalVertices), normals: new Float32Array(totalVertices), indices: new IndexArray(totalIndices) };
+        if (parts.length > 0 && parts.every(geo => geo.uvs)) {
+            merged.uvs = new Float32Array(totalVertices / 3 * 2);
+        }
+        if (chunked) {
+            merged.chunks = [];
+        }
+
         let vertexOffset = 0, indexOffset = 0, vertexCount = 0;
-        geometries.forEach(geo => {
-            if (geo) {
-                merged.vertices.set(geo.vertices, vertexOffset);
-                if (geo.normals) merged.normals.set(geo.normals, vertexOffset);
-                for (let i = 0; i < geo.indices.length; i++) { merged.indices[indexOffset + i] = geo.indices[i] + vertexCount; }
-                vertexOffset += geo.vertices.length; indexOffset += geo.indices.length; vertexCount += geo.vertices.length / 3;
+        let chunk = null;
+        parts.forEach(geo => {
+            const partVertices = geo.vertices.length / 3;
+            if (chunked && (!chunk || vertexCount - chunk.vertexOffset + partVertices > maxVertices)) {
+                chunk = { vertexOffset: vertexCount, indexOffset, indexCount: 0 };
+                merged.chunks.push(chunk);
             }
+            const base = chunked ? vertexCount - chunk.vertexOffset : vertexCount;
+
+            merged.vertices.set(geo.vertices, vertexOffset);
+            if (geo.normals) merged.normals.set(geo.normals, vertexOffset);
+            if (merged.uvs) merged.uvs.set(geo.uvs, vertexOffset / 3 * 2);
+            for (let i = 0; i < geo.indices.length; i++) { merged.indices[indexOffset + i] = geo.indices[i] + base; }
+            if (chunk) chunk.indexCount += geo.indices.length;
+
+            vertexOffset += geo.vertices.length; indexOffset += geo.indices.length; vertexCount += partVertices;
         });
         return merged;
     }
+
+    /**
+     * Split a geometry into pieces of at most maxVertices, walking its triangles in order
+     * and copying the vertices each piece uses
+     */
+    static splitGeometry(geometry, maxVertices = MAX_UINT16_VERTICES) {
+        const { vertices, normals, uvs, indices } = geometry;
+        const pieces = [];
+        let remap = new Map(); // Source vertex -> piece vertex
+        let pieceIndices = [];
+
+        const flush = () => {
+            if (pieceIndices.length === 0) return;
+            const source = Array.from(remap.keys());
+            const piece = {
+                vertices: new Float32Array(source.length * 3),
+                normals: new Float32Array(source.length * 3),
+                indices: source.length > MAX_UINT16_VERTICES ? new Uint32Array(pieceIndices) : new Uint16Array(pieceIndices)
+            };
+            if (uvs) piece.uvs = new Float32Array(source.length * 2);
+
+            source.forEach((v, i) => {
+                piece.vertices.set(vertices.subarray(v * 3, v * 3 + 3), i * 3);
+                if (normals) piece.normals.set(normals.subarray(v * 3, v * 3 + 3), i * 3);
+                if (uvs) piece.uvs.set(uvs.subarray(v * 2, v * 2 + 2), i * 2);
+            });
+            pieces.push(piece);
+            remap = new Map();
+            pieceIndices = [];
+        };
+
+        for (let i = 0; i < indices.length; i += 3) {
+            const triangle = [indices[i], indices[i + 1], indices[i + 2]];
+            const added = new Set(triangle.filter(v => !remap.has(v))).size;
+            if (remap.size + added > maxVertices) flush();
+
+            for (const v of triangle) {
+                if (!remap.has(v)) remap.set(v, remap.size);
+                pieceIndices.push(remap.get(v));
+            }
+        }
+        flush();
+
+        return pieces;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Material - Surface description read by the renderer
+ * The type picks the shader program: 'phong' for a flat colour, 'textured' for a map
+ * read through the mesh's UVs, 'triplanar' for a map projected along the world axes
+ * (for noise-deformed caves that have no clean unwrap).
+ */
+
+export class Material {
+    constructor(options = {}) {
+        this.type = options.type || 'phong';
+        this.color = options.color || [1, 1, 1];
+        this.roughness = options.roughness ?? 0.8;
+        this.emissive = options.emissive || 0;
+        this.transparency = options.transparency || 0;
+
+        // Texture asset from AssetLoader (or an image); untextured until it arrives
+        this.map = options.map || null;
+        this.mapUrl = options.mapUrl || null;
+
+        // Texture repeats per unit of UV (GeometryBuilder UVs are in geometry units)
+        this.textureScale = options.textureScale ?? 1;
+    }
+
+    /**
+     * Whether this material samples a texture map
+     */
+    isTextured() {
+        return this.type === 'textured' || this.type === 'triplanar';
+    }
+}
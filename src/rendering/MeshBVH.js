@@ -0,0 +1,199 @@
+/**
+ * MeshBVH - Triangle bounding volume hierarchy for ray picking against a geometry
+ * Built lazily once per geometry (see MeshBVH.forGeometry) in the geometry's own
+ * space. Triangles are tested back-face culled by default, like the renderer draws
+ * them, so rooms seen from outside are picked through their far side's inner faces.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { rayBoxDistance } from './SpatialIndex.js';
+
+const MAX_LEAF_TRIANGLES = 8;
+
+// Geometry -> MeshBVH; geometry is treated as immutable once built
+const bvhCache = new WeakMap();
+
+export class MeshBVH {
+    constructor(geometry) {
+        const { vertices, indices } = geometry;
+        this.vertices = vertices;
+        this.indices = indices;
+
+        const triangleCount = Math.floor(indices.length / 3);
+        this.triangles = new Uint32Array(triangleCount);
+        this.centroids = new Float32Array(triangleCount * 3);
+        this.bounds = new Float32Array(triangleCount * 6); // min xyz, max xyz
+
+        for (let t = 0; t < triangleCount; t++) {
+            this.triangles[t] = t;
+            for (let axis = 0; axis < 3; axis++) {
+                const a = vertices[indices[t * 3] * 3 + axis];
+                const b = vertices[indices[t * 3 + 1] * 3 + axis];
+                const c = vertices[indices[t * 3 + 2] * 3 + axis];
+                this.bounds[t * 6 + axis] = Math.min(a, b, c);
+                this.bounds[t * 6 + 3 + axis] = Math.max(a, b, c);
+                this.centroids[t * 3 + axis] = (a + b + c) / 3;
+            }
+        }
+
+        this.root = triangleCount > 0 ? this.buildNode(0, triangleCount) : null;
+    }
+
+    /**
+     * The (cached) BVH for a geometry
+     */
+    static forGeometry(geometry) {
+        let bvh = bvhCache.get(geometry);
+        if (!bvh) {
+            bvh = new MeshBVH(geometry);
+            bvhCache.set(geometry, bvh);
+        }
+        return bvh;
+    }
+
+    /**
+     * Nearest triangle hit along a ray, as { distance, point, normal, faceIndex } in the
+     * geometry's space, or null. distance is in units of direction's length.
+     */
+    raycast(origin, direction, maxDistance = Infinity, { doubleSided = false } = {}) {
+        if (!this.root) return null;
+
+        const inverse = [1 / direction.x, 1 / direction.y, 1 / direction.z];
+        const from = [origin.x, origin.y, origin.z];
+        let nearest = null;
+        let limit = maxDistance;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (rayBoxDistance(from, inverse, node.min, node.max, limit) === null) continue;
+
+            if (node.left) {
+                stack.push(node.left, node.right);
+                continue;
+            }
+
+            for (let i = node.start; i < node.end; i++) {
+                const hit = this.intersectTriangle(this.triangles[i], origin, direction, doubleSided);
+                if (hit && hit.distance <= limit) {
+                    nearest = hit;
+                    limit = hit.distance;
+                }
+            }
+        }
+
+        if (nearest) {
+            nearest.point = origin.add(direction.multiply(nearest.distance));
+        }
+        return nearest;
+    }
+
+    /**
+     * Indices of the triangles whose bounds overlap a box in the geometry's space
+     * (used for collision, see CharacterController)
+     */
+    queryBox(min, max) {
+        const lo = [min.x, min.y, min.z];
+        const hi = [max.x, max.y, max.z];
+        const overlaps = (boxMin, boxMax) =>
+            boxMin[0] <= hi[0] && boxMax[0] >= lo[0] &&
+            boxMin[1] <= hi[1] && boxMax[1] >= lo[1] &&
+            boxMin[2] <= hi[2] && boxMax[2] >= lo[2];
+
+        const triangles = [];
+        if (!this.root) return triangles;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!overlaps(node.min, node.max)) continue;
+
+            if (node.left) {
+                stack.push(node.left, node.right);
+                continue;
+            }
+
+            for (let i = node.start; i < node.end; i++) {
+                const t = this.triangles[i];
+                if (overlaps(this.bounds.subarray(t * 6, t * 6 + 3), this.bounds.subarray(t * 6 + 3, t * 6 + 6))) {
+                    triangles.push(t);
+                }
+            }
+        }
+        return triangles;
+    }
+
+    /**
+     * Corners of a triangle as Vector3s, counter-clockwise from its front
+     */
+    getTriangle(triangle) {
+        return [0, 1, 2].map(corner => this.getVertex(this.indices[triangle * 3 + corner]));
+    }
+
+    /**
+     * Möller–Trumbore intersection with one triangle
+     */
+    intersectTriangle(triangle, origin, direction, doubleSided) {
+        const a = this.getVertex(this.indices[triangle * 3]);
+        const b = this.getVertex(this.indices[triangle * 3 + 1]);
+        const c = this.getVertex(this.indices[triangle * 3 + 2]);
+
+        const edge1 = b.subtract(a);
+        const edge2 = c.subtract(a);
+        const p = direction.cross(edge2);
+        const det = edge1.dot(p);
+
+        // Counter-clockwise faces are fronts; a ray meets a front face against its normal
+        if (doubleSided ? Math.abs(det) < 1e-12 : det < 1e-12) return null;
+
+        const invDet = 1 / det;
+        const s = origin.subtract(a);
+        const u = s.dot(p) * invDet;
+        if (u < 0 || u > 1) return null;
+
+        const q = s.cross(edge1);
+        const v = direction.dot(q) * invDet;
+        if (v < 0 || u + v > 1) return null;
+
+        const distance = edge2.dot(q) * invDet;
+        if (distance < 0) return null;
+
+        return { distance, faceIndex: triangle, normal: edge1.cross(edge2).normalize() };
+    }
+
+    getVertex(index) {
+        return new Vector3(this.vertices[index * 3], this.vertices[index * 3 + 1], this.vertices[index * 3 + 2]);
+    }
+
+    buildNode(start, end) {
+        const node = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity], start, end };
+        const centroidMin = [Infinity, Infinity, Infinity];
+        const centroidMax = [-Infinity, -Infinity, -Infinity];
+
+        for (let i = start; i < end; i++) {
+            const t = this.triangles[i];
+            for (let axis = 0; axis < 3; axis++) {
+                node.min[axis] = Math.min(node.min[axis], this.bounds[t * 6 + axis]);
+                node.max[axis] = Math.max(node.max[axis], this.bounds[t * 6 + 3 + axis]);
+                centroidMin[axis] = Math.min(centroidMin[axis], this.centroids[t * 3 + axis]);
+                centroidMax[axis] = Math.max(centroidMax[axis], this.centroids[t * 3 + axis]);
+            }
+        }
+
+        if (end - start <= MAX_LEAF_TRIANGLES) return node;
+
+        // Median split along the widest spread of centroids
+        const extent = [0, 1, 2].map(axis => centroidMax[axis] - centroidMin[axis]);
+        const axis = extent.indexOf(Math.max(...extent));
+        if (extent[axis] === 0) return node;
+
+        const sorted = Array.from(this.triangles.subarray(start, end))
+            .sort((a, b) => this.centroids[a * 3 + axis] - this.centroids[b * 3 + axis]);
+        this.triangles.set(sorted, start);
+
+        const middle = (start + end) >> 1;
+        node.left = this.buildNode(start, middle);
+        node.right = this.buildNode(middle, end);
+        return node;
+    }
+}
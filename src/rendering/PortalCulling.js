@@ -0,0 +1,210 @@
+/**
+ * PortalCulling - Sector/portal visibility for interiors
+ * The world is split into sectors (rooms, tunnels) joined by portals (doorway quads).
+ * From the sector holding the camera, each portal is clipped against the current view
+ * frustum; what survives narrows the frustum looking into the next sector, and so on
+ * until nothing is left. Sectors never reached cannot be seen.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+
+// Recursion limits: portal hops from the camera's sector, and portals clipped per update
+const MAX_PORTAL_DEPTH = 24;
+const MAX_PORTAL_VISITS = 512;
+
+// Within this distance of a portal's plane the camera is standing in it; look through unclipped
+const PORTAL_NEAR = 0.25;
+
+export class PortalCulling {
+    constructor() {
+        this.enabled = true;
+
+        this.sectors = new Map(); // id -> { id, bounds, contains, portals }
+        this.portals = [];
+
+        this.currentSector = null;
+        this.visibleSectors = null;
+        this.stats = { portalsTested: 0, portalsPassed: 0 };
+    }
+
+    /**
+     * Add a sector. `bounds` is a world {min, max} box; `contains(point)` refines it
+     * (defaults to the box itself).
+     */
+    addSector(id, bounds, contains = null) {
+        this.sectors.set(id, { id, bounds, contains, portals: [] });
+        return this;
+    }
+
+    /**
+     * Join two sectors through a convex polygon of world-space corners. Without corners
+     * the sectors are open to each other (e.g. overlapping rooms) and the view passes as is.
+     */
+    addPortal(sectorA, sectorB, corners = null) {
+        const a = this.sectors.get(sectorA);
+        const b = this.sectors.get(sectorB);
+        if (!a || !b) return null;
+
+        const portal = { sectors: [sectorA, sectorB], corners };
+        if (corners) {
+            portal.center = corners.reduce((sum, corner) => sum.add(corner), Vector3.zero()).divide(corners.length);
+            portal.normal = corners[1].subtract(corners[0]).cross(corners[2].subtract(corners[0])).normalize();
+        }
+
+        a.portals.push(portal);
+        b.portals.push(portal);
+        this.portals.push(portal);
+        return portal;
+    }
+
+    /**
+     * Sector holding a point (the previous camera sector is tried first), or null
+     */
+    findSector(point) {
+        const inside = sector => pointInBox(point, sector.bounds) && (!sector.contains || sector.contains(point));
+
+        const current = this.sectors.get(this.currentSector);
+        if (current && inside(current)) return current.id;
+
+        for (const sector of this.sectors.values()) {
+            if (inside(sector)) return sector.id;
+        }
+        return null;
+    }
+
+    /**
+     * Ids of the sectors visible from the camera through the given frustum planes
+     * (from Matrix4.extractFrustumPlanes). Null when culling is off or the camera is
+     * outside every sector, meaning everything may be visible.
+     */
+    update(cameraPosition, planes) {
+        this.stats.portalsTested = 0;
+        this.stats.portalsPassed = 0;
+
+        this.currentSector = this.enabled ? this.findSector(cameraPosition) : null;
+        if (this.currentSector === null) {
+            this.visibleSectors = null;
+            return null;
+        }
+
+        this.visibleSectors = new Set([this.currentSector]);
+        this.visitSector(this.currentSector, planes, planes, cameraPosition, new Set([this.currentSector]));
+        return this.visibleSectors;
+    }
+
+    /**
+     * Whether a sphere (e.g. a light's reach) overlaps any visible sector's box
+     */
+    reachesVisibleSector(center, radius) {
+        if (!this.visibleSectors) return true;
+
+        const radiusSq = radius * radius;
+        for (const id of this.visibleSectors) {
+            if (distanceSqToBox(center, this.sectors.get(id).bounds) <= radiusSq) return true;
+        }
+        return false;
+    }
+
+    visitSector(id, planes, cameraPlanes, eye, path) {
+        if (path.size > MAX_PORTAL_DEPTH) return;
+
+        for (const portal of this.sectors.get(id).portals) {
+            const next = portal.sectors[0] === id ? portal.sectors[1] : portal.sectors[0];
+            if (path.has(next) || this.stats.portalsTested >= MAX_PORTAL_VISITS) continue;
+
+            this.stats.portalsTested++;
+            const narrowed = this.clipPortal(portal, planes, cameraPlanes, eye);
+            if (!narrowed) continue;
+
+            this.stats.portalsPassed++;
+            this.visibleSectors.add(next);
+            path.add(next);
+            this.visitSector(next, narrowed, cameraPlanes, eye, path);
+            path.delete(next);
+        }
+    }
+
+    /**
+     * Frustum looking through a portal: planes from the eye through each edge of the
+     * portal (clipped to the current frustum), the portal itself as the near plane,
+     * and the camera's own planes. Null when the portal is out of view.
+     */
+    clipPortal(portal, planes, cameraPlanes, eye) {
+        if (!portal.corners) return planes;
+
+        let polygon = portal.corners;
+        for (const plane of planes) {
+            polygon = clipPolygon(polygon, plane);
+            if (polygon.length < 3) return null;
+        }
+
+        const eyeDistance = portal.normal.dot(eye.subtract(portal.center));
+        if (Math.abs(eyeDistance) < PORTAL_NEAR) return planes;
+
+        const centroid = polygon.reduce((sum, point) => sum.add(point), Vector3.zero()).divide(polygon.length);
+        const narrowed = [];
+
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i].subtract(eye);
+            const b = polygon[(i + 1) % polygon.length].subtract(eye);
+            const normal = a.cross(b);
+            const length = normal.length();
+            if (length < 1e-9) continue;
+
+            const plane = orientPlane(normal.divide(length), eye, centroid);
+            narrowed.push(plane);
+        }
+
+        // Beyond the portal, facing away from the eye
+        const facing = eyeDistance > 0 ? portal.normal.negate() : portal.normal;
+        narrowed.push({ normal: facing, distance: -facing.dot(portal.center) });
+
+        return narrowed.concat(cameraPlanes);
+    }
+}
+
+/**
+ * Plane through a point, flipped if needed so another point is on its inside
+ */
+function orientPlane(normal, point, inside) {
+    let distance = -normal.dot(point);
+    if (normal.dot(inside) + distance < 0) {
+        normal = normal.negate();
+        distance = -distance;
+    }
+    return { normal, distance };
+}
+
+/**
+ * Sutherland-Hodgman: keep the part of a convex polygon on the inside of a plane
+ */
+function clipPolygon(polygon, { normal, distance }) {
+    const result = [];
+
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const next = polygon[(i + 1) % polygon.length];
+        const dc = normal.dot(current) + distance;
+        const dn = normal.dot(next) + distance;
+
+        if (dc >= 0) result.push(current);
+        if ((dc >= 0) !== (dn >= 0)) {
+            result.push(current.lerp(next, dc / (dc - dn)));
+        }
+    }
+
+    return result;
+}
+
+function pointInBox(point, box) {
+    return point.x >= box.min.x && point.x <= box.max.x &&
+        point.y >= box.min.y && point.y <= box.max.y &&
+        point.z >= box.min.z && point.z <= box.max.z;
+}
+
+function distanceSqToBox(point, box) {
+    const dx = Math.max(box.min.x - point.x, 0, point.x - box.max.x);
+    const dy = Math.max(box.min.y - point.y, 0, point.y - box.max.y);
+    const dz = Math.max(box.min.z - point.z, 0, point.z - box.max.z);
+    return dx * dx + dy * dy + dz * dz;
+}
@@ -6,6 +6,18 @@
 import { Matrix4 } from '../math/Matrix4.js';
 import { Vector3 } from '../math/Vector3.js';
 import { Quaternion } from '../math/Quaternion.js';
+import { GeometryBuilder } from './GeometryBuilder.js';
+import { BVH } from './SpatialIndex.js';
+import { MeshBVH } from './MeshBVH.js';
+
+// Local bounding boxes and spheres per geometry, computed on first use (geometry is
+// treated as immutable once built)
+const localBoundsCache = new WeakMap();
+const localSphereCache = new WeakMap();
+
+// Visible instances are drawn in at most this many contiguous runs; the closest runs are
+// merged, drawing the few culled instances between them anyway
+export const MAX_INSTANCE_RANGES = 8;
 
 /**
  * Base scene node with transform hierarchy
@@ -33,6 +45,15 @@ export class SceneNode {
         this.visible = true;
         this.active = true;
         
+        // World-space box, refreshed by computeWorldBounds, and whether every ancestor
+        // is visible too (both kept current by Scene.updateSpatialIndex)
+        this.worldBounds = null;
+        this.visibleInHierarchy = true;
+        
+        // Portal sectors the node belongs to: userData.sectors (ids), else its nearest
+        // ancestor's; null for nodes outside any sector (also kept by updateSpatialIndex)
+        this.sectorsInHierarchy = null;
+        
         // User data
         this.userData = {};
         
@@ -130,6 +151,26 @@ export class SceneNode {
         return this.worldMatrix.getPosition();
     }
     
+    /**
+     * World-space box around this node's own mesh (a point at its position for nodes
+     * without one). Assumes worldMatrix is current.
+     */
+    computeWorldBounds() {
+        const mesh = this.getComponent('mesh');
+        const bounds = this.worldBounds || { min: new Vector3(), max: new Vector3() };
+
+        if (mesh && mesh.geometry && mesh.geometry.vertices) {
+            transformBox(getLocalBounds(mesh.geometry), this.worldMatrix, bounds);
+        } else {
+            const position = this.worldMatrix.getPosition();
+            bounds.min.copy(position);
+            bounds.max.copy(position);
+        }
+
+        this.worldBounds = bounds;
+        return bounds;
+    }
+    
     /**
      * Set position and mark dirty
      */
@@ -256,8 +297,108 @@ export class Scene extends SceneNode {
         this.lightNodes = [];
         this.updateableNodes = [];
         
-        // Spatial partitioning (prepare for Phase 3)
-        this.spatialIndex = null;
+        // Spatial partitioning: a BVH over every node's world bounds
+        this.spatialIndex = new BVH({ getBounds: node => node.worldBounds });
+        this.spatialIndexDirty = true;
+        
+        // Sector/portal visibility (a PortalCulling), set up by whatever builds the level
+        this.portalCulling = null;
+        this.visibleSectors = null;
+    }
+    
+    /**
+     * Add child node (and re-index on the next query)
+     */
+    addChild(node) {
+        this.spatialIndexDirty = true;
+        return super.addChild(node);
+    }
+    
+    /**
+     * Remove child node (and re-index on the next query)
+     */
+    removeChild(node) {
+        this.spatialIndexDirty = true;
+        return super.removeChild(node);
+    }
+    
+    /**
+     * Bring world matrices, node bounds and the spatial index up to date. The tree is
+     * refitted while the same nodes are in the scene and rebuilt when they change.
+     * Runs every frame from prepareRender and after update(); call it directly after
+     * moving nodes elsewhere if a query must see the new positions straight away.
+     */
+    updateSpatialIndex() {
+        this.updateWorldMatrix(false, true);
+        
+        const nodes = [];
+        const collect = (node, visible, sectors) => {
+            node.computeWorldBounds();
+            node.visibleInHierarchy = visible;
+            node.sectorsInHierarchy = node.userData.sectors || sectors;
+            nodes.push(node);
+            for (const child of node.children) {
+                collect(child, visible && child.visible, node.sectorsInHierarchy);
+            }
+        };
+        for (const child of this.children) {
+            collect(child, child.visible, null);
+        }
+        
+        const items = this.spatialIndex.items;
+        const unchanged = items.length === nodes.length && nodes.every((node, i) => items[i] === node);
+        if (unchanged) {
+            this.spatialIndex.refit();
+        } else {
+            this.spatialIndex.build(nodes);
+        }
+        
+        this.spatialIndexDirty = false;
+    }
+    
+    /**
+     * Work out which portal sectors the camera can see this frame (all of them
+     * without portal culling, or when the camera is outside every sector)
+     */
+    updateVisibility(planes, cameraPosition) {
+        this.visibleSectors = this.portalCulling
+            ? this.portalCulling.update(cameraPosition, planes)
+            : null;
+        return this.visibleSectors;
+    }
+    
+    /**
+     * Whether a node is in a sector seen this frame (nodes outside sectors always are)
+     */
+    isInVisibleSector(node) {
+        const sectors = node.sectorsInHierarchy;
+        return !this.visibleSectors || !sectors || sectors.some(id => this.visibleSectors.has(id));
+    }
+    
+    /**
+     * Visible mesh nodes whose bounds reach into a frustum (planes from
+     * Matrix4.extractFrustumPlanes) and whose sectors are in view, in scene graph order
+     */
+    getVisibleMeshes(planes) {
+        if (this.spatialIndexDirty) this.updateSpatialIndex();
+        
+        return this.spatialIndex.queryFrustum(planes)
+            .filter(node => node.visibleInHierarchy && node.getComponent('mesh') && this.isInVisibleSector(node));
+    }
+    
+    /**
+     * Light nodes that can affect what is in view: those in visible sectors, plus any
+     * whose range reaches into one (a torch just past a doorway still lights it)
+     */
+    getVisibleLights() {
+        if (!this.visibleSectors) return this.lightNodes;
+        
+        return this.lightNodes.filter(node => {
+            if (this.isInVisibleSector(node)) return true;
+            const light = node.getComponent('light');
+            return light.type === 'directional' ||
+                this.portalCulling.reachesVisibleSector(node.worldMatrix.getPosition(), light.range);
+        });
     }
     
     /**
@@ -267,6 +408,8 @@ export class Scene extends SceneNode {
         this.renderableNodes = [];
         this.lightNodes = [];
         
+        this.updateSpatialIndex();
+        
         this.traverse((node) => {
             if (!node.visible) return;
             
@@ -289,6 +432,7 @@ export class Scene extends SceneNode {
      */
     update(deltaTime) {
         this.updateableNodes = [];
+        this.spatialIndexDirty = true;
         
         this.traverse((node) => {
             if (!node.active) return;
@@ -309,39 +453,36 @@ export class Scene extends SceneNode {
     }
     
     /**
-     * Get all nodes within radius (for spatial queries)
+     * Get all nodes whose bounds come within radius (mesh nodes by their geometry,
+     * others by their position)
      */
     getNodesInRadius(position, radius) {
-        const results = [];
+        if (this.spatialIndexDirty) this.updateSpatialIndex();
         
-        this.traverse((node) => {
-            const worldPos = node.getWorldPosition();
-            if (worldPos.distance(position) <= radius) {
-                results.push(node);
-            }
-        });
-        
-        return results;
+        return this.spatialIndex.querySphere(position, radius);
     }
     
     /**
-     * Raycast through scene
+     * Raycast through the scene's visible meshes; the spatial index skips those whose
+     * bounds the ray misses. Hits are sorted nearest first.
      */
     raycast(origin, direction, maxDistance = Infinity) {
+        if (this.spatialIndexDirty) this.updateSpatialIndex();
+        
         const hits = [];
         
-        this.traverse((node) => {
+        for (const node of this.spatialIndex.queryRay(origin, direction, maxDistance)) {
             const mesh = node.getComponent('mesh');
-            if (mesh && mesh.raycast) {
-                const hit = mesh.raycast(origin, direction, node.worldMatrix);
-                if (hit && hit.distance <= maxDistance) {
-                    hits.push({
-                        node: node,
-                        ...hit
-                    });
-                }
+            if (!node.visibleInHierarchy || !mesh || !mesh.raycast) continue;
+            
+            const hit = mesh.raycast(origin, direction, node.worldMatrix);
+            if (hit && hit.distance <= maxDistance) {
+                hits.push({
+                    node: node,
+                    ...hit
+                });
             }
-        });
+        }
         
         // Sort by distance
         hits.sort((a, b) => a.distance - b.distance);
@@ -370,10 +511,10 @@ export class Mesh extends SceneNode {
             geometry: geometry,
             material: material,
             
+            // Nearest front-facing triangle along a world-space ray (a triangle BVH is
+            // built for the geometry on first use); distance, point and normal are in world space
             raycast: function(origin, direction, worldMatrix) {
-                // Implement ray-mesh intersection
-                // This is a placeholder - implement based on geometry type
-                return null;
+                return raycastGeometry(this.geometry, origin, direction, worldMatrix);
             },
             
             clone: function() {
@@ -387,6 +528,288 @@ export class Mesh extends SceneNode {
     }
 }
 
+/**
+ * Many copies of one geometry and material (creatures, stalactites, crystals), drawn
+ * with instanced calls. Each instance has a transform relative to the node and a colour
+ * that tints the material's. Writes mark a range of instances dirty so the renderer
+ * re-uploads only those, and per-instance bounding spheres let it skip the ones out of view.
+ * Instances in use are always the first `count`; capacity grows as they are added.
+ */
+export class InstancedMesh extends SceneNode {
+    constructor(geometry, material, capacity = 16, name = 'InstancedMesh') {
+        super(name);
+        if (!(capacity >= 1)) throw new Error('InstancedMesh needs a capacity of at least 1');
+        
+        this.count = 0;
+        this.allocate(Math.ceil(capacity));
+        
+        // Instances changed since the renderer last uploaded them, as { start, end } or null
+        this.dirtyMatrices = null;
+        this.dirtyColors = null;
+        this.localBounds = null; // Box around every instance, rebuilt when one moves
+        
+        const instances = this;
+        this.addComponent('mesh', {
+            geometry: geometry,
+            material: material,
+            instances: this,
+            
+            // Nearest hit on any instance; the hit also says which (instanceIndex)
+            raycast: function(origin, direction, worldMatrix) {
+                let nearest = null;
+                for (let i = 0; i < instances.count; i++) {
+                    if (!instances.rayReaches(i, origin, direction, worldMatrix)) continue;
+                    const hit = raycastGeometry(this.geometry, origin, direction, worldMatrix.multiply(instances.getMatrixAt(i)));
+                    if (hit && (!nearest || hit.distance < nearest.distance)) nearest = { ...hit, instanceIndex: i };
+                }
+                return nearest;
+            }
+        });
+    }
+    
+    allocate(capacity) {
+        const matrices = new Float32Array(capacity * 16);
+        const colors = new Float32Array(capacity * 3).fill(1);
+        const spheres = new Float32Array(capacity * 4); // Local centre and radius per instance
+        if (this.matrices) {
+            matrices.set(this.matrices.subarray(0, this.count * 16));
+            colors.set(this.colors.subarray(0, this.count * 3));
+            spheres.set(this.spheres.subarray(0, this.count * 4));
+        }
+        
+        this.capacity = capacity;
+        this.matrices = matrices;
+        this.colors = colors;
+        this.spheres = spheres;
+    }
+    
+    get geometry() {
+        return this.getComponent('mesh').geometry;
+    }
+    
+    /**
+     * Append an instance (a Matrix4, identity by default, and an optional colour).
+     * Returns its index.
+     */
+    addInstance(matrix = Matrix4.identity(), color = null) {
+        if (this.count === this.capacity) this.allocate(this.capacity * 2);
+        
+        const index = this.count++;
+        this.setMatrixAt(index, matrix);
+        this.setColorAt(index, color || [1, 1, 1]);
+        return index;
+    }
+    
+    /**
+     * Remove an instance by moving the last one into its slot. Returns the index the
+     * moved instance had (so callers can update their bookkeeping), or -1 if none moved.
+     */
+    removeInstance(index) {
+        this.checkIndex(index);
+        const last = --this.count;
+        if (index !== last) {
+            this.matrices.copyWithin(index * 16, last * 16, last * 16 + 16);
+            this.colors.copyWithin(index * 3, last * 3, last * 3 + 3);
+            this.spheres.copyWithin(index * 4, last * 4, last * 4 + 4);
+            this.dirtyMatrices = expandRange(this.dirtyMatrices, index);
+            this.dirtyColors = expandRange(this.dirtyColors, index);
+        }
+        this.localBounds = null;
+        return index !== last ? last : -1;
+    }
+    
+    clear() {
+        this.count = 0;
+        this.localBounds = null;
+    }
+    
+    setMatrixAt(index, matrix) {
+        this.checkIndex(index);
+        this.matrices.set(matrix.elements, index * 16);
+        this.updateSphere(index);
+        this.dirtyMatrices = expandRange(this.dirtyMatrices, index);
+        this.localBounds = null;
+    }
+    
+    /**
+     * Set an instance's transform from a position, an optional rotation (Quaternion) and
+     * scale (a number or Vector3)
+     */
+    setTransformAt(index, position, rotation = null, scale = 1) {
+        const scaleVector = typeof scale === 'number' ? new Vector3(scale, scale, scale) : scale;
+        const rotationMatrix = rotation ? rotation.toMatrix4() : Matrix4.identity();
+        this.setMatrixAt(index, Matrix4.compose(position, rotationMatrix, scaleVector));
+    }
+    
+    getMatrixAt(index) {
+        this.checkIndex(index);
+        return Matrix4.fromArray(this.matrices.subarray(index * 16, index * 16 + 16));
+    }
+    
+    /**
+     * Set an instance's tint from a Vector3 or [r, g, b]
+     */
+    setColorAt(index, color) {
+        this.checkIndex(index);
+        const rgb = color.toArray ? color.toArray() : color;
+        this.colors.set(rgb, index * 3);
+        this.dirtyColors = expandRange(this.dirtyColors, index);
+    }
+    
+    checkIndex(index) {
+        if (!(index >= 0 && index < this.count)) {
+            throw new Error(`Instance ${index} out of range (${this.count} in use)`);
+        }
+    }
+    
+    /**
+     * Hand the dirty ranges to the renderer and start tracking afresh
+     */
+    takeDirtyRanges() {
+        const ranges = { matrices: this.dirtyMatrices, colors: this.dirtyColors };
+        this.dirtyMatrices = null;
+        this.dirtyColors = null;
+        return ranges;
+    }
+    
+    updateSphere(index) {
+        const sphere = getLocalSphere(this.geometry);
+        const e = this.matrices.subarray(index * 16, index * 16 + 16);
+        const { x, y, z } = sphere.center;
+        const scale = Math.sqrt(Math.max(
+            e[0] * e[0] + e[1] * e[1] + e[2] * e[2],
+            e[4] * e[4] + e[5] * e[5] + e[6] * e[6],
+            e[8] * e[8] + e[9] * e[9] + e[10] * e[10]
+        ));
+        this.spheres.set([
+            e[0] * x + e[4] * y + e[8] * z + e[12],
+            e[1] * x + e[5] * y + e[9] * z + e[13],
+            e[2] * x + e[6] * y + e[10] * z + e[14],
+            sphere.radius * scale
+        ], index * 4);
+    }
+    
+    /**
+     * An instance's bounding sphere in world space, as [x, y, z, radius]
+     */
+    getWorldSphere(index, worldMatrix = this.worldMatrix) {
+        const e = worldMatrix.elements;
+        const [lx, ly, lz, localRadius] = this.spheres.subarray(index * 4, index * 4 + 4);
+        const scale = Math.max(...worldMatrix.getScale().toArray());
+        return [
+            e[0] * lx + e[4] * ly + e[8] * lz + e[12],
+            e[1] * lx + e[5] * ly + e[9] * lz + e[13],
+            e[2] * lx + e[6] * ly + e[10] * lz + e[14],
+            localRadius * scale
+        ];
+    }
+    
+    /**
+     * Whether a ray passes through an instance's bounding sphere
+     */
+    rayReaches(index, origin, direction, worldMatrix = this.worldMatrix) {
+        const [x, y, z, radius] = this.getWorldSphere(index, worldMatrix);
+        const dx = x - origin.x, dy = y - origin.y, dz = z - origin.z;
+        const along = Math.max(0, (dx * direction.x + dy * direction.y + dz * direction.z) / direction.length());
+        const distanceSq = dx * dx + dy * dy + dz * dz - along * along;
+        return distanceSq <= radius * radius;
+    }
+    
+    /**
+     * Indices of the instances whose bounding spheres reach into a world-space box.
+     * Assumes worldMatrix is current.
+     */
+    queryBox(min, max) {
+        const indices = [];
+        for (let i = 0; i < this.count; i++) {
+            const [x, y, z, radius] = this.getWorldSphere(i);
+            const dx = Math.max(min.x - x, 0, x - max.x);
+            const dy = Math.max(min.y - y, 0, y - max.y);
+            const dz = Math.max(min.z - z, 0, z - max.z);
+            if (dx * dx + dy * dy + dz * dz <= radius * radius) indices.push(i);
+        }
+        return indices;
+    }
+    
+    /**
+     * World-space box around every instance (a point at the node without any)
+     */
+    computeWorldBounds() {
+        const bounds = this.worldBounds || { min: new Vector3(), max: new Vector3() };
+        this.worldBounds = bounds;
+        if (this.count === 0) {
+            const position = this.worldMatrix.getPosition();
+            bounds.min.copy(position);
+            bounds.max.copy(position);
+            return bounds;
+        }
+        
+        if (!this.localBounds) {
+            const min = new Vector3(Infinity, Infinity, Infinity);
+            const max = new Vector3(-Infinity, -Infinity, -Infinity);
+            for (let i = 0; i < this.count; i++) {
+                const [x, y, z, radius] = this.spheres.subarray(i * 4, i * 4 + 4);
+                min.set(Math.min(min.x, x - radius), Math.min(min.y, y - radius), Math.min(min.z, z - radius));
+                max.set(Math.max(max.x, x + radius), Math.max(max.y, y + radius), Math.max(max.z, z + radius));
+            }
+            this.localBounds = { min, max };
+        }
+        
+        return transformBox(this.localBounds, this.worldMatrix, bounds);
+    }
+    
+    /**
+     * Runs of instances whose bounding spheres reach into a frustum (planes from
+     * Matrix4.extractFrustumPlanes), as [{ start, count }]. Beyond maxRanges runs, the
+     * ones with the smallest gaps between them are joined. Without planes every
+     * instance is in view. Assumes worldMatrix is current.
+     */
+    getVisibleRanges(planes = null, maxRanges = MAX_INSTANCE_RANGES) {
+        if (this.count === 0) return [];
+        if (!planes) return [{ start: 0, count: this.count }];
+        
+        const e = this.worldMatrix.elements;
+        const scale = Math.max(...this.worldMatrix.getScale().toArray());
+        const runs = [];
+        let run = null;
+        for (let i = 0; i < this.count; i++) {
+            const [lx, ly, lz, localRadius] = this.spheres.subarray(i * 4, i * 4 + 4);
+            const x = e[0] * lx + e[4] * ly + e[8] * lz + e[12];
+            const y = e[1] * lx + e[5] * ly + e[9] * lz + e[13];
+            const z = e[2] * lx + e[6] * ly + e[10] * lz + e[14];
+            const radius = localRadius * scale;
+            const inside = planes.every(({ normal, distance }) => normal.x * x + normal.y * y + normal.z * z + distance >= -radius);
+            
+            if (!inside) {
+                run = null;
+            } else if (run) {
+                run.count++;
+            } else {
+                run = { start: i, count: 1 };
+                runs.push(run);
+            }
+        }
+        if (runs.length <= maxRanges) return runs;
+        
+        // Close the smallest gaps; gap i lies between run i and run i + 1
+        const gap = i => runs[i + 1].start - runs[i].start - runs[i].count;
+        const closed = new Set(runs.slice(1).map((_, i) => i)
+            .sort((a, b) => gap(a) - gap(b) || a - b)
+            .slice(0, runs.length - maxRanges));
+        
+        const merged = [runs[0]];
+        for (let i = 1; i < runs.length; i++) {
+            const current = merged[merged.length - 1];
+            if (closed.has(i - 1)) {
+                current.count = runs[i].start + runs[i].count - current.start;
+            } else {
+                merged.push(runs[i]);
+            }
+        }
+        return merged;
+    }
+}
+
 /**
  * Light node
  */
@@ -399,6 +822,9 @@ export class Light extends SceneNode {
             color: new Vector3(1, 1, 1),
             intensity: 1,
             
+            // Directional/spot lights shine along this local direction
+            direction: new Vector3(0, -1, 0),
+            
             // Point/spot light properties
             range: 10,
             decay: 1,
@@ -415,6 +841,7 @@ export class Light extends SceneNode {
             clone: function() {
                 const cloned = { ...this };
                 cloned.color = this.color.clone();
+                cloned.direction = this.direction.clone();
                 return cloned;
             }
         });
@@ -498,4 +925,89 @@ export class RoomNode extends Group {
         };
         return opposites[direction] || direction;
     }
-}
\ No newline at end of file
+}
+
+function getLocalBounds(geometry) {
+    let bounds = localBoundsCache.get(geometry);
+    if (!bounds) {
+        bounds = GeometryBuilder.computeBoundingBox(geometry);
+        localBoundsCache.set(geometry, bounds);
+    }
+    return bounds;
+}
+
+function getLocalSphere(geometry) {
+    let sphere = localSphereCache.get(geometry);
+    if (!sphere) {
+        sphere = GeometryBuilder.computeBoundingSphere(geometry);
+        localSphereCache.set(geometry, sphere);
+    }
+    return sphere;
+}
+
+/**
+ * Grow an { start, end } range of indices (end exclusive) to include one more
+ */
+function expandRange(range, index) {
+    if (!range) return { start: index, end: index + 1 };
+    range.start = Math.min(range.start, index);
+    range.end = Math.max(range.end, index + 1);
+    return range;
+}
+
+/**
+ * Ray hit on a geometry placed in the world by worldMatrix (see Mesh's raycast)
+ */
+function raycastGeometry(geometry, origin, direction, worldMatrix) {
+    if (!geometry || !geometry.indices) return null;
+    
+    const inverse = worldMatrix.inverse();
+    if (!inverse) return null;
+    
+    const hit = MeshBVH.forGeometry(geometry).raycast(
+        inverse.transformVector3(origin),
+        inverse.transformVector3Direction(direction)
+    );
+    if (!hit) return null;
+    
+    const point = worldMatrix.transformVector3(hit.point);
+    return {
+        distance: point.distance(origin),
+        point,
+        normal: transformNormal(inverse, hit.normal),
+        faceIndex: hit.faceIndex
+    };
+}
+
+/**
+ * Box around a transformed box: the centre moves with the matrix and each world
+ * half-extent sums the local half-extents through the absolute rotation/scale
+ */
+function transformBox(box, matrix, out) {
+    const e = matrix.elements;
+    const cx = (box.min.x + box.max.x) / 2, cy = (box.min.y + box.max.y) / 2, cz = (box.min.z + box.max.z) / 2;
+    const hx = (box.max.x - box.min.x) / 2, hy = (box.max.y - box.min.y) / 2, hz = (box.max.z - box.min.z) / 2;
+
+    const x = e[0] * cx + e[4] * cy + e[8] * cz + e[12];
+    const y = e[1] * cx + e[5] * cy + e[9] * cz + e[13];
+    const z = e[2] * cx + e[6] * cy + e[10] * cz + e[14];
+    const ex = Math.abs(e[0]) * hx + Math.abs(e[4]) * hy + Math.abs(e[8]) * hz;
+    const ey = Math.abs(e[1]) * hx + Math.abs(e[5]) * hy + Math.abs(e[9]) * hz;
+    const ez = Math.abs(e[2]) * hx + Math.abs(e[6]) * hy + Math.abs(e[10]) * hz;
+
+    out.min.set(x - ex, y - ey, z - ez);
+    out.max.set(x + ex, y + ey, z + ez);
+    return out;
+}
+
+/**
+ * Normal through the inverse transpose, so it stays perpendicular under non-uniform scale
+ */
+function transformNormal(inverse, normal) {
+    const e = inverse.elements;
+    return new Vector3(
+        e[0] * normal.x + e[1] * normal.y + e[2] * normal.z,
+        e[4] * normal.x + e[5] * normal.y + e[6] * normal.z,
+        e[8] * normal.x + e[9] * normal.y + e[10] * normal.z
+    ).normalize();
+}
@@ -0,0 +1,139 @@
+/**
+ * ShadowMaps - Chooses which lights cast shadows each frame and builds their light matrices
+ * Spot and directional lights render one depth map, point lights a six-face cube map.
+ * Depths are stored linearly (distance / far for spot and point lights) so a light's
+ * shadowBias means the same fraction of its range whatever the projection.
+ */
+
+import { Matrix4 } from '../math/Matrix4.js';
+import { Vector3 } from '../math/Vector3.js';
+
+export const MAX_SHADOW_MAPS = 2;       // Spot and directional lights
+export const MAX_POINT_SHADOW_MAPS = 2; // Point lights (cube maps)
+
+const SHADOW_NEAR = 0.05;
+
+// Directional shadows cover a box this many units either side of the camera
+const DIRECTIONAL_SHADOW_EXTENT = 40;
+
+// Cube map faces in GL order (+X, -X, +Y, -Y, +Z, -Z) with the up vectors the cube map layout expects
+const CUBE_FACES = [
+    { direction: new Vector3(1, 0, 0), up: new Vector3(0, -1, 0) },
+    { direction: new Vector3(-1, 0, 0), up: new Vector3(0, -1, 0) },
+    { direction: new Vector3(0, 1, 0), up: new Vector3(0, 0, 1) },
+    { direction: new Vector3(0, -1, 0), up: new Vector3(0, 0, -1) },
+    { direction: new Vector3(0, 0, 1), up: new Vector3(0, -1, 0) },
+    { direction: new Vector3(0, 0, -1), up: new Vector3(0, -1, 0) }
+];
+
+export class ShadowMaps {
+    constructor(options = {}) {
+        this.maxMaps = options.maxMaps ?? MAX_SHADOW_MAPS;
+        this.maxPointMaps = options.maxPointMaps ?? MAX_POINT_SHADOW_MAPS;
+        this.directionalExtent = options.directionalExtent ?? DIRECTIONAL_SHADOW_EXTENT;
+
+        this.enabled = true;
+        this.shadows = [];
+    }
+
+    /**
+     * Give this frame's shadow-casting lights a shadow map each, nearest to the camera first.
+     * Each chosen light gets a `shadow` record; index counts the 2D maps first, then the cube maps.
+     */
+    update(lights, cameraPosition = Vector3.zero()) {
+        this.shadows = [];
+        for (const light of lights) {
+            light.shadow = null;
+        }
+        if (!this.enabled) return this.shadows;
+
+        const casters = lights
+            .filter(light => light.castShadow)
+            .map(light => ({
+                light,
+                distance: light.type === 'directional' ? -1 : light.position.distance(cameraPosition)
+            }))
+            .sort((a, b) => a.distance - b.distance);
+
+        let maps = 0;
+        let pointMaps = 0;
+
+        for (const { light } of casters) {
+            const resolution = light.shadowResolution || 1024;
+            const bias = light.shadowBias ?? 0.001;
+            let shadow;
+
+            if (light.type === 'point') {
+                if (pointMaps >= this.maxPointMaps) continue;
+                shadow = {
+                    index: this.maxMaps + pointMaps,
+                    cube: true,
+                    far: light.range,
+                    matrices: ShadowMaps.getCubeFaceMatrices(light.position, light.range)
+                };
+                pointMaps++;
+            } else {
+                if (maps >= this.maxMaps) continue;
+                shadow = light.type === 'spot' ? {
+                    index: maps,
+                    cube: false,
+                    far: light.range,
+                    matrices: [ShadowMaps.getSpotMatrix(light)]
+                } : {
+                    index: maps,
+                    cube: false,
+                    far: 0, // Orthographic depth is already linear
+                    matrices: [ShadowMaps.getDirectionalMatrix(light, cameraPosition, this.directionalExtent, resolution)]
+                };
+                maps++;
+            }
+
+            Object.assign(shadow, { light, resolution, bias, position: light.position || Vector3.zero() });
+            light.shadow = shadow;
+            this.shadows.push(shadow);
+        }
+
+        return this.shadows;
+    }
+
+    /**
+     * Perspective view-projection looking down a spot light's cone
+     */
+    static getSpotMatrix(light) {
+        const fov = Math.min(2 * (light.angle ?? Math.PI / 3), Math.PI * 0.95);
+        const view = Matrix4.lookAt(light.position, light.position.add(light.direction), getUpVector(light.direction));
+        return Matrix4.perspective(fov, 1, SHADOW_NEAR, light.range).multiply(view);
+    }
+
+    /**
+     * Orthographic view-projection along a directional light, centred on a point (usually the
+     * camera). The centre is snapped to whole texels so the shadow edges don't crawl as it moves.
+     */
+    static getDirectionalMatrix(light, center, extent = DIRECTIONAL_SHADOW_EXTENT, resolution = 1024) {
+        const view = Matrix4.lookAt(Vector3.zero(), light.direction, getUpVector(light.direction));
+        const local = view.transformVector3(center);
+
+        const texel = 2 * extent / resolution;
+        const x = Math.round(local.x / texel) * texel;
+        const y = Math.round(local.y / texel) * texel;
+        const z = Math.round(local.z / texel) * texel;
+        const depth = extent * 2;
+
+        return Matrix4.orthographic(x - extent, x + extent, y - extent, y + extent, -z - depth, -z + depth)
+            .multiply(view);
+    }
+
+    /**
+     * The six 90 degree view-projections of a point light's cube map
+     */
+    static getCubeFaceMatrices(position, far) {
+        const projection = Matrix4.perspective(Math.PI / 2, 1, SHADOW_NEAR, far);
+        return CUBE_FACES.map(face =>
+            projection.multiply(Matrix4.lookAt(position, position.add(face.direction), face.up))
+        );
+    }
+}
+
+function getUpVector(direction) {
+    return Math.abs(direction.y) > 0.99 ? new Vector3(0, 0, 1) : new Vector3(0, 1, 0);
+}
@@ -0,0 +1,229 @@
+/**
+ * SpatialIndex - Bounding volume hierarchy over axis-aligned boxes
+ * Items are anything with world bounds ({min, max} Vector3s). The tree is built once
+ * with median splits and refitted in place while the items move, so queries for the
+ * frustum, a box, a sphere or a ray only visit the branches that can overlap.
+ */
+
+const MAX_LEAF_SIZE = 4;
+
+export class BVH {
+    constructor(options = {}) {
+        this.getBounds = options.getBounds || (item => item.bounds);
+        this.maxLeafSize = options.maxLeafSize ?? MAX_LEAF_SIZE;
+
+        this.items = [];
+        this.root = null;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Rebuild the tree from scratch (call when items are added or removed)
+     */
+    build(items) {
+        this.items = items.slice();
+        const order = this.items.map((_, i) => i);
+        this.root = this.items.length > 0 ? this.buildNode(order, 0, order.length) : null;
+        return this;
+    }
+
+    /**
+     * Recompute every node's box from its items' current bounds, keeping the tree shape.
+     * Cheap enough every frame; rebuild instead if items have moved far from their neighbours.
+     */
+    refit() {
+        if (this.root) this.refitNode(this.root);
+        return this;
+    }
+
+    /**
+     * Items whose bounds are at least partly inside all planes ({normal, distance},
+     * inside where normal·p + distance >= 0, as from Matrix4.extractFrustumPlanes).
+     * Results keep the order items were built in.
+     */
+    queryFrustum(planes) {
+        return this.query(box => frustumIntersectsBox(planes, box));
+    }
+
+    /**
+     * Items whose bounds overlap the box
+     */
+    queryBox(min, max) {
+        const query = { min: [min.x, min.y, min.z], max: [max.x, max.y, max.z] };
+        return this.query(box => boxesOverlap(query, box));
+    }
+
+    /**
+     * Items whose bounds come within radius of a point
+     */
+    querySphere(center, radius) {
+        const radiusSq = radius * radius;
+        return this.query(box => distanceSqToBox(center, box) <= radiusSq);
+    }
+
+    /**
+     * Items whose bounds a ray passes through within maxDistance
+     */
+    queryRay(origin, direction, maxDistance = Infinity) {
+        const from = [origin.x, origin.y, origin.z];
+        const inverse = [1 / direction.x, 1 / direction.y, 1 / direction.z];
+        return this.query(box => rayBoxDistance(from, inverse, box.min, box.max, maxDistance) !== null);
+    }
+
+    /**
+     * Walk the tree, descending into nodes (and testing items) whose box passes the test
+     */
+    query(test) {
+        const hits = [];
+        if (!this.root) return hits;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!test(node)) continue;
+
+            if (node.indices) {
+                for (const index of node.indices) {
+                    if (test(toArrays(this.getBounds(this.items[index])))) hits.push(index);
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+
+        return hits.sort((a, b) => a - b).map(index => this.items[index]);
+    }
+
+    buildNode(order, start, end) {
+        const node = emptyBox();
+        const centroidBox = emptyBox();
+
+        for (let i = start; i < end; i++) {
+            const bounds = this.getBounds(this.items[order[i]]);
+            expandBox(node, bounds.min, bounds.max);
+            expandBox(centroidBox, bounds.min, bounds.max, 0.5);
+        }
+
+        if (end - start <= this.maxLeafSize) {
+            node.indices = order.slice(start, end);
+            return node;
+        }
+
+        // Split at the median centroid along the widest axis of the centroids
+        const extent = [0, 1, 2].map(axis => centroidBox.max[axis] - centroidBox.min[axis]);
+        const axis = extent.indexOf(Math.max(...extent));
+        const centroid = index => {
+            const bounds = this.getBounds(this.items[index]);
+            return bounds.min.toArray()[axis] + bounds.max.toArray()[axis];
+        };
+
+        const sorted = order.slice(start, end).sort((a, b) => centroid(a) - centroid(b));
+        order.splice(start, sorted.length, ...sorted);
+
+        const middle = (start + end) >> 1;
+        node.left = this.buildNode(order, start, middle);
+        node.right = this.buildNode(order, middle, end);
+        return node;
+    }
+
+    refitNode(node) {
+        resetBox(node);
+
+        if (node.indices) {
+            for (const index of node.indices) {
+                const bounds = this.getBounds(this.items[index]);
+                expandBox(node, bounds.min, bounds.max);
+            }
+        } else {
+            this.refitNode(node.left);
+            this.refitNode(node.right);
+            expandBox(node, node.left.min, node.left.max);
+            expandBox(node, node.right.min, node.right.max);
+        }
+    }
+}
+
+function emptyBox() {
+    return { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+}
+
+function resetBox(box) {
+    box.min.fill(Infinity);
+    box.max.fill(-Infinity);
+}
+
+/**
+ * Grow a box to hold another, given as Vector3s or [x, y, z]. With scale 0.5 it
+ * grows by the other box's centre instead (used for centroid bounds).
+ */
+function expandBox(box, min, max, scale = 1) {
+    const lo = Array.isArray(min) ? min : [min.x, min.y, min.z];
+    const hi = Array.isArray(max) ? max : [max.x, max.y, max.z];
+
+    for (let axis = 0; axis < 3; axis++) {
+        const a = scale === 1 ? lo[axis] : (lo[axis] + hi[axis]) * scale;
+        const b = scale === 1 ? hi[axis] : a;
+        if (a < box.min[axis]) box.min[axis] = a;
+        if (b > box.max[axis]) box.max[axis] = b;
+    }
+}
+
+function toArrays(bounds) {
+    return { min: [bounds.min.x, bounds.min.y, bounds.min.z], max: [bounds.max.x, bounds.max.y, bounds.max.z] };
+}
+
+function boxesOverlap(a, b) {
+    for (let axis = 0; axis < 3; axis++) {
+        if (a.max[axis] < b.min[axis] || a.min[axis] > b.max[axis]) return false;
+    }
+    return true;
+}
+
+function distanceSqToBox(point, box) {
+    const p = [point.x, point.y, point.z];
+    let distanceSq = 0;
+
+    for (let axis = 0; axis < 3; axis++) {
+        const d = Math.max(box.min[axis] - p[axis], 0, p[axis] - box.max[axis]);
+        distanceSq += d * d;
+    }
+    return distanceSq;
+}
+
+/**
+ * A box is outside the frustum when its corner furthest along some plane's normal is behind it
+ */
+function frustumIntersectsBox(planes, box) {
+    for (const { normal, distance } of planes) {
+        const x = normal.x >= 0 ? box.max[0] : box.min[0];
+        const y = normal.y >= 0 ? box.max[1] : box.min[1];
+        const z = normal.z >= 0 ? box.max[2] : box.min[2];
+        if (normal.x * x + normal.y * y + normal.z * z + distance < 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Slab test: distance along the ray to an axis-aligned box, or null if it misses
+ * (or only meets it beyond maxDistance). `inverse` is 1 / direction per axis.
+ */
+export function rayBoxDistance(origin, inverse, min, max, maxDistance = Infinity) {
+    let near = 0;
+    let far = maxDistance;
+
+    for (let axis = 0; axis < 3; axis++) {
+        let t1 = (min[axis] - origin[axis]) * inverse[axis];
+        let t2 = (max[axis] - origin[axis]) * inverse[axis];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+
+        // A ray parallel to the slab and starting inside it gives NaN; it stays inside
+        if (!Number.isNaN(t1)) near = Math.max(near, t1);
+        if (!Number.isNaN(t2)) far = Math.min(far, t2);
+        if (near > far) return null;
+    }
+
+    return near;
+}
@@ -5,12 +5,196 @@
 
 import { Matrix4 } from '../math/Matrix4.js';
 import { Vector3 } from '../math/Vector3.js';
+import { GeometryBuilder } from './GeometryBuilder.js';
+import { ForwardLighting, MAX_LIGHTS } from './ForwardLighting.js';
+import { ShadowMaps, MAX_SHADOW_MAPS, MAX_POINT_SHADOW_MAPS } from './ShadowMaps.js';
+
+const SHADOW_UNIT = 0; // Shadow maps take the first texture units, 2D maps before cube maps
+const MAP_UNIT = SHADOW_UNIT + MAX_SHADOW_MAPS + MAX_POINT_SHADOW_MAPS;
+
+// Lit programs by Material type, with the defines that specialise the shared shader
+const MATERIAL_PROGRAMS = {
+    phong: [],
+    textured: ['USE_UV_MAP'],
+    triplanar: ['USE_TRIPLANAR_MAP']
+};
+
+// Instanced variants of the lit and shadow programs are named with this suffix
+const INSTANCED = ':instanced';
+
+// Depths are packed into RGBA8 so shadow maps work without depth texture or float extensions
+const DEPTH_PACKING_GLSL = `
+            vec4 packDepth(float depth) {
+                vec4 enc = fract(min(depth, 0.999999) * vec4(1.0, 255.0, 65025.0, 16581375.0));
+                return enc - enc.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+            }
+            float unpackDepth(vec4 rgba) {
+                return dot(rgba, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+            }`;
+
+// Samplers can't be indexed dynamically in GLSL ES 1.0, so each shadow map gets its own branch
+const shadowSlots = (count, first = 0) => Array.from({ length: count }, (_, i) => first + i);
+
+const SHADOW_GLSL = `
+            #define MAX_SHADOW_MAPS ${MAX_SHADOW_MAPS}
+            #define MAX_POINT_SHADOW_MAPS ${MAX_POINT_SHADOW_MAPS}
+            ${shadowSlots(MAX_SHADOW_MAPS).map(i => `uniform sampler2D u_shadowMap${i};`).join('\n            ')}
+            ${shadowSlots(MAX_POINT_SHADOW_MAPS).map(i => `uniform samplerCube u_pointShadowMap${i};`).join('\n            ')}
+            uniform mat4 u_shadowMatrix[MAX_SHADOW_MAPS];
+            uniform vec4 u_shadowParams[MAX_SHADOW_MAPS + MAX_POINT_SHADOW_MAPS]; // texel size, far (0 = projected depth)
+            ${DEPTH_PACKING_GLSL}
+
+            // 3x3 PCF over a spot or directional shadow map
+            float sampleShadowMap(sampler2D map, mat4 matrix, vec4 params, vec3 worldPos, vec3 lightPos, float bias) {
+                vec4 clip = matrix * vec4(worldPos, 1.0);
+                if (clip.w <= 0.0) return 1.0;
+                vec3 coords = clip.xyz / clip.w * 0.5 + 0.5;
+                if (coords.x < 0.0 || coords.x > 1.0 || coords.y < 0.0 || coords.y > 1.0) return 1.0;
+
+                float depth = params.y > 0.0 ? length(worldPos - lightPos) / params.y : coords.z;
+                if (depth > 1.0) return 1.0;
+
+                float lit = 0.0;
+                for (int x = -1; x <= 1; x++) {
+                    for (int y = -1; y <= 1; y++) {
+                        vec2 offset = vec2(float(x), float(y)) * params.x;
+                        lit += step(depth - bias, unpackDepth(texture2D(map, coords.xy + offset)));
+                    }
+                }
+                return lit / 9.0;
+            }
+
+            // 8-tap PCF around the lookup direction of a point light's cube map
+            float samplePointShadowMap(samplerCube map, vec4 params, vec3 worldPos, vec3 lightPos, float bias) {
+                vec3 toFragment = worldPos - lightPos;
+                float distance = length(toFragment);
+                float depth = distance / params.y;
+                if (depth > 1.0) return 1.0;
+
+                // A face spans two units at distance one, so a texel is 2 * distance / resolution wide
+                float radius = 2.0 * distance * params.x;
+                float lit = 0.0;
+                for (int i = 0; i < 8; i++) {
+                    float n = float(i);
+                    vec3 corner = vec3(mod(n, 2.0), mod(floor(n / 2.0), 2.0), floor(n / 4.0)) * 2.0 - 1.0;
+                    lit += step(depth - bias, unpackDepth(textureCube(map, toFragment + corner * radius)));
+                }
+                return lit / 8.0;
+            }
+
+            float shadowFactor(int index, vec3 worldPos, vec3 lightPos, float bias) {
+                ${shadowSlots(MAX_SHADOW_MAPS).map(i => `if (index == ${i}) return sampleShadowMap(u_shadowMap${i}, u_shadowMatrix[${i}], u_shadowParams[${i}], worldPos, lightPos, bias);`).join('\n                ')}
+                ${shadowSlots(MAX_POINT_SHADOW_MAPS, MAX_SHADOW_MAPS).map(i => `if (index == ${i}) return samplePointShadowMap(u_pointShadowMap${i - MAX_SHADOW_MAPS}, u_shadowParams[${i}], worldPos, lightPos, bias);`).join('\n                ')}
+                return 1.0;
+            }`;
+
+// Surface colour per material program: flat, UV-mapped, or triplanar, which blends
+// three world-axis projections by how squarely the surface faces each axis. Instances
+// tint the material colour with their own.
+const MATERIAL_GLSL = `
+            uniform vec3 u_color;
+            uniform sampler2D u_map;
+            uniform float u_textureScale;
+
+            vec3 albedo(vec3 normal, vec3 worldPos) {
+            #ifdef USE_INSTANCING
+                vec3 color = u_color * v_instanceColor;
+            #else
+                vec3 color = u_color;
+            #endif
+            #if defined(USE_UV_MAP)
+                return color * texture2D(u_map, v_uv * u_textureScale).rgb;
+            #elif defined(USE_TRIPLANAR_MAP)
+                vec3 blend = pow(abs(normal), vec3(4.0));
+                blend /= dot(blend, vec3(1.0));
+                vec3 p = worldPos * u_textureScale;
+                vec3 texel = texture2D(u_map, p.zy).rgb * blend.x +
+                    texture2D(u_map, p.xz).rgb * blend.y +
+                    texture2D(u_map, p.xy).rgb * blend.z;
+                return color * texel;
+            #else
+                return color;
+            #endif
+            }`;
+
+// Vertex-stage model matrix: the node's, times the instance's when instancing
+const MODEL_MATRIX_GLSL = `
+            mat4 modelMatrix() {
+            #ifdef USE_INSTANCING
+                return u_modelMatrix * a_instanceMatrix;
+            #else
+                return u_modelMatrix;
+            #endif
+            }`;
+
+// Forward shading: ambient plus up to MAX_LIGHTS directional, point and spot lights.
+// Point and spot lights fade to zero at their range: (1 - d / range) ^ decay.
+// Lights with a shadow map (u_lightCone.z >= 0) are filtered by shadowFactor.
+const LIGHTING_GLSL = `
+            #define MAX_LIGHTS ${MAX_LIGHTS}
+            uniform float u_emissive;
+            uniform float u_roughness;
+            uniform float u_opacity;
+            uniform vec3 u_cameraPosition;
+            uniform vec3 u_ambientLight;
+            uniform int u_lightCount;
+            uniform vec4 u_lightPosition[MAX_LIGHTS];
+            uniform vec4 u_lightColor[MAX_LIGHTS];
+            uniform vec4 u_lightDirection[MAX_LIGHTS];
+            uniform vec4 u_lightCone[MAX_LIGHTS];
+            ${SHADOW_GLSL}
+
+            vec4 shade(vec3 normal, vec3 worldPos) {
+                vec3 viewDir = normalize(u_cameraPosition - worldPos);
+                float shininess = mix(64.0, 4.0, u_roughness);
+                float specularStrength = (1.0 - u_roughness) * 0.5;
+                vec3 diffuse = vec3(0.0);
+                vec3 specular = vec3(0.0);
+
+                for (int i = 0; i < MAX_LIGHTS; i++) {
+                    if (i >= u_lightCount) break;
+
+                    vec3 lightDir;
+                    float attenuation = 1.0;
+                    if (u_lightPosition[i].w < 0.5) {
+                        lightDir = -normalize(u_lightDirection[i].xyz);
+                    } else {
+                        vec3 toLight = u_lightPosition[i].xyz - worldPos;
+                        float distance = length(toLight);
+                        lightDir = toLight / max(distance, 0.0001);
+                        attenuation = pow(clamp(1.0 - distance / u_lightColor[i].w, 0.0, 1.0), u_lightDirection[i].w);
+
+                        if (u_lightPosition[i].w > 1.5) {
+                            float cosAngle = dot(-lightDir, normalize(u_lightDirection[i].xyz));
+                            attenuation *= smoothstep(u_lightCone[i].x, u_lightCone[i].y, cosAngle);
+                        }
+                    }
+
+                    float lambert = max(dot(normal, lightDir), 0.0);
+                    if (u_lightCone[i].z > -0.5 && lambert > 0.0 && attenuation > 0.0) {
+                        // Push the lookup off the surface and steepen the bias at grazing angles to avoid acne
+                        vec3 shadowPos = worldPos + normal * 0.04;
+                        float bias = u_lightCone[i].w * (1.0 + 4.0 * (1.0 - lambert));
+                        attenuation *= shadowFactor(int(u_lightCone[i].z + 0.5), shadowPos, u_lightPosition[i].xyz, bias);
+                    }
+                    vec3 radiance = u_lightColor[i].rgb * attenuation;
+                    diffuse += radiance * lambert;
+
+                    vec3 halfDir = normalize(lightDir + viewDir);
+                    specular += radiance * pow(max(dot(normal, halfDir), 0.0), shininess) * step(0.0001, lambert);
+                }
+
+                vec3 color = albedo(normal, worldPos) * (u_ambientLight + diffuse + u_emissive) + specular * specularStrength;
+                return vec4(color, u_opacity);
+            }`;
 
 export class WebGLRenderer {
     constructor(canvas) {
         this.canvas = canvas;
         this.gl = null;
         this.isInitialized = false;
+        this.supportsUint32Indices = false; // WebGL2 or OES_element_index_uint
+        this.instancing = null; // Instanced drawing (WebGL2 or ANGLE_instanced_arrays), if supported
         
         // Rendering state
         this.viewMatrix = Matrix4.identity();
@@ -27,6 +211,18 @@ export class WebGLRenderer {
 
         // NEW: Buffer Caching System
         this.bufferCache = new Map();
+        this.instanceBuffers = new Map(); // InstancedMesh -> per-instance matrix and colour buffers
+        this.textureCache = new Map(); // Texture asset or image -> WebGL texture
+        this.fallbackTexture = null;   // White, for maps that haven't loaded
+
+        // Lights for the current frame
+        this.lighting = new ForwardLighting();
+
+        // Shadow maps, keyed by shadow index and reallocated when a light's resolution changes
+        this.shadowMaps = new ShadowMaps();
+        this.shadowTargets = new Map();
+        this.shadowMatrices = new Float32Array(MAX_SHADOW_MAPS * 16);
+        this.shadowParams = new Float32Array((MAX_SHADOW_MAPS + MAX_POINT_SHADOW_MAPS) * 4);
     }
     
     async initialize() {
@@ -36,10 +232,13 @@ export class WebGLRenderer {
             if (!this.gl) throw new Error('Unable to get WebGL context');
             
             this.isWebGL2 = this.gl instanceof WebGL2RenderingContext;
+            this.supportsUint32Indices = this.isWebGL2 || !!this.gl.getExtension('OES_element_index_uint');
+            this.instancing = this.getInstancing();
             console.log(`✅ WebGL ${this.isWebGL2 ? '2' : '1'} context created`);
             
             this.setupWebGLState();
-            await this.createBasicShaders();
+            await this.createShaders();
+            this.createFallbackTexture();
             this.resize();
             
             this.isInitialized = true;
@@ -50,6 +249,27 @@ export class WebGLRenderer {
         }
     }
     
+    /**
+     * Instanced drawing as { vertexAttribDivisor, drawElementsInstanced }, from WebGL2 or
+     * WebGL1's ANGLE_instanced_arrays extension, or null without either
+     */
+    getInstancing() {
+        const gl = this.gl;
+        if (this.isWebGL2) {
+            return {
+                vertexAttribDivisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+                drawElementsInstanced: (mode, count, type, offset, instances) => gl.drawElementsInstanced(mode, count, type, offset, instances)
+            };
+        }
+
+        const extension = gl.getExtension('ANGLE_instanced_arrays');
+        if (!extension) return null;
+        return {
+            vertexAttribDivisor: (location, divisor) => extension.vertexAttribDivisorANGLE(location, divisor),
+            drawElementsInstanced: (mode, count, type, offset, instances) => extension.drawElementsInstancedANGLE(mode, count, type, offset, instances)
+        };
+    }
+    
     setupWebGLState() {
         const gl = this.gl;
         gl.enable(gl.DEPTH_TEST);
@@ -62,8 +282,42 @@ export class WebGLRenderer {
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
     }
     
-    async createBasicShaders() {
+    async createShaders() {
+        for (const [name, defines] of Object.entries(MATERIAL_PROGRAMS)) {
+            this.programs.set(name, this.createLitProgram(defines));
+            if (this.instancing) {
+                this.programs.set(name + INSTANCED, this.createLitProgram([...defines, 'USE_INSTANCING']));
+            }
+        }
+
+        this.programs.set('shadow', this.createShadowProgram());
+        if (this.instancing) {
+            this.programs.set('shadow' + INSTANCED, this.createShadowProgram(['USE_INSTANCING']));
+        }
+    }
+
+    /**
+     * Material program with its samplers given fixed units up front; a 2D and a cube
+     * sampler may never share one
+     */
+    createLitProgram(defines) {
+        const programInfo = this.createMaterialProgram(defines);
+        programInfo.lit = true;
+
+        this.gl.useProgram(programInfo.program);
+        programInfo.uniforms.shadowMaps.forEach((location, i) => this.gl.uniform1i(location, SHADOW_UNIT + i));
+        this.gl.uniform1i(programInfo.uniforms.map, MAP_UNIT);
+        return programInfo;
+    }
+
+    /**
+     * Lit program for one material type, specialised by preprocessor defines
+     */
+    createMaterialProgram(defines) {
+        const header = defines.map(define => `#define ${define}`).join('\n            ');
+
         const vertexSrc = this.isWebGL2 ? `#version 300 es
+            ${header}
             in vec3 a_position;
             in vec3 a_normal;
             uniform mat4 u_modelMatrix;
@@ -71,13 +325,31 @@ export class WebGLRenderer {
             uniform mat4 u_projectionMatrix;
             out vec3 v_normal;
             out vec3 v_worldPos;
+            #ifdef USE_UV_MAP
+            in vec2 a_uv;
+            out vec2 v_uv;
+            #endif
+            #ifdef USE_INSTANCING
+            in mat4 a_instanceMatrix;
+            in vec3 a_instanceColor;
+            out vec3 v_instanceColor;
+            #endif
+            ${MODEL_MATRIX_GLSL}
             void main() {
-                vec4 worldPos = u_modelMatrix * vec4(a_position, 1.0);
+                mat4 model = modelMatrix();
+                vec4 worldPos = model * vec4(a_position, 1.0);
                 v_worldPos = worldPos.xyz;
-                mat3 normalMatrix = mat3(transpose(inverse(u_modelMatrix)));
+                mat3 normalMatrix = mat3(transpose(inverse(model)));
                 v_normal = normalize(normalMatrix * a_normal);
+                #ifdef USE_UV_MAP
+                v_uv = a_uv;
+                #endif
+                #ifdef USE_INSTANCING
+                v_instanceColor = a_instanceColor;
+                #endif
                 gl_Position = u_projectionMatrix * u_viewMatrix * worldPos;
             }` : `
+            ${header}
             attribute vec3 a_position;
             attribute vec3 a_normal;
             uniform mat4 u_modelMatrix;
@@ -85,53 +357,138 @@ export class WebGLRenderer {
             uniform mat4 u_projectionMatrix;
             varying vec3 v_normal;
             varying vec3 v_worldPos;
+            #ifdef USE_UV_MAP
+            attribute vec2 a_uv;
+            varying vec2 v_uv;
+            #endif
+            #ifdef USE_INSTANCING
+            attribute mat4 a_instanceMatrix;
+            attribute vec3 a_instanceColor;
+            varying vec3 v_instanceColor;
+            #endif
+            ${MODEL_MATRIX_GLSL}
             void main() {
-                vec4 worldPos = u_modelMatrix * vec4(a_position, 1.0);
+                mat4 model = modelMatrix();
+                vec4 worldPos = model * vec4(a_position, 1.0);
                 v_worldPos = worldPos.xyz;
-                mat3 normalMatrix = mat3(u_modelMatrix); // Simplified for WebGL1
+                mat3 normalMatrix = mat3(model); // Simplified for WebGL1
                 v_normal = normalize(normalMatrix * a_normal);
+                #ifdef USE_UV_MAP
+                v_uv = a_uv;
+                #endif
+                #ifdef USE_INSTANCING
+                v_instanceColor = a_instanceColor;
+                #endif
                 gl_Position = u_projectionMatrix * u_viewMatrix * worldPos;
             }`;
 
+        // Shadow depths need full precision to unpack
         const fragmentSrc = this.isWebGL2 ? `#version 300 es
-            precision mediump float;
+            ${header}
+            precision highp float;
+            #define texture2D texture
+            #define textureCube texture
             in vec3 v_normal;
             in vec3 v_worldPos;
-            uniform vec3 u_color;
-            uniform vec3 u_lightDirection;
-            uniform vec3 u_cameraPosition;
+            #ifdef USE_UV_MAP
+            in vec2 v_uv;
+            #endif
+            #ifdef USE_INSTANCING
+            in vec3 v_instanceColor;
+            #endif
+            ${MATERIAL_GLSL}
+            ${LIGHTING_GLSL}
             out vec4 fragColor;
             void main() {
-                vec3 normal = normalize(v_normal);
-                vec3 lightDir = normalize(u_lightDirection);
-                float diffuse = max(dot(normal, lightDir), 0.0);
-                vec3 ambient = vec3(0.2);
-                vec3 viewDir = normalize(u_cameraPosition - v_worldPos);
-                vec3 reflectDir = reflect(-lightDir, normal);
-                float spec = pow(max(dot(viewDir, reflectDir), 0.0), 32.0);
-                vec3 finalColor = u_color * (ambient + diffuse * 0.8) + vec3(1.0) * spec * 0.3;
-                fragColor = vec4(finalColor, 1.0);
+                fragColor = shade(normalize(v_normal), v_worldPos);
             }` : `
+            ${header}
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
             precision mediump float;
+            #endif
             varying vec3 v_normal;
             varying vec3 v_worldPos;
-            uniform vec3 u_color;
-            uniform vec3 u_lightDirection;
-            uniform vec3 u_cameraPosition;
+            #ifdef USE_UV_MAP
+            varying vec2 v_uv;
+            #endif
+            #ifdef USE_INSTANCING
+            varying vec3 v_instanceColor;
+            #endif
+            ${MATERIAL_GLSL}
+            ${LIGHTING_GLSL}
             void main() {
-                vec3 normal = normalize(v_normal);
-                vec3 lightDir = normalize(u_lightDirection);
-                float diffuse = max(dot(normal, lightDir), 0.0);
-                vec3 ambient = vec3(0.2);
-                vec3 viewDir = normalize(u_cameraPosition - v_worldPos);
-                vec3 reflectDir = reflect(-lightDir, normal);
-                float spec = pow(max(dot(viewDir, reflectDir), 0.0), 32.0);
-                vec3 finalColor = u_color * (ambient + diffuse * 0.8) + vec3(1.0) * spec * 0.3;
-                gl_FragColor = vec4(finalColor, 1.0);
+                gl_FragColor = shade(normalize(v_normal), v_worldPos);
             }`;
 
-        const basicProgram = this.createShaderProgram(vertexSrc, fragmentSrc);
-        this.programs.set('basic', basicProgram);
+        return this.createShaderProgram(vertexSrc, fragmentSrc);
+    }
+
+    /**
+     * Depth-only program for the shadow pass. Writes linear depth (distance / far when
+     * u_shadowLight.w is set, projected depth otherwise) packed into RGBA.
+     */
+    createShadowProgram(defines = []) {
+        const header = defines.map(define => `#define ${define}`).join('\n            ');
+
+        const vertexSrc = this.isWebGL2 ? `#version 300 es
+            ${header}
+            in vec3 a_position;
+            uniform mat4 u_modelMatrix;
+            uniform mat4 u_shadowViewProjection;
+            out vec3 v_worldPos;
+            #ifdef USE_INSTANCING
+            in mat4 a_instanceMatrix;
+            #endif
+            ${MODEL_MATRIX_GLSL}
+            void main() {
+                vec4 worldPos = modelMatrix() * vec4(a_position, 1.0);
+                v_worldPos = worldPos.xyz;
+                gl_Position = u_shadowViewProjection * worldPos;
+            }` : `
+            ${header}
+            attribute vec3 a_position;
+            uniform mat4 u_modelMatrix;
+            uniform mat4 u_shadowViewProjection;
+            varying vec3 v_worldPos;
+            #ifdef USE_INSTANCING
+            attribute mat4 a_instanceMatrix;
+            #endif
+            ${MODEL_MATRIX_GLSL}
+            void main() {
+                vec4 worldPos = modelMatrix() * vec4(a_position, 1.0);
+                v_worldPos = worldPos.xyz;
+                gl_Position = u_shadowViewProjection * worldPos;
+            }`;
+
+        const fragmentSrc = this.isWebGL2 ? `#version 300 es
+            precision highp float;
+            in vec3 v_worldPos;
+            uniform vec4 u_shadowLight;
+            ${DEPTH_PACKING_GLSL}
+            out vec4 fragColor;
+            void main() {
+                float depth = u_shadowLight.w > 0.0 ? length(v_worldPos - u_shadowLight.xyz) / u_shadowLight.w : gl_FragCoord.z;
+                fragColor = packDepth(depth);
+            }` : `
+            #ifdef GL_FRAGMENT_PRECISION_HIGH
+            precision highp float;
+            #else
+            precision mediump float;
+            #endif
+            varying vec3 v_worldPos;
+            uniform vec4 u_shadowLight;
+            ${DEPTH_PACKING_GLSL}
+            void main() {
+                float depth = u_shadowLight.w > 0.0 ? length(v_worldPos - u_shadowLight.xyz) / u_shadowLight.w : gl_FragCoord.z;
+                gl_FragColor = packDepth(depth);
+            }`;
+
+        const programInfo = this.createShaderProgram(vertexSrc, fragmentSrc);
+        programInfo.uniforms.shadowViewProjection = this.gl.getUniformLocation(programInfo.program, 'u_shadowViewProjection');
+        programInfo.uniforms.shadowLight = this.gl.getUniformLocation(programInfo.program, 'u_shadowLight');
+        return programInfo;
     }
     
     createShaderProgram(vertexSource, fragmentSource) {
@@ -150,14 +507,33 @@ export class WebGLRenderer {
             attributes: {
                 position: gl.getAttribLocation(program, 'a_position'),
                 normal: gl.getAttribLocation(program, 'a_normal'),
+                uv: gl.getAttribLocation(program, 'a_uv'),
+                instanceMatrix: gl.getAttribLocation(program, 'a_instanceMatrix'), // Four columns from here
+                instanceColor: gl.getAttribLocation(program, 'a_instanceColor'),
             },
             uniforms: {
                 modelMatrix: gl.getUniformLocation(program, 'u_modelMatrix'),
                 viewMatrix: gl.getUniformLocation(program, 'u_viewMatrix'),
                 projectionMatrix: gl.getUniformLocation(program, 'u_projectionMatrix'),
                 color: gl.getUniformLocation(program, 'u_color'),
-                lightDirection: gl.getUniformLocation(program, 'u_lightDirection'),
+                map: gl.getUniformLocation(program, 'u_map'),
+                textureScale: gl.getUniformLocation(program, 'u_textureScale'),
+                emissive: gl.getUniformLocation(program, 'u_emissive'),
+                roughness: gl.getUniformLocation(program, 'u_roughness'),
+                opacity: gl.getUniformLocation(program, 'u_opacity'),
                 cameraPosition: gl.getUniformLocation(program, 'u_cameraPosition'),
+                ambientLight: gl.getUniformLocation(program, 'u_ambientLight'),
+                lightCount: gl.getUniformLocation(program, 'u_lightCount'),
+                lightPosition: gl.getUniformLocation(program, 'u_lightPosition'),
+                lightColor: gl.getUniformLocation(program, 'u_lightColor'),
+                lightDirection: gl.getUniformLocation(program, 'u_lightDirection'),
+                lightCone: gl.getUniformLocation(program, 'u_lightCone'),
+                shadowMaps: [
+                    ...shadowSlots(MAX_SHADOW_MAPS).map(i => gl.getUniformLocation(program, `u_shadowMap${i}`)),
+                    ...shadowSlots(MAX_POINT_SHADOW_MAPS).map(i => gl.getUniformLocation(program, `u_pointShadowMap${i}`))
+                ],
+                shadowMatrix: gl.getUniformLocation(program, 'u_shadowMatrix'),
+                shadowParams: gl.getUniformLocation(program, 'u_shadowParams'),
             }
         };
     }
@@ -186,6 +562,13 @@ export class WebGLRenderer {
         this.cameraPosition = cameraPosition;
     }
     
+    /**
+     * Set this frame's lights from the scene's light nodes and ambient colour
+     */
+    setLights(lightNodes, ambientLight) {
+        this.lighting.setLights(lightNodes, ambientLight);
+    }
+    
     useProgram(programName) {
         const programInfo = this.programs.get(programName);
         if (!programInfo) return false;
@@ -196,21 +579,192 @@ export class WebGLRenderer {
         this.gl.uniformMatrix4fv(programInfo.uniforms.viewMatrix, false, this.viewMatrix.toFloat32Array());
         this.gl.uniformMatrix4fv(programInfo.uniforms.projectionMatrix, false, this.projectionMatrix.toFloat32Array());
         this.gl.uniform3fv(programInfo.uniforms.cameraPosition, this.cameraPosition.toArray());
+        this.gl.uniform3fv(programInfo.uniforms.ambientLight, this.lighting.ambient);
+        if (programInfo.lit) {
+            this.bindShadowMaps(programInfo);
+        }
         
         return true;
     }
+
+    /**
+     * Turn shadow rendering on or off for every light
+     */
+    setShadowsEnabled(enabled) {
+        this.shadowMaps.enabled = enabled;
+    }
+
+    /**
+     * Shadow pass: render a depth map for each shadow-casting light picked this frame.
+     * Runs after setCamera and setLights and before the main pass.
+     */
+    renderShadows(meshNodes) {
+        const shadows = this.shadowMaps.update(this.lighting.lights, this.cameraPosition);
+        if (shadows.length === 0) return;
+
+        const gl = this.gl;
+        const program = this.programs.get('shadow');
+        const instancedProgram = this.programs.get('shadow' + INSTANCED);
+        const isInstanced = node => !!node.getComponent('mesh')?.instances;
+        const meshes = meshNodes.filter(node => !isInstanced(node));
+        const instancedMeshes = meshNodes.filter(isInstanced);
+
+        gl.disable(gl.BLEND);
+        gl.clearColor(1, 1, 1, 1); // Unpacks past 1.0, i.e. nothing in the way
+
+        for (const shadow of shadows) {
+            const target = this.getShadowTarget(shadow);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+            gl.viewport(0, 0, shadow.resolution, shadow.resolution);
+
+            shadow.matrices.forEach((matrix, face) => {
+                if (shadow.cube) {
+                    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, target.texture, 0);
+                }
+                gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+                // Instanced meshes need their own program, if instancing is supported
+                const passes = instancedProgram
+                    ? [[program, meshes], [instancedProgram, instancedMeshes]]
+                    : [[program, meshNodes]];
+                for (const [passProgram, nodes] of passes) {
+                    if (nodes.length === 0) continue;
+                    gl.useProgram(passProgram.program);
+                    this.currentProgram = passProgram;
+                    gl.uniform4f(passProgram.uniforms.shadowLight, shadow.position.x, shadow.position.y, shadow.position.z, shadow.far);
+                    gl.uniformMatrix4fv(passProgram.uniforms.shadowViewProjection, false, matrix.toFloat32Array());
+
+                    for (const node of nodes) {
+                        this.renderShadowCaster(passProgram, node, shadow);
+                    }
+                }
+            });
+
+            if (!shadow.cube) {
+                this.shadowMatrices.set(shadow.matrices[0].toFloat32Array(), shadow.index * 16);
+            }
+            this.shadowParams.set([1 / shadow.resolution, shadow.far, 0, 0], shadow.index * 4);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.clearColor(this.clearColor.r, this.clearColor.g, this.clearColor.b, this.clearColor.a);
+        gl.enable(gl.BLEND);
+        this.resize();
+    }
+
+    /**
+     * Draw one mesh into the bound shadow map. Meshes beyond a point or spot light's range
+     * are skipped, as are meshes whose mesh component sets castShadow to false.
+     */
+    renderShadowCaster(program, node, shadow) {
+        const meshComponent = node.getComponent('mesh');
+        if (!meshComponent || !meshComponent.geometry || meshComponent.castShadow === false) return;
+
+        const gl = this.gl;
+        const buffers = this.getOrCreateBuffers(meshComponent.geometry);
+        node.updateWorldMatrix(true, false);
+
+        if (shadow.far > 0) {
+            const { center, radius } = this.getWorldSphere(node, buffers);
+            if (center.distance(shadow.position) - radius > shadow.far) return;
+        }
+
+        const attributes = [[program.attributes.position, buffers.vertexBuffer, 3]];
+        if (meshComponent.instances) {
+            this.drawInstancedMesh(program, node, buffers, attributes, meshComponent.instances.getVisibleRanges());
+            return;
+        }
+
+        gl.uniformMatrix4fv(program.uniforms.modelMatrix, false, node.worldMatrix.toFloat32Array());
+        this.drawBuffers(buffers, attributes);
+    }
+
+    /**
+     * Colour texture (2D or cube), depth buffer and framebuffer for a shadow index
+     */
+    getShadowTarget(shadow) {
+        const existing = this.shadowTargets.get(shadow.index);
+        if (existing && existing.resolution === shadow.resolution && existing.cube === shadow.cube) {
+            return existing;
+        }
+        if (existing) {
+            this.deleteShadowTarget(existing);
+        }
+
+        const gl = this.gl;
+        const size = shadow.resolution;
+        const textureTarget = shadow.cube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D;
+
+        const texture = gl.createTexture();
+        gl.bindTexture(textureTarget, texture);
+        const faces = shadow.cube ? 6 : 1;
+        for (let face = 0; face < faces; face++) {
+            const faceTarget = shadow.cube ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + face : gl.TEXTURE_2D;
+            gl.texImage2D(faceTarget, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+        // Packed depths must not be blended between texels
+        gl.texParameteri(textureTarget, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(textureTarget, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(textureTarget, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(textureTarget, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindTexture(textureTarget, null);
+
+        const depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        if (!shadow.cube) {
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        }
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+
+        const target = { texture, depthBuffer, framebuffer, resolution: size, cube: shadow.cube };
+        this.shadowTargets.set(shadow.index, target);
+        return target;
+    }
+
+    deleteShadowTarget(target) {
+        this.gl.deleteTexture(target.texture);
+        this.gl.deleteRenderbuffer(target.depthBuffer);
+        this.gl.deleteFramebuffer(target.framebuffer);
+    }
+
+    /**
+     * Bind this frame's shadow maps to their units and upload their matrices
+     */
+    bindShadowMaps(program) {
+        const gl = this.gl;
+
+        for (const shadow of this.shadowMaps.shadows) {
+            const target = this.shadowTargets.get(shadow.index);
+            if (!target) continue;
+            gl.activeTexture(gl.TEXTURE0 + SHADOW_UNIT + shadow.index);
+            gl.bindTexture(shadow.cube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D, target.texture);
+        }
+        gl.activeTexture(gl.TEXTURE0);
+
+        gl.uniformMatrix4fv(program.uniforms.shadowMatrix, false, this.shadowMatrices);
+        gl.uniform4fv(program.uniforms.shadowParams, this.shadowParams);
+    }
     
     /**
      * NEW: Creates and caches WebGL buffers for a given geometry object.
      */
-    getOrCreateBuffers(geometry) {
-        if (this.bufferCache.has(geometry)) {
-            return this.bufferCache.get(geometry);
+    getOrCreateBuffers(source) {
+        if (this.bufferCache.has(source)) {
+            return this.bufferCache.get(source);
         }
 
         const gl = this.gl;
         const buffers = {};
 
+        // Without 32-bit index support, wide geometry is re-merged into 16-bit chunks
+        const geometry = source.indices instanceof Uint32Array && !this.supportsUint32Indices
+            ? GeometryBuilder.mergeGeometries([source], { uint32: false })
+            : source;
+
         // Vertex buffer
         buffers.vertexBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexBuffer);
@@ -221,28 +775,44 @@ export class WebGLRenderer {
         gl.bindBuffer(gl.ARRAY_BUFFER, buffers.normalBuffer);
         gl.bufferData(gl.ARRAY_BUFFER, geometry.normals, gl.STATIC_DRAW);
 
+        // UV buffer, for geometry that has them
+        if (geometry.uvs) {
+            buffers.uvBuffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.uvBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, geometry.uvs, gl.STATIC_DRAW);
+        }
+
         // Index buffer
         buffers.indexBuffer = gl.createBuffer();
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indexBuffer);
         gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, geometry.indices, gl.STATIC_DRAW);
 
         buffers.indexCount = geometry.indices.length;
+        buffers.indexType = geometry.indices instanceof Uint32Array ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+        buffers.chunks = geometry.chunks || null;
+        buffers.bounds = GeometryBuilder.computeBoundingSphere(geometry);
 
-        this.bufferCache.set(geometry, buffers);
+        this.bufferCache.set(source, buffers);
         return buffers;
     }
 
     /**
-     * REPLACES renderCube: Renders a generic mesh node.
+     * REPLACES renderCube: Renders a generic mesh node. An InstancedMesh draws the
+     * instances whose bounds reach into the frustum planes, if given.
      */
-    renderMesh(node) {
+    renderMesh(node, planes = null) {
         const meshComponent = node.getComponent('mesh');
         if (!meshComponent) return;
 
-        const { geometry, material } = meshComponent;
+        const { geometry, material, instances } = meshComponent;
         if (!geometry || !material) return;
 
-        if (!this.useProgram('basic')) return;
+        node.updateWorldMatrix(true, false); // Ensure matrix is up-to-date
+        const ranges = instances ? instances.getVisibleRanges(planes) : null;
+        if (ranges && ranges.length === 0) return;
+
+        const programName = MATERIAL_PROGRAMS[material.type] ? material.type : 'phong';
+        if (!this.useProgram(instances && this.instancing ? programName + INSTANCED : programName)) return;
         
         const gl = this.gl;
         const program = this.currentProgram;
@@ -251,30 +821,255 @@ export class WebGLRenderer {
         const buffers = this.getOrCreateBuffers(geometry);
         
         // Set model matrix
-        node.updateWorldMatrix(true, false); // Ensure matrix is up-to-date
         gl.uniformMatrix4fv(program.uniforms.modelMatrix, false, node.worldMatrix.toFloat32Array());
         
         // Set material and lighting uniforms
         gl.uniform3fv(program.uniforms.color, material.color || [1, 0, 1]); // Default to magenta if no color
-        gl.uniform3fv(program.uniforms.lightDirection, [0.5, 1.0, 0.75]); // Example light
-        
-        // Bind vertex data
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.vertexBuffer);
-        gl.enableVertexAttribArray(program.attributes.position);
-        gl.vertexAttribPointer(program.attributes.position, 3, gl.FLOAT, false, 0, 0);
-        
-        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.normalBuffer);
-        gl.enableVertexAttribArray(program.attributes.normal);
-        gl.vertexAttribPointer(program.attributes.normal, 3, gl.FLOAT, false, 0, 0);
+        gl.uniform1f(program.uniforms.emissive, material.emissive || 0);
+        gl.uniform1f(program.uniforms.roughness, material.roughness ?? 0.8);
+        gl.uniform1f(program.uniforms.opacity, 1 - (material.transparency || 0));
+        gl.uniform1f(program.uniforms.textureScale, material.textureScale ?? 1);
+        if (programName !== 'phong') {
+            this.bindMaterialMap(material.map);
+        }
+        this.uploadLights(program, this.getWorldSphere(node, buffers));
         
-        // Bind index buffer and draw
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indexBuffer);
-        gl.drawElements(gl.TRIANGLES, buffers.indexCount, gl.UNSIGNED_SHORT, 0);
+        // Vertex data, as [location, buffer, components]
+        const attributes = [
+            [program.attributes.position, buffers.vertexBuffer, 3],
+            [program.attributes.normal, buffers.normalBuffer, 3]
+        ];
+        if (program.attributes.uv >= 0) {
+            if (buffers.uvBuffer) {
+                attributes.push([program.attributes.uv, buffers.uvBuffer, 2]);
+            } else {
+                gl.vertexAttrib2f(program.attributes.uv, 0, 0); // No UVs: the map's first texel
+            }
+        }
         
         // Update stats
-        this.stats.drawCalls++;
-        this.stats.vertices += geometry.vertices.length / 3;
-        this.stats.triangles += geometry.indices.length / 3;
+        const copies = ranges ? ranges.reduce((sum, range) => sum + range.count, 0) : 1;
+        this.stats.drawCalls += ranges
+            ? this.drawInstancedMesh(program, node, buffers, attributes, ranges, material)
+            : this.drawBuffers(buffers, attributes);
+        this.stats.vertices += copies * geometry.vertices.length / 3;
+        this.stats.triangles += copies * geometry.indices.length / 3;
+    }
+
+    /**
+     * Draw runs of an InstancedMesh's instances (see InstancedMesh.getVisibleRanges) with
+     * the current program's model matrix set to the node's. Without instancing support
+     * each instance is drawn on its own, its colour folded into the material's. Returns
+     * the draw call count.
+     */
+    drawInstancedMesh(program, node, buffers, attributes, ranges, material = null) {
+        const gl = this.gl;
+        const { instances } = node.getComponent('mesh');
+
+        if (!this.instancing) {
+            let draws = 0;
+            for (const { start, count } of ranges) {
+                for (let i = start; i < start + count; i++) {
+                    gl.uniformMatrix4fv(program.uniforms.modelMatrix, false, node.worldMatrix.multiply(instances.getMatrixAt(i)).toFloat32Array());
+                    if (material) {
+                        const tint = instances.colors.subarray(i * 3, i * 3 + 3);
+                        gl.uniform3fv(program.uniforms.color, (material.color || [1, 0, 1]).map((channel, c) => channel * tint[c]));
+                    }
+                    draws += this.drawBuffers(buffers, attributes);
+                }
+            }
+            return draws;
+        }
+
+        gl.uniformMatrix4fv(program.uniforms.modelMatrix, false, node.worldMatrix.toFloat32Array());
+        return this.drawBuffers(buffers, attributes, { program, buffers: this.getOrCreateInstanceBuffers(instances), ranges });
+    }
+
+    /**
+     * Per-instance matrix and colour buffers for an InstancedMesh. They are reallocated
+     * when its capacity changes; otherwise only the instances written since the last
+     * upload are sent.
+     */
+    getOrCreateInstanceBuffers(instances) {
+        const gl = this.gl;
+        const dirty = instances.takeDirtyRanges();
+        let entry = this.instanceBuffers.get(instances);
+
+        if (!entry || entry.capacity !== instances.capacity) {
+            if (entry) this.deleteInstanceBuffers(instances);
+
+            entry = { capacity: instances.capacity, matrixBuffer: gl.createBuffer(), colorBuffer: gl.createBuffer() };
+            gl.bindBuffer(gl.ARRAY_BUFFER, entry.matrixBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, instances.matrices, gl.DYNAMIC_DRAW);
+            gl.bindBuffer(gl.ARRAY_BUFFER, entry.colorBuffer);
+            gl.bufferData(gl.ARRAY_BUFFER, instances.colors, gl.DYNAMIC_DRAW);
+            this.instanceBuffers.set(instances, entry);
+            return entry;
+        }
+
+        if (dirty.matrices) {
+            const { start, end } = dirty.matrices;
+            gl.bindBuffer(gl.ARRAY_BUFFER, entry.matrixBuffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, start * 64, instances.matrices.subarray(start * 16, end * 16));
+        }
+        if (dirty.colors) {
+            const { start, end } = dirty.colors;
+            gl.bindBuffer(gl.ARRAY_BUFFER, entry.colorBuffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, start * 12, instances.colors.subarray(start * 3, end * 3));
+        }
+        return entry;
+    }
+
+    /**
+     * Free an InstancedMesh's per-instance buffers (e.g. once it has left the scene for good)
+     */
+    deleteInstanceBuffers(instances) {
+        const entry = this.instanceBuffers.get(instances);
+        if (!entry) return;
+        this.gl.deleteBuffer(entry.matrixBuffer);
+        this.gl.deleteBuffer(entry.colorBuffer);
+        this.instanceBuffers.delete(instances);
+    }
+    
+    /**
+     * Bind vertex attributes and draw. Chunked geometry has 16-bit indices relative to each
+     * chunk, so the attributes are rebound at every chunk's first vertex. With `instanced`
+     * ({ program, buffers, ranges }) each range of instances is one instanced draw. No
+     * array is left enabled or instanced, since programs place their attributes
+     * differently. Returns the draw call count.
+     */
+    drawBuffers(buffers, attributes, instanced = null) {
+        const gl = this.gl;
+        const chunks = buffers.chunks || [{ vertexOffset: 0, indexOffset: 0, indexCount: buffers.indexCount }];
+        const indexSize = buffers.indexType === gl.UNSIGNED_INT ? 4 : 2;
+        let draws = 0;
+
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indexBuffer);
+        for (const chunk of chunks) {
+            for (const [location, buffer, size] of attributes) {
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                gl.enableVertexAttribArray(location);
+                gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, chunk.vertexOffset * size * 4);
+            }
+            if (!instanced) {
+                gl.drawElements(gl.TRIANGLES, chunk.indexCount, buffers.indexType, chunk.indexOffset * indexSize);
+                draws++;
+                continue;
+            }
+            for (const range of instanced.ranges) {
+                this.bindInstanceAttributes(instanced, range.start);
+                this.instancing.drawElementsInstanced(gl.TRIANGLES, chunk.indexCount, buffers.indexType, chunk.indexOffset * indexSize, range.count);
+                draws++;
+            }
+        }
+
+        attributes.forEach(([location]) => gl.disableVertexAttribArray(location));
+        if (instanced) {
+            for (const location of instanceLocations(instanced.program)) {
+                this.instancing.vertexAttribDivisor(location, 0);
+                gl.disableVertexAttribArray(location);
+            }
+        }
+        return draws;
+    }
+
+    /**
+     * Point the per-instance attributes at a range's first instance: a matrix is four
+     * vec4 columns (64 bytes per instance), a colour three floats
+     */
+    bindInstanceAttributes({ program, buffers }, start) {
+        const gl = this.gl;
+        const { instanceMatrix, instanceColor } = program.attributes;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffers.matrixBuffer);
+        for (let column = 0; column < 4; column++) {
+            gl.enableVertexAttribArray(instanceMatrix + column);
+            gl.vertexAttribPointer(instanceMatrix + column, 4, gl.FLOAT, false, 64, start * 64 + column * 16);
+            this.instancing.vertexAttribDivisor(instanceMatrix + column, 1);
+        }
+        if (instanceColor >= 0) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers.colorBuffer);
+            gl.enableVertexAttribArray(instanceColor);
+            gl.vertexAttribPointer(instanceColor, 3, gl.FLOAT, false, 12, start * 12);
+            this.instancing.vertexAttribDivisor(instanceColor, 1);
+        }
+    }
+
+    /**
+     * Bind a material's map, or plain white while it is missing or still loading
+     */
+    bindMaterialMap(map) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + MAP_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, map ? this.getOrCreateTexture(map) : this.fallbackTexture);
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    /**
+     * Creates and caches a repeating, mipmapped WebGL texture for a texture asset
+     * (see AssetLoader.loadTexture) or any image source.
+     */
+    getOrCreateTexture(source) {
+        if (this.textureCache.has(source)) {
+            return this.textureCache.get(source);
+        }
+
+        const gl = this.gl;
+        let image = source.image || source;
+
+        // WebGL1 only repeats and mipmaps power-of-two textures
+        if (!this.isWebGL2 && !(isPowerOfTwo(image.width) && isPowerOfTwo(image.height))) {
+            image = resizeToPowerOfTwo(image);
+        }
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+
+        this.textureCache.set(source, texture);
+        return texture;
+    }
+
+    createFallbackTexture() {
+        const gl = this.gl;
+        this.fallbackTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.fallbackTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([255, 255, 255, 255]));
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+
+    /**
+     * World-space bounding sphere of a mesh node, or of all of an InstancedMesh's instances
+     */
+    getWorldSphere(node, buffers) {
+        if (node.getComponent('mesh').instances) {
+            const { min, max } = node.computeWorldBounds();
+            return { center: min.lerp(max, 0.5), radius: min.distance(max) / 2 };
+        }
+
+        const scale = node.worldMatrix.getScale();
+        return {
+            center: node.worldMatrix.transformVector3(buffers.bounds.center),
+            radius: buffers.bounds.radius * Math.max(scale.x, scale.y, scale.z)
+        };
+    }
+
+    /**
+     * Upload the lights that reach a world-space bounding sphere
+     */
+    uploadLights(program, { center, radius }) {
+        const gl = this.gl;
+        const lights = this.lighting.packUniforms(center, radius, this.cameraPosition);
+        gl.uniform1i(program.uniforms.lightCount, lights.count);
+        gl.uniform4fv(program.uniforms.lightPosition, lights.positions);
+        gl.uniform4fv(program.uniforms.lightColor, lights.colors);
+        gl.uniform4fv(program.uniforms.lightDirection, lights.directions);
+        gl.uniform4fv(program.uniforms.lightCone, lights.cones);
     }
     
     resize() {
@@ -288,9 +1083,18 @@ export class WebGLRenderer {
         this.bufferCache.forEach(buffers => {
             this.gl.deleteBuffer(buffers.vertexBuffer);
             this.gl.deleteBuffer(buffers.normalBuffer);
+            if (buffers.uvBuffer) this.gl.deleteBuffer(buffers.uvBuffer);
             this.gl.deleteBuffer(buffers.indexBuffer);
         });
         this.bufferCache.clear();
+        [...this.instanceBuffers.keys()].forEach(instances => this.deleteInstanceBuffers(instances));
+
+        this.textureCache.forEach(texture => this.gl.deleteTexture(texture));
+        this.textureCache.clear();
+        this.gl.deleteTexture(this.fallbackTexture);
+
+        this.shadowTargets.forEach(target => this.deleteShadowTarget(target));
+        this.shadowTargets.clear();
         
         this.programs.forEach(program => this.gl.deleteProgram(program.program));
         this.programs.clear();
@@ -298,4 +1102,26 @@ export class WebGLRenderer {
         this.isInitialized = false;
         console.log('🧹 WebGL renderer disposed');
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Attribute locations a program's per-instance data occupies
+ */
+function instanceLocations(program) {
+    const { instanceMatrix, instanceColor } = program.attributes;
+    const locations = instanceMatrix >= 0 ? [0, 1, 2, 3].map(column => instanceMatrix + column) : [];
+    if (instanceColor >= 0) locations.push(instanceColor);
+    return locations;
+}
+
+function isPowerOfTwo(value) {
+    return value > 0 && (value & (value - 1)) === 0;
+}
+
+function resizeToPowerOfTwo(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 2 ** Math.round(Math.log2(image.width));
+    canvas.height = 2 ** Math.round(Math.log2(image.height));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
@@ -0,0 +1,551 @@
+/**
+ * AgentSystem - Individual creatures in the rooms being watched
+ * The ecosystem stays statistical everywhere except in observed rooms, where each mobile
+ * population is handed over to Creature agents (up to maxAgentsPerSpecies of them, each
+ * standing for population.size / count individuals). The Population remains the record
+ * of how many there are: agents eating, killing, breeding and dying change its size as
+ * they happen, and when a room stops being observed its agents are simply dropped again.
+ * Each agent carries a Genome drawn from its population's gene pool; young inherit theirs
+ * from both parents, and the pool gains and loses the alleles of the individuals agents
+ * stand for as they are born, die and move. Disease stays with the population (see
+ * DiseaseSystem): broods are born susceptible and creatures leaving take their room's
+ * share of the infected with them, while those it kills are taken as whole creatures
+ * once their number adds up to one.
+ * Sessile species (moss, fungus) are never agents; creatures graze on their aggregates
+ * and on the room's organic deposits (kept by ResourceSystem, where their droppings and
+ * remains go too), and drink from its water bodies.
+ *
+ * Creatures walk in real seconds, so their needs can't run on a clock that covers a
+ * simulated day every second: agents live at most daysPerSecond simulated days per real
+ * second, and while a room is observed its mobile populations change at that pace.
+ */
+
+import { Vector3 } from '../math/Vector3.js';
+import { SeededRandom } from '../math/SeededRandom.js';
+import { Creature } from '../entities/Creature.js';
+import { Genome } from './Genetics.js';
+
+// Most agents one population is split into; beyond this each stands for several individuals
+const MAX_AGENTS_PER_SPECIES = 30;
+
+// Simulated days an agent lives through per real second, at most
+const AGENT_DAYS_PER_SECOND = 0.01;
+
+// Creatures keep this share of a room's radius away from its walls
+const ROOM_MARGIN = 0.8;
+
+// A hunting predator closer than this (metres) is a threat, in full within half of it
+const THREAT_RANGE = 6;
+
+// Partners further apart than this (metres) don't notice each other
+const MATE_RANGE = 10;
+
+// Deposit amount one grazing agent (per individual it stands for) eats in a bite
+const DEPOSIT_BITE = 0.02;
+
+// Points snapped to the navigation mesh from further away than this are kept as they were
+const NAVMESH_SNAP = 5;
+
+export class AgentSystem {
+    constructor(ecosystem, options = {}) {
+        this.ecosystem = ecosystem;
+        this.maxAgentsPerSpecies = options.maxAgentsPerSpecies ?? MAX_AGENTS_PER_SPECIES;
+        this.daysPerSecond = options.daysPerSecond ?? AGENT_DAYS_PER_SECOND;
+        this.navMesh = options.navMesh ?? null; // Optional NavMesh to keep creatures on the floor
+        this.rng = new SeededRandom(options.seed ?? 1);
+        this.geneticsRng = this.rng.fork('genetics'); // Kept apart so genomes don't change behaviour
+
+        // roomId -> { roomId, center, radius, water, exits, agents }
+        this.rooms = new Map();
+        this.observed = new Set();
+        this.deaths = {}; // Cause -> agents died of it
+    }
+
+    /**
+     * Read each room's water and exits from a dungeon: water bodies from its environment,
+     * doorways from its connections. Drops any agents.
+     */
+    setDungeon(dungeon) {
+        this.rooms.clear();
+        this.observed.clear();
+        this.deaths = {};
+
+        const environment = dungeon.environment || {};
+        for (const room of dungeon.rooms) {
+            const area = this.ecosystem.rooms.get(room.id)?.conditions.area ?? 100;
+            this.rooms.set(room.id, {
+                roomId: room.id,
+                center: room.position.clone(),
+                radius: Math.sqrt(area / Math.PI) * ROOM_MARGIN,
+                water: (environment.waterBodies || []).filter(water => water.roomId === room.id),
+                exits: [],
+                agents: []
+            });
+        }
+
+        for (const connection of dungeon.connections || []) {
+            const [a, b] = connection.rooms;
+            if (!this.rooms.has(a) || !this.rooms.has(b) || a === b) continue;
+
+            this.rooms.get(a).exits.push({ connectionId: connection.id, to: b, position: this.getDoorway(connection, a, b) });
+            this.rooms.get(b).exits.push({ connectionId: connection.id, to: a, position: this.getDoorway(connection, b, a) });
+        }
+        return this;
+    }
+
+    /**
+     * Where a connection leaves a room: its doorway, or failing that the edge of the
+     * room facing the other end
+     */
+    getDoorway(connection, roomId, otherId) {
+        const doorway = connection.doorways?.[roomId];
+        if (doorway?.position) return doorway.position.clone();
+
+        const room = this.rooms.get(roomId);
+        if (doorway?.localPosition) return room.center.add(doorway.localPosition);
+
+        const toward = this.rooms.get(otherId).center.subtract(room.center);
+        toward.y = 0;
+        if (toward.lengthSquared() < 1e-6) return room.center.clone();
+        return room.center.add(toward.normalize().multiply(room.radius));
+    }
+
+    /**
+     * Every live agent, in all observed rooms
+     */
+    get agents() {
+        const agents = [];
+        for (const roomId of this.observed) agents.push(...this.rooms.get(roomId).agents);
+        return agents;
+    }
+
+    getAgents(roomId) {
+        return this.rooms.get(roomId)?.agents || [];
+    }
+
+    isObserved(roomId) {
+        return this.observed.has(roomId);
+    }
+
+    /**
+     * Run individuals in these rooms and only these; the rest go back to being statistical
+     */
+    setObservedRooms(roomIds) {
+        const next = new Set([...roomIds].filter(id => this.rooms.has(id)));
+        for (const roomId of this.observed) {
+            if (!next.has(roomId)) this.release(roomId);
+        }
+        for (const roomId of next) {
+            if (!this.observed.has(roomId)) this.observe(roomId);
+        }
+    }
+
+    /**
+     * Hand a room's mobile populations over to agents
+     */
+    observe(roomId) {
+        this.observed.add(roomId);
+        for (const population of this.ecosystem.rooms.get(roomId).populations.values()) {
+            if (!population.species.mobile) continue;
+            population.detailed = true;
+            this.reconcile(roomId, population, false);
+        }
+    }
+
+    /**
+     * Drop a room's agents and let its populations carry on as aggregates
+     */
+    release(roomId) {
+        const room = this.rooms.get(roomId);
+        for (const agent of room.agents) agent.alive = false;
+        room.agents = [];
+        for (const population of this.ecosystem.rooms.get(roomId).populations.values()) {
+            population.detailed = false;
+            // Disease deaths no creature was left to die for come off the aggregate
+            population.size = Math.max(0, population.size - population.diseaseDeaths);
+            population.diseaseDeaths = 0;
+        }
+        this.observed.delete(roomId);
+    }
+
+    /**
+     * Bring a detailed population's agents back in line with its size after the
+     * statistical step (migration in and out of an observed room): arrivals come in
+     * through a doorway and departures are picked at random, then the agents' weights are
+     * scaled to add up to the size. When a room is first observed its agents are
+     * scattered over the floor instead.
+     */
+    reconcile(roomId, population, arriving = true) {
+        const room = this.rooms.get(roomId);
+        const agents = room.agents.filter(agent => agent.species === population.species);
+        if (population.size < 1) {
+            for (const agent of agents) this.remove(agent);
+            return;
+        }
+
+        let represented = agents.reduce((sum, agent) => sum + agent.weight, 0);
+        const unit = agents.length > 0
+            ? represented / agents.length
+            : population.size / Math.min(this.maxAgentsPerSpecies, Math.floor(population.size));
+
+        while (population.size - represented >= unit / 2 && agents.length < this.maxAgentsPerSpecies) {
+            const position = arriving && room.exits.length > 0 ? this.rng.pick(room.exits).position : this.randomPoint(room);
+            const agent = this.spawn(room, population.species, position);
+            agent.weight = unit;
+            randomizeNeeds(agent, this.rng);
+            agents.push(agent);
+            represented += unit;
+        }
+        while (represented - population.size >= unit / 2 && agents.length > 1) {
+            const [agent] = agents.splice(this.rng.int(0, agents.length - 1), 1);
+            this.remove(agent);
+            represented -= agent.weight;
+        }
+
+        for (const agent of agents) agent.weight *= population.size / represented;
+    }
+
+    /**
+     * Creatures of a detailed population die of the disease deaths owed to it
+     * (diseaseDeaths, left by DiseaseSystem) for as long as those cover one of them,
+     * taking their genes out of its pool and leaving their remains where they fall
+     */
+    succumb(roomId, population) {
+        const agents = this.rooms.get(roomId).agents.filter(agent => agent.species === population.species);
+        while (agents.length > 0) {
+            const index = this.rng.int(0, agents.length - 1);
+            if (population.diseaseDeaths < agents[index].weight) break;
+
+            const [agent] = agents.splice(index, 1);
+            population.diseaseDeaths -= agent.weight;
+            this.die(agent, 'disease');
+        }
+    }
+
+    /**
+     * Settle disease deaths and reconcile every detailed population; called after each
+     * statistical step
+     */
+    sync() {
+        for (const roomId of this.observed) {
+            for (const population of this.ecosystem.rooms.get(roomId).populations.values()) {
+                if (!population.detailed) continue;
+                this.succumb(roomId, population);
+                this.reconcile(roomId, population);
+            }
+        }
+    }
+
+    /**
+     * Move and feed every agent for deltaTime real seconds while the ecosystem runs at
+     * timeScale simulated days per second
+     */
+    update(deltaTime, timeScale = 1) {
+        const days = deltaTime * Math.min(timeScale, this.daysPerSecond);
+        for (const roomId of [...this.observed]) {
+            const room = this.rooms.get(roomId);
+            for (const agent of [...room.agents]) {
+                if (agent.alive && agent.roomId === roomId) agent.update(deltaTime, days, this);
+            }
+        }
+    }
+
+    /**
+     * A new agent, with a genome drawn from its population's gene pool
+     */
+    spawn(room, species, position) {
+        const agent = new Creature(species, room.roomId, this.snap(position));
+        const population = this.ecosystem.getPopulation(room.roomId, species.id);
+        if (population) agent.genome = Genome.fromPool(population.genes, this.geneticsRng);
+        room.agents.push(agent);
+        return agent;
+    }
+
+    remove(agent) {
+        const room = this.rooms.get(agent.roomId);
+        agent.alive = false;
+        room.agents = room.agents.filter(other => other !== agent);
+    }
+
+    getPopulation(agent) {
+        return this.ecosystem.getPopulation(agent.roomId, agent.speciesId);
+    }
+
+    /**
+     * Take an agent and the individuals it stands for (and their alleles) out of its
+     * population
+     */
+    removeIndividuals(agent) {
+        const population = this.getPopulation(agent);
+        const removed = Math.min(agent.weight, population.size);
+        if (agent.genome) population.genes.add(agent.genome.getFrequencies(), -removed, population.size);
+        population.size -= removed;
+        this.remove(agent);
+    }
+
+    // World interface read and acted on by Creature
+
+    random() {
+        return this.rng.next();
+    }
+
+    getHumidity(agent) {
+        return this.ecosystem.rooms.get(agent.roomId).conditions.humidity;
+    }
+
+    /**
+     * The nearest predator hunting in the agent's room, as { level 0-1, position }; fed
+     * predators are left alone
+     */
+    getThreat(agent) {
+        let nearest = null;
+        for (const other of this.rooms.get(agent.roomId).agents) {
+            if (other.state !== 'hunt' || !other.species.prey.includes(agent.speciesId)) continue;
+            const distance = other.position.distance(agent.position);
+            if (distance < THREAT_RANGE && (!nearest || distance < nearest.distance)) nearest = { distance, position: other.position };
+        }
+        if (!nearest) return null;
+        return { level: Math.min(1, 2 * (1 - nearest.distance / THREAT_RANGE)), position: nearest.position.clone() };
+    }
+
+    randomPoint(agentOrRoom) {
+        const room = agentOrRoom.center ? agentOrRoom : this.rooms.get(agentOrRoom.roomId);
+        const angle = this.rng.range(0, Math.PI * 2);
+        const distance = room.radius * Math.sqrt(this.rng.next());
+        return this.snap(room.center.add(new Vector3(Math.cos(angle) * distance, 0, Math.sin(angle) * distance)));
+    }
+
+    /**
+     * A point pulled back inside the agent's room if it strays past the margin
+     */
+    clampToRoom(agent, point) {
+        const room = this.rooms.get(agent.roomId);
+        const offset = point.subtract(room.center);
+        offset.y = 0;
+        const distance = offset.length();
+        if (distance <= room.radius) return point;
+        return this.snap(room.center.add(offset.multiply(room.radius / distance)));
+    }
+
+    /**
+     * The closest prey agent in the room, or null
+     */
+    findPrey(agent) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const other of this.rooms.get(agent.roomId).agents) {
+            if (!agent.species.prey.includes(other.speciesId)) continue;
+            const distance = other.position.distance(agent.position);
+            if (distance < nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Somewhere to eat: the nearest deposit of something this species or its sessile
+     * prey feeds on, or anywhere in the room when sessile prey grows there without one
+     */
+    findFood(agent) {
+        const types = this.getFoodTypes(agent);
+        let nearest = null;
+        for (const deposit of this.ecosystem.resources.getDeposits(agent.roomId)) {
+            if (!types.has(deposit.type) || !(deposit.amount > 0) || !Number.isFinite(deposit.position?.x)) continue;
+            if (!nearest || deposit.position.distance(agent.position) < nearest.position.distance(agent.position)) nearest = deposit;
+        }
+        if (nearest) return this.snap(nearest.position.clone());
+        return this.getGrazing(agent).length > 0 ? this.randomPoint(agent) : null;
+    }
+
+    /**
+     * Eat where the agent stands: sessile prey first, then the deposits it feeds on
+     * directly. Returns how much of a full meal it got (0-1).
+     */
+    eat(agent) {
+        const { resources, time } = this.ecosystem;
+        const grazing = this.getGrazing(agent);
+        if (grazing.length > 0) {
+            const prey = grazing.reduce((best, candidate) => candidate.size > best.size ? candidate : best);
+            const eaten = Math.min(agent.weight, prey.size);
+            prey.size -= eaten;
+            resources.addWaste(agent.roomId, eaten, agent.position, time);
+            return eaten / agent.weight;
+        }
+
+        const deposit = resources.getDeposits(agent.roomId).find(candidate =>
+            agent.species.resources.includes(candidate.type) && candidate.amount > 0);
+        if (!deposit) return 0;
+        resources.addWaste(agent.roomId, resources.take(deposit, DEPOSIT_BITE * agent.weight, time), agent.position, time);
+        return 1;
+    }
+
+    /**
+     * A predator catches a prey agent: the individuals it stands for are gone, leaving
+     * the predator's droppings
+     */
+    kill(predator, prey) {
+        this.removeIndividuals(prey);
+        this.count('predation');
+        this.ecosystem.resources.addWaste(predator.roomId, prey.weight, prey.position, this.ecosystem.time);
+    }
+
+    /**
+     * An agent dies of its needs or age, leaving its remains where it fell
+     */
+    die(agent, cause) {
+        this.removeIndividuals(agent);
+        this.count(cause);
+        this.ecosystem.resources.addCorpses(agent.roomId, agent.weight, agent.position, this.ecosystem.time);
+    }
+
+    findMate(agent) {
+        let nearest = null;
+        let nearestDistance = MATE_RANGE;
+        for (const other of this.rooms.get(agent.roomId).agents) {
+            if (other === agent || other.species !== agent.species || other.state !== 'mate') continue;
+            const distance = other.position.distance(agent.position);
+            if (distance < nearestDistance) {
+                nearest = other;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Two agents mate: their population grows by a brood for each individual the agent
+     * stands for, as far as the room has capacity to spare, and one agent carrying the
+     * brood appears beside them with a genome inherited from both (mutating more in a
+     * room that suits them badly). Returns it, or null if there was no room.
+     */
+    mate(agent, partner) {
+        const population = this.getPopulation(agent);
+        const brood = Math.min(agent.species.broodSize * agent.weight, population.carryingCapacity - population.size);
+        if (brood <= 0) return null;
+
+        const young = this.spawn(this.rooms.get(agent.roomId), agent.species, agent.position.lerp(partner.position, 0.5));
+        young.weight = brood;
+        if (agent.genome && partner.genome) {
+            const conditions = this.ecosystem.rooms.get(agent.roomId).conditions;
+            const stress = 1 - agent.species.getSuitability(conditions, population.traits);
+            young.genome = Genome.inherit(agent.genome, partner.genome, this.geneticsRng, stress);
+            population.genes.add(young.genome.getFrequencies(), brood, population.size);
+        }
+        population.mixInfections(null, brood);
+        population.size += brood;
+        population.births += brood;
+        return young;
+    }
+
+    /**
+     * A tunnel out towards somewhere that might have what the agent needs: rooms with
+     * water for a drink, otherwise any room the species can live in
+     */
+    pickExit(agent, need) {
+        const exits = this.rooms.get(agent.roomId).exits.filter(exit => {
+            const target = this.ecosystem.rooms.get(exit.to);
+            if (agent.species.getSuitability(target.conditions) <= 0) return false;
+            return need !== 'water' || this.rooms.get(exit.to).water.length > 0;
+        });
+        return exits.length > 0 ? this.rng.pick(exits) : null;
+    }
+
+    /**
+     * An agent walks out through a doorway. Its individuals move to the population at
+     * the other end, recorded as migration; if that room is observed too the agent
+     * carries on there, otherwise it joins the aggregate.
+     */
+    leave(agent, exit) {
+        const from = this.getPopulation(agent);
+        const to = this.ecosystem.getPopulation(exit.to, agent.speciesId);
+        const moved = Math.min(agent.weight, from.size);
+        if (agent.genome) {
+            from.genes.add(agent.genome.getFrequencies(), -moved, from.size);
+            to.genes.add(agent.genome.getFrequencies(), moved, to.size);
+        }
+        to.mixInfections(from.infections, moved);
+        from.size -= moved;
+        from.emigrants += moved;
+        to.size += moved;
+        to.immigrants += moved;
+
+        const route = { connectionId: exit.connectionId, from: agent.roomId, to: exit.to };
+        if (this.ecosystem.migration.traffic.has(exit.connectionId)) {
+            this.ecosystem.migration.record(route, agent.speciesId, moved, this.ecosystem.time);
+        }
+
+        this.remove(agent);
+        if (!this.observed.has(exit.to)) return;
+
+        const arrival = this.rooms.get(exit.to);
+        const entrance = arrival.exits.find(candidate => candidate.connectionId === exit.connectionId);
+        const moving = this.spawn(arrival, agent.species, entrance ? entrance.position : this.randomPoint(arrival));
+        moving.weight = moved;
+        moving.needs = { ...agent.needs };
+        moving.genome = agent.genome;
+    }
+
+    /**
+     * A point at the water's edge in the agent's room, or null
+     */
+    findWater(agent) {
+        const room = this.rooms.get(agent.roomId);
+        if (room.water.length === 0) return null;
+
+        const water = this.rng.pick(room.water);
+        const center = water.position ? water.position.clone() : room.center.clone();
+        const reach = room.radius * Math.sqrt(Math.min(1, water.coverage ?? 0.5));
+        const angle = this.rng.range(0, Math.PI * 2);
+        return this.snap(center.add(new Vector3(Math.cos(angle) * reach, 0, Math.sin(angle) * reach)));
+    }
+
+    /**
+     * Agent deaths by cause since the dungeon was set
+     */
+    getDeaths() {
+        return { ...this.deaths };
+    }
+
+    /**
+     * Deposit types an agent can feed at: its own resources and its sessile prey's
+     */
+    getFoodTypes(agent) {
+        const types = new Set(agent.species.resources);
+        for (const population of this.getGrazing(agent)) {
+            for (const type of population.species.resources) types.add(type);
+        }
+        return types;
+    }
+
+    /**
+     * Populations of sessile prey in the agent's room with anything left to eat
+     */
+    getGrazing(agent) {
+        const populations = this.ecosystem.rooms.get(agent.roomId).populations;
+        return agent.species.prey
+            .map(id => populations.get(id))
+            .filter(population => population && !population.species.mobile && population.size > 0);
+    }
+
+    count(cause) {
+        this.deaths[cause] = (this.deaths[cause] || 0) + 1;
+    }
+
+    snap(point) {
+        const nearest = this.navMesh?.findNearestPoint(point, NAVMESH_SNAP);
+        return nearest ? nearest.point : point;
+    }
+}
+
+/**
+ * Agents split off a population start part-way through their needs, so they don't all
+ * get hungry at once
+ */
+function randomizeNeeds(agent, rng) {
+    agent.needs.hunger = rng.range(0, 0.4);
+    agent.needs.thirst = rng.range(0, 0.3);
+    agent.needs.reproduction = rng.range(0, 0.8);
+    agent.state = 'wander';
+}
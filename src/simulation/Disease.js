@@ -0,0 +1,154 @@
+/**
+ * Disease - Data-driven disease definitions for the ecosystem simulation
+ * A definition is plain JSON-compatible data, like a species: which species it infects
+ * and how susceptible each is, how readily it passes between individuals sharing a
+ * room, how long it incubates and lasts, how often it kills, how long immunity holds,
+ * and the temperature and humidity it spreads best in. Populations carry each disease
+ * as shares of their individuals in the SEIR stages (see DiseaseSystem).
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+
+// Stages a population's individuals can be in besides susceptible, as shares of its size
+export const INFECTION_STAGES = ['exposed', 'infectious', 'recovered'];
+
+/**
+ * Fields a definition may leave out. Rates are per simulated day: transmissionRate is
+ * new infections per susceptible per infectious individual per square metre of floor
+ * (so crowded rooms spread it fastest); incubationRate, recoveryRate and mortalityRate
+ * move infected individuals on to infectious, immune and dead; immunityLoss returns the
+ * immune to susceptible. Hosts map species ids to susceptibility (0 immune, 1 fully
+ * susceptible); humidity is 0-100.
+ */
+const DEFAULTS = {
+    hosts: {},
+    transmissionRate: 1,
+    incubationRate: 0.5,
+    recoveryRate: 0.1,
+    mortalityRate: 0,
+    immunityLoss: 0.02,
+    temperature: { min: -10, optimal: 15, max: 40 },
+    humidity: { min: 0, optimal: 70, max: 100 }
+};
+
+export class Disease {
+    constructor(definition) {
+        Disease.validate(definition);
+
+        this.id = definition.id;
+        this.name = definition.name ?? definition.id;
+        this.hosts = { ...(definition.hosts ?? DEFAULTS.hosts) };
+        this.transmissionRate = definition.transmissionRate ?? DEFAULTS.transmissionRate;
+        this.incubationRate = definition.incubationRate ?? DEFAULTS.incubationRate;
+        this.recoveryRate = definition.recoveryRate ?? DEFAULTS.recoveryRate;
+        this.mortalityRate = definition.mortalityRate ?? DEFAULTS.mortalityRate;
+        this.immunityLoss = definition.immunityLoss ?? DEFAULTS.immunityLoss;
+        this.temperature = { ...DEFAULTS.temperature, ...definition.temperature };
+        this.humidity = { ...DEFAULTS.humidity, ...definition.humidity };
+    }
+
+    /**
+     * Throws if a definition is missing its id or has values the simulation can't use
+     */
+    static validate(definition) {
+        if (!definition || typeof definition.id !== 'string' || definition.id === '') {
+            throw new Error('Disease definition needs a string id');
+        }
+
+        const { id } = definition;
+        for (const field of ['transmissionRate', 'incubationRate', 'recoveryRate', 'mortalityRate', 'immunityLoss']) {
+            const value = definition[field];
+            if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+                throw new Error(`Disease ${id}: ${field} must be a non-negative number`);
+            }
+        }
+        for (const [host, susceptibility] of Object.entries(definition.hosts ?? {})) {
+            if (!(Number.isFinite(susceptibility) && susceptibility >= 0 && susceptibility <= 1)) {
+                throw new Error(`Disease ${id}: susceptibility of ${host} must be from 0 to 1`);
+            }
+        }
+        for (const field of ['temperature', 'humidity']) {
+            const range = { ...DEFAULTS[field], ...definition[field] };
+            if (!(range.min <= range.optimal && range.optimal <= range.max)) {
+                throw new Error(`Disease ${id}: ${field} needs min <= optimal <= max`);
+            }
+        }
+    }
+
+    /**
+     * Diseases keyed by id from a list of definitions (e.g. parsed from JSON)
+     */
+    static fromDefinitions(definitions) {
+        const diseases = new Map();
+        for (const definition of definitions) {
+            if (diseases.has(definition.id)) {
+                throw new Error(`Duplicate disease ${definition.id}`);
+            }
+            diseases.set(definition.id, new Disease(definition));
+        }
+        return diseases;
+    }
+
+    /**
+     * How susceptible a species is (0 if the disease doesn't infect it)
+     */
+    getSusceptibility(speciesId) {
+        return this.hosts[speciesId] ?? 0;
+    }
+
+    /**
+     * How well room conditions ({ temperature, humidity }) suit the disease spreading,
+     * from 0 (it can't pass between hosts there) to 1
+     */
+    getTransmissibility(conditions) {
+        return MathUtils.tolerance(conditions.temperature, this.temperature) *
+            MathUtils.tolerance(conditions.humidity, this.humidity);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            hosts: { ...this.hosts },
+            transmissionRate: this.transmissionRate,
+            incubationRate: this.incubationRate,
+            recoveryRate: this.recoveryRate,
+            mortalityRate: this.mortalityRate,
+            immunityLoss: this.immunityLoss,
+            temperature: { ...this.temperature },
+            humidity: { ...this.humidity }
+        };
+    }
+}
+
+/**
+ * Diseases of the starting food web, none of them present until an outbreak is seeded:
+ * a fever spread by mites among the beetles (spiders catch it less easily), and a rot
+ * passing through the damp fungus beds and on to the moss
+ */
+export const DEFAULT_DISEASES = [
+    {
+        id: 'mite_fever',
+        name: 'Mite Fever',
+        hosts: { cave_beetle: 1, cave_spider: 0.4 },
+        transmissionRate: 6,
+        incubationRate: 0.5,
+        recoveryRate: 0.15,
+        mortalityRate: 0.05,
+        immunityLoss: 0.02,
+        temperature: { min: 4, optimal: 16, max: 32 },
+        humidity: { min: 30, optimal: 90, max: 100 }
+    },
+    {
+        id: 'spore_rot',
+        name: 'Spore Rot',
+        hosts: { cave_fungus: 1, cave_moss: 0.5 },
+        transmissionRate: 0.2,
+        incubationRate: 0.2,
+        recoveryRate: 0.05,
+        mortalityRate: 0.03,
+        immunityLoss: 0.01,
+        temperature: { min: 0, optimal: 14, max: 28 },
+        humidity: { min: 40, optimal: 90, max: 100 }
+    }
+];
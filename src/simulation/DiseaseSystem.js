@@ -0,0 +1,220 @@
+/**
+ * DiseaseSystem - Diseases spreading through and between the rooms' populations
+ * Each host population carries a disease as SEIR shares (see Population.infections):
+ * susceptible individuals catch it from the infectious ones of every host species in
+ * their room by mass action, so the denser the room the faster it spreads, scaled by
+ * their susceptibility and by how well the room's temperature and humidity suit the
+ * disease. The exposed become infectious, who recover (or die of it), and immunity
+ * wanes back to susceptibility. Rooms pass diseases on through the migrants that carry
+ * them, so outbreaks follow the tunnels. Outbreaks are started by hand with seed.
+ * Populations living as creatures (see AgentSystem) don't shrink here: their dead are
+ * owed to the creatures, which die of the disease as the deaths add up.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+
+// Fewer infected (exposed or infectious) individuals than this and a population is clear of the disease
+const CLEARED = 0.05;
+
+// Oldest outbreak, arrival and clearance events are dropped beyond this many
+const MAX_EVENTS = 500;
+
+export class DiseaseSystem {
+    constructor(diseases) {
+        this.diseases = diseases; // diseaseId -> Disease
+        this.present = new Map(); // roomId -> Set of diseaseIds with infected individuals there
+        this.events = [];
+    }
+
+    /**
+     * Forget every room's diseases, e.g. for a new dungeon
+     */
+    clear() {
+        this.present.clear();
+        this.events = [];
+    }
+
+    getDisease(diseaseId) {
+        const disease = this.diseases.get(diseaseId);
+        if (!disease) throw new Error(`Unknown disease ${diseaseId}`);
+        return disease;
+    }
+
+    /**
+     * One step of dt days of every disease in a room ({ conditions, populations }, as
+     * EcosystemManager keeps it), ending at `time`. Returns how many creatures (mobile
+     * species) of aggregate populations died of them; creature agents leave their own remains.
+     */
+    step(roomId, room, dt, time) {
+        let corpses = 0;
+        for (const disease of this.diseases.values()) {
+            const hosts = getHosts(room, disease);
+            if (!hosts.some(population => population.infections.has(disease.id))) {
+                this.update(roomId, disease, false, time);
+                continue;
+            }
+
+            const infectious = hosts.reduce((sum, population) => sum + (population.infections.get(disease.id)?.infectious ?? 0) * population.size, 0);
+            const rate = disease.transmissionRate * disease.getTransmissibility(room.conditions);
+            let infected = false;
+            for (const population of hosts) {
+                if (!population.infections.has(disease.id) && infectious === 0) continue;
+
+                const died = this.progress(population, disease, rate, infectious, room.conditions.area, dt);
+                if (population.species.mobile && !population.detailed) corpses += died;
+                const infection = population.infections.get(disease.id);
+                if (infection && infection.exposed + infection.infectious > 0) infected = true;
+            }
+            this.update(roomId, disease, infected, time);
+        }
+        return corpses;
+    }
+
+    /**
+     * Move one population through the stages of a disease over dt days, with
+     * `infectious` individuals of any host species about. Returns how many it killed;
+     * a detailed population is left to lose them as its creatures die (diseaseDeaths).
+     */
+    progress(population, disease, rate, infectious, area, dt) {
+        const infection = population.getInfection(disease.id);
+        const { size } = population;
+        let exposed = infection.exposed * size;
+        let sick = infection.infectious * size;
+        let recovered = infection.recovered * size;
+        const susceptible = Math.max(0, size - exposed - sick - recovered);
+
+        const caught = Math.min(susceptible, MathUtils.transmission(susceptible, infectious, rate * disease.getSusceptibility(population.speciesId), area) * dt);
+        const incubated = Math.min(exposed, exposed * disease.incubationRate * dt);
+        // The sick recover or die in proportion to the two rates, never more of them than there are
+        const outcomes = disease.recoveryRate + disease.mortalityRate;
+        const leaving = sick * Math.min(1, outcomes * dt);
+        const healed = outcomes > 0 ? leaving * disease.recoveryRate / outcomes : 0;
+        const died = outcomes > 0 ? leaving * disease.mortalityRate / outcomes : 0;
+        const waned = Math.min(recovered, recovered * disease.immunityLoss * dt);
+
+        exposed += caught - incubated;
+        sick += incubated - healed - died;
+        recovered += healed - waned;
+        if (exposed + sick < CLEARED) {
+            exposed = 0;
+            sick = 0;
+        }
+
+        // Shares are of the survivors, whose number a detailed population reaches once its
+        // creatures have died
+        const survivors = Math.max(0, size - died);
+        if (population.detailed) {
+            population.diseaseDeaths += died;
+        } else {
+            population.size = survivors;
+        }
+        population.deaths += died;
+        if (survivors <= 0 || (exposed + sick === 0 && recovered < CLEARED)) {
+            population.infections.delete(disease.id);
+        } else {
+            infection.exposed = exposed / survivors;
+            infection.infectious = sick / survivors;
+            infection.recovered = recovered / survivors;
+        }
+        return died;
+    }
+
+    /**
+     * Start an outbreak: `count` susceptible individuals of a host species in the room
+     * (the one with the most susceptibles, unless given) fall infectious. Returns how
+     * many did.
+     */
+    seed(roomId, room, diseaseId, count = 1, speciesId = null, time = 0) {
+        const disease = this.getDisease(diseaseId);
+        if (speciesId !== null && disease.getSusceptibility(speciesId) <= 0) {
+            throw new Error(`Disease ${diseaseId} doesn't infect ${speciesId}`);
+        }
+
+        let host = null;
+        let most = 0;
+        for (const population of getHosts(room, disease)) {
+            if (speciesId !== null && population.speciesId !== speciesId) continue;
+            const susceptible = getCounts(population, disease.id).susceptible;
+            if (susceptible > most) {
+                host = population;
+                most = susceptible;
+            }
+        }
+        if (!host) return 0;
+
+        const infected = Math.min(count, most);
+        host.getInfection(disease.id).infectious += infected / host.size;
+        this.present.set(roomId, (this.present.get(roomId) ?? new Set()).add(disease.id));
+        this.record('outbreak', roomId, disease, time, host.speciesId);
+        return infected;
+    }
+
+    /**
+     * Note whether a disease has infected individuals in a room, recording it arriving
+     * there or dying out
+     */
+    update(roomId, disease, infected, time) {
+        const present = this.present.get(roomId);
+        const was = present?.has(disease.id) ?? false;
+        if (infected === was) return;
+
+        if (infected) {
+            this.present.set(roomId, (present ?? new Set()).add(disease.id));
+            this.record('arrived', roomId, disease, time);
+        } else {
+            present.delete(disease.id);
+            this.record('cleared', roomId, disease, time);
+        }
+    }
+
+    record(type, roomId, disease, time, speciesId = null) {
+        this.events.push({ time, type, roomId, diseaseId: disease.id, speciesId });
+        if (this.events.length > MAX_EVENTS) this.events.shift();
+    }
+
+    /**
+     * Outbreak, arrival and clearance events since a simulated time (all retained ones
+     * by default)
+     */
+    getEvents(since = -Infinity) {
+        return this.events.filter(event => event.time > since);
+    }
+
+    /**
+     * Individuals of a disease's host species in a room in each stage, or null if none
+     * live there
+     */
+    getRoomStatus(room, diseaseId) {
+        const disease = this.getDisease(diseaseId);
+        const hosts = getHosts(room, disease);
+        if (hosts.length === 0) return null;
+
+        const status = { susceptible: 0, exposed: 0, infectious: 0, recovered: 0 };
+        for (const population of hosts) {
+            const counts = getCounts(population, disease.id);
+            for (const stage in status) status[stage] += counts[stage];
+        }
+        return status;
+    }
+}
+
+/**
+ * A room's living populations the disease can infect
+ */
+function getHosts(room, disease) {
+    return [...room.populations.values()].filter(population => population.size > 0 && disease.getSusceptibility(population.speciesId) > 0);
+}
+
+/**
+ * Individuals of a population in each stage of a disease
+ */
+function getCounts(population, diseaseId) {
+    const infection = population.infections.get(diseaseId);
+    const { size } = population;
+    if (!infection) return { susceptible: size, exposed: 0, infectious: 0, recovered: 0 };
+
+    const exposed = infection.exposed * size;
+    const infectious = infection.infectious * size;
+    const recovered = infection.recovered * size;
+    return { susceptible: Math.max(0, size - exposed - infectious - recovered), exposed, infectious, recovered };
+}
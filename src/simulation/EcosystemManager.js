@@ -0,0 +1,404 @@
+/**
+ * EcosystemManager - Steps every room's populations on a fixed timestep
+ * Each room's conditions come from the dungeon's environment (temperature zones, light
+ * map, water bodies, organic deposits), with temperature and humidity then evolving in
+ * EnvironmentSimulation and the deposits being eaten and regrowing in ResourceSystem,
+ * and set a carrying capacity per species. Sizes then follow
+ * logistic growth on the room's food plus Lotka–Volterra predation between the species
+ * living there, and MigrationSystem moves individuals along the tunnels. Each
+ * population's gene pool evolves under selection for the traits that give it the most
+ * room to live (see Genetics), and DiseaseSystem runs any outbreaks seeded among them.
+ * In observed rooms AgentSystem takes the mobile populations over as individual
+ * creatures. Driven by Engine.update; time is measured in simulated days.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+import { SeededRandom } from '../math/SeededRandom.js';
+import { Species, DEFAULT_SPECIES } from './Species.js';
+import { Population } from './Population.js';
+import { Disease, DEFAULT_DISEASES } from './Disease.js';
+import { MigrationSystem } from './MigrationSystem.js';
+import { EnvironmentSimulation } from './EnvironmentSimulation.js';
+import { ResourceSystem } from './ResourceSystem.js';
+import { DiseaseSystem } from './DiseaseSystem.js';
+import { AgentSystem } from './AgentSystem.js';
+import { getDietWeights, expressTraits } from './Genetics.js';
+
+// Food from organic deposits (amount x quality) that doubles a grazer's carrying capacity
+const FOOD_REFERENCE = 25;
+
+// Share of carrying capacity a grazer keeps in a room with none of its deposits
+const BASELINE_FORAGE = 0.25;
+
+// Generations per day for a species that neither grows nor dies (the rest turn over at
+// growthRate + mortalityRate)
+const MIN_TURNOVER = 0.05;
+
+export class EcosystemManager {
+    constructor(options = {}) {
+        this.species = Species.fromDefinitions(options.species ?? DEFAULT_SPECIES);
+
+        this.timestep = options.timestep ?? 0.1; // Simulated days per step
+        this.timeScale = options.timeScale ?? 1; // Simulated days per real second
+        this.maxStepsPerUpdate = options.maxStepsPerUpdate ?? 20; // Beyond this, time is dropped
+
+        // roomId -> { conditions, populations: Map speciesId -> Population }
+        this.rooms = new Map();
+        this.environment = new EnvironmentSimulation();
+        this.resources = new ResourceSystem();
+        this.migration = new MigrationSystem();
+        this.disease = new DiseaseSystem(Disease.fromDefinitions(options.diseases ?? DEFAULT_DISEASES));
+        this.agents = new AgentSystem(this, options.agents);
+        this.rng = new SeededRandom(options.seed ?? 1); // Genetic drift
+        this.time = 0;
+        this.stepCount = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * A manager populated from a generated or loaded dungeon
+     */
+    static fromDungeon(dungeon, options = {}) {
+        const manager = new EcosystemManager(options);
+        manager.setDungeon(dungeon);
+        return manager;
+    }
+
+    /**
+     * Derive each room's conditions and carrying capacities, and start every species
+     * that can live there at its initialFraction of capacity
+     */
+    setDungeon(dungeon) {
+        this.rooms.clear();
+        this.time = 0;
+        this.stepCount = 0;
+        this.accumulator = 0;
+        this.environment.setDungeon(dungeon);
+        this.resources.setDungeon(dungeon);
+        this.disease.clear();
+
+        for (const room of dungeon.rooms) {
+            const conditions = EcosystemManager.getRoomConditions(dungeon, room);
+            const populations = new Map();
+            for (const species of this.species.values()) {
+                const capacity = this.getCarryingCapacity(species, conditions);
+                populations.set(species.id, new Population(species, room.id, capacity * species.initialFraction, capacity));
+            }
+            this.rooms.set(room.id, { conditions, populations });
+        }
+        this.migration.setConnections(dungeon.connections || [], this.rooms);
+        this.agents.setDungeon(dungeon);
+
+        console.log(`🧬 Ecosystem: ${this.species.size} species across ${this.rooms.size} rooms`);
+        return this;
+    }
+
+    /**
+     * What a room offers life: floor area, temperature, humidity, light, water coverage
+     * and the food in its organic deposits by type (amount x quality)
+     */
+    static getRoomConditions(dungeon, room) {
+        const environment = dungeon.environment || {};
+        const zone = environment.temperatureZones?.find(candidate => candidate.roomId === room.id);
+        const waterCoverage = (environment.waterBodies || [])
+            .filter(water => water.roomId === room.id)
+            .reduce((sum, water) => sum + water.coverage, 0);
+
+        const food = {};
+        for (const deposit of environment.organicDeposits || []) {
+            if (deposit.roomId === room.id) {
+                food[deposit.type] = (food[deposit.type] || 0) + deposit.amount * deposit.quality;
+            }
+        }
+
+        return {
+            area: EnvironmentSimulation.getRoomArea(room),
+            temperature: zone?.actualTemperature ?? room.environment?.temperature ?? 15,
+            humidity: room.environment?.humidity ?? 50,
+            light: environment.lightMap?.get(room.id)?.totalIntensity ?? room.environment?.lightLevel ?? 0,
+            waterCoverage: Math.min(1, waterCoverage),
+            food
+        };
+    }
+
+    /**
+     * Individuals of a species (or a population of it with these expressed traits) the
+     * conditions can support: its ideal density over the floor (or the water, for aquatic
+     * species), scaled by suitability and, for species feeding on organic deposits, by
+     * how much of the food it prefers there is. Predators are limited by their prey
+     * through the dynamics instead.
+     */
+    getCarryingCapacity(species, conditions, traits = null) {
+        const suitability = species.getSuitability(conditions, traits);
+        if (suitability <= 0) return 0;
+
+        const diet = traits ? traits.diet : 0;
+        const area = species.requiresWater ? conditions.area * conditions.waterCoverage : conditions.area;
+        let foodFactor = 1;
+        if (species.resources.length > 0) {
+            const weights = getDietWeights(species.resources.length, diet);
+            const food = species.resources.reduce((sum, type, i) => sum + (conditions.food[type] || 0) * weights[i], 0);
+            foodFactor = BASELINE_FORAGE + food / FOOD_REFERENCE;
+        }
+
+        return species.density * area * suitability * foodFactor;
+    }
+
+    /**
+     * How well a population with these expressed traits would do in its room: its
+     * carrying capacity, and for predators how much of their preferred prey is about
+     */
+    getFitness(population, room, traits) {
+        const { species } = population;
+        const capacity = this.getCarryingCapacity(species, room.conditions, traits);
+        if (!species.isPredator || capacity <= 0) return capacity;
+
+        const weights = getDietWeights(species.prey.length, traits.diet);
+        let available = 0;
+        let preferred = 0;
+        species.prey.forEach((id, i) => {
+            const size = room.populations.get(id)?.size || 0;
+            available += size;
+            preferred += size * weights[i];
+        });
+        return available > 0 ? capacity * preferred / available : capacity;
+    }
+
+    /**
+     * Bring a room's temperature and humidity up to date with the environment
+     * simulation, its food with its deposits, and its carrying capacities with them
+     */
+    updateConditions(roomId, room) {
+        const climate = this.environment.getRoomClimate(roomId);
+        if (!climate) return;
+
+        room.conditions.temperature = climate.temperature;
+        room.conditions.humidity = climate.humidity;
+        room.conditions.food = this.resources.getFood(roomId);
+        for (const population of room.populations.values()) {
+            population.carryingCapacity = this.getCarryingCapacity(population.species, room.conditions, population.traits);
+        }
+    }
+
+    /**
+     * A step of dt days of evolution for a room's statistical populations. Stress is how
+     * far the room is from ideal for them.
+     */
+    evolve(room, dt) {
+        for (const population of room.populations.values()) {
+            if (population.detailed || population.size <= 0) continue;
+
+            const { species } = population;
+            const generations = dt * Math.max(MIN_TURNOVER, species.growthRate + species.mortalityRate);
+            const stress = 1 - species.getSuitability(room.conditions, population.traits);
+            const fitness = traits => this.getFitness(population, room, expressTraits(traits, species.heritability));
+            population.genes.evolve(generations, population.size, stress, fitness, this.rng);
+        }
+    }
+
+    /**
+     * Advance by real elapsed time, in as many fixed steps as it covers, then move the
+     * creatures in observed rooms. Returns the number of steps taken.
+     */
+    update(deltaTime) {
+        this.accumulator += deltaTime * this.timeScale;
+
+        let steps = 0;
+        while (this.accumulator >= this.timestep && steps < this.maxStepsPerUpdate) {
+            this.step(this.timestep);
+            this.accumulator -= this.timestep;
+            steps++;
+        }
+
+        // Fell too far behind to catch up; drop the backlog rather than stall the frame
+        if (steps === this.maxStepsPerUpdate) this.accumulator = Math.min(this.accumulator, this.timestep);
+
+        this.agents.update(deltaTime, this.timeScale);
+        return steps;
+    }
+
+    /**
+     * One fixed step of dt simulated days: the climate and the deposits, then births,
+     * deaths and disease in every room under them (the dead and their droppings going
+     * back into the deposits), then migration, after which observed rooms' creatures are matched to
+     * their populations again
+     */
+    step(dt = this.timestep) {
+        this.environment.step(dt);
+        this.resources.step(this.rooms, dt, this.time + dt);
+        for (const [roomId, room] of this.rooms) {
+            this.updateConditions(roomId, room);
+            const { corpses, eaten } = stepRoom(room, dt);
+            const diseased = this.disease.step(roomId, room, dt, this.time + dt);
+            this.resources.addCorpses(roomId, corpses + diseased, null, this.time + dt);
+            this.resources.addWaste(roomId, eaten, null, this.time + dt);
+            this.evolve(room, dt);
+        }
+        this.migration.step(this.rooms, dt, this.time + dt);
+        this.agents.sync();
+        this.time += dt;
+        this.stepCount++;
+    }
+
+    getPopulation(roomId, speciesId) {
+        return this.rooms.get(roomId)?.populations.get(speciesId) || null;
+    }
+
+    /**
+     * Run individual creatures in these rooms (e.g. the ones in view) and keep every
+     * other room statistical
+     */
+    setObservedRooms(roomIds) {
+        this.agents.setObservedRooms(roomIds);
+    }
+
+    /**
+     * Population sizes in a room by species id
+     */
+    getRoomPopulations(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+
+        const sizes = {};
+        for (const [speciesId, population] of room.populations) {
+            sizes[speciesId] = population.size;
+        }
+        return sizes;
+    }
+
+    /**
+     * Genetic diversity of a species' populations, room by room (heterozygosity, share of
+     * polymorphic loci and genetic trait values), with its mean heterozygosity and how
+     * far apart the rooms have drifted (mean divergence over pairs of rooms)
+     */
+    getGeneticDiversity(speciesId) {
+        const populations = [...this.rooms.values()]
+            .map(room => room.populations.get(speciesId))
+            .filter(population => population && population.size > 0);
+
+        let divergence = 0;
+        let pairs = 0;
+        for (let i = 0; i < populations.length; i++) {
+            for (let j = i + 1; j < populations.length; j++) {
+                divergence += populations[i].genes.getDivergence(populations[j].genes);
+                pairs++;
+            }
+        }
+
+        const rooms = populations.map(population => ({ roomId: population.roomId, size: population.size, ...population.genes.getDiversity() }));
+        return {
+            speciesId,
+            rooms,
+            heterozygosity: rooms.length > 0 ? rooms.reduce((sum, room) => sum + room.heterozygosity, 0) / rooms.length : 0,
+            divergence: pairs > 0 ? divergence / pairs : 0
+        };
+    }
+
+    /**
+     * Start an outbreak of a disease in a room: `count` individuals of a host species
+     * (the one with the most susceptibles, unless given) fall infectious. Returns how
+     * many did; 0 if nothing there can catch it.
+     */
+    seedOutbreak(roomId, diseaseId, count = 1, speciesId = null) {
+        const room = this.rooms.get(roomId);
+        if (!room) throw new Error(`Unknown room ${roomId}`);
+        return this.disease.seed(roomId, room, diseaseId, count, speciesId, this.time);
+    }
+
+    /**
+     * Where a disease stands: individuals of its host species in each stage, room by
+     * room (rooms without hosts are left out) and over the whole dungeon
+     */
+    getDiseaseStatus(diseaseId) {
+        const { name } = this.disease.getDisease(diseaseId);
+        const rooms = [];
+        const totals = { susceptible: 0, exposed: 0, infectious: 0, recovered: 0 };
+        for (const [roomId, room] of this.rooms) {
+            const status = this.disease.getRoomStatus(room, diseaseId);
+            if (!status) continue;
+            rooms.push({ roomId, ...status });
+            for (const stage in totals) totals[stage] += status[stage];
+        }
+        return { diseaseId, name, rooms, ...totals };
+    }
+
+    /**
+     * Migrants carried by each connection, busiest first (see MigrationSystem.getTraffic)
+     */
+    getMigrationTraffic() {
+        return this.migration.getTraffic();
+    }
+
+    /**
+     * Dungeon-wide size of each species, by id
+     */
+    getTotals() {
+        const totals = {};
+        for (const speciesId of this.species.keys()) totals[speciesId] = 0;
+        for (const room of this.rooms.values()) {
+            for (const [speciesId, population] of room.populations) {
+                totals[speciesId] += population.size;
+            }
+        }
+        return totals;
+    }
+}
+
+/**
+ * Births and deaths of every population in a room over dt, all computed from the sizes
+ * at the start of the step. Predation saturates with prey density (per square metre), and
+ * a predator splits its hunting across its prey in proportion to how many of each there are
+ * and how much its diet favours them.
+ * Detailed populations are left to their creatures, which do their own eating and dying.
+ * Returns the remains: creatures (mobile species) dying other than as prey, and the
+ * individuals they ate.
+ */
+function stepRoom({ conditions, populations }, dt) {
+    const births = new Map();
+    const deaths = new Map();
+    const remains = { corpses: 0, eaten: 0 };
+    for (const [speciesId, population] of populations) {
+        if (population.detailed) {
+            births.set(speciesId, 0);
+            deaths.set(speciesId, 0);
+            continue;
+        }
+        const growth = population.getGrowth();
+        const died = (Math.max(0, -growth) + population.species.mortalityRate * population.size) * dt;
+        births.set(speciesId, Math.max(0, growth) * dt);
+        deaths.set(speciesId, died);
+        if (population.species.mobile) remains.corpses += Math.min(died, population.size);
+    }
+
+    for (const [speciesId, predator] of populations) {
+        const { species } = predator;
+        if (!species.isPredator || predator.size <= 0 || predator.detailed) continue;
+
+        const weights = getDietWeights(species.prey.length, predator.traits.diet);
+        const prey = species.prey
+            .map((id, i) => ({ population: populations.get(id), weight: weights[i] }))
+            .filter(({ population }) => population?.size > 0 && !population.detailed);
+        const available = prey.reduce((sum, { population }) => sum + population.size, 0);
+        const preferred = prey.reduce((sum, { population, weight }) => sum + population.size * weight, 0);
+        if (available <= 0) continue;
+
+        const hunted = MathUtils.predationRate(predator.size, available / conditions.area, species.predation.efficiency) * dt;
+        let eatenTotal = 0;
+        for (const { population: candidate, weight } of prey) {
+            const share = preferred > 0 ? candidate.size * weight / preferred : candidate.size / available;
+            const eaten = Math.min(hunted * share, candidate.size);
+            deaths.set(candidate.speciesId, deaths.get(candidate.speciesId) + eaten);
+            eatenTotal += eaten;
+        }
+        if (species.mobile) remains.eaten += eatenTotal;
+
+        // Crowding limits how much of what it eats a predator turns into young
+        const room = Math.max(0, 1 - predator.pressure);
+        births.set(speciesId, births.get(speciesId) + eatenTotal * species.predation.conversion * room);
+    }
+
+    for (const [speciesId, population] of populations) {
+        population.apply(births.get(speciesId), deaths.get(speciesId));
+    }
+    return remains;
+}
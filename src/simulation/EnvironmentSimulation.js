@@ -0,0 +1,219 @@
+/**
+ * EnvironmentSimulation - Heat, humidity and airflow per room, evolving over time
+ * Rooms are cells of air joined by the dungeon's connections. Each step heat and moisture
+ * diffuse through the tunnels (in proportion to cross-section over length) and are carried
+ * by the air moving along them: the generation-time draft from the entrance down into the
+ * depths plus a buoyant flow from warmer rooms to colder ones. Heat sources (lava pools,
+ * thermal vents) warm their rooms and water bodies humidify theirs, while the surrounding
+ * rock pulls each room back towards its resting temperature and humidity. Time is
+ * measured in simulated days, like EcosystemManager.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+
+// Turbulent mixing through a tunnel, per metre of cross-section over length (m³/day)
+const AIR_MIXING = 2000;
+
+// Air speed per unit of generation-time draft strength, and per °C of difference (m/day)
+const DRAFT_SPEED = 50;
+const BUOYANCY = 10;
+
+// Rate (per day) at which the rock draws a room back to rest; insulation slows it
+const ROCK_EXCHANGE = 0.2;
+
+// Rate (per day) at which a heat source or water body pulls its room towards what it imposes
+const SOURCE_EXCHANGE = 0.5;
+
+// Water bodies saturate the air within about this many metres of their edge
+const WATER_REACH = 5;
+
+// No exchange moves a room more than this share of the way to its neighbour in one step
+const MAX_EXCHANGE = 0.25;
+
+export class EnvironmentSimulation {
+    constructor() {
+        this.rooms = new Map(); // roomId -> room state (see setDungeon)
+        this.links = []; // One per connection between known rooms
+        this.time = 0;
+    }
+
+    /**
+     * Start from a dungeon's generated environment: temperatures from its temperature
+     * zones, humidity from the rooms, heat sources from the zones and moisture from its
+     * water bodies
+     */
+    setDungeon(dungeon) {
+        const environment = dungeon.environment || {};
+        this.rooms.clear();
+        this.links = [];
+        this.time = 0;
+
+        for (const room of dungeon.rooms) {
+            const zone = environment.temperatureZones?.find(candidate => candidate.roomId === room.id);
+            const waterCoverage = (environment.waterBodies || [])
+                .filter(water => water.roomId === room.id)
+                .reduce((sum, water) => sum + water.coverage, 0);
+            const area = EnvironmentSimulation.getRoomArea(room);
+            const temperature = zone?.actualTemperature ?? room.environment?.temperature ?? 15;
+            const humidity = room.environment?.humidity ?? 50;
+
+            this.rooms.set(room.id, {
+                roomId: room.id,
+                position: room.position,
+                area,
+                volume: area * (room.size?.height ?? 4),
+                radius: Math.sqrt(area / Math.PI),
+                restingTemperature: temperature,
+                restingHumidity: humidity,
+                insulation: zone?.insulation ?? 0.3,
+                heatSources: zone?.heatSources || [],
+                waterCoverage: Math.min(1, waterCoverage),
+                temperature,
+                humidity,
+                airflow: 0 // Air arriving through tunnels, m³/day
+            });
+        }
+
+        const drafts = new Map((environment.airFlow || []).map(flow => [flow.connectionId, flow]));
+        for (const connection of dungeon.connections || []) {
+            const [a, b] = connection.rooms;
+            if (!this.rooms.has(a) || !this.rooms.has(b) || a === b) continue;
+
+            // The generation-time draft, signed so positive runs from rooms[0] to rooms[1]
+            const draft = drafts.get(connection.id);
+            this.links.push({
+                connectionId: connection.id,
+                rooms: [a, b],
+                crossSection: (connection.width ?? 3) * (connection.height ?? 3),
+                length: Math.max(1, connection.length ?? 1),
+                draft: draft ? (draft.from === a ? draft.strength : -draft.strength) : 0,
+                flow: 0 // Signed air flow, m³/day
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Floor area of a room, as EnvironmentalPlacer estimates it
+     */
+    static getRoomArea(room) {
+        if (room.size?.radius) return Math.PI * room.size.radius * room.size.radius;
+        if (room.size?.width && room.size?.length) return room.size.width * room.size.length;
+        return 100;
+    }
+
+    /**
+     * Air moving through a link, m³/day; positive runs from its first room to its second
+     */
+    getAirflow(link) {
+        const [a, b] = link.rooms.map(id => this.rooms.get(id));
+        const speed = DRAFT_SPEED * link.draft + BUOYANCY * (a.temperature - b.temperature);
+        return link.crossSection * speed;
+    }
+
+    /**
+     * Temperature and humidity a room's sources hold it at: heat sources fall off over
+     * their radius across the room, water saturates the air near it
+     */
+    getSourceTargets(room) {
+        let heat = null;
+        for (const source of room.heatSources) {
+            const target = MathUtils.temperatureGradient(room.radius / source.radius, source.temperature, room.restingTemperature);
+            heat = Math.max(heat ?? -Infinity, target);
+        }
+
+        let moisture = null;
+        if (room.waterCoverage > 0) {
+            const distance = room.radius * (1 - Math.sqrt(room.waterCoverage)) / WATER_REACH;
+            moisture = MathUtils.humidityDiffusion(distance, 100, room.restingHumidity);
+        }
+
+        return { heat, moisture };
+    }
+
+    /**
+     * Advance dt simulated days. Every change is computed from the state at the start
+     * of the step.
+     */
+    step(dt) {
+        const heat = new Map();
+        const moisture = new Map();
+        const inflow = new Map();
+        for (const id of this.rooms.keys()) {
+            heat.set(id, 0);
+            moisture.set(id, 0);
+            inflow.set(id, 0);
+        }
+
+        // Exchange through the tunnels: mixing both ways, and air carried downstream
+        for (const link of this.links) {
+            link.flow = this.getAirflow(link);
+            const [a, b] = link.rooms.map(id => this.rooms.get(id));
+            const mixing = AIR_MIXING * link.crossSection / link.length;
+            const exchange = (room, from, volume) => {
+                const share = Math.min(MAX_EXCHANGE, volume * dt / room.volume);
+                heat.set(room.roomId, heat.get(room.roomId) + share * (from.temperature - room.temperature));
+                moisture.set(room.roomId, moisture.get(room.roomId) + share * (from.humidity - room.humidity));
+            };
+
+            exchange(a, b, mixing);
+            exchange(b, a, mixing);
+
+            const [upstream, downstream] = link.flow >= 0 ? [a, b] : [b, a];
+            exchange(downstream, upstream, Math.abs(link.flow));
+            inflow.set(downstream.roomId, inflow.get(downstream.roomId) + Math.abs(link.flow));
+        }
+
+        // The rock and the room's own sources
+        for (const room of this.rooms.values()) {
+            const rock = Math.min(1, ROCK_EXCHANGE * (1 - room.insulation) * dt);
+            const source = Math.min(1, SOURCE_EXCHANGE * dt);
+            const targets = this.getSourceTargets(room);
+
+            let temperature = room.temperature + heat.get(room.roomId) + rock * (room.restingTemperature - room.temperature);
+            if (targets.heat !== null) temperature += source * (targets.heat - room.temperature);
+
+            let humidity = room.humidity + moisture.get(room.roomId) + rock * (room.restingHumidity - room.humidity);
+            if (targets.moisture !== null) humidity += source * (targets.moisture - room.humidity);
+
+            room.temperature = temperature;
+            room.humidity = MathUtils.clamp(humidity, 0, 100);
+            room.airflow = inflow.get(room.roomId);
+        }
+
+        this.time += dt;
+    }
+
+    /**
+     * Current temperature (°C) and humidity (0-100) of a room, or null
+     */
+    getRoomClimate(roomId) {
+        const room = this.rooms.get(roomId);
+        return room ? { temperature: room.temperature, humidity: room.humidity, airflow: room.airflow } : null;
+    }
+
+    /**
+     * Plain data for drawing the climate: per room temperature, humidity and incoming air,
+     * and per connection the air moving through it (from, to, m³/day)
+     */
+    getVisualizationData() {
+        return {
+            time: this.time,
+            rooms: [...this.rooms.values()].map(room => ({
+                roomId: room.roomId,
+                position: room.position?.toArray ? room.position.toArray() : null,
+                temperature: room.temperature,
+                humidity: room.humidity,
+                airflow: room.airflow,
+                heatSources: room.heatSources.map(source => source.type)
+            })),
+            airflow: this.links.map(link => ({
+                connectionId: link.connectionId,
+                from: link.flow >= 0 ? link.rooms[0] : link.rooms[1],
+                to: link.flow >= 0 ? link.rooms[1] : link.rooms[0],
+                volume: Math.abs(link.flow)
+            }))
+        };
+    }
+}
@@ -0,0 +1,279 @@
+/**
+ * Genetics - Heritable variation in species traits
+ * Each trait is set by LOCI_PER_TRAIT loci with two alleles, '+' pushing it up and '-'
+ * down, so its genetic value is the mean over its loci of +1 and -1: from -1 to 1, with
+ * 0 being the species as defined. A population carries a GenePool of '+' allele
+ * frequencies that evolves each generation through selection on fitness, mutation
+ * (faster under environmental stress) and drift (stronger in small populations).
+ * Individual creatures carry a diploid Genome drawn from their pool and pass it on with
+ * recombination. How much of a genetic value shows (a species' heritability) and what it
+ * does to tolerances is up to getPhenotype.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+
+export const TRAITS = ['temperatureTolerance', 'humidityPreference', 'lightSensitivity', 'size', 'diet'];
+
+export const LOCI_PER_TRAIT = 4;
+
+// What a trait value of 1 does: shift the temperature range (°C) and humidity range,
+// and divide the preferred and tolerated light. A doubling of body size lowers both
+// temperature limits (°C): large bodies keep warm, small ones shed heat.
+const TEMPERATURE_SHIFT = 5;
+const HUMIDITY_SHIFT = 15;
+const LIGHT_SENSITIVITY = 2;
+const SIZE_LIMITS = 4;
+
+// Mutations per locus per generation in an unstressed population
+const BASE_MUTATION = 1e-3;
+
+// Chance of crossing over between neighbouring loci when a gamete forms
+const RECOMBINATION = 0.3;
+
+// Loci with both alleles above this frequency count as polymorphic
+const POLYMORPHIC = 0.05;
+
+/**
+ * Tolerance ranges and diet of a species with expressed trait values. A positive diet
+ * favours the later entries of the species' food list, a negative one the earlier.
+ */
+export function getPhenotype(species, traits) {
+    const { temperature, humidity, light } = species;
+    const warm = traits.temperatureTolerance * TEMPERATURE_SHIFT;
+    const cold = traits.size * SIZE_LIMITS;
+    const damp = traits.humidityPreference * HUMIDITY_SHIFT;
+    const dim = Math.pow(LIGHT_SENSITIVITY, -traits.lightSensitivity);
+    const temperatureOptimal = temperature.optimal + warm;
+    const lightOptimal = light.optimal * dim;
+
+    return {
+        temperature: {
+            min: Math.min(temperatureOptimal, temperature.min + warm - cold),
+            optimal: temperatureOptimal,
+            max: Math.max(temperatureOptimal, temperature.max + warm - cold)
+        },
+        humidity: { min: humidity.min + damp, optimal: humidity.optimal + damp, max: humidity.max + damp },
+        light: { min: Math.min(light.min, lightOptimal), optimal: lightOptimal, max: light.max * dim },
+        diet: traits.diet
+    };
+}
+
+/**
+ * Relative preference for each of `count` foods in a list, averaging 1
+ */
+export function getDietWeights(count, diet) {
+    if (count < 2) return new Array(count).fill(1);
+    return Array.from({ length: count }, (_, i) => 1 + diet * (2 * i / (count - 1) - 1));
+}
+
+/**
+ * Trait values scaled by how much of them is expressed
+ */
+export function expressTraits(traits, heritability) {
+    const expressed = {};
+    for (const trait of TRAITS) expressed[trait] = traits[trait] * heritability;
+    return expressed;
+}
+
+export class GenePool {
+    constructor(frequencies = null) {
+        // trait -> frequency of the '+' allele at each locus
+        this.frequencies = {};
+        for (const trait of TRAITS) {
+            this.frequencies[trait] = Float64Array.from(frequencies?.[trait] ?? new Array(LOCI_PER_TRAIT).fill(0.5));
+        }
+    }
+
+    /**
+     * Genetic value of each trait, -1 to 1
+     */
+    getTraits() {
+        const traits = {};
+        for (const trait of TRAITS) {
+            traits[trait] = this.frequencies[trait].reduce((sum, p) => sum + 2 * p - 1, 0) / LOCI_PER_TRAIT;
+        }
+        return traits;
+    }
+
+    /**
+     * Expected heterozygosity: the chance two alleles drawn at a locus differ, averaged
+     * over every locus (0.5 at most)
+     */
+    getHeterozygosity() {
+        let sum = 0;
+        for (const trait of TRAITS) {
+            for (const p of this.frequencies[trait]) sum += 2 * p * (1 - p);
+        }
+        return sum / (TRAITS.length * LOCI_PER_TRAIT);
+    }
+
+    /**
+     * Heterozygosity, the share of loci still polymorphic, and the trait values
+     */
+    getDiversity() {
+        let polymorphic = 0;
+        for (const trait of TRAITS) {
+            for (const p of this.frequencies[trait]) {
+                if (p > POLYMORPHIC && p < 1 - POLYMORPHIC) polymorphic++;
+            }
+        }
+        return {
+            heterozygosity: this.getHeterozygosity(),
+            polymorphism: polymorphic / (TRAITS.length * LOCI_PER_TRAIT),
+            traits: this.getTraits()
+        };
+    }
+
+    /**
+     * Mean difference in allele frequency from another pool (0 identical, 1 fixed apart)
+     */
+    getDivergence(other) {
+        let sum = 0;
+        for (const trait of TRAITS) {
+            this.frequencies[trait].forEach((p, i) => { sum += Math.abs(p - other.frequencies[trait][i]); });
+        }
+        return sum / (TRAITS.length * LOCI_PER_TRAIT);
+    }
+
+    /**
+     * Count individuals with these allele frequencies join a pool of `size` (leave it,
+     * for a negative count)
+     */
+    add(frequencies, count, size) {
+        const total = size + count;
+        if (!(total > 0) || count === 0) return;
+
+        for (const trait of TRAITS) {
+            const loci = this.frequencies[trait];
+            loci.forEach((p, i) => {
+                loci[i] = MathUtils.clamp01((p * size + frequencies[trait][i] * count) / total);
+            });
+        }
+    }
+
+    /**
+     * Evolve over a number of generations in a population of `size`. Selection follows
+     * fitness (a function of genetic trait values) uphill, at a rate set by each locus'
+     * variation p(1 - p); mutation pulls frequencies towards 1/2 faster the more stressed
+     * the population (0-1); drift is a random step with the variance geneticDrift gives.
+     */
+    evolve(generations, size, stress, fitness, rng) {
+        if (!(generations > 0) || !(size > 0)) return;
+
+        const mutation = MathUtils.mutationRate(BASE_MUTATION, stress) * generations;
+        const drift = MathUtils.geneticDrift(size, generations);
+        const traits = this.getTraits();
+        const base = fitness(traits);
+        const step = 1 / LOCI_PER_TRAIT;
+
+        for (const trait of TRAITS) {
+            // Relative fitness gained per unit of trait value; a '+' allele is worth 2 / loci of it
+            let gradient = 0;
+            if (base > 0) {
+                const up = fitness({ ...traits, [trait]: traits[trait] + step });
+                const down = fitness({ ...traits, [trait]: traits[trait] - step });
+                gradient = (up - down) / (2 * step) / base;
+            }
+
+            const loci = this.frequencies[trait];
+            loci.forEach((p, i) => {
+                const variation = p * (1 - p);
+                const selected = variation * 2 / LOCI_PER_TRAIT * gradient * generations;
+                const mutated = mutation * (1 - 2 * p);
+                const drifted = variation > 0 ? rng.gaussian(0, Math.sqrt(variation * drift)) : 0;
+                loci[i] = MathUtils.clamp01(p + selected + mutated + drifted);
+            });
+        }
+    }
+
+    clone() {
+        return new GenePool(this.frequencies);
+    }
+
+    toJSON() {
+        const frequencies = {};
+        for (const trait of TRAITS) frequencies[trait] = [...this.frequencies[trait]];
+        return frequencies;
+    }
+}
+
+export class Genome {
+    constructor(alleles) {
+        // trait -> two haplotypes of LOCI_PER_TRAIT alleles each (1 is '+')
+        this.alleles = alleles;
+    }
+
+    /**
+     * An individual drawn at random from a gene pool
+     */
+    static fromPool(pool, rng) {
+        const alleles = {};
+        for (const trait of TRAITS) {
+            const loci = pool.frequencies[trait];
+            alleles[trait] = Uint8Array.from({ length: 2 * LOCI_PER_TRAIT }, (_, i) => rng.next() < loci[i % LOCI_PER_TRAIT] ? 1 : 0);
+        }
+        return new Genome(alleles);
+    }
+
+    /**
+     * A child with a gamete from each parent: each gamete follows one of the parent's
+     * haplotypes, crossing over to the other between loci, and any allele may mutate
+     */
+    static inherit(mother, father, rng, stress = 0) {
+        const mutation = MathUtils.mutationRate(BASE_MUTATION, stress);
+        const alleles = {};
+        for (const trait of TRAITS) {
+            alleles[trait] = Uint8Array.from([
+                ...gamete(mother.alleles[trait], rng, mutation),
+                ...gamete(father.alleles[trait], rng, mutation)
+            ]);
+        }
+        return new Genome(alleles);
+    }
+
+    getTraits() {
+        const traits = {};
+        for (const trait of TRAITS) {
+            traits[trait] = this.alleles[trait].reduce((sum, allele) => sum + 2 * allele - 1, 0) / (2 * LOCI_PER_TRAIT);
+        }
+        return traits;
+    }
+
+    /**
+     * Share of loci where the two haplotypes differ
+     */
+    getHeterozygosity() {
+        let differing = 0;
+        for (const trait of TRAITS) {
+            const alleles = this.alleles[trait];
+            for (let i = 0; i < LOCI_PER_TRAIT; i++) {
+                if (alleles[i] !== alleles[i + LOCI_PER_TRAIT]) differing++;
+            }
+        }
+        return differing / (TRAITS.length * LOCI_PER_TRAIT);
+    }
+
+    /**
+     * '+' allele frequencies this individual carries, for adding to a GenePool
+     */
+    getFrequencies() {
+        const frequencies = {};
+        for (const trait of TRAITS) {
+            const alleles = this.alleles[trait];
+            frequencies[trait] = Array.from({ length: LOCI_PER_TRAIT }, (_, i) => (alleles[i] + alleles[i + LOCI_PER_TRAIT]) / 2);
+        }
+        return frequencies;
+    }
+}
+
+/**
+ * One haplotype's worth of alleles from a diploid set
+ */
+function gamete(alleles, rng, mutation) {
+    let strand = rng.int(0, 1);
+    return Array.from({ length: LOCI_PER_TRAIT }, (_, i) => {
+        if (i > 0 && rng.next() < RECOMBINATION) strand = 1 - strand;
+        const allele = alleles[strand * LOCI_PER_TRAIT + i];
+        return rng.next() < mutation ? 1 - allele : allele;
+    });
+}
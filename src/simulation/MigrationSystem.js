@@ -0,0 +1,138 @@
+/**
+ * MigrationSystem - Moves individuals between rooms along the dungeon's connections
+ * Every step each population sends emigrants down each tunnel out of its room, at a
+ * rate set by how crowded (or unsuitable) the room is, how well the room at the other
+ * end suits the species, and the tunnel's cross-section and length. Flux accumulates
+ * per route until whole individuals cross, which is what gets recorded as a migration
+ * event and counted as traffic on the connection.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+
+// migrationProbability's distance falloff is 1/e per 10 units; one unit is this many metres
+const DISTANCE_UNIT = 10;
+
+// Tunnel cross-section (width x height, m²) that carries a species' full dispersal rate
+const REFERENCE_CROSS_SECTION = 9;
+
+// How strongly migrants favour rooms that suit them better than the one they leave
+const GRADIENT_WEIGHT = 1;
+
+// Pressure of a population in a room that can't support it at all
+const UNSUITABLE_PRESSURE = 3;
+
+// Traffic flow (individuals per day) is smoothed over about this many simulated days
+const FLOW_SMOOTHING = 2;
+
+// Oldest migration events are dropped beyond this many
+const MAX_EVENTS = 500;
+
+export class MigrationSystem {
+    constructor() {
+        this.routes = new Map(); // roomId -> [{ connectionId, from, to, length, crossSection, pending }]
+        this.traffic = new Map(); // connectionId -> { connectionId, rooms, total, net, flow, bySpecies }
+        this.events = [];
+    }
+
+    /**
+     * Build the routes out of each room from the dungeon's connections. Connections to
+     * rooms the simulation doesn't know are skipped.
+     */
+    setConnections(connections, rooms) {
+        this.routes.clear();
+        this.traffic.clear();
+        this.events = [];
+
+        for (const roomId of rooms.keys()) this.routes.set(roomId, []);
+        for (const connection of connections) {
+            const [a, b] = connection.rooms;
+            if (!rooms.has(a) || !rooms.has(b) || a === b) continue;
+
+            const length = connection.length ?? 0;
+            const crossSection = (connection.width ?? 3) * (connection.height ?? 3);
+            this.routes.get(a).push({ connectionId: connection.id, from: a, to: b, length, crossSection, pending: new Map() });
+            this.routes.get(b).push({ connectionId: connection.id, from: b, to: a, length, crossSection, pending: new Map() });
+            this.traffic.set(connection.id, { connectionId: connection.id, rooms: [a, b], total: 0, net: 0, flow: 0, bySpecies: {} });
+        }
+    }
+
+    /**
+     * Emigrants per day leaving a population down one route
+     */
+    getEmigrationRate(population, room, target, route) {
+        const { species } = population;
+        const pressure = population.carryingCapacity > 0 ? population.pressure : UNSUITABLE_PRESSURE;
+        const here = species.getSuitability(room.conditions);
+        const there = species.getSuitability(target.conditions);
+        if (there <= 0) return 0;
+
+        const probability = MathUtils.migrationProbability(pressure, there, route.length / DISTANCE_UNIT);
+        const section = route.crossSection / REFERENCE_CROSS_SECTION;
+        const gradient = Math.exp(GRADIENT_WEIGHT * (there - here));
+        return population.size * species.dispersalRate * probability * section * gradient;
+    }
+
+    /**
+     * Move migrants between rooms for a step of dt days ending at `time`. Rates come
+     * from the sizes before anyone moves.
+     */
+    step(rooms, dt, time) {
+        const moves = [];
+        for (const [roomId, room] of rooms) {
+            for (const route of this.routes.get(roomId) || []) {
+                const target = rooms.get(route.to);
+                for (const [speciesId, population] of room.populations) {
+                    if (population.size < 1 || population.species.dispersalRate <= 0) continue;
+
+                    const pending = (route.pending.get(speciesId) || 0) + this.getEmigrationRate(population, room, target, route) * dt;
+                    const count = Math.floor(pending);
+                    route.pending.set(speciesId, pending - count);
+                    if (count > 0) moves.push({ route, speciesId, count });
+                }
+            }
+        }
+
+        const moved = new Map();
+        for (const { route, speciesId, count } of moves) {
+            const source = rooms.get(route.from).populations.get(speciesId);
+            const destination = rooms.get(route.to).populations.get(speciesId);
+            const migrants = source.moveTo(destination, count);
+            if (migrants === 0) continue;
+
+            this.record(route, speciesId, migrants, time);
+            moved.set(route.connectionId, (moved.get(route.connectionId) || 0) + migrants);
+        }
+
+        const smoothing = 1 - Math.exp(-dt / FLOW_SMOOTHING);
+        for (const traffic of this.traffic.values()) {
+            traffic.flow = MathUtils.lerp(traffic.flow, (moved.get(traffic.connectionId) || 0) / dt, smoothing);
+        }
+    }
+
+    record(route, speciesId, count, time) {
+        const traffic = this.traffic.get(route.connectionId);
+        traffic.total += count;
+        traffic.net += route.to === traffic.rooms[1] ? count : -count;
+        traffic.bySpecies[speciesId] = (traffic.bySpecies[speciesId] || 0) + count;
+
+        this.events.push({ time, speciesId, from: route.from, to: route.to, connectionId: route.connectionId, count });
+        if (this.events.length > MAX_EVENTS) this.events.shift();
+    }
+
+    /**
+     * Traffic per connection, busiest (by current flow) first. `net` is the balance of
+     * migrants towards the connection's second room.
+     */
+    getTraffic() {
+        return [...this.traffic.values()]
+            .map(traffic => ({ ...traffic, rooms: [...traffic.rooms], bySpecies: { ...traffic.bySpecies } }))
+            .sort((a, b) => b.flow - a.flow || b.total - a.total);
+    }
+
+    /**
+     * Migration events since a simulated time (all of the retained ones by default)
+     */
+    getEvents(since = -Infinity) {
+        return this.events.filter(event => event.time > since);
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Population - One species living in one room
+ * Sizes are continuous (a population's expected head count) so the growth equations
+ * can be integrated directly; anything below EXTINCTION_THRESHOLD is treated as gone.
+ * Each population has its own GenePool, so rooms can drift and adapt apart, and carries
+ * the diseases in it as shares of its individuals in each infection stage; newborns are
+ * susceptible, deaths take every stage alike and migrants bring theirs with them.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+import { GenePool, expressTraits } from './Genetics.js';
+import { INFECTION_STAGES } from './Disease.js';
+
+// Less than this many individuals can't recover, so the population is set to zero
+export const EXTINCTION_THRESHOLD = 0.5;
+
+export class Population {
+    constructor(species, roomId, size = 0, carryingCapacity = 0) {
+        this.species = species;
+        this.roomId = roomId;
+        this.size = size;
+        this.carryingCapacity = carryingCapacity;
+
+        // Whether individual creatures (AgentSystem) are living this population out
+        this.detailed = false;
+        // Individuals of a detailed population dead of disease whose creatures are yet to die
+        this.diseaseDeaths = 0;
+
+        this.genes = new GenePool();
+        this.infections = new Map(); // diseaseId -> { exposed, infectious, recovered }
+
+        // Totals over the last simulation step
+        this.births = 0;
+        this.deaths = 0;
+        this.immigrants = 0;
+        this.emigrants = 0;
+    }
+
+    get speciesId() {
+        return this.species.id;
+    }
+
+    get isExtinct() {
+        return this.size <= 0;
+    }
+
+    /**
+     * Trait values as they show, given the species' heritability (see getPhenotype)
+     */
+    get traits() {
+        return expressTraits(this.genes.getTraits(), this.species.heritability);
+    }
+
+    /**
+     * Size relative to carrying capacity (1 is full; no capacity counts as full)
+     */
+    get pressure() {
+        return MathUtils.populationPressure(this.size, this.carryingCapacity);
+    }
+
+    /**
+     * Logistic growth from the species' own food, per day. With no capacity left the
+     * population shrinks at its growth rate.
+     */
+    getGrowth() {
+        if (this.species.growthRate === 0) return 0;
+        if (this.carryingCapacity <= 0) return -this.species.growthRate * this.size;
+        return MathUtils.logisticGrowth(this.size, this.carryingCapacity, this.species.growthRate);
+    }
+
+    /**
+     * Apply a step's births and deaths, clamping at zero and below EXTINCTION_THRESHOLD
+     */
+    apply(births, deaths) {
+        this.births = births;
+        this.deaths = deaths;
+        this.immigrants = 0;
+        this.emigrants = 0;
+        this.size = Math.max(0, this.size - deaths);
+        this.mixInfections(null, births);
+        this.size += births;
+        if (this.size < EXTINCTION_THRESHOLD) this.size = 0;
+    }
+
+    /**
+     * Move up to count whole individuals into another population of the same species,
+     * their genes with them. Returns how many moved.
+     */
+    moveTo(target, count) {
+        const moved = Math.min(count, Math.floor(this.size));
+        if (moved <= 0) return 0;
+
+        target.genes.add(this.genes.frequencies, moved, target.size);
+        target.mixInfections(this.infections, moved);
+        this.size -= moved;
+        this.emigrants += moved;
+        target.size += moved;
+        target.immigrants += moved;
+        return moved;
+    }
+
+    /**
+     * Shares of the population in each infection stage of a disease, added (all zero)
+     * if it has none yet
+     */
+    getInfection(diseaseId) {
+        let infection = this.infections.get(diseaseId);
+        if (!infection) {
+            infection = { exposed: 0, infectious: 0, recovered: 0 };
+            this.infections.set(diseaseId, infection);
+        }
+        return infection;
+    }
+
+    /**
+     * Count individuals carrying these infections (diseaseId -> stage shares; null for
+     * healthy ones) join the population, before its size is raised to take them in
+     */
+    mixInfections(infections, count) {
+        const total = this.size + count;
+        if (!(total > 0) || !(count > 0)) return;
+
+        for (const diseaseId of new Set([...this.infections.keys(), ...(infections?.keys() ?? [])])) {
+            const infection = this.getInfection(diseaseId);
+            const incoming = infections?.get(diseaseId);
+            for (const stage of INFECTION_STAGES) {
+                infection[stage] = (infection[stage] * this.size + (incoming?.[stage] ?? 0) * count) / total;
+            }
+        }
+    }
+
+    toJSON() {
+        return {
+            speciesId: this.speciesId,
+            roomId: this.roomId,
+            size: this.size,
+            carryingCapacity: this.carryingCapacity,
+            genes: this.genes.toJSON(),
+            infections: Object.fromEntries([...this.infections].map(([diseaseId, infection]) => [diseaseId, { ...infection }]))
+        };
+    }
+}
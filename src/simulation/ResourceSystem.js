@@ -0,0 +1,313 @@
+/**
+ * ResourceSystem - Organic deposits being eaten, growing back and rotting away
+ * Each step the populations feeding on a room's deposits ask for feedingRate per
+ * individual, split over the deposits of their food types by how much each holds; when
+ * a deposit can't satisfy everyone it is shared out in proportion to demand. Deposits
+ * then regrow at their regenerationRate towards a cap set by how well the room's light,
+ * humidity and temperature suit that kind of matter, and those nobody fed on decay.
+ * Dead creatures and their droppings feed DETRITUS back in. Deposits running out and
+ * coming back are recorded as events. Time is measured in simulated days.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+
+// Conditions each deposit type grows in (light 0-1, humidity 0-100, temperature °C), and
+// the share of it rotting away per day while unused
+const GROWTH_CONDITIONS = {
+    MOSS: {
+        light: { min: 0.05, optimal: 0.5, max: 1 },
+        humidity: { min: 30, optimal: 85, max: 100 },
+        temperature: { min: 0, optimal: 14, max: 30 },
+        decayRate: 0.02
+    },
+    ALGAE: {
+        light: { min: 0.05, optimal: 0.4, max: 1 },
+        humidity: { min: 50, optimal: 95, max: 100 },
+        temperature: { min: 2, optimal: 18, max: 32 },
+        decayRate: 0.04
+    },
+    FUNGAL_MATTER: {
+        light: { min: 0, optimal: 0, max: 0.7 },
+        humidity: { min: 30, optimal: 85, max: 100 },
+        temperature: { min: 2, optimal: 16, max: 30 },
+        decayRate: 0.03
+    },
+    DETRITUS: {
+        light: { min: 0, optimal: 0, max: 1 },
+        humidity: { min: 0, optimal: 70, max: 100 },
+        temperature: { min: -10, optimal: 15, max: 40 },
+        decayRate: 0.05
+    },
+    DECOMPOSED_MATTER: {
+        light: { min: 0, optimal: 0, max: 1 },
+        humidity: { min: 20, optimal: 80, max: 100 },
+        temperature: { min: 0, optimal: 18, max: 35 },
+        decayRate: 0.02
+    }
+};
+
+// A deposit can grow to this many times its generated amount in ideal conditions
+const CAPACITY_HEADROOM = 2;
+
+// Below this share of its capacity a deposit is depleted; it has recovered above the second
+const DEPLETED = 0.05;
+const RECOVERED = 0.5;
+
+// DETRITUS left per dead creature, and per individual or unit of deposit a creature eats
+const CORPSE_MATTER = 0.5;
+const WASTE_MATTER = 0.1;
+
+// Quality and capacity of a DETRITUS deposit started by creatures' remains
+const DETRITUS_QUALITY = 0.4;
+const DETRITUS_CAPACITY = 20;
+
+// Oldest depletion and recovery events are dropped beyond this many
+const MAX_EVENTS = 500;
+
+export class ResourceSystem {
+    constructor() {
+        this.rooms = new Map(); // roomId -> { roomId, position, deposits }
+        this.events = [];
+    }
+
+    /**
+     * Take a copy of a dungeon's organic deposits, so the dungeon keeps what it was
+     * generated with
+     */
+    setDungeon(dungeon) {
+        this.rooms.clear();
+        this.events = [];
+
+        for (const room of dungeon.rooms) {
+            this.rooms.set(room.id, { roomId: room.id, position: room.position, deposits: [] });
+        }
+
+        (dungeon.environment?.organicDeposits || []).forEach((deposit, index) => {
+            const room = this.rooms.get(deposit.roomId);
+            if (!room) return;
+
+            room.deposits.push({
+                id: deposit.id ?? `organic_${index}`,
+                roomId: deposit.roomId,
+                type: deposit.type,
+                amount: deposit.amount,
+                quality: deposit.quality ?? 0.5,
+                position: deposit.position?.clone ? deposit.position.clone() : null,
+                regenerationRate: deposit.regenerationRate ?? 0,
+                capacity: deposit.amount * CAPACITY_HEADROOM,
+                eaten: 0, // Since the last step, by populations and creatures
+                consumed: 0, // Eaten over the last step
+                depleted: false
+            });
+        });
+        return this;
+    }
+
+    getDeposits(roomId) {
+        return this.rooms.get(roomId)?.deposits || [];
+    }
+
+    /**
+     * Food in a room's deposits by type (amount x quality), as room conditions carry it
+     */
+    getFood(roomId) {
+        const food = {};
+        for (const deposit of this.getDeposits(roomId)) {
+            food[deposit.type] = (food[deposit.type] || 0) + deposit.amount * deposit.quality;
+        }
+        return food;
+    }
+
+    /**
+     * How much a deposit can grow to in a room's conditions: its capacity, scaled by how
+     * well the light, humidity and temperature suit its type
+     */
+    getCap(deposit, conditions) {
+        const growth = GROWTH_CONDITIONS[deposit.type];
+        if (!growth) return deposit.capacity;
+
+        return deposit.capacity *
+            MathUtils.tolerance(conditions.light, growth.light) *
+            MathUtils.tolerance(conditions.humidity, growth.humidity) *
+            MathUtils.tolerance(conditions.temperature, growth.temperature);
+    }
+
+    /**
+     * One step of dt days ending at `time` for every room ({ conditions, populations },
+     * as EcosystemManager keeps them): feeding, then regrowth and decay
+     */
+    step(rooms, dt, time) {
+        for (const [roomId, room] of rooms) {
+            const deposits = this.getDeposits(roomId);
+            if (deposits.length === 0) continue;
+
+            this.feed(roomId, room.populations, deposits, dt, time);
+            for (const deposit of deposits) {
+                deposit.consumed = deposit.eaten;
+                deposit.eaten = 0;
+
+                const cap = this.getCap(deposit, room.conditions);
+                if (deposit.amount < cap) {
+                    deposit.amount += Math.min(cap - deposit.amount, deposit.regenerationRate * (cap - deposit.amount) * dt);
+                }
+                if (deposit.consumed === 0) {
+                    deposit.amount = MathUtils.resourceDecay(deposit.amount, GROWTH_CONDITIONS[deposit.type]?.decayRate ?? 0, dt);
+                }
+                this.checkLevel(deposit, time);
+            }
+        }
+    }
+
+    /**
+     * Share a room's deposits among the populations eating them. A population's demand
+     * goes to its food types' deposits in proportion to what they hold; creatures leave
+     * some of what they eat behind as detritus.
+     */
+    feed(roomId, populations, deposits, dt, time) {
+        const competitors = new Map(deposits.map(deposit => [deposit, []]));
+        for (const population of populations.values()) {
+            const { species } = population;
+            if (population.detailed || population.size <= 0 || species.resources.length === 0) continue;
+
+            const food = deposits.filter(deposit => species.resources.includes(deposit.type) && deposit.amount > 0);
+            const available = food.reduce((sum, deposit) => sum + deposit.amount, 0);
+            const demand = population.size * species.feedingRate * dt;
+            for (const deposit of food) {
+                competitors.get(deposit).push({ population, demand: demand * deposit.amount / available });
+            }
+        }
+
+        let waste = 0;
+        for (const [deposit, feeding] of competitors) {
+            if (feeding.length === 0) continue;
+
+            const grants = MathUtils.resourceCompetition(deposit.amount, feeding);
+            const eaten = grants.reduce((sum, grant) => sum + grant, 0);
+            feeding.forEach(({ population }, i) => {
+                if (population.species.mobile) waste += grants[i];
+            });
+            deposit.amount = Math.max(0, deposit.amount - eaten);
+            deposit.eaten += eaten;
+            this.checkLevel(deposit, time);
+        }
+        if (waste > 0) this.addWaste(roomId, waste, null, time);
+    }
+
+    /**
+     * Eat straight from one deposit (a creature at it). Returns how much it got.
+     */
+    take(deposit, amount, time) {
+        const taken = Math.min(amount, deposit.amount);
+        deposit.amount -= taken;
+        deposit.eaten += taken;
+        this.checkLevel(deposit, time);
+        return taken;
+    }
+
+    /**
+     * Dead creatures' remains, rotting into the nearest DETRITUS deposit
+     */
+    addCorpses(roomId, count, position = null, time = 0) {
+        this.addDetritus(roomId, count * CORPSE_MATTER, position, time);
+    }
+
+    /**
+     * What creatures leave behind of a meal of `eaten` individuals or deposit units
+     */
+    addWaste(roomId, eaten, position = null, time = 0) {
+        this.addDetritus(roomId, eaten * WASTE_MATTER, position, time);
+    }
+
+    /**
+     * Add to the room's DETRITUS deposit nearest the position, starting one there (or
+     * in the middle of the room) if it has none. Returns the deposit.
+     */
+    addDetritus(roomId, amount, position = null, time = 0) {
+        const room = this.rooms.get(roomId);
+        if (!room || !(amount > 0)) return null;
+
+        const at = position || room.position;
+        let deposit = null;
+        for (const candidate of room.deposits) {
+            if (candidate.type !== 'DETRITUS') continue;
+            if (!deposit || distance(candidate, at) < distance(deposit, at)) deposit = candidate;
+        }
+
+        if (!deposit) {
+            deposit = {
+                id: `detritus_${roomId}`,
+                roomId,
+                type: 'DETRITUS',
+                amount: 0,
+                quality: DETRITUS_QUALITY,
+                position: at?.clone ? at.clone() : null,
+                regenerationRate: 0,
+                capacity: DETRITUS_CAPACITY,
+                eaten: 0,
+                consumed: 0,
+                depleted: true
+            };
+            room.deposits.push(deposit);
+        }
+
+        deposit.amount += amount;
+        this.checkLevel(deposit, time);
+        return deposit;
+    }
+
+    /**
+     * Record a deposit running out, or coming back after it did
+     */
+    checkLevel(deposit, time) {
+        const level = deposit.capacity > 0 ? deposit.amount / deposit.capacity : 0;
+        if (!deposit.depleted && level < DEPLETED) {
+            deposit.depleted = true;
+            this.record('depleted', deposit, time);
+        } else if (deposit.depleted && level >= RECOVERED) {
+            deposit.depleted = false;
+            this.record('recovered', deposit, time);
+        }
+    }
+
+    record(type, deposit, time) {
+        this.events.push({ time, type, depositId: deposit.id, roomId: deposit.roomId, resource: deposit.type, amount: deposit.amount });
+        if (this.events.length > MAX_EVENTS) this.events.shift();
+    }
+
+    /**
+     * Depletion and recovery events since a simulated time (all retained ones by default)
+     */
+    getEvents(since = -Infinity) {
+        return this.events.filter(event => event.time > since);
+    }
+
+    /**
+     * Plain data for drawing the deposits: per deposit its type, amount, share of
+     * capacity and what was eaten over the last step
+     */
+    getVisualizationData() {
+        const deposits = [];
+        for (const room of this.rooms.values()) {
+            for (const deposit of room.deposits) {
+                deposits.push({
+                    id: deposit.id,
+                    roomId: deposit.roomId,
+                    type: deposit.type,
+                    position: deposit.position?.toArray ? deposit.position.toArray() : null,
+                    amount: deposit.amount,
+                    level: deposit.capacity > 0 ? deposit.amount / deposit.capacity : 0,
+                    consumed: deposit.consumed,
+                    depleted: deposit.depleted
+                });
+            }
+        }
+        return { deposits };
+    }
+}
+
+/**
+ * Distance from a deposit to a point; deposits without a position count as far away
+ */
+function distance(deposit, point) {
+    return deposit.position && point ? deposit.position.distance(point) : Infinity;
+}
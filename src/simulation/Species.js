@@ -0,0 +1,251 @@
+/**
+ * Species - Data-driven species definitions for the ecosystem simulation
+ * A definition is plain JSON-compatible data: what a species feeds on (organic deposit
+ * types from EnvironmentalPlacer and/or other species), how fast it grows and dies, how
+ * densely it can live and the temperature, humidity and light it tolerates. Mobile
+ * species also say how fast they walk and how quickly they get hungry and thirsty, for
+ * when they are simulated as individual creatures. Heritability is how much of their
+ * populations' genetic variation (see Genetics) shows in their traits.
+ */
+
+import { MathUtils } from '../math/MathUtils.js';
+import { getPhenotype } from './Genetics.js';
+
+export const TROPHIC_LEVELS = ['producer', 'decomposer', 'consumer', 'predator'];
+
+// Organic deposit types placed by EnvironmentalPlacer
+export const RESOURCE_TYPES = ['FUNGAL_MATTER', 'MOSS', 'DETRITUS', 'ALGAE', 'DECOMPOSED_MATTER'];
+
+/**
+ * Fields a definition may leave out. Rates are per simulated day (dispersalRate is the
+ * share of a crowded population setting off down a tunnel); density is individuals per
+ * square metre of floor in ideal conditions; feedingRate is how much of its organic
+ * deposits an individual eats per day; humidity is 0-100 and light 0-1. Speed is
+ * metres per second; hunger and thirst rates are how much of a creature's need (0-1)
+ * builds up per day, and broodSize is how many young a pair of creatures has. Heritability
+ * runs from 0 (traits never evolve) to 1.
+ */
+const DEFAULTS = {
+    trophicLevel: 'consumer',
+    resources: [],
+    prey: [],
+    growthRate: 0,
+    mortalityRate: 0,
+    dispersalRate: 0.05,
+    density: 1,
+    feedingRate: 0.01,
+    initialFraction: 0.5,
+    requiresWater: false,
+    mobile: false,
+    speed: 1,
+    hungerRate: 0.5,
+    thirstRate: 0.3,
+    broodSize: 1,
+    heritability: 0,
+    temperature: { min: 0, optimal: 15, max: 30 },
+    humidity: { min: 0, optimal: 70, max: 100 },
+    light: { min: 0, optimal: 0, max: 1 },
+    predation: { efficiency: 0, conversion: 0 }
+};
+
+export class Species {
+    constructor(definition) {
+        Species.validate(definition);
+
+        this.id = definition.id;
+        this.name = definition.name ?? definition.id;
+        this.trophicLevel = definition.trophicLevel ?? DEFAULTS.trophicLevel;
+        this.resources = [...(definition.resources ?? DEFAULTS.resources)];
+        this.prey = [...(definition.prey ?? DEFAULTS.prey)];
+        this.growthRate = definition.growthRate ?? DEFAULTS.growthRate;
+        this.mortalityRate = definition.mortalityRate ?? DEFAULTS.mortalityRate;
+        this.dispersalRate = definition.dispersalRate ?? DEFAULTS.dispersalRate;
+        this.density = definition.density ?? DEFAULTS.density;
+        this.feedingRate = definition.feedingRate ?? DEFAULTS.feedingRate;
+        this.initialFraction = definition.initialFraction ?? DEFAULTS.initialFraction;
+        this.requiresWater = definition.requiresWater ?? DEFAULTS.requiresWater;
+        this.mobile = definition.mobile ?? DEFAULTS.mobile;
+        this.speed = definition.speed ?? DEFAULTS.speed;
+        this.hungerRate = definition.hungerRate ?? DEFAULTS.hungerRate;
+        this.thirstRate = definition.thirstRate ?? DEFAULTS.thirstRate;
+        this.broodSize = definition.broodSize ?? DEFAULTS.broodSize;
+        this.heritability = definition.heritability ?? DEFAULTS.heritability;
+        this.temperature = { ...DEFAULTS.temperature, ...definition.temperature };
+        this.humidity = { ...DEFAULTS.humidity, ...definition.humidity };
+        this.light = { ...DEFAULTS.light, ...definition.light };
+        this.predation = { ...DEFAULTS.predation, ...definition.predation };
+    }
+
+    /**
+     * Throws if a definition is missing its id or has values the simulation can't use
+     */
+    static validate(definition) {
+        if (!definition || typeof definition.id !== 'string' || definition.id === '') {
+            throw new Error('Species definition needs a string id');
+        }
+
+        const { id } = definition;
+        if (definition.trophicLevel !== undefined && !TROPHIC_LEVELS.includes(definition.trophicLevel)) {
+            throw new Error(`Species ${id}: unknown trophic level ${definition.trophicLevel}`);
+        }
+        for (const resource of definition.resources ?? []) {
+            if (!RESOURCE_TYPES.includes(resource)) {
+                throw new Error(`Species ${id}: unknown resource ${resource}`);
+            }
+        }
+        for (const field of ['growthRate', 'mortalityRate', 'dispersalRate', 'density', 'feedingRate', 'initialFraction', 'speed', 'hungerRate', 'thirstRate', 'broodSize', 'heritability']) {
+            const value = definition[field];
+            if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+                throw new Error(`Species ${id}: ${field} must be a non-negative number`);
+            }
+        }
+        if (definition.heritability > 1) {
+            throw new Error(`Species ${id}: heritability can't be above 1`);
+        }
+        for (const field of ['temperature', 'humidity', 'light']) {
+            const range = { ...DEFAULTS[field], ...definition[field] };
+            if (!(range.min <= range.optimal && range.optimal <= range.max)) {
+                throw new Error(`Species ${id}: ${field} needs min <= optimal <= max`);
+            }
+        }
+        if ((definition.prey ?? []).includes(id)) {
+            throw new Error(`Species ${id}: can't prey on itself`);
+        }
+    }
+
+    /**
+     * Species keyed by id from a list of definitions (e.g. parsed from JSON)
+     */
+    static fromDefinitions(definitions) {
+        const species = new Map();
+        for (const definition of definitions) {
+            if (species.has(definition.id)) {
+                throw new Error(`Duplicate species ${definition.id}`);
+            }
+            species.set(definition.id, new Species(definition));
+        }
+
+        for (const entry of species.values()) {
+            const unknown = entry.prey.find(id => !species.has(id));
+            if (unknown) throw new Error(`Species ${entry.id}: unknown prey ${unknown}`);
+        }
+        return species;
+    }
+
+    get isPredator() {
+        return this.prey.length > 0;
+    }
+
+    /**
+     * How well room conditions ({ temperature, humidity, light, waterCoverage }) suit
+     * this species, or a population of it with these expressed traits, from 0 (can't
+     * live there) to 1 (ideal)
+     */
+    getSuitability(conditions, traits = null) {
+        if (this.requiresWater && !(conditions.waterCoverage > 0)) return 0;
+
+        const { temperature, humidity, light } = traits ? getPhenotype(this, traits) : this;
+        return MathUtils.tolerance(conditions.temperature, temperature) *
+            MathUtils.tolerance(conditions.humidity, humidity) *
+            MathUtils.tolerance(conditions.light, light);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            trophicLevel: this.trophicLevel,
+            resources: [...this.resources],
+            prey: [...this.prey],
+            growthRate: this.growthRate,
+            mortalityRate: this.mortalityRate,
+            dispersalRate: this.dispersalRate,
+            density: this.density,
+            feedingRate: this.feedingRate,
+            initialFraction: this.initialFraction,
+            requiresWater: this.requiresWater,
+            mobile: this.mobile,
+            speed: this.speed,
+            hungerRate: this.hungerRate,
+            thirstRate: this.thirstRate,
+            broodSize: this.broodSize,
+            heritability: this.heritability,
+            temperature: { ...this.temperature },
+            humidity: { ...this.humidity },
+            light: { ...this.light },
+            predation: { ...this.predation }
+        };
+    }
+}
+
+/**
+ * The starting food web: moss and fungus feed on organic deposits, beetles graze on
+ * both and spiders hunt the beetles
+ */
+export const DEFAULT_SPECIES = [
+    {
+        id: 'cave_moss',
+        name: 'Cave Moss',
+        trophicLevel: 'producer',
+        resources: ['MOSS', 'ALGAE'],
+        growthRate: 0.4,
+        dispersalRate: 0.02,
+        density: 4,
+        heritability: 0.3,
+        temperature: { min: 2, optimal: 14, max: 28 },
+        humidity: { min: 40, optimal: 90, max: 100 },
+        light: { min: 0, optimal: 0.5, max: 1 }
+    },
+    {
+        id: 'cave_fungus',
+        name: 'Cave Fungus',
+        trophicLevel: 'decomposer',
+        resources: ['FUNGAL_MATTER', 'DETRITUS', 'DECOMPOSED_MATTER'],
+        growthRate: 0.35,
+        dispersalRate: 0.02,
+        density: 3,
+        heritability: 0.3,
+        temperature: { min: 4, optimal: 16, max: 30 },
+        humidity: { min: 30, optimal: 85, max: 100 },
+        light: { min: 0, optimal: 0, max: 0.6 }
+    },
+    {
+        id: 'cave_beetle',
+        name: 'Cave Beetle',
+        trophicLevel: 'consumer',
+        prey: ['cave_moss', 'cave_fungus'],
+        mortalityRate: 0.1,
+        dispersalRate: 0.1,
+        density: 0.3,
+        mobile: true,
+        speed: 0.4,
+        hungerRate: 0.6,
+        thirstRate: 0.4,
+        broodSize: 4,
+        heritability: 0.5,
+        temperature: { min: 0, optimal: 15, max: 32 },
+        humidity: { min: 20, optimal: 70, max: 100 },
+        light: { min: 0, optimal: 0, max: 1 },
+        predation: { efficiency: 1, conversion: 0.5 }
+    },
+    {
+        id: 'cave_spider',
+        name: 'Cave Spider',
+        trophicLevel: 'predator',
+        prey: ['cave_beetle'],
+        mortalityRate: 0.05,
+        dispersalRate: 0.08,
+        density: 0.04,
+        initialFraction: 0.3,
+        mobile: true,
+        speed: 0.8,
+        hungerRate: 0.4,
+        thirstRate: 0.25,
+        broodSize: 1,
+        heritability: 0.4,
+        temperature: { min: 2, optimal: 16, max: 30 },
+        humidity: { min: 20, optimal: 60, max: 100 },
+        light: { min: 0, optimal: 0, max: 1 },
+        predation: { efficiency: 4, conversion: 0.2 }
+    }
+];
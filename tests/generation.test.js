@@ -0,0 +1,912 @@
+/**
+ * Jest Dungeon Generation Tests
+ * Run with: npm test
+ *
+ * @jest-environment node
+ */
+
+import { SeededRandom } from '../src/math/SeededRandom.js';
+import { MathUtils } from '../src/math/MathUtils.js';
+import { SimplexNoise } from '../src/generation/SimplexNoise.js';
+import { DungeonGenerator } from '../src/generation/DungeonGenerator.js';
+import { DungeonSerializer } from '../src/generation/DungeonSerializer.js';
+import { DungeonThemes } from '../src/generation/DungeonThemes.js';
+import { Vector3 } from '../src/math/Vector3.js';
+import { RoomShapes } from '../src/generation/RoomShapes.js';
+import { RoomGenerator } from '../src/generation/RoomGenerator.js';
+import { GeometryGenerator } from '../src/generation/GeometryGenerator.js';
+import { FeatureMeshLibrary } from '../src/generation/FeatureMeshLibrary.js';
+import { DungeonPortals } from '../src/generation/DungeonPortals.js';
+import { DungeonInspector } from '../src/generation/DungeonInspector.js';
+import { NavMeshBuilder, NAV_CELL_SIZE } from '../src/generation/NavMeshBuilder.js';
+import { Scene, Mesh } from '../src/rendering/Scene.js';
+import { Matrix4 } from '../src/math/Matrix4.js';
+
+// Generation logs progress to the console; keep test output readable
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+function snapshotDungeon(dungeon) {
+  return JSON.stringify({
+    entrance: dungeon.entrance,
+    rooms: dungeon.rooms,
+    connections: dungeon.connections,
+    environment: {
+      ...dungeon.environment,
+      lightMap: Array.from(dungeon.environment.lightMap)
+    },
+    geometry: Array.from(dungeon.geometry.optimized).map(([material, geo]) => [
+      material,
+      Array.from(geo.vertices)
+    ])
+  });
+}
+
+describe('SeededRandom', () => {
+  test('same seed gives the same sequence', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom(42);
+
+    for (let i = 0; i < 100; i++) {
+      expect(a.next()).toBe(b.next());
+    }
+  });
+
+  test('values stay in range', () => {
+    const rng = new SeededRandom('range');
+
+    for (let i = 0; i < 1000; i++) {
+      const value = rng.next();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+
+      const int = rng.int(3, 7);
+      expect(int).toBeGreaterThanOrEqual(3);
+      expect(int).toBeLessThanOrEqual(7);
+    }
+  });
+
+  test('forks are independent of parent consumption', () => {
+    const a = new SeededRandom(7);
+    const b = new SeededRandom(7);
+    b.next();
+    b.next();
+
+    expect(a.fork('rooms').next()).toBe(b.fork('rooms').next());
+    expect(a.fork('rooms').next()).not.toBe(a.fork('connections').next());
+  });
+
+  test('MathUtils can draw from a seeded source', () => {
+    MathUtils.setRandomSource(new SeededRandom(5));
+    const first = [MathUtils.random(), MathUtils.randomRange(0, 10), MathUtils.randomInt(0, 100)];
+
+    MathUtils.setRandomSource(new SeededRandom(5));
+    const second = [MathUtils.random(), MathUtils.randomRange(0, 10), MathUtils.randomInt(0, 100)];
+
+    MathUtils.setRandomSource(Math.random);
+    expect(second).toEqual(first);
+  });
+
+  test('SimplexNoise is reproducible from its seed', () => {
+    const a = new SimplexNoise(123);
+    const b = new SimplexNoise(123);
+    expect(a.noise3D(1.5, 2.5, 3.5)).toBe(b.noise3D(1.5, 2.5, 3.5));
+  });
+});
+
+describe('DungeonGenerator', () => {
+  test('same seed produces an identical dungeon', async () => {
+    const config = { seed: 12345, maxRooms: 25 };
+
+    const dungeon1 = await new DungeonGenerator().generate(config);
+    const dungeon2 = await new DungeonGenerator().generate(config);
+
+    expect(snapshotDungeon(dungeon2)).toBe(snapshotDungeon(dungeon1));
+  });
+
+  test('reusing a generator does not leak state between seeds', async () => {
+    const generator = new DungeonGenerator();
+    const first = snapshotDungeon(await generator.generate({ seed: 'alpha', maxRooms: 20 }));
+
+    await generator.generate({ seed: 'beta', maxRooms: 20 });
+    const again = snapshotDungeon(await generator.generate({ seed: 'alpha', maxRooms: 20 }));
+
+    expect(again).toBe(first);
+  });
+
+  test('different seeds produce different dungeons', async () => {
+    const generator = new DungeonGenerator();
+    const a = snapshotDungeon(await generator.generate({ seed: 1, maxRooms: 20 }));
+    const b = snapshotDungeon(await generator.generate({ seed: 2, maxRooms: 20 }));
+
+    expect(a).not.toBe(b);
+  });
+
+  test('overlapping runs leave MathUtils\' shared source alone and don\'t draw from it', async () => {
+    const outside = jest.fn(() => 0.25);
+    MathUtils.setRandomSource(outside);
+    const during = [];
+    const run = seed => new DungeonGenerator().generate({ seed, maxRooms: 10 }, {
+      onProgress: () => during.push(MathUtils.random()),
+      signal: new AbortController().signal // Yields between phases, so the runs interleave
+    });
+
+    const [a, b] = await Promise.all([run(8), run(9)]);
+    expect(during.every(value => value === 0.25)).toBe(true);
+    expect(outside).toHaveBeenCalledTimes(during.length);
+    expect(MathUtils.random()).toBe(0.25);
+    MathUtils.setRandomSource(Math.random);
+
+    const alone = await new DungeonGenerator().generate({ seed: 8, maxRooms: 10 });
+    expect(DungeonSerializer.stringify(a)).toBe(DungeonSerializer.stringify({ ...alone, stats: a.stats }));
+    expect(DungeonSerializer.stringify(b)).not.toBe(DungeonSerializer.stringify(a));
+  });
+
+  test('reports progress through every phase', async () => {
+    const phases = [];
+    const percents = [];
+
+    await new DungeonGenerator().generate({ seed: 3, maxRooms: 15 }, {
+      onProgress: (percent, phase) => {
+        phases.push(phase);
+        percents.push(percent);
+      }
+    });
+
+    expect([...new Set(phases)]).toEqual(['layout', 'rooms', 'connections', 'geometry', 'navigation', 'environment', 'complete']);
+    expect(percents).toEqual([...percents].sort((x, y) => x - y));
+    expect(percents[percents.length - 1]).toBe(100);
+  });
+
+  test('reports progress within the rooms and geometry phases', async () => {
+    const reports = [];
+    const dungeon = await new DungeonGenerator().generate({ seed: 3, maxRooms: 15 }, {
+      onProgress: (percent, phase) => reports.push({ percent, phase })
+    });
+    const within = (phase, start, end) => reports.filter(report =>
+      report.phase === phase && report.percent > start && report.percent <= end);
+
+    // One report per room placed, and per room or tunnel mesh built
+    expect(within('rooms', 10, 25)).toHaveLength(dungeon.rooms.length);
+    expect(within('geometry', 45, 75)).toHaveLength(dungeon.rooms.length + dungeon.connections.length);
+  });
+
+  test('aborting the signal cancels generation between phases', async () => {
+    const controller = new AbortController();
+
+    const generation = new DungeonGenerator().generate({ seed: 4, maxRooms: 15 }, {
+      signal: controller.signal,
+      onProgress: (percent, phase) => {
+        if (phase === 'connections') controller.abort();
+      }
+    });
+
+    await expect(generation).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('restarting on the same generator cancels the old run and matches a clean one', async () => {
+    const generator = new DungeonGenerator();
+    const first = new AbortController();
+    const cancelled = generator.generate({ seed: 1, maxRooms: 10 }, { signal: first.signal });
+    first.abort();
+
+    const percents = [];
+    const second = new AbortController();
+    const restarted = generator.generate({ seed: 2, maxRooms: 10 }, {
+      signal: second.signal,
+      onProgress: percent => percents.push(percent)
+    });
+
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    const dungeon = await restarted;
+    expect(percents[percents.length - 1]).toBe(100);
+
+    const clean = await new DungeonGenerator().generate({ seed: 2, maxRooms: 10 });
+    expect(DungeonSerializer.stringify(dungeon)).toBe(DungeonSerializer.stringify({ ...clean, stats: dungeon.stats }));
+
+    // The restarted run still answers to its own signal
+    const again = generator.generate({ seed: 3, maxRooms: 10 }, { signal: second.signal });
+    const third = generator.generate({ seed: 4, maxRooms: 10 }, { signal: new AbortController().signal });
+    second.abort();
+    await expect(again).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(third).resolves.toBeTruthy();
+  });
+});
+
+describe('GeometryGenerator tunnels', () => {
+  let dungeon;
+
+  beforeAll(async () => {
+    dungeon = await new DungeonGenerator().generate({ seed: 5, maxRooms: 30 });
+  });
+
+  test('connections get tunnel meshes', () => {
+    const { connections } = dungeon.geometry;
+    expect(connections.size).toBeGreaterThan(0);
+
+    for (const [id, geometry] of connections) {
+      expect(dungeon.connections.some(conn => conn.id === id)).toBe(true);
+      expect(geometry.tunnel.vertices.length).toBe(geometry.tunnel.normals.length);
+      expect(geometry.tunnel.indices.length % 3).toBe(0);
+    }
+  });
+
+  test('tunnels are included in the optimized merge', () => {
+    const countVertices = geometries => geometries.reduce((sum, geo) => sum + geo.vertices.length, 0);
+
+    const roomParts = Array.from(dungeon.geometry.rooms.values())
+      .flatMap(room => [room.floor, room.walls, room.ceiling, room.water].filter(Boolean));
+    const tunnels = Array.from(dungeon.geometry.connections.values(), conn => conn.tunnel);
+    const optimized = Array.from(dungeon.geometry.optimized.values());
+
+    expect(countVertices(optimized)).toBe(countVertices(roomParts) + countVertices(tunnels));
+  });
+
+  test('the optimized merge is split into spatial cells per material', () => {
+    const keys = Array.from(dungeon.geometry.optimized.keys());
+    const cells = new Set(Array.from(dungeon.geometry.optimized.values(), geo => `${geo.cell.x},${geo.cell.z}`));
+    expect(cells.size).toBeGreaterThan(1);
+
+    for (const [key, geometry] of dungeon.geometry.optimized) {
+      expect(key).toBe(`${geometry.material}@${geometry.cell.x},${geometry.cell.z}`);
+    }
+
+    // Cell size 0 merges by material alone
+    const generator = new GeometryGenerator();
+    const whole = generator.optimizeGeometry(dungeon.geometry.rooms, dungeon, dungeon.geometry.connections, { cellSize: 0 });
+    const materials = new Set(Array.from(dungeon.geometry.optimized.values(), geo => geo.material));
+    expect(new Set(whole.keys())).toEqual(materials);
+    expect(keys.length).toBeGreaterThan(whole.size);
+  });
+
+  test('room shells and tunnels carry world-aligned UVs through the optimized merge', () => {
+    for (const geometry of dungeon.geometry.optimized.values()) {
+      expect(geometry.uvs).toBeDefined();
+      expect(geometry.uvs.length).toBe(geometry.vertices.length / 3 * 2);
+    }
+
+    // An upward-facing floor vertex is projected onto the world xz plane
+    const room = dungeon.rooms[0];
+    const { floor } = dungeon.geometry.rooms.get(room.id);
+    const i = Array.from({ length: floor.vertices.length / 3 }, (_, v) => v)
+      .find(v => floor.normals[v * 3 + 1] > 0.9);
+    expect(floor.uvs[i * 2]).toBeCloseTo(floor.vertices[i * 3] + room.position.x, 4);
+    expect(floor.uvs[i * 2 + 1]).toBeCloseTo(floor.vertices[i * 3 + 2] + room.position.z, 4);
+  });
+
+  test('carved corridors have a flat floor at path height', async () => {
+    const ruins = await new DungeonGenerator().generate({ seed: 3, maxRooms: 20, theme: 'ruins' });
+    const corridor = ruins.connections.find(conn =>
+      conn.style === 'CARVED_CORRIDOR' && ruins.geometry.connections.has(conn.id));
+    const { vertices } = ruins.geometry.connections.get(corridor.id).tunnel;
+
+    // Several points of each cross-section ring lie on the floor
+    const ringSize = 16;
+    for (let r = 0; r < vertices.length / 3 / ringSize; r++) {
+      const ys = [];
+      for (let j = 0; j < ringSize; j++) ys.push(vertices[(r * ringSize + j) * 3 + 1]);
+      const floor = Math.min(...ys);
+      expect(ys.filter(y => Math.abs(y - floor) < 1e-4).length).toBeGreaterThanOrEqual(3);
+    }
+  });
+});
+
+describe('Room shapes', () => {
+  const templates = new RoomGenerator().templates;
+
+  function buildRoom(type, style, size) {
+    const room = { id: type, type, style, position: new Vector3(0, 0, 0), size, template: templates[type] };
+    room.shape = RoomShapes.describe(room, new SeededRandom(type));
+    return { room, geometry: new GeometryGenerator().generateRoomGeometry(room) };
+  }
+
+  function heights(geometry) {
+    const ys = [];
+    for (let i = 1; i < geometry.vertices.length; i += 3) ys.push(geometry.vertices[i]);
+    return ys;
+  }
+
+  test('a temple is cross-shaped', () => {
+    const { room, geometry } = buildRoom('TEMPLE', 'MAN_MADE', { width: 24, length: 30, height: 14 });
+    const outline = RoomShapes.getOutline(room);
+
+    expect(outline).toHaveLength(12);
+    // The crossing is inside, the corners between the arms are not
+    expect(RoomShapes.containsPoint(room, 0, 5)).toBe(true);
+    expect(RoomShapes.containsPoint(room, 10, -12)).toBe(false);
+    expect(Math.max(...heights(geometry.ceiling))).toBeCloseTo(14);
+  });
+
+  test('an underground lake is a bowl holding water', () => {
+    const { room, geometry } = buildRoom('UNDERGROUND_LAKE', 'NATURAL', { radius: 24, depth: 8 });
+    const floor = heights(geometry.floor);
+    const [waterLevel] = heights(geometry.water);
+
+    expect(room.shape.family).toBe('dome');
+    expect(Math.min(...floor)).toBeCloseTo(-8, 0);
+    expect(waterLevel).toBeGreaterThan(Math.min(...floor));
+    expect(waterLevel).toBeLessThan(0);
+  });
+
+  test('elongated caves follow their length and width', () => {
+    const { room } = buildRoom('WATER_CAVE', 'NATURAL', { length: 30, width: 10, height: 5 });
+    const extents = [0, Math.PI / 2].map(azimuth => {
+      const point = RoomShapes.getDomeBoundary(room, azimuth);
+      return Math.hypot(point.x, point.z);
+    });
+
+    expect(extents[0]).toBeCloseTo(15);
+    expect(extents[1]).toBeCloseTo(5);
+  });
+
+  test('sloped cave floors tilt across the room', () => {
+    const { room, geometry } = buildRoom('CRYSTAL_CAVE', 'NATURAL', { radius: 12, height: 8 });
+    const floor = heights(geometry.floor);
+
+    // floorSlope 0.15 over a 24 unit span, minus a little for the polygonal rim
+    expect(Math.max(...floor) - Math.min(...floor)).toBeGreaterThan(0.15 * 24 * 0.9);
+    expect(room.shape.segments.azimuth).toBeLessThan(32); // Geodesic caves are faceted
+  });
+
+  test('grid rooms get pillars', () => {
+    const { room } = buildRoom('CRYPT', 'MAN_MADE', { width: 20, length: 20, height: 5 });
+
+    expect(room.shape.pillars.length).toBe(9);
+    for (const pillar of room.shape.pillars) {
+      expect(RoomShapes.containsPoint(room, pillar.x, pillar.z)).toBe(true);
+    }
+  });
+});
+
+describe('Room features', () => {
+  const templates = new RoomGenerator().templates;
+
+  function buildFeatures(features, doorways = []) {
+    const room = {
+      id: 'hall', type: 'GUARD_ROOM', style: 'MAN_MADE', position: new Vector3(0, 0, 0),
+      size: { width: 10, length: 10, height: 6 }, template: templates.GUARD_ROOM, features
+    };
+    return FeatureMeshLibrary.buildRoomFeatures(room, { doorways, material: 'CARVED_STONE' });
+  }
+
+  function bounds(geometry) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < geometry.vertices.length; i++) {
+      min[i % 3] = Math.min(min[i % 3], geometry.vertices[i]);
+      max[i % 3] = Math.max(max[i % 3], geometry.vertices[i]);
+    }
+    return { min, max };
+  }
+
+  test('stalactites hang from the ceiling and stalagmites stand on the floor', () => {
+    const hanging = buildFeatures([{ type: 'stalactites', instances: [
+      { type: 'stalactite', position: new Vector3(1, 5, 1), length: 2, thickness: 0.3 }
+    ] }]);
+    const standing = buildFeatures([{ type: 'stalagmites', instances: [
+      { type: 'stalagmite', position: new Vector3(-2, 0, 2), height: 1.5, thickness: 0.4 }
+    ] }]);
+
+    const stalactite = bounds(hanging.get('CARVED_STONE'));
+    expect(stalactite.min[1]).toBeCloseTo(4);
+    expect(stalactite.max[1]).toBeGreaterThanOrEqual(6);
+
+    const stalagmite = bounds(standing.get('CARVED_STONE'));
+    expect(stalagmite.min[1]).toBeCloseTo(0);
+    expect(stalagmite.max[1]).toBeCloseTo(1.5);
+  });
+
+  test('features are batched by material', () => {
+    const meshes = buildFeatures([
+      { type: 'crystal_formations', instances: [{ type: 'crystal_cluster', position: new Vector3(2, 0, 2), size: 1 }] },
+      { type: 'mushroom_grove', instances: [
+        { type: 'mushroom', position: new Vector3(-2, 0, -2), size: 0.3 },
+        { type: 'mushroom', position: new Vector3(-3, 0, 2), size: 0.4 }
+      ] }
+    ]);
+
+    expect(Array.from(meshes.keys()).sort()).toEqual(['CRYSTAL', 'FUNGUS']);
+    const fungus = meshes.get('FUNGUS');
+    expect(fungus.vertices.length).toBe(fungus.normals.length);
+    expect(Math.max(...fungus.indices)).toBeLessThan(fungus.vertices.length / 3);
+  });
+
+  test('wall features are mounted on the nearest wall facing in', () => {
+    const meshes = buildFeatures([{ type: 'torch_sconces', instances: [
+      { type: 'torch_sconce', position: new Vector3(5, 0, 0), height: 2.5 }
+    ] }]);
+    const sconce = bounds(meshes.get('IRON'));
+
+    expect(sconce.max[0]).toBeCloseTo(5, 1);
+    expect(sconce.min[0]).toBeLessThan(4.8);
+    expect(sconce.min[1]).toBeGreaterThan(2);
+  });
+
+  test('features outside the room, in doorways or without headroom are left out', () => {
+    const doorway = { position: new Vector3(0, 0, -5), width: 3 };
+    const meshes = buildFeatures([{ type: 'stalagmites', instances: [
+      { type: 'stalagmite', position: new Vector3(20, 0, 0), height: 1, thickness: 0.3 },
+      { type: 'stalagmite', position: new Vector3(0, 0, -4), height: 1, thickness: 0.3 },
+      { type: 'stalagmite', position: new Vector3(0, 0, 0), height: 8, thickness: 0.3 }
+    ] }], [doorway]);
+
+    expect(meshes.size).toBe(0);
+  });
+
+  test('instances of a type share prototype meshes stretched to their size', () => {
+    const room = {
+      id: 'hall', type: 'GUARD_ROOM', style: 'MAN_MADE', position: new Vector3(0, 0, 0),
+      size: { width: 10, length: 10, height: 6 }, template: templates.GUARD_ROOM,
+      features: [{ type: 'stalagmites', instances: [
+        { type: 'stalagmite', position: new Vector3(-2, 0, 2), height: 1.5, thickness: 0.4 },
+        { type: 'stalagmite', position: new Vector3(2, 0, -2), height: 3, thickness: 0.2 }
+      ] }, { type: 'columns', instances: [
+        { type: 'column', position: new Vector3(2, 0, 2), height: 5, radius: 0.4, condition: 1 }
+      ] }]
+    };
+    const placed = FeatureMeshLibrary.placeRoomFeatures(room, { material: 'CARVED_STONE' });
+
+    expect(placed.map(instance => instance.type)).toEqual(['stalagmite', 'stalagmite', 'column']);
+    expect(placed[0].key).toBe(placed[1].key);
+    expect(placed[2].key).not.toBe(placed[0].key);
+    expect(JSON.parse(JSON.stringify(placed))).toEqual(placed);
+
+    const prototype = FeatureMeshLibrary.createPrototype(placed[1].type, placed[1].shape);
+    const tip = Matrix4.fromArray(placed[1].matrix).transformVector3(new Vector3(0, 1, 0));
+    expect(bounds(prototype).max[1]).toBeCloseTo(1);
+    expect(tip.toArray().map(v => +v.toFixed(5))).toEqual([2, 3, -2]);
+  });
+
+  test('generated rooms place their features for instanced drawing', async () => {
+    const dungeon = await new DungeonGenerator().generate({ seed: 3, maxRooms: 20, theme: 'volcanic' });
+    const withInstances = dungeon.rooms.filter(room =>
+      room.features.some(feature => feature.instances?.length > 0));
+
+    expect(withInstances.length).toBeGreaterThan(0);
+    for (const room of withInstances) {
+      const roomGeometry = dungeon.geometry.rooms.get(room.id);
+      expect(roomGeometry.featureInstances.length).toBeGreaterThan(0);
+      expect(roomGeometry.features.size).toBeGreaterThan(0);
+    }
+    const instances = Array.from(dungeon.geometry.rooms.values()).flatMap(room => room.featureInstances);
+    expect(instances.map(instance => instance.material)).toContain('CRYSTAL');
+
+    // Far fewer prototype meshes than instances
+    const prototypes = new Set(instances.map(instance => `${instance.material}|${instance.key}`));
+    expect(prototypes.size).toBeLessThan(instances.length / 2);
+  });
+});
+
+// Collect every surface of a dungeon in world space, welding vertices that coincide
+function collectWorldMesh(dungeon) {
+  const points = [];
+  const grid = new Map();
+  const triangles = [];
+
+  const weld = (x, y, z) => {
+    const cell = [x, y, z].map(v => Math.floor(v * 100));
+    for (let i = -1; i <= 1; i++) {
+      for (let j = -1; j <= 1; j++) {
+        for (let k = -1; k <= 1; k++) {
+          for (const id of grid.get(`${cell[0] + i},${cell[1] + j},${cell[2] + k}`) || []) {
+            const p = points[id];
+            if (Math.abs(p[0] - x) < 1e-3 && Math.abs(p[1] - y) < 1e-3 && Math.abs(p[2] - z) < 1e-3) return id;
+          }
+        }
+      }
+    }
+    const key = cell.join(',');
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(points.length);
+    points.push([x, y, z]);
+    return points.length - 1;
+  };
+
+  const add = (geometry, offset) => {
+    const { vertices, indices } = geometry;
+    const ids = [];
+    for (let i = 0; i < vertices.length; i += 3) {
+      ids.push(weld(vertices[i] + offset.x, vertices[i + 1] + offset.y, vertices[i + 2] + offset.z));
+    }
+    for (let i = 0; i < indices.length; i += 3) {
+      triangles.push([ids[indices[i]], ids[indices[i + 1]], ids[indices[i + 2]]]);
+    }
+  };
+
+  for (const room of dungeon.rooms) {
+    const geometry = dungeon.geometry.rooms.get(room.id);
+    [geometry.floor, geometry.walls, geometry.ceiling].filter(Boolean).forEach(part => add(part, room.position));
+  }
+  for (const connection of dungeon.geometry.connections.values()) {
+    add(connection.tunnel, { x: 0, y: 0, z: 0 });
+  }
+
+  return { points, triangles };
+}
+
+describe('Room and tunnel junctions', () => {
+  const themes = ['natural', 'ruins'];
+  const dungeons = {};
+
+  beforeAll(async () => {
+    for (const theme of themes) {
+      dungeons[theme] = await new DungeonGenerator().generate({ seed: 21, maxRooms: 25, theme });
+    }
+  });
+
+  test.each(themes)('rooms do not overlap (%s)', theme => {
+    const { rooms } = dungeons[theme];
+
+    for (let i = 0; i < rooms.length; i++) {
+      for (let j = i + 1; j < rooms.length; j++) {
+        const a = rooms[i].position;
+        const b = rooms[j].position;
+        const distance = Math.hypot(a.x - b.x, a.z - b.z);
+        expect(distance).toBeGreaterThan(RoomShapes.getBoundingRadius(rooms[i]) + RoomShapes.getBoundingRadius(rooms[j]));
+      }
+    }
+  });
+
+  test.each(themes)('doorways sit on room boundaries without overlapping (%s)', theme => {
+    const dungeon = dungeons[theme];
+    const roomsById = new Map(dungeon.rooms.map(room => [room.id, room]));
+    const doorwaysByRoom = new Map();
+
+    for (const connection of dungeon.connections) {
+      for (const [roomId, doorway] of Object.entries(connection.doorways)) {
+        const room = roomsById.get(roomId);
+        const { x, y, z } = doorway.localPosition;
+        expect(y).toBeCloseTo(RoomShapes.getFloorHeight(room, x, z));
+
+        if (RoomShapes.isNatural(room)) {
+          expect(RoomShapes.containsPoint(room, x * 0.99, z * 0.99)).toBe(true);
+          expect(RoomShapes.containsPoint(room, x * 1.01, z * 1.01)).toBe(false);
+        } else {
+          const onEdge = RoomShapes.getEdges(room).some(edge =>
+            Math.abs((x - edge.start.x) * edge.inward.x + (z - edge.start.z) * edge.inward.z) < 1e-4);
+          expect(onEdge).toBe(true);
+        }
+
+        if (!doorwaysByRoom.has(roomId)) doorwaysByRoom.set(roomId, []);
+        doorwaysByRoom.get(roomId).push(doorway);
+      }
+    }
+
+    for (const doorways of doorwaysByRoom.values()) {
+      for (let i = 0; i < doorways.length; i++) {
+        for (let j = i + 1; j < doorways.length; j++) {
+          const distance = doorways[i].localPosition.distance(doorways[j].localPosition);
+          expect(distance).toBeGreaterThan((doorways[i].width + doorways[j].width) / 2);
+        }
+      }
+    }
+  });
+
+  test.each(themes)('interior surface is closed and consistently wound (%s)', theme => {
+    const dungeon = dungeons[theme];
+    expect(dungeon.geometry.connections.size).toBe(dungeon.connections.length);
+
+    // Every edge of a closed, consistently wound mesh is used exactly twice, once each way
+    const { triangles } = collectWorldMesh(dungeon);
+    const edges = new Map();
+    for (const [a, b, c] of triangles) {
+      for (const [from, to] of [[a, b], [b, c], [c, a]]) {
+        const key = from < to ? `${from}_${to}` : `${to}_${from}`;
+        const edge = edges.get(key) || { count: 0, direction: 0 };
+        edge.count++;
+        edge.direction += from < to ? 1 : -1;
+        edges.set(key, edge);
+      }
+    }
+
+    const open = Array.from(edges.values()).filter(edge => edge.count !== 2 || edge.direction !== 0);
+    expect(open).toHaveLength(0);
+  });
+});
+
+describe('DungeonPortals', () => {
+  let dungeon;
+  let portals;
+
+  beforeAll(async () => {
+    dungeon = await new DungeonGenerator().generate({ seed: 5, maxRooms: 30 });
+    portals = DungeonPortals.build(dungeon);
+  });
+
+  test('rooms and tunnels are sectors joined by their doorways', () => {
+    const tunnels = dungeon.geometry.connections;
+    expect(portals.sectors.size).toBe(dungeon.geometry.rooms.size + tunnels.size);
+    expect(portals.portals.filter(portal => portal.corners)).toHaveLength(tunnels.size * 2);
+
+    for (const room of dungeon.rooms) {
+      expect(portals.findSector(room.position.add(new Vector3(0, 1.5, 0)))).toBe(room.id);
+    }
+    for (const id of tunnels.keys()) {
+      const { path } = dungeon.connections.find(conn => conn.id === id);
+      expect(portals.findSector(path[Math.floor(path.length / 2)].add(new Vector3(0, 1, 0)))).toBe(id);
+    }
+  });
+
+  test('looking down a tunnel sees the room at its far end but not the whole dungeon', () => {
+    const connection = dungeon.connections.find(conn => dungeon.geometry.connections.has(conn.id));
+    const [near, far] = connection.rooms.map(id => connection.doorways[id]);
+    const eye = near.position.subtract(near.direction.multiply(3)).add(new Vector3(0, 1.5, 0));
+    const view = Matrix4.lookAt(eye, far.position.add(new Vector3(0, 1.5, 0)), new Vector3(0, 1, 0));
+    const planes = Matrix4.perspective(Math.PI / 2, 1, 0.1, 300).multiply(view).extractFrustumPlanes();
+
+    const visible = portals.update(eye, planes);
+    expect(visible).toEqual(new Set([...connection.rooms, connection.id]));
+  });
+});
+
+describe('DungeonInspector', () => {
+  let dungeon;
+  let portals;
+  let scene;
+
+  beforeAll(async () => {
+    dungeon = await new DungeonGenerator().generate({ seed: 5, maxRooms: 30 });
+    portals = DungeonPortals.build(dungeon);
+
+    // The merged meshes DungeonScene draws, each shared by several rooms and tunnels
+    scene = new Scene();
+    for (const [key, geometry] of dungeon.geometry.optimized) {
+      const mesh = new Mesh(geometry, null, key);
+      mesh.userData.sectors = geometry.sources;
+      scene.addChild(mesh);
+    }
+  });
+
+  test('a floor picked through a merged mesh resolves to its room', () => {
+    let shared = 0;
+    for (const room of dungeon.rooms) {
+      const [hit] = scene.raycast(room.position.add(new Vector3(0, 1.5, 0)), new Vector3(0, -1, 0));
+      if (hit.node.userData.sectors.length > 1) shared++;
+      expect(DungeonInspector.identify(hit, portals)).toBe(room.id);
+    }
+    expect(shared).toBeGreaterThan(0);
+  });
+
+  test('describes rooms and tunnels with their environment and features', () => {
+    const room = dungeon.rooms.find(r => r.features.length > 0);
+    const info = DungeonInspector.describe(dungeon, room.id);
+    expect(info).toMatchObject({ kind: 'room', id: room.id, type: room.type, style: room.style });
+    expect(typeof info.environment.temperature).toBe('number');
+    expect(info.features.map(feature => feature.type)).toEqual(expect.arrayContaining(room.features.map(f => f.type)));
+    expect(info.connections).toHaveLength(room.connections.length);
+
+    const connection = dungeon.connections[0];
+    expect(DungeonInspector.describe(dungeon, connection.id)).toMatchObject({
+      kind: 'connection', id: connection.id, rooms: connection.rooms, style: connection.style
+    });
+    expect(DungeonInspector.describe(dungeon, 'nowhere')).toBeNull();
+  });
+});
+
+describe('NavMesh', () => {
+  // A one-room dungeon from floor and obstacle triangles given as [x, y, z] corners
+  const roomDungeon = (floor, obstacles = []) => {
+    const toGeometry = triangles => ({
+      vertices: new Float32Array(triangles.flat(2)),
+      indices: new Uint16Array(triangles.flatMap((_, t) => [t * 3, t * 3 + 1, t * 3 + 2]))
+    });
+    const room = { id: 'room', position: new Vector3() };
+    const parts = { floor: toGeometry(floor) };
+    if (obstacles.length > 0) parts.ceiling = toGeometry(obstacles);
+    return { rooms: [room], connections: [], geometry: { rooms: new Map([[room.id, parts]]), connections: new Map() } };
+  };
+  // Two upward-facing triangles covering a rectangle
+  const rectangle = (x0, z0, x1, z1, y0 = 0, y1 = y0) => [
+    [[x0, y0, z0], [x0, y0, z1], [x1, y1, z1]],
+    [[x0, y0, z0], [x1, y1, z1], [x1, y1, z0]]
+  ];
+  const area = navMesh => navMesh.polygons.reduce((sum, polygon) => sum + polygon.area, 0);
+
+  let dungeon;
+  let navMesh;
+
+  beforeAll(async () => {
+    dungeon = await new DungeonGenerator().generate({ seed: 5, maxRooms: 30, navMesh: true });
+    navMesh = dungeon.navMesh;
+  });
+
+  test('is built with the dungeon', () => {
+    expect(navMesh.polygonCount).toBeGreaterThan(0);
+    for (const room of dungeon.rooms) {
+      expect(navMesh.polygons.some(polygon => polygon.region === room.id)).toBe(true);
+    }
+  });
+
+  test('merges floor across the grid lines it was cut along', () => {
+    const mesh = NavMeshBuilder.build(roomDungeon(rectangle(0, 0, 9, 9)));
+
+    expect(mesh.polygonCount).toBe(1);
+    expect(mesh.polygons[0].area).toBeCloseTo(81);
+  });
+
+  test('stray patches cut off from the rest are dropped', () => {
+    const mesh = NavMeshBuilder.build(roomDungeon([...rectangle(0, 0, 6, 6), ...rectangle(8, 0, 9, 1)]));
+
+    expect(area(mesh)).toBeCloseTo(36);
+    expect(mesh.components.every(component => component === 0)).toBe(true);
+  });
+
+  test('paths are pulled tight around corners', () => {
+    const mesh = NavMeshBuilder.build(roomDungeon([...rectangle(0, 0, 8, 2), ...rectangle(8, 0, 10, 2), ...rectangle(8, 2, 10, 10)]));
+    const path = mesh.findPath(new Vector3(1, 0, 1), new Vector3(9, 0, 9));
+
+    expect(path[0].toArray()).toEqual([1, 0, 1]);
+    expect(path[path.length - 1].toArray()).toEqual([9, 0, 9]);
+    expect(path.some(point => point.distance(new Vector3(8, 0, 2)) < 1e-6)).toBe(true);
+    for (let i = 1; i < path.length; i++) {
+      const middle = path[i - 1].lerp(path[i], 0.5);
+      expect(mesh.findNearestPoint(middle).point.distance(middle)).toBeLessThan(1e-6);
+    }
+    expect(mesh.findPath(new Vector3(1, 0, 1), new Vector3(1, 0, 1.5))).toHaveLength(2);
+  });
+
+  test('steep floors and floors without headroom are left out', () => {
+    const flat = rectangle(0, 0, 6, 6);
+    expect(area(NavMeshBuilder.build(roomDungeon(flat)))).toBeCloseTo(36);
+
+    // Rising 9 over 3 (a slope of 3) is too steep
+    const steep = [...flat, ...rectangle(6, 0, 9, 6, 0, 9)];
+    expect(area(NavMeshBuilder.build(roomDungeon(steep)))).toBeCloseTo(36);
+    expect(area(NavMeshBuilder.build(roomDungeon(steep), { maxSlope: 4 }))).toBeGreaterThan(36);
+
+    // A slab 0.3 over half the floor
+    const slab = rectangle(0, 0, 3, 6, 0.3).map(triangle => triangle.reverse());
+    expect(area(NavMeshBuilder.build(roomDungeon(flat, slab)))).toBeCloseTo(18);
+    expect(area(NavMeshBuilder.build(roomDungeon(flat, slab), { clearance: 0.2 }))).toBeCloseTo(36);
+  });
+
+  test('rooms are linked to their tunnels across doorways', () => {
+    for (const connection of dungeon.connections) {
+      for (const roomId of connection.rooms) {
+        const linked = navMesh.polygons.some(polygon => polygon.region === roomId &&
+          polygon.links.some(link => navMesh.polygons[link.to].region === connection.id));
+        expect(linked).toBe(true);
+      }
+    }
+  });
+
+  test('finds paths between rooms', () => {
+    const from = dungeon.rooms[0].position;
+    const to = dungeon.rooms[dungeon.rooms.length - 1].position;
+    const path = navMesh.findPath(from, to);
+
+    expect(path).not.toBeNull();
+    expect(path[0].distance(navMesh.findNearestPoint(from).point)).toBeLessThan(1e-6);
+    expect(path[path.length - 1].distance(navMesh.findNearestPoint(to).point)).toBeLessThan(1e-6);
+    expect(path.length).toBeGreaterThan(2);
+  });
+
+  test('random points are reachable and within the radius asked for', () => {
+    const rng = new SeededRandom(17);
+    const near = dungeon.rooms[0].position;
+
+    for (let i = 0; i < 10; i++) {
+      const point = navMesh.getRandomPoint(rng, near, 8);
+      expect(point.distance(near)).toBeLessThan(8 + NAV_CELL_SIZE * 2);
+      expect(navMesh.findPath(near, point)).not.toBeNull();
+    }
+    expect(navMesh.findNearestPoint(navMesh.getRandomPoint(rng)).point).toBeInstanceOf(Vector3);
+  });
+
+  test('exports plain data and geometry for debug display', () => {
+    const debug = JSON.parse(JSON.stringify(navMesh.getDebugVisualization()));
+    expect(debug.polygons).toHaveLength(navMesh.polygonCount);
+    expect(debug.vertices[debug.polygons[0].vertices[0]]).toHaveLength(3);
+    expect(debug.links.length).toBeGreaterThan(navMesh.polygonCount / 2);
+
+    const geometry = navMesh.toGeometry();
+    expect(geometry.vertices.length).toBe(navMesh.vertices.length * 3);
+    expect(geometry.indices.length).toBe(navMesh.polygons.reduce((sum, polygon) => sum + polygon.triangles.length * 3, 0));
+  });
+});
+
+describe('DungeonThemes', () => {
+  test('theme biases region styles', async () => {
+    const generator = new DungeonGenerator();
+    const natural = await generator.generate({ seed: 9, maxRooms: 25, theme: 'natural' });
+    const ruins = await generator.generate({ seed: 9, maxRooms: 25, theme: 'ruins' });
+
+    expect(natural.stats.naturalRooms).toBeGreaterThan(ruins.stats.naturalRooms);
+    expect(ruins.entrance.type).not.toBe('CAVE_MOUTH');
+  });
+
+  test('theme palette drives room materials', async () => {
+    const dungeon = await new DungeonGenerator().generate({ seed: 10, maxRooms: 20, theme: 'volcanic' });
+    const materials = new Set(Array.from(dungeon.geometry.rooms.values(), room => room.material));
+
+    expect(materials.has('BASALT')).toBe(true);
+    expect(materials.has('CAVE_ROCK')).toBe(false);
+    expect(dungeon.geometry.materials.BASALT).toBeDefined();
+  });
+
+  test('custom themes can be registered as data', async () => {
+    DungeonThemes.register('test_crypts', {
+      name: 'Test Crypts',
+      naturalBias: -2,
+      roomTypes: { manMade: [['CRYPT']] },
+      entranceWeights: { CAVE_MOUTH: 0, RUINS_ENTRANCE: 1, SINKHOLE: 0 },
+      palette: { MAN_MADE: 'BONE' },
+      materials: { BONE: { color: [0.8, 0.78, 0.7], roughness: 0.6 } }
+    });
+
+    const dungeon = await new DungeonGenerator().generate({ seed: 11, maxRooms: 15, theme: 'test_crypts' });
+
+    expect(dungeon.entrance.type).toBe('RUINS_ENTRANCE');
+    expect(dungeon.rooms.every(room => room.type === 'CRYPT')).toBe(true);
+    expect(dungeon.connections.every(conn => conn.style === 'CARVED_CORRIDOR')).toBe(true);
+    expect(new Set(Array.from(dungeon.geometry.optimized.values(), geometry => geometry.material))).toEqual(new Set(['BONE']));
+  });
+
+  test('unknown themes fall back to mixed', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(DungeonThemes.get('no_such_theme').id).toBe('mixed');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('DungeonSerializer', () => {
+  let dungeon;
+
+  beforeAll(async () => {
+    dungeon = await new DungeonGenerator().generate({ seed: 'save-me', maxRooms: 20, navMesh: true });
+  });
+
+  test('JSON round-trip preserves the dungeon', () => {
+    const json = DungeonSerializer.stringify(dungeon);
+    const loaded = DungeonSerializer.parse(json);
+
+    expect(DungeonSerializer.stringify(loaded)).toBe(json);
+    expect(loaded.rooms[0].position).toBeInstanceOf(Vector3);
+    expect(loaded.geometry.rooms).toBeInstanceOf(Map);
+    expect(loaded.environment.lightMap).toBeInstanceOf(Map);
+  });
+
+  test('binary round-trip restores typed geometry buffers', () => {
+    const loaded = DungeonSerializer.deserialize(DungeonSerializer.toBinary(dungeon));
+
+    for (const [material, geometry] of dungeon.geometry.optimized) {
+      const restored = loaded.geometry.optimized.get(material);
+      expect(restored.vertices).toBeInstanceOf(Float32Array);
+      expect(Array.from(restored.vertices)).toEqual(Array.from(geometry.vertices));
+      expect(Array.from(restored.indices)).toEqual(Array.from(geometry.indices));
+    }
+  });
+
+  test('the navigation mesh survives saving and loading', () => {
+    for (const loaded of [DungeonSerializer.parse(DungeonSerializer.stringify(dungeon)), DungeonSerializer.deserialize(DungeonSerializer.toBinary(dungeon))]) {
+      expect(loaded.navMesh.polygonCount).toBe(dungeon.navMesh.polygonCount);
+      expect(loaded.navMesh.components).toEqual(dungeon.navMesh.components);
+
+      const from = dungeon.rooms[0].position;
+      const to = dungeon.navMesh.getRandomPoint(new SeededRandom(4), from);
+      expect(loaded.navMesh.findPath(from, to)).toHaveLength(dungeon.navMesh.findPath(from, to).length);
+    }
+  });
+
+  test('layout queries work after loading', () => {
+    const loaded = DungeonSerializer.parse(DungeonSerializer.stringify(dungeon));
+    const target = dungeon.layout.nodes[dungeon.layout.nodes.length - 1].id;
+
+    expect(loaded.layout.getConnections('entrance_0')).toEqual(dungeon.layout.getConnections('entrance_0'));
+    expect(loaded.layout.findPath('entrance_0', target)).toEqual(dungeon.layout.findPath('entrance_0', target));
+  });
+
+  test('rejects unknown formats and future versions', () => {
+    expect(() => DungeonSerializer.fromJSON({ format: 'other' })).toThrow('Not a dungeon save file');
+
+    const future = DungeonSerializer.toJSON(dungeon);
+    future.version = 999;
+    expect(() => DungeonSerializer.fromJSON(future)).toThrow('Unsupported dungeon format version');
+  });
+});
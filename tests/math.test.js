@@ -7,6 +7,7 @@ import { Vector3 } from '../src/math/Vector3.js';
 import { Matrix4 } from '../src/math/Matrix4.js';
 import { Quaternion } from '../src/math/Quaternion.js';
 import { MathUtils } from '../src/math/MathUtils.js';
+import { SeededRandom } from '../src/math/SeededRandom.js';
 
 describe('Vector3', () => {
   test('basic operations', () => {
@@ -109,6 +110,16 @@ describe('Matrix4', () => {
     
     expect(combined.equals(identity, 1e-5)).toBe(true);
   });
+
+  test('compose applies scale, then rotation, then translation', () => {
+    const rotation = Quaternion.fromAxisAngle(new Vector3(0, 1, 0), Math.PI / 2).toMatrix4();
+    const matrix = Matrix4.compose(new Vector3(10, 0, 0), rotation, new Vector3(2, 2, 2));
+    const transformed = matrix.transformVector3(new Vector3(1, 0, 0));
+
+    expect(transformed.x).toBeCloseTo(10);
+    expect(transformed.z).toBeCloseTo(-2);
+    expect(matrix.getPosition().x).toBeCloseTo(10);
+  });
 });
 
 describe('Quaternion', () => {
@@ -163,6 +174,22 @@ describe('Quaternion', () => {
 });
 
 describe('MathUtils', () => {
+  test('random helpers draw from a stream when given one', () => {
+    const draws = rng => [
+      MathUtils.random(rng), MathUtils.randomRange(2, 4, rng), MathUtils.randomInt(1, 6, rng),
+      MathUtils.randomBool(rng), MathUtils.randomSign(rng), MathUtils.randomGaussian(0, 1, rng),
+      MathUtils.randomGaussian(0, 1, rng), MathUtils.randomWeighted([1, 2, 3], rng)
+    ];
+    const shared = jest.fn(() => 0.5);
+    const previous = MathUtils.setRandomSource(shared);
+
+    expect(draws(new SeededRandom(3))).toEqual(draws(new SeededRandom(3)));
+    expect(draws(new SeededRandom(3))).not.toEqual(draws(new SeededRandom(4)));
+    expect(shared).not.toHaveBeenCalled();
+    expect(MathUtils.randomRange(2, 4)).toBe(3);
+    MathUtils.setRandomSource(previous);
+  });
+
   test('basic functions', () => {
     expect(MathUtils.clamp(5, 0, 10)).toBe(5);
     expect(MathUtils.clamp(-5, 0, 10)).toBe(0);
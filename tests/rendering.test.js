@@ -0,0 +1,748 @@
+/**
+ * Jest Rendering Tests
+ * Run with: npm test
+ */
+
+import { Vector3 } from '../src/math/Vector3.js';
+import { Quaternion } from '../src/math/Quaternion.js';
+import { Scene, Group, Mesh, InstancedMesh, Light, MAX_INSTANCE_RANGES } from '../src/rendering/Scene.js';
+import { BVH } from '../src/rendering/SpatialIndex.js';
+import { MeshBVH } from '../src/rendering/MeshBVH.js';
+import { CharacterController } from '../src/rendering/CharacterController.js';
+import { Camera } from '../src/rendering/Camera.js';
+import { PortalCulling } from '../src/rendering/PortalCulling.js';
+import { Matrix4 } from '../src/math/Matrix4.js';
+import { GeometryBuilder, MAX_UINT16_VERTICES } from '../src/rendering/GeometryBuilder.js';
+import { ForwardLighting, LIGHT_TYPES, MAX_LIGHTS } from '../src/rendering/ForwardLighting.js';
+import { ShadowMaps, MAX_SHADOW_MAPS, MAX_POINT_SHADOW_MAPS } from '../src/rendering/ShadowMaps.js';
+import { Material } from '../src/rendering/Material.js';
+
+function createLight(type, position, options = {}) {
+  const light = new Light(type);
+  light.setPosition(position.x, position.y, position.z);
+  Object.assign(light.getComponent('light'), options);
+  return light;
+}
+
+describe('ForwardLighting', () => {
+  test('scenes without lights get a default key light', () => {
+    const lighting = new ForwardLighting();
+    lighting.setLights([], new Vector3(0.1, 0.1, 0.2));
+
+    const uniforms = lighting.packUniforms(new Vector3(0, 0, 0), 1);
+    expect(uniforms.count).toBe(1);
+    expect(uniforms.positions[3]).toBe(LIGHT_TYPES.directional);
+    expect(lighting.ambient).toEqual([0.1, 0.1, 0.2]);
+  });
+
+  test('point lights out of range of a mesh are skipped', () => {
+    const lighting = new ForwardLighting();
+    lighting.setLights([
+      createLight('point', new Vector3(0, 2, 0), { range: 5 }),
+      createLight('point', new Vector3(30, 2, 0), { range: 5 })
+    ]);
+
+    const lights = lighting.selectLights(new Vector3(0, 0, 0), 2);
+    expect(lights).toHaveLength(1);
+    expect(lights[0].position.x).toBe(0);
+  });
+
+  test('directional lights always count and the rest are ranked by closeness to the camera', () => {
+    const nodes = [createLight('directional', new Vector3(0, 0, 0), { intensity: 0.2 })];
+    for (let i = 0; i < MAX_LIGHTS + 4; i++) {
+      nodes.push(createLight('point', new Vector3(i * 4, 2, 0), { range: 10 }));
+    }
+
+    const lighting = new ForwardLighting();
+    lighting.setLights(nodes);
+    const lights = lighting.selectLights(new Vector3(0, 0, 0), 100, new Vector3(0, 2, 0));
+
+    expect(lights).toHaveLength(MAX_LIGHTS);
+    expect(lights[0].type).toBe('directional');
+    expect(lights.slice(1).map(light => light.position.x)).toEqual([0, 4, 8, 12, 16, 20, 24]);
+  });
+
+  test('uniforms carry world-space position, colour, range, direction and cone', () => {
+    const group = new Group();
+    group.setPosition(10, 0, 0);
+    const spot = createLight('spot', new Vector3(0, 5, 0), {
+      color: new Vector3(1, 0.5, 0),
+      intensity: 2,
+      range: 12,
+      decay: 2,
+      angle: Math.PI / 4,
+      penumbra: 0.5
+    });
+    spot.setRotation(Quaternion.fromAxisAngle(new Vector3(0, 0, 1), Math.PI / 2));
+    group.addChild(spot);
+
+    const lighting = new ForwardLighting();
+    lighting.setLights([spot]);
+    const uniforms = lighting.packUniforms(new Vector3(10, 0, 0), 1);
+
+    expect(Array.from(uniforms.positions.slice(0, 4))).toEqual([10, 5, 0, LIGHT_TYPES.spot]);
+    expect(Array.from(uniforms.colors.slice(0, 4))).toEqual([2, 1, 0, 12]);
+    // Down, turned a quarter turn about z
+    expect(uniforms.directions[0]).toBeCloseTo(1);
+    expect(uniforms.directions[1]).toBeCloseTo(0);
+    expect(uniforms.directions[3]).toBe(2);
+    expect(uniforms.cones[0]).toBeCloseTo(Math.cos(Math.PI / 4));
+    expect(uniforms.cones[1]).toBeCloseTo(Math.cos(Math.PI / 8));
+  });
+
+  test('unlit lights are ignored', () => {
+    const lighting = new ForwardLighting();
+    lighting.setLights([createLight('point', new Vector3(0, 0, 0), { intensity: 0 })]);
+
+    expect(lighting.lights).toHaveLength(1);
+    expect(lighting.lights[0].type).toBe('directional');
+  });
+});
+
+function project(matrix, point) {
+  const clip = matrix.transformPoint(point.x, point.y, point.z);
+  return { x: clip.x / clip.w, y: clip.y / clip.w, z: clip.z / clip.w };
+}
+
+describe('ShadowMaps', () => {
+  test('directional lights come first, then the shadow casters nearest the camera', () => {
+    const nodes = [
+      createLight('point', new Vector3(0, 2, 0), { castShadow: true }),
+      createLight('point', new Vector3(1, 2, 0), { castShadow: false }),
+      createLight('point', new Vector3(20, 2, 0), { castShadow: true }),
+      createLight('point', new Vector3(5, 2, 0), { castShadow: true }),
+      createLight('spot', new Vector3(3, 4, 0), { castShadow: true }),
+      createLight('directional', new Vector3(0, 0, 0), { castShadow: true })
+    ];
+    const lighting = new ForwardLighting();
+    lighting.setLights(nodes);
+
+    const shadows = new ShadowMaps().update(lighting.lights, new Vector3(0, 2, 0));
+    expect(shadows.map(shadow => shadow.light.type)).toEqual(['directional', 'point', 'spot', 'point']);
+    expect(shadows.map(shadow => shadow.index)).toEqual([0, MAX_SHADOW_MAPS, 1, MAX_SHADOW_MAPS + 1]);
+    expect(shadows.filter(shadow => shadow.cube)).toHaveLength(MAX_POINT_SHADOW_MAPS);
+    expect(shadows.find(shadow => shadow.cube).matrices).toHaveLength(6);
+    expect(lighting.lights.find(light => light.position.x === 20).shadow).toBeNull();
+  });
+
+  test('shadow index and bias reach the light uniforms, and can be switched off', () => {
+    const lighting = new ForwardLighting();
+    lighting.setLights([createLight('point', new Vector3(0, 2, 0), { castShadow: true, shadowBias: 0.005 })]);
+    const shadowMaps = new ShadowMaps();
+
+    shadowMaps.update(lighting.lights);
+    let uniforms = lighting.packUniforms(new Vector3(0, 0, 0), 1);
+    expect(uniforms.cones[2]).toBe(MAX_SHADOW_MAPS);
+    expect(uniforms.cones[3]).toBeCloseTo(0.005);
+
+    shadowMaps.enabled = false;
+    expect(shadowMaps.update(lighting.lights)).toHaveLength(0);
+    uniforms = lighting.packUniforms(new Vector3(0, 0, 0), 1);
+    expect(uniforms.cones[2]).toBe(-1);
+  });
+
+  test('spot light matrices look down the cone', () => {
+    const lighting = new ForwardLighting();
+    lighting.setLights([createLight('spot', new Vector3(2, 8, 1), { range: 10, angle: Math.PI / 6 })]);
+    const matrix = ShadowMaps.getSpotMatrix(lighting.lights[0]);
+
+    const below = project(matrix, new Vector3(2, 3, 1));
+    expect(below.x).toBeCloseTo(0);
+    expect(below.y).toBeCloseTo(0);
+    expect(Math.abs(below.z)).toBeLessThan(1);
+
+    // Just outside the cone's edge
+    const edge = project(matrix, new Vector3(2 + 5 * Math.tan(Math.PI / 6) * 1.1, 3, 1));
+    expect(Math.abs(edge.x)).toBeGreaterThan(1);
+  });
+
+  test('each point light cube face centres on its axis', () => {
+    const position = new Vector3(4, 2, -3);
+    const faces = ShadowMaps.getCubeFaceMatrices(position, 10);
+    const axes = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+    axes.forEach(([x, y, z], face) => {
+      const point = project(faces[face], position.add(new Vector3(x, y, z).multiply(5)));
+      expect(point.x).toBeCloseTo(0);
+      expect(point.y).toBeCloseTo(0);
+      expect(Math.abs(point.z)).toBeLessThan(1);
+    });
+  });
+
+  test('directional shadows follow the camera in whole texels', () => {
+    const lighting = new ForwardLighting();
+    lighting.setLights([]);
+    const light = lighting.lights[0];
+
+    const matrix = ShadowMaps.getDirectionalMatrix(light, new Vector3(10, 0, 10), 20, 512);
+    const center = project(matrix, new Vector3(10, 0, 10));
+    expect(Math.abs(center.x)).toBeLessThan(2 / 512);
+    expect(Math.abs(center.z)).toBeLessThan(1);
+
+    const nudged = ShadowMaps.getDirectionalMatrix(light, new Vector3(10.001, 0, 10), 20, 512);
+    expect(nudged.equals(matrix)).toBe(true);
+  });
+});
+
+describe('GeometryBuilder bounds', () => {
+  test('bounding sphere encloses every vertex', () => {
+    const box = GeometryBuilder.createBox(2, 4, 6);
+    GeometryBuilder.translateGeometry(box, 5, 0, 0);
+    const { center, radius } = GeometryBuilder.computeBoundingSphere(box);
+
+    expect(center.x).toBeCloseTo(5);
+    expect(radius).toBeCloseTo(Math.hypot(1, 2, 3));
+  });
+
+  test('bounding box spans the vertices', () => {
+    const box = GeometryBuilder.createBox(2, 4, 6);
+    GeometryBuilder.translateGeometry(box, 5, 0, 0);
+    const { min, max } = GeometryBuilder.computeBoundingBox(box);
+
+    expect(min.toArray()).toEqual([4, -2, -3]);
+    expect(max.toArray()).toEqual([6, 2, 3]);
+  });
+
+  test('box UVs span each face in geometry units', () => {
+    const box = GeometryBuilder.createBox(2, 4, 6);
+    expect(box.uvs).toHaveLength(box.vertices.length / 3 * 2);
+    // Front face: width by height
+    expect(Array.from(box.uvs.slice(0, 8))).toEqual([0, 0, 2, 0, 2, 4, 0, 4]);
+  });
+
+  test('cylinders wrap u around the circumference with outward normals', () => {
+    const segments = 6;
+    const cylinder = GeometryBuilder.createCylinder(1, 1, 2, segments, false);
+    const ring = segments + 1;
+
+    // The seam column is doubled: same position, u = 0 and u = circumference
+    expect(cylinder.vertices[segments * 3]).toBeCloseTo(cylinder.vertices[0]);
+    expect(cylinder.uvs[0]).toBe(0);
+    expect(cylinder.uvs[segments * 2]).toBeCloseTo(Math.PI * 2);
+    expect(cylinder.uvs[ring * 2 + 1]).toBe(2);
+
+    for (let i = 0; i < cylinder.vertices.length; i += 3) {
+      const outward = cylinder.vertices[i] * cylinder.normals[i] + cylinder.vertices[i + 2] * cylinder.normals[i + 2];
+      expect(outward).toBeGreaterThan(0);
+    }
+  });
+
+  test('triplanar UVs project along the axis each normal faces most', () => {
+    const geometry = {
+      vertices: new Float32Array([1, 2, 3, 1, 2, 3, 1, 2, 3]),
+      normals: new Float32Array([0, 1, 0, 0.9, 0.3, 0, 0, 0.2, -1]),
+      indices: new Uint16Array([0, 1, 2])
+    };
+    GeometryBuilder.generateTriplanarUVs(geometry, 0.5, new Vector3(1, 0, 1));
+
+    expect(Array.from(geometry.uvs)).toEqual([1, 2, 2, 1, 1, 1]);
+  });
+
+  test('merging keeps UVs only when every part has them', () => {
+    const box = GeometryBuilder.createBox();
+    const cone = GeometryBuilder.createCone();
+    const bare = { vertices: new Float32Array(3), normals: new Float32Array(3), indices: new Uint16Array(0) };
+
+    const merged = GeometryBuilder.mergeGeometries([box, cone]);
+    expect(merged.uvs).toHaveLength(box.uvs.length + cone.uvs.length);
+    expect(Array.from(merged.uvs.slice(box.uvs.length))).toEqual(Array.from(cone.uvs));
+    expect(GeometryBuilder.mergeGeometries([box, bare]).uvs).toBeUndefined();
+  });
+
+  // World positions of every triangle corner, in draw order
+  function trianglePositions(geometry) {
+    const chunks = geometry.chunks || [{ vertexOffset: 0, indexOffset: 0, indexCount: geometry.indices.length }];
+    const positions = [];
+    for (const chunk of chunks) {
+      for (let i = chunk.indexOffset; i < chunk.indexOffset + chunk.indexCount; i++) {
+        const v = chunk.vertexOffset + geometry.indices[i];
+        positions.push(...geometry.vertices.slice(v * 3, v * 3 + 3));
+      }
+    }
+    return positions;
+  }
+
+  test('merges past 65,535 vertices switch to 32-bit indices', () => {
+    const plane = GeometryBuilder.createPlane(10, 10, 300, 300);
+    const box = GeometryBuilder.createBox();
+    expect(plane.vertices.length / 3).toBeGreaterThan(MAX_UINT16_VERTICES);
+
+    const merged = GeometryBuilder.mergeGeometries([plane, box]);
+    expect(merged.indices).toBeInstanceOf(Uint32Array);
+    expect(merged.indices[merged.indices.length - 1]).toBe(plane.vertices.length / 3 + box.indices[box.indices.length - 1]);
+    expect(GeometryBuilder.mergeGeometries([box, box]).indices).toBeInstanceOf(Uint16Array);
+  });
+
+  test('without 32-bit indices, merges are split into 16-bit chunks', () => {
+    const boxes = Array.from({ length: 10 }, (_, i) => {
+      const box = GeometryBuilder.createBox();
+      GeometryBuilder.translateGeometry(box, i * 2, 0, 0);
+      return box;
+    });
+    const merged = GeometryBuilder.mergeGeometries(boxes, { uint32: false, maxVertices: 50 });
+
+    expect(merged.indices).toBeInstanceOf(Uint16Array);
+    expect(merged.chunks).toHaveLength(5);
+    for (const chunk of merged.chunks) {
+      const indices = merged.indices.slice(chunk.indexOffset, chunk.indexOffset + chunk.indexCount);
+      expect(Math.max(...indices)).toBeLessThan(50);
+    }
+    expect(trianglePositions(merged)).toEqual(trianglePositions(GeometryBuilder.mergeGeometries(boxes)));
+  });
+
+  test('oversized parts are split without losing triangles', () => {
+    const plane = GeometryBuilder.createPlane(4, 4, 10, 10);
+    const pieces = GeometryBuilder.splitGeometry(plane, 30);
+
+    expect(pieces.length).toBeGreaterThan(1);
+    pieces.forEach(piece => {
+      expect(piece.vertices.length / 3).toBeLessThanOrEqual(30);
+      expect(piece.uvs).toHaveLength(piece.vertices.length / 3 * 2);
+    });
+    expect(pieces.flatMap(trianglePositions)).toEqual(trianglePositions(plane));
+
+    const merged = GeometryBuilder.mergeGeometries([plane], { uint32: false, maxVertices: 30 });
+    expect(trianglePositions(merged)).toEqual(trianglePositions(plane));
+  });
+});
+
+describe('Material', () => {
+  test('defaults to an untextured phong surface', () => {
+    const material = new Material({ color: [0.5, 0.5, 0.5] });
+    expect(material.type).toBe('phong');
+    expect(material.roughness).toBe(0.8);
+    expect(material.textureScale).toBe(1);
+    expect(material.isTextured()).toBe(false);
+    expect(new Material({ type: 'triplanar', mapUrl: 'textures/moss.png' }).isTextured()).toBe(true);
+  });
+});
+
+function boxItem(name, x, z, size = 1) {
+  return { name, bounds: { min: new Vector3(x - size, -size, z - size), max: new Vector3(x + size, size, z + size) } };
+}
+
+function boxMesh(name, x, y, z) {
+  const mesh = new Mesh(GeometryBuilder.createBox(2, 2, 2), new Material(), name);
+  mesh.setPosition(x, y, z);
+  return mesh;
+}
+
+describe('Spatial index', () => {
+  const grid = [];
+  for (let x = 0; x < 10; x++) {
+    for (let z = 0; z < 10; z++) {
+      grid.push(boxItem(`${x},${z}`, x * 10, z * 10));
+    }
+  }
+
+  test('box and sphere queries return the overlapping items in build order', () => {
+    const bvh = new BVH().build(grid);
+
+    const inBox = bvh.queryBox(new Vector3(-1, 0, -1), new Vector3(11, 0, 1)).map(item => item.name);
+    expect(inBox).toEqual(['0,0', '1,0']);
+
+    const inSphere = bvh.querySphere(new Vector3(50, 0, 50), 9.5).map(item => item.name);
+    expect(inSphere).toEqual(['4,5', '5,4', '5,5', '5,6', '6,5']);
+  });
+
+  test('refit follows items that move', () => {
+    const items = grid.map(item => boxItem(item.name, item.bounds.min.x + 1, item.bounds.min.z + 1));
+    const bvh = new BVH().build(items);
+
+    items[0].bounds.min.set(499, -1, 499);
+    items[0].bounds.max.set(501, 1, 501);
+    expect(bvh.querySphere(new Vector3(500, 0, 500), 1)).toEqual([]);
+
+    bvh.refit();
+    expect(bvh.querySphere(new Vector3(500, 0, 500), 1)).toEqual([items[0]]);
+  });
+
+  test('frustum queries keep the boxes in front of the camera', () => {
+    const bvh = new BVH().build(grid);
+    const view = Matrix4.lookAt(new Vector3(0, 0, -5), new Vector3(0, 0, 5), new Vector3(0, 1, 0));
+    const planes = Matrix4.perspective(Math.PI / 4, 1, 0.1, 50).multiply(view).extractFrustumPlanes();
+
+    const names = bvh.queryFrustum(planes).map(item => item.name);
+    expect(names).toContain('0,0');
+    expect(names).toContain('0,4');
+    expect(names).not.toContain('9,0'); // Off to the side
+    expect(names).not.toContain('0,9'); // Past the far plane
+  });
+
+  test('scene nodes get world bounds through their parents', () => {
+    const scene = new Scene();
+    const group = new Group('Room');
+    group.setPosition(10, 0, 0);
+    group.setScale(2);
+    const mesh = boxMesh('Crate', 0, 1, 0);
+    group.addChild(mesh);
+    scene.addChild(group);
+
+    scene.updateSpatialIndex();
+    expect(mesh.worldBounds.min.toArray()).toEqual([8, 0, -2]);
+    expect(mesh.worldBounds.max.toArray()).toEqual([12, 4, 2]);
+    expect(group.worldBounds.min.toArray()).toEqual([10, 0, 0]);
+  });
+
+  test('scene culls meshes outside the frustum and hidden subtrees', () => {
+    const scene = new Scene();
+    const ahead = boxMesh('Ahead', 0, 0, 10);
+    const behind = boxMesh('Behind', 0, 0, -10);
+    const hidden = new Group('Hidden');
+    hidden.visible = false;
+    hidden.addChild(boxMesh('InHidden', 0, 0, 20));
+    scene.addChild(ahead);
+    scene.addChild(behind);
+    scene.addChild(hidden);
+
+    const view = Matrix4.lookAt(Vector3.zero(), new Vector3(0, 0, 1), new Vector3(0, 1, 0));
+    const planes = Matrix4.perspective(Math.PI / 3, 1, 0.1, 50).multiply(view).extractFrustumPlanes();
+    expect(scene.getVisibleMeshes(planes)).toEqual([ahead]);
+
+    // Moving a node is picked up when the index is refreshed
+    behind.setPosition(0, 0, 30);
+    scene.updateSpatialIndex();
+    expect(scene.getVisibleMeshes(planes)).toEqual([ahead, behind]);
+  });
+
+  test('radius queries use node bounds', () => {
+    const scene = new Scene();
+    const mesh = boxMesh('Crate', 5, 0, 0);
+    const light = new Light('point');
+    light.setPosition(0, 0, 8);
+    scene.addChild(mesh);
+    scene.addChild(light);
+
+    // The box's near face is 4 units away even though its centre is 5
+    expect(scene.getNodesInRadius(Vector3.zero(), 4.5)).toEqual([mesh]);
+    expect(scene.getNodesInRadius(Vector3.zero(), 8)).toEqual([mesh, light]);
+  });
+});
+
+describe('Raycasting', () => {
+  test('mesh BVH finds the nearest front face and skips back faces', () => {
+    const geometry = GeometryBuilder.createBox(2, 2, 2);
+    const bvh = MeshBVH.forGeometry(geometry);
+    expect(MeshBVH.forGeometry(geometry)).toBe(bvh);
+
+    const hit = bvh.raycast(new Vector3(0.2, 0.3, -10), new Vector3(0, 0, 1));
+    expect(hit.distance).toBeCloseTo(9);
+    expect(hit.normal.toArray()).toEqual([0, 0, -1]);
+    expect(hit.point.z).toBeCloseTo(-1);
+
+    // From inside, every face points away from the ray
+    expect(bvh.raycast(Vector3.zero(), new Vector3(0, 0, 1))).toBeNull();
+    expect(bvh.raycast(Vector3.zero(), new Vector3(0, 0, 1), Infinity, { doubleSided: true }).distance).toBeCloseTo(1);
+    expect(bvh.raycast(new Vector3(0, 0, -10), new Vector3(0, 0, 1), 5)).toBeNull();
+  });
+
+  test('mesh hits follow the world matrix and come back in world space', () => {
+    const scene = new Scene();
+    const group = new Group('Room');
+    group.setPosition(10, 0, 0);
+    group.setScale(2);
+    const mesh = boxMesh('Crate', 0, 0, 0);
+    group.addChild(mesh);
+    scene.addChild(group);
+
+    const [hit] = scene.raycast(new Vector3(10, 10, 0), new Vector3(0, -1, 0));
+    expect(hit.node).toBe(mesh);
+    expect(hit.distance).toBeCloseTo(8);
+    expect(hit.point.toArray().map(v => Math.round(v * 1000) / 1000)).toEqual([10, 2, 0]);
+    expect(hit.normal.toArray().map(v => Math.round(v * 1000) / 1000)).toEqual([0, 1, 0]);
+
+    expect(scene.raycast(new Vector3(0, 10, 0), new Vector3(0, -1, 0))).toEqual([]);
+  });
+
+  test('scene hits are sorted nearest first and skip hidden subtrees', () => {
+    const scene = new Scene();
+    const far = boxMesh('Far', 0, 0, 20);
+    const near = boxMesh('Near', 0, 0, 10);
+    const hidden = new Group('Hidden');
+    hidden.visible = false;
+    hidden.addChild(boxMesh('InHidden', 0, 0, 5));
+    scene.addChild(far);
+    scene.addChild(near);
+    scene.addChild(hidden);
+
+    const hits = scene.raycast(Vector3.zero(), new Vector3(0, 0, 1));
+    expect(hits.map(hit => hit.node.name)).toEqual(['Near', 'Far']);
+    expect(hits[0].distance).toBeCloseTo(9);
+    expect(scene.raycast(Vector3.zero(), new Vector3(0, 0, 1), 15).map(hit => hit.node)).toEqual([near]);
+  });
+});
+
+function createInstances(...positions) {
+  const instances = new InstancedMesh(GeometryBuilder.createBox(1, 1, 1), new Material(), 2, 'Crates');
+  positions.forEach(([x, y, z]) => instances.addInstance(Matrix4.translation(new Vector3(x, y, z))));
+  return instances;
+}
+
+describe('InstancedMesh', () => {
+  test('grows past its capacity and removes by moving the last instance in', () => {
+    const instances = createInstances([0, 0, 0], [1, 0, 0], [2, 0, 0]);
+    expect(instances.count).toBe(3);
+    expect(instances.capacity).toBe(4);
+    expect(instances.getMatrixAt(2).getPosition().x).toBe(2);
+
+    instances.setColorAt(2, [1, 0, 0]);
+    expect(instances.removeInstance(0)).toBe(2);
+    expect(instances.count).toBe(2);
+    expect(instances.getMatrixAt(0).getPosition().x).toBe(2);
+    expect([...instances.colors.subarray(0, 3)]).toEqual([1, 0, 0]);
+    expect(instances.removeInstance(1)).toBe(-1);
+    expect(() => instances.getMatrixAt(1)).toThrow('out of range');
+  });
+
+  test('tracks which instances changed since the last upload', () => {
+    const instances = createInstances([0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0]);
+    expect(instances.takeDirtyRanges().matrices).toEqual({ start: 0, end: 4 });
+    expect(instances.takeDirtyRanges()).toEqual({ matrices: null, colors: null });
+
+    instances.setTransformAt(1, new Vector3(5, 0, 0));
+    instances.setTransformAt(2, new Vector3(6, 0, 0), null, 2);
+    instances.setColorAt(3, new Vector3(0, 1, 0));
+    expect(instances.takeDirtyRanges()).toEqual({ matrices: { start: 1, end: 3 }, colors: { start: 3, end: 4 } });
+  });
+
+  test('bounds cover every instance in world space', () => {
+    const instances = createInstances([0, 0, 0], [10, 0, 0]);
+    instances.setPosition(0, 0, 5);
+    instances.updateWorldMatrix(true, false);
+
+    const { min, max } = instances.computeWorldBounds();
+    expect(min.x).toBeCloseTo(-0.866, 2);
+    expect(max.x).toBeCloseTo(10.866, 2);
+    expect(min.z).toBeCloseTo(4.134, 2);
+
+    instances.clear();
+    expect(instances.computeWorldBounds().max.toArray()).toEqual([0, 0, 5]);
+  });
+
+  test('culls instances to runs and joins the closest runs beyond the limit', () => {
+    // Every other instance lies behind a plane facing +x through the origin
+    const positions = [];
+    for (let i = 0; i < 2 * (MAX_INSTANCE_RANGES + 2); i++) positions.push([i % 2 ? -10 : 10, 0, i]);
+    positions[2][0] = -10; // A wider gap between the first two visible instances
+    const instances = createInstances(...positions);
+    instances.updateWorldMatrix(true, false);
+    const planes = [{ normal: new Vector3(1, 0, 0), distance: 0 }];
+
+    expect(instances.getVisibleRanges()).toEqual([{ start: 0, count: positions.length }]);
+    expect(instances.getVisibleRanges(planes, 100)).toHaveLength(MAX_INSTANCE_RANGES + 1);
+
+    const ranges = instances.getVisibleRanges(planes);
+    expect(ranges).toHaveLength(MAX_INSTANCE_RANGES);
+    expect(ranges[0]).toEqual({ start: 0, count: 1 });
+    expect(ranges[1]).toEqual({ start: 4, count: 3 });
+    expect(ranges.reduce((sum, range) => sum + range.count, 0)).toBe(MAX_INSTANCE_RANGES + 2);
+  });
+
+  test('raycasts report which instance was hit', () => {
+    const scene = new Scene();
+    const instances = createInstances([0, 0, 10], [0, 0, 5], [3, 0, 5]);
+    scene.addChild(instances);
+
+    const [hit] = scene.raycast(Vector3.zero(), new Vector3(0, 0, 1));
+    expect(hit.node).toBe(instances);
+    expect(hit.instanceIndex).toBe(1);
+    expect(hit.distance).toBeCloseTo(4.5);
+    expect(scene.raycast(new Vector3(6, 0, 0), new Vector3(0, 0, 1))).toEqual([]);
+  });
+});
+
+function createRamp(slope) {
+  // Rises along +x from the origin, facing up
+  const geometry = {
+    vertices: new Float32Array([0, 0, -5, 0, 0, 5, 10, 10 * slope, 5, 10, 10 * slope, -5]),
+    indices: new Uint16Array([0, 1, 2, 0, 2, 3])
+  };
+  return new Mesh(geometry, new Material(), 'Ramp');
+}
+
+function createFloorScene(...meshes) {
+  const scene = new Scene();
+  const floor = new Mesh(GeometryBuilder.createBox(40, 1, 40), new Material(), 'Floor');
+  floor.setPosition(0, -0.5, 0);
+  scene.addChild(floor);
+  meshes.forEach(mesh => scene.addChild(mesh));
+  return scene;
+}
+
+function walk(controller, direction, seconds) {
+  for (let i = 0; i < seconds * 60; i++) controller.move(direction, 1 / 60);
+  return controller.position;
+}
+
+describe('CharacterController', () => {
+  test('falls onto the floor and is stopped by walls', () => {
+    const wall = boxMesh('Wall', 5, 1, 0);
+    const controller = new CharacterController(createFloorScene(wall));
+    controller.setEyePosition(new Vector3(0, 5, 0));
+
+    walk(controller, Vector3.zero(), 1);
+    expect(controller.grounded).toBe(true);
+    expect(controller.position.y).toBeCloseTo(0);
+    expect(controller.getEyePosition().y).toBeCloseTo(controller.eyeHeight);
+
+    // The wall's face is at x = 4; the capsule stops a radius short of it
+    expect(walk(controller, new Vector3(1, 0, 0), 2).x).toBeCloseTo(4 - controller.radius);
+  });
+
+  test('steps up ledges no higher than stepHeight', () => {
+    const ledge = height => {
+      const mesh = new Mesh(GeometryBuilder.createBox(4, height, 40), new Material(), 'Ledge');
+      mesh.setPosition(-5, height / 2, 0);
+      return mesh;
+    };
+
+    for (const [height, climbs] of [[0.3, true], [0.5, true], [0.6, false], [1, false]]) {
+      const controller = new CharacterController(createFloorScene(ledge(height)));
+      controller.setEyePosition(new Vector3(0, 1.6, 0));
+      const position = walk(controller, new Vector3(-1, 0, 0), 1);
+
+      expect(position.x < -3).toBe(climbs);
+      expect(position.y).toBeCloseTo(climbs ? height : 0);
+    }
+  });
+
+  test('walks up slopes up to maxSlope and not steeper ones', () => {
+    const gentle = new CharacterController(createFloorScene(createRamp(0.5)));
+    gentle.setEyePosition(new Vector3(-2, 1.6, 0));
+    const onRamp = walk(gentle, new Vector3(1, 0, 0), 1.5);
+    expect(onRamp.x).toBeGreaterThan(4);
+    expect(onRamp.y).toBeCloseTo(onRamp.x * 0.5, 1);
+
+    const steep = new CharacterController(createFloorScene(createRamp(2)));
+    steep.setEyePosition(new Vector3(-2, 1.6, 0));
+    expect(walk(steep, new Vector3(1, 0, 0), 1.5).x).toBeLessThan(0.5);
+  });
+
+  test('collides with each instance of an instanced mesh', () => {
+    const pillars = new InstancedMesh(GeometryBuilder.createBox(2, 2, 2), new Material(), 2, 'Pillars');
+    pillars.addInstance(Matrix4.translation(new Vector3(-5, 1, 0)));
+    pillars.addInstance(Matrix4.translation(new Vector3(5, 1, 0)));
+    const controller = new CharacterController(createFloorScene(pillars));
+    controller.setEyePosition(new Vector3(0, 1.6, 0));
+
+    expect(walk(controller, new Vector3(1, 0, 0), 2).x).toBeCloseTo(4 - controller.radius);
+    expect(walk(controller, new Vector3(-1, 0, 0), 3).x).toBeCloseTo(-4 + controller.radius);
+  });
+
+  test('passes through passable and hidden meshes', () => {
+    const water = boxMesh('Water', 3, 1, 0);
+    water.userData.passable = true;
+    const hidden = boxMesh('Hidden', 7, 1, 0);
+    hidden.visible = false;
+    const controller = new CharacterController(createFloorScene(water, hidden));
+    controller.setEyePosition(new Vector3(0, 1.6, 0));
+
+    expect(walk(controller, new Vector3(1, 0, 0), 2).x).toBeCloseTo(10);
+  });
+
+  test('the camera switches between orbit and walk modes where it stands', () => {
+    const keys = new Set();
+    const camera = new Camera(document.createElement('canvas'), { isKeyPressed: key => keys.has(key) });
+    camera.position.set(1, 3, 2);
+    camera.updateViewMatrix();
+
+    camera.setWalkMode(new CharacterController(createFloorScene()));
+    expect(camera.mode).toBe('walk');
+    expect(camera.walker.getEyePosition().toArray()).toEqual([1, 3, 2]);
+
+    // Falls until the eye is eyeHeight above the floor, then walks where it looks
+    camera.update(1);
+    expect(camera.position.y).toBeCloseTo(camera.walker.eyeHeight);
+    keys.add('KeyW');
+    camera.update(0.2);
+    expect(camera.position.z).toBeCloseTo(2 + camera.walker.walkSpeed * 0.2);
+
+    camera.setOrbitMode();
+    expect(camera.mode).toBe('orbit');
+    expect(camera.position.toArray().map(v => Math.round(v * 100) / 100)).toEqual([1, 1.6, 3]);
+  });
+});
+
+function viewPlanes(eye, target, far = 100) {
+  const view = Matrix4.lookAt(eye, target, new Vector3(0, 1, 0));
+  return Matrix4.perspective(Math.PI / 2, 1, 0.1, far).multiply(view).extractFrustumPlanes();
+}
+
+function doorway(x0, x1, z) {
+  return [new Vector3(x0, 0, z), new Vector3(x1, 0, z), new Vector3(x1, 3, z), new Vector3(x0, 3, z)];
+}
+
+// Three rooms in a row along +z, joined by a central door and then an offset one
+function createCorridor(secondDoor = doorway(3, 5, 20)) {
+  const portals = new PortalCulling();
+  ['A', 'B', 'C'].forEach((id, i) => {
+    portals.addSector(id, { min: new Vector3(-5, 0, i * 10), max: new Vector3(5, 4, i * 10 + 10) });
+  });
+  portals.addPortal('A', 'B', doorway(-1, 1, 10));
+  portals.addPortal('B', 'C', secondDoor);
+  return portals;
+}
+
+describe('PortalCulling', () => {
+  const eye = new Vector3(0, 1.5, 2);
+
+  test('finds the sector holding a point', () => {
+    const portals = createCorridor();
+    expect(portals.findSector(new Vector3(0, 1, 15))).toBe('B');
+    expect(portals.findSector(new Vector3(0, 10, 15))).toBeNull();
+  });
+
+  test('sees through a chain of doorways in view', () => {
+    const portals = createCorridor(doorway(-1, 1, 20));
+    const visible = portals.update(eye, viewPlanes(eye, new Vector3(0, 1.5, 10)));
+    expect(Array.from(visible).sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  test('a doorway outside the narrowed frustum hides the rooms behind it', () => {
+    const portals = createCorridor();
+    const visible = portals.update(eye, viewPlanes(eye, new Vector3(0, 1.5, 10)));
+
+    // The second door is in the camera's frustum, but not in the part seen through the first
+    expect(Array.from(visible).sort()).toEqual(['A', 'B']);
+    expect(portals.stats.portalsTested).toBe(2);
+  });
+
+  test('rooms behind the camera are not visible', () => {
+    const portals = createCorridor();
+    const visible = portals.update(eye, viewPlanes(eye, new Vector3(0, 1.5, -10)));
+    expect(Array.from(visible)).toEqual(['A']);
+  });
+
+  test('gives no answer when the camera is outside every sector or culling is off', () => {
+    const portals = createCorridor();
+    expect(portals.update(new Vector3(0, 20, 5), viewPlanes(new Vector3(0, 20, 5), new Vector3(0, 0, 5)))).toBeNull();
+
+    portals.enabled = false;
+    expect(portals.update(eye, viewPlanes(eye, new Vector3(0, 1.5, 10)))).toBeNull();
+  });
+
+  test('scene limits meshes and lights to the visible sectors', () => {
+    const scene = new Scene();
+    const meshes = ['A', 'B', 'C'].map((id, i) => {
+      const mesh = boxMesh(id, 0, 1, i * 10 + 5);
+      mesh.userData.sectors = [id];
+      scene.addChild(mesh);
+      return mesh;
+    });
+    const nearLight = createLight('point', new Vector3(0, 2, 25), { range: 8 });
+    const farLight = createLight('point', new Vector3(0, 2, 28), { range: 4 });
+    nearLight.userData.sectors = ['C'];
+    farLight.userData.sectors = ['C'];
+    scene.addChild(nearLight);
+    scene.addChild(farLight);
+
+    scene.portalCulling = createCorridor();
+    scene.prepareRender();
+    const planes = viewPlanes(eye, new Vector3(0, 1.5, 10));
+    scene.updateVisibility(planes, eye);
+
+    expect(scene.getVisibleMeshes(planes)).toEqual([meshes[0], meshes[1]]);
+    // Room C is hidden, but the nearer light's range reaches into B
+    expect(scene.getVisibleLights()).toEqual([nearLight]);
+  });
+});
@@ -0,0 +1,774 @@
+/**
+ * Jest Ecosystem Simulation Tests
+ * Run with: npm test
+ */
+
+import { Species, DEFAULT_SPECIES } from '../src/simulation/Species.js';
+import { Population, EXTINCTION_THRESHOLD } from '../src/simulation/Population.js';
+import { EcosystemManager } from '../src/simulation/EcosystemManager.js';
+import { MigrationSystem } from '../src/simulation/MigrationSystem.js';
+import { EnvironmentSimulation } from '../src/simulation/EnvironmentSimulation.js';
+import { ResourceSystem } from '../src/simulation/ResourceSystem.js';
+import { GenePool, Genome, TRAITS, LOCI_PER_TRAIT } from '../src/simulation/Genetics.js';
+import { Disease, DEFAULT_DISEASES } from '../src/simulation/Disease.js';
+import { DungeonGenerator } from '../src/generation/DungeonGenerator.js';
+import { Engine } from '../src/core/Engine.js';
+import { Vector3 } from '../src/math/Vector3.js';
+import { SeededRandom } from '../src/math/SeededRandom.js';
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+const GRAZER = {
+  id: 'grazer',
+  trophicLevel: 'decomposer',
+  resources: ['DETRITUS'],
+  growthRate: 0.5,
+  density: 1,
+  temperature: { min: 0, optimal: 15, max: 30 },
+  humidity: { min: 0, optimal: 80, max: 100 }
+};
+
+const HUNTER = {
+  id: 'hunter',
+  trophicLevel: 'predator',
+  prey: ['grazer'],
+  mortalityRate: 0.1,
+  density: 0.1,
+  predation: { efficiency: 5, conversion: 0.3 }
+};
+
+// A dungeon with just the room, connection and environment data the simulation reads
+function makeDungeon(rooms, environment = {}, connections = []) {
+  return {
+    connections: connections.map(({ rooms: [a, b], length = 20, width = 3, height = 3 }) => ({
+      id: `conn_${a}_${b}`, rooms: [a, b], length, width, height
+    })),
+    rooms: rooms.map(({ id, radius = 10, temperature = 15, humidity = 80 }) => ({
+      id,
+      position: new Vector3(),
+      size: { radius },
+      environment: { temperature, humidity, lightLevel: 0 }
+    })),
+    environment: {
+      waterBodies: [],
+      temperatureZones: [],
+      lightMap: new Map(),
+      organicDeposits: [],
+      ...environment
+    }
+  };
+}
+
+function run(manager, days, timestep = manager.timestep) {
+  for (let i = 0; i < Math.round(days / timestep); i++) manager.step(timestep);
+}
+
+describe('Species', () => {
+  test('fills in defaults and round-trips through JSON', () => {
+    const species = new Species({ id: 'slime', resources: ['ALGAE'], growthRate: 0.2 });
+    expect(species.name).toBe('slime');
+    expect(species.trophicLevel).toBe('consumer');
+    expect(species.temperature).toEqual({ min: 0, optimal: 15, max: 30 });
+    expect(species.isPredator).toBe(false);
+    expect(new Species(JSON.parse(JSON.stringify(species))).toJSON()).toEqual(species.toJSON());
+
+    const defaults = Species.fromDefinitions(DEFAULT_SPECIES);
+    expect(defaults.get('cave_spider').prey).toEqual(['cave_beetle']);
+  });
+
+  test('rejects definitions the simulation cannot use', () => {
+    expect(() => new Species({})).toThrow('string id');
+    expect(() => new Species({ id: 'x', trophicLevel: 'apex' })).toThrow('trophic level');
+    expect(() => new Species({ id: 'x', resources: ['GOLD'] })).toThrow('unknown resource');
+    expect(() => new Species({ id: 'x', growthRate: -1 })).toThrow('growthRate');
+    expect(() => new Species({ id: 'x', heritability: 1.5 })).toThrow('heritability');
+    expect(() => new Species({ id: 'x', light: { min: 0.5, optimal: 0.2 } })).toThrow('light');
+    expect(() => Species.fromDefinitions([GRAZER, GRAZER])).toThrow('Duplicate');
+    expect(() => Species.fromDefinitions([HUNTER])).toThrow('unknown prey grazer');
+  });
+
+  test('suitability peaks at the optimum and is zero outside the range', () => {
+    const species = new Species(GRAZER);
+    const ideal = { temperature: 15, humidity: 80, light: 0 };
+    expect(species.getSuitability(ideal)).toBe(1);
+    expect(species.getSuitability({ ...ideal, temperature: 25 })).toBeGreaterThan(0);
+    expect(species.getSuitability({ ...ideal, temperature: 25 })).toBeLessThan(1);
+    expect(species.getSuitability({ ...ideal, temperature: 35 })).toBe(0);
+
+    const fish = new Species({ id: 'fish', requiresWater: true });
+    expect(fish.getSuitability({ ...ideal, waterCoverage: 0 })).toBe(0);
+    expect(fish.getSuitability({ ...ideal, waterCoverage: 0.5 })).toBeGreaterThan(0);
+  });
+});
+
+describe('EcosystemManager', () => {
+  test('derives carrying capacity from area, climate and organic deposits', () => {
+    const dungeon = makeDungeon([
+      { id: 'fed' },
+      { id: 'bare' },
+      { id: 'small', radius: 5 },
+      { id: 'frozen', temperature: -5 }
+    ], {
+      organicDeposits: [{ roomId: 'fed', type: 'DETRITUS', amount: 40, quality: 0.5 }],
+      temperatureZones: [{ roomId: 'bare', actualTemperature: 15 }]
+    });
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [GRAZER, HUNTER] });
+    const capacity = id => manager.getPopulation(id, 'grazer').carryingCapacity;
+
+    expect(capacity('fed')).toBeGreaterThan(capacity('bare') * 2);
+    expect(capacity('small')).toBeCloseTo(capacity('bare') / 4);
+    expect(capacity('frozen')).toBe(0);
+    expect(manager.getPopulation('bare', 'grazer').size).toBeCloseTo(capacity('bare') * 0.5);
+
+    // Zones and the light map take precedence over the rooms' own readings
+    dungeon.environment.temperatureZones.push({ roomId: 'fed', actualTemperature: 40 });
+    expect(EcosystemManager.getRoomConditions(dungeon, dungeon.rooms[0]).temperature).toBe(40);
+  });
+
+  test('populations grow logistically towards carrying capacity', () => {
+    const manager = EcosystemManager.fromDungeon(makeDungeon([{ id: 'room' }]), {
+      species: [{ ...GRAZER, initialFraction: 0.05 }]
+    });
+    const population = manager.getPopulation('room', 'grazer');
+    const sizes = [];
+    for (let day = 0; day < 40; day++) {
+      run(manager, 1);
+      sizes.push(population.size);
+    }
+
+    for (let i = 1; i < sizes.length; i++) expect(sizes[i]).toBeGreaterThanOrEqual(sizes[i - 1]);
+    expect(population.size).toBeLessThanOrEqual(population.carryingCapacity);
+    expect(population.pressure).toBeGreaterThan(0.99);
+  });
+
+  test('predators hold their prey below capacity and die out without it', () => {
+    const dungeon = makeDungeon([{ id: 'room' }]);
+    const alone = EcosystemManager.fromDungeon(dungeon, { species: [GRAZER, { ...HUNTER, initialFraction: 0 }] });
+    const hunted = EcosystemManager.fromDungeon(dungeon, { species: [GRAZER, HUNTER] });
+    run(alone, 100);
+    run(hunted, 100);
+
+    const prey = hunted.getPopulation('room', 'grazer');
+    expect(prey.size).toBeLessThan(alone.getPopulation('room', 'grazer').size * 0.9);
+    expect(prey.size).toBeGreaterThan(0);
+    expect(hunted.getPopulation('room', 'hunter').size).toBeGreaterThan(1);
+
+    const starving = EcosystemManager.fromDungeon(dungeon, { species: [{ ...GRAZER, initialFraction: 0 }, HUNTER] });
+    run(starving, 100);
+    expect(starving.getPopulation('room', 'hunter').isExtinct).toBe(true);
+  });
+
+  test('steps on a fixed timestep however the frame time is sliced', () => {
+    const dungeon = makeDungeon([{ id: 'room' }]);
+    const options = { species: [GRAZER, HUNTER], timestep: 1 / 8, timeScale: 1 };
+    const coarse = EcosystemManager.fromDungeon(dungeon, options);
+    const fine = EcosystemManager.fromDungeon(dungeon, options);
+
+    expect(coarse.update(5 / 16)).toBe(2);
+    expect(coarse.update(5 / 16)).toBe(3);
+    for (let i = 0; i < 40; i++) fine.update(1 / 64);
+    expect(fine.stepCount).toBe(coarse.stepCount);
+    expect(fine.getRoomPopulations('room')).toEqual(coarse.getRoomPopulations('room'));
+
+    // A long stall runs a bounded number of steps and drops the rest
+    const stalled = EcosystemManager.fromDungeon(dungeon, { ...options, maxStepsPerUpdate: 5 });
+    expect(stalled.update(60)).toBe(5);
+    expect(stalled.update(0)).toBeLessThanOrEqual(1);
+  });
+
+  test('the default food web persists in a generated dungeon', async () => {
+    const dungeon = await new DungeonGenerator().generate({ seed: 12, maxRooms: 20 });
+    const manager = EcosystemManager.fromDungeon(dungeon);
+    expect(manager.rooms.size).toBe(dungeon.rooms.length);
+
+    run(manager, 200);
+    const totals = manager.getTotals();
+    for (const species of ['cave_fungus', 'cave_beetle', 'cave_spider']) {
+      expect(totals[species]).toBeGreaterThan(EXTINCTION_THRESHOLD);
+    }
+    for (const room of manager.rooms.values()) {
+      for (const population of room.populations.values()) {
+        expect(Number.isFinite(population.size)).toBe(true);
+        expect(population.size).toBeGreaterThanOrEqual(0);
+      }
+    }
+  });
+
+  test('Engine.update drives the simulation', () => {
+    // jsdom has no canvas contexts; the engine only probes for WebGL support here
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    const engine = new Engine();
+    HTMLCanvasElement.prototype.getContext.mockRestore();
+    engine.inputManager = { update: () => {} };
+    engine.ecosystem = EcosystemManager.fromDungeon(makeDungeon([{ id: 'room' }]), { species: [GRAZER], timestep: 0.1 });
+
+    for (let frame = 0; frame < 4; frame++) engine.update(1 / 30);
+    expect(engine.ecosystem.stepCount).toBe(1);
+  });
+});
+
+describe('MigrationSystem', () => {
+  // Neither grows nor dies, so only migration changes its numbers
+  const WANDERER = { id: 'wanderer', density: 1, dispersalRate: 0.5, temperature: { min: 0, optimal: 15, max: 30 } };
+
+  function sizes(manager) {
+    return Object.fromEntries([...manager.rooms.keys()].map(id => [id, manager.getPopulation(id, 'wanderer').size]));
+  }
+
+  test('crowded rooms send whole individuals down their tunnels', () => {
+    const dungeon = makeDungeon([{ id: 'full' }, { id: 'empty' }, { id: 'cut_off' }], {}, [{ rooms: ['full', 'empty'] }]);
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [{ ...WANDERER, initialFraction: 1.5 }] });
+    manager.getPopulation('empty', 'wanderer').size = 0;
+    const before = sizes(manager);
+    run(manager, 10);
+    const after = sizes(manager);
+
+    expect(after.full).toBeLessThan(before.full);
+    expect(after.empty).toBeGreaterThan(0);
+    expect(after.full + after.empty).toBeCloseTo(before.full);
+    expect(after.cut_off).toBe(before.cut_off);
+
+    const events = manager.migration.getEvents();
+    expect(events.length).toBeGreaterThan(0);
+    for (const event of events) {
+      expect(Number.isInteger(event.count)).toBe(true);
+      expect(event.connectionId).toBe('conn_full_empty');
+    }
+    expect(manager.migration.getEvents(manager.time)).toEqual([]);
+
+    const [traffic] = manager.getMigrationTraffic();
+    const moved = events.reduce((sum, event) => sum + event.count, 0);
+    expect(traffic).toMatchObject({ connectionId: 'conn_full_empty', rooms: ['full', 'empty'], total: moved });
+    expect(traffic.bySpecies.wanderer).toBe(moved);
+    expect(traffic.net).toBeGreaterThan(0);
+    expect(traffic.flow).toBeGreaterThan(0);
+  });
+
+  test('wide, short tunnels carry more than narrow, long ones', () => {
+    const dungeon = makeDungeon([{ id: 'hub' }, { id: 'near' }, { id: 'far' }], {}, [
+      { rooms: ['hub', 'near'], length: 20, width: 4, height: 4 },
+      { rooms: ['hub', 'far'], length: 120, width: 2, height: 2.5 }
+    ]);
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [{ ...WANDERER, initialFraction: 2 }] });
+    const route = id => manager.migration.routes.get('hub').find(candidate => candidate.to === id);
+    const room = id => manager.rooms.get(id);
+    const hub = manager.getPopulation('hub', 'wanderer');
+
+    const near = manager.migration.getEmigrationRate(hub, room('hub'), room('near'), route('near'));
+    const far = manager.migration.getEmigrationRate(hub, room('hub'), room('far'), route('far'));
+    expect(near).toBeGreaterThan(far * 5);
+  });
+
+  test('migrants head for rooms that suit them and leave ones that do not', () => {
+    const dungeon = makeDungeon([{ id: 'mild' }, { id: 'warm', temperature: 24 }, { id: 'frozen', temperature: -10 }], {}, [
+      { rooms: ['mild', 'warm'] },
+      { rooms: ['mild', 'frozen'] }
+    ]);
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [WANDERER] });
+    const route = (from, to) => manager.migration.routes.get(from).find(candidate => candidate.to === to);
+    const rate = (from, to) => manager.migration.getEmigrationRate(
+      manager.getPopulation(from, 'wanderer'), manager.rooms.get(from), manager.rooms.get(to), route(from, to)
+    );
+
+    expect(rate('mild', 'frozen')).toBe(0);
+    expect(rate('warm', 'mild')).toBeGreaterThan(rate('mild', 'warm'));
+
+    // Nobody can live in the frozen room, so anyone there moves out (migration alone;
+    // left to the climate simulation, the frozen room would warm up through its tunnel)
+    manager.getPopulation('frozen', 'wanderer').size = 40;
+    for (let i = 0; i < 200; i++) manager.migration.step(manager.rooms, 0.1, i * 0.1);
+    expect(manager.getPopulation('frozen', 'wanderer').size).toBeLessThan(40);
+  });
+
+  test('skips connections to rooms outside the simulation', () => {
+    const migration = new MigrationSystem();
+    migration.setConnections([{ id: 'stray', rooms: ['a', 'b'] }], new Map([['a', {}]]));
+    expect(migration.routes.get('a')).toEqual([]);
+    expect(migration.getTraffic()).toEqual([]);
+  });
+});
+
+describe('EnvironmentSimulation', () => {
+  const LAVA = { type: 'LAVA_POOL', temperature: 800, radius: 5 };
+
+  test('heat and moisture diffuse through connections only', () => {
+    const dungeon = makeDungeon([
+      { id: 'warm', temperature: 25, humidity: 40 },
+      { id: 'cold', temperature: 5, humidity: 90 },
+      { id: 'apart', temperature: 25, humidity: 40 }
+    ], {}, [{ rooms: ['warm', 'cold'] }]);
+    const environment = new EnvironmentSimulation().setDungeon(dungeon);
+    run(environment, 5, 0.1);
+
+    const warm = environment.getRoomClimate('warm');
+    const cold = environment.getRoomClimate('cold');
+    expect(warm.temperature).toBeLessThan(25);
+    expect(cold.temperature).toBeGreaterThan(5);
+    expect(warm.temperature).toBeGreaterThan(cold.temperature);
+    expect(warm.humidity).toBeGreaterThan(40);
+    expect(cold.humidity).toBeLessThan(90);
+    expect(environment.getRoomClimate('apart')).toMatchObject({ temperature: 25, humidity: 40, airflow: 0 });
+    expect(environment.getRoomClimate('nowhere')).toBeNull();
+  });
+
+  test('heat sources warm their room and its neighbours; water humidifies', () => {
+    const dungeon = makeDungeon([
+      { id: 'lava', humidity: 50 },
+      { id: 'next' },
+      { id: 'far' },
+      { id: 'pool', humidity: 50 }
+    ], {
+      temperatureZones: [{ roomId: 'lava', actualTemperature: 15, heatSources: [LAVA], insulation: 0.3 }],
+      waterBodies: [{ roomId: 'pool', coverage: 0.6 }]
+    }, [{ rooms: ['lava', 'next'] }, { rooms: ['next', 'far'], length: 200 }]);
+    const environment = new EnvironmentSimulation().setDungeon(dungeon);
+    run(environment, 20, 0.1);
+
+    const temperature = id => environment.getRoomClimate(id).temperature;
+    expect(temperature('lava')).toBeGreaterThan(25);
+    expect(temperature('next')).toBeGreaterThan(15.5);
+    expect(temperature('next')).toBeLessThan(temperature('lava'));
+    expect(temperature('far')).toBeLessThan(temperature('next'));
+    expect(environment.getRoomClimate('pool').humidity).toBeGreaterThan(55);
+    expect(environment.getRoomClimate('pool').humidity).toBeLessThanOrEqual(100);
+
+    // Settles rather than running away
+    const settled = temperature('lava');
+    run(environment, 20, 0.1);
+    expect(temperature('lava')).toBeCloseTo(settled, 1);
+  });
+
+  test('air follows the draft and rises from warm rooms into cold ones', () => {
+    const dungeon = makeDungeon([{ id: 'upper' }, { id: 'lower' }, { id: 'hot', temperature: 30 }], {
+      airFlow: [{ connectionId: 'conn_lower_upper', from: 'upper', to: 'lower', strength: 0.6 }]
+    }, [{ rooms: ['lower', 'upper'] }, { rooms: ['hot', 'upper'] }]);
+    const environment = new EnvironmentSimulation().setDungeon(dungeon);
+    environment.step(0.1);
+
+    const { rooms, airflow } = environment.getVisualizationData();
+    expect(rooms.map(room => room.roomId)).toEqual(['upper', 'lower', 'hot']);
+    expect(rooms[0].position).toEqual([0, 0, 0]);
+    expect(airflow).toEqual([
+      expect.objectContaining({ connectionId: 'conn_lower_upper', from: 'upper', to: 'lower' }),
+      expect.objectContaining({ connectionId: 'conn_hot_upper', from: 'hot', to: 'upper' })
+    ]);
+    for (const flow of airflow) expect(flow.volume).toBeGreaterThan(0);
+    expect(environment.getRoomClimate('lower').airflow).toBeCloseTo(airflow[0].volume);
+  });
+
+  test('the ecosystem lives in the simulated climate', () => {
+    const dungeon = makeDungeon([{ id: 'lava' }], {
+      temperatureZones: [{ roomId: 'lava', actualTemperature: 15, heatSources: [LAVA], insulation: 0.3 }]
+    });
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [GRAZER] });
+    const population = manager.getPopulation('lava', 'grazer');
+    const capacity = population.carryingCapacity;
+    run(manager, 5);
+
+    const { conditions } = manager.rooms.get('lava');
+    expect(conditions.temperature).toBe(manager.environment.getRoomClimate('lava').temperature);
+    expect(conditions.temperature).toBeGreaterThan(20);
+    expect(population.carryingCapacity).toBeLessThan(capacity);
+  });
+});
+
+describe('AgentSystem', () => {
+  // Walks about eating grazer; neither breeds nor dies unless its needs say so
+  const CRITTER = { id: 'critter', prey: ['grazer'], mobile: true, speed: 2, density: 0.5, mortalityRate: 0.1, dispersalRate: 0 };
+  const STALKER = { id: 'stalker', prey: ['critter'], mobile: true, speed: 4, density: 0.05, dispersalRate: 0 };
+
+  // Creatures with these needs, all others cleared out of the room
+  function only(manager, roomId, speciesId, count, needs = {}) {
+    const agents = manager.agents.getAgents(roomId).filter(agent => agent.speciesId === speciesId);
+    for (const agent of agents.slice(count)) manager.agents.remove(agent);
+    for (const agent of agents.slice(0, count)) Object.assign(agent.needs, { hunger: 0, thirst: 0, reproduction: 0 }, needs);
+    return agents.slice(0, count);
+  }
+
+  // Real time passes but no simulated time, so needs only change by what creatures do
+  function walk(manager, seconds) {
+    for (let i = 0; i < seconds * 10; i++) manager.agents.update(0.1, 0);
+  }
+
+  test('observed rooms run their mobile populations as weighted creatures', () => {
+    const manager = EcosystemManager.fromDungeon(makeDungeon([{ id: 'room' }]), { species: [GRAZER, CRITTER] });
+    const critters = manager.getPopulation('room', 'critter');
+    critters.size = 100;
+
+    manager.setObservedRooms(['room']);
+    const agents = manager.agents.getAgents('room');
+    expect(agents).toHaveLength(30);
+    expect(agents.every(agent => agent.speciesId === 'critter')).toBe(true);
+    expect(agents.reduce((sum, agent) => sum + agent.weight, 0)).toBeCloseTo(100);
+    expect(critters.detailed).toBe(true);
+    expect(manager.getPopulation('room', 'grazer').detailed).toBe(false);
+
+    // The statistical step leaves detailed populations to their creatures
+    const grazers = manager.getPopulation('room', 'grazer').size;
+    run(manager, 1);
+    expect(critters.size).toBe(100);
+    expect(manager.getPopulation('room', 'grazer').size).not.toBe(grazers);
+
+    manager.setObservedRooms([]);
+    expect(manager.agents.getAgents('room')).toHaveLength(0);
+    expect(critters.detailed).toBe(false);
+    run(manager, 1);
+    expect(critters.size).toBeLessThan(100);
+  });
+
+  test('hungry creatures forage at deposits and thirsty ones drink', () => {
+    const dungeon = makeDungeon([{ id: 'room' }], {
+      organicDeposits: [{ roomId: 'room', type: 'DETRITUS', amount: 40, quality: 0.5, position: new Vector3(4, 0, 0) }],
+      waterBodies: [{ roomId: 'room', coverage: 0.1, position: new Vector3(-3, 0, 0) }]
+    });
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [GRAZER, CRITTER] });
+    manager.setObservedRooms(['room']);
+    const [hungry, thirsty] = only(manager, 'room', 'critter', 2);
+    hungry.needs.hunger = 0.7;
+    thirsty.needs.thirst = 0.7;
+    const grazers = manager.getPopulation('room', 'grazer').size;
+
+    manager.agents.update(0.1, 0);
+    expect(hungry.state).toBe('forage');
+    expect(thirsty.state).toBe('drink');
+
+    walk(manager, 20);
+    expect(hungry.needs.hunger).toBeLessThan(0.1);
+    expect(manager.getPopulation('room', 'grazer').size).toBeLessThan(grazers);
+    expect(thirsty.needs.thirst).toBe(0);
+  });
+
+  test('hunting predators chase their prey down, which flees', () => {
+    const manager = EcosystemManager.fromDungeon(makeDungeon([{ id: 'room' }]), { species: [GRAZER, CRITTER, STALKER] });
+    manager.getPopulation('room', 'stalker').size = 5;
+    manager.setObservedRooms(['room']);
+    const [prey] = only(manager, 'room', 'critter', 1);
+    const [hunter] = only(manager, 'room', 'stalker', 1, { hunger: 0.9 });
+    prey.position.set(0, 0, 0);
+    hunter.position.set(3, 0, 0);
+    const critters = manager.getPopulation('room', 'critter').size;
+
+    manager.agents.update(0.1, 0);
+    expect(hunter.state).toBe('hunt');
+    manager.agents.update(0.1, 0);
+    expect(prey.state).toBe('flee');
+    expect(prey.position.x).toBeLessThan(0);
+
+    walk(manager, 30);
+    expect(prey.alive).toBe(false);
+    expect(hunter.needs.hunger).toBeLessThan(0.5);
+    expect(manager.getPopulation('room', 'critter').size).toBeCloseTo(critters - prey.weight);
+    expect(manager.agents.getDeaths()).toEqual({ predation: 1 });
+  });
+
+  test('desperate creatures leave through a doorway as migrants', () => {
+    const dungeon = makeDungeon([{ id: 'bare' }, { id: 'fed' }], {}, [{ rooms: ['bare', 'fed'] }]);
+    dungeon.rooms[1].position = new Vector3(40, 0, 0);
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [GRAZER, CRITTER] });
+    manager.getPopulation('bare', 'grazer').size = 0;
+    manager.setObservedRooms(['bare', 'fed']);
+    const [leaving] = only(manager, 'bare', 'critter', 1, { hunger: 0.9 });
+    const before = manager.getPopulation('fed', 'critter').size;
+    const residents = new Set(manager.agents.getAgents('fed'));
+
+    walk(manager, 20);
+    expect(leaving.alive).toBe(false);
+    expect(manager.getPopulation('fed', 'critter').size).toBeCloseTo(before + leaving.weight);
+    expect(manager.getMigrationTraffic()[0]).toMatchObject({ connectionId: 'conn_bare_fed', net: leaving.weight });
+
+    // It walks on into the observed room at the other end
+    const arrived = manager.agents.getAgents('fed').filter(agent => !residents.has(agent));
+    expect(arrived).toHaveLength(1);
+    expect(arrived[0].weight).toBeCloseTo(leaving.weight);
+  });
+});
+
+describe('ResourceSystem', () => {
+  const DETRITUS = { roomId: 'room', type: 'DETRITUS', amount: 10, quality: 0.5, regenerationRate: 0.5 };
+
+  // Rooms as EcosystemManager keeps them, with nothing feeding
+  function bareRooms(conditions) {
+    return new Map([['room', { conditions: { light: 0, humidity: 70, temperature: 15, ...conditions }, populations: new Map() }]]);
+  }
+
+  function stepDays(resources, rooms, days, dt = 0.1) {
+    for (let i = 1; i <= Math.round(days / dt); i++) resources.step(rooms, dt, i * dt);
+  }
+
+  test('deposits regrow towards a cap set by the room and rot when cut off', () => {
+    const dungeon = makeDungeon([{ id: 'room' }], { organicDeposits: [DETRITUS] });
+    const resources = new ResourceSystem().setDungeon(dungeon);
+    const [deposit] = resources.getDeposits('room');
+
+    stepDays(resources, bareRooms(), 30);
+    expect(deposit.amount).toBeGreaterThan(15);
+    expect(deposit.amount).toBeLessThan(20);
+    expect(dungeon.environment.organicDeposits[0].amount).toBe(10);
+
+    // Frozen solid, nothing grows back
+    const frozen = bareRooms({ temperature: -20 });
+    expect(resources.getCap(deposit, frozen.get('room').conditions)).toBe(0);
+    stepDays(resources, frozen, 60);
+    expect(deposit.amount).toBeLessThan(1);
+    expect(resources.getEvents().map(event => event.type)).toEqual(['depleted']);
+  });
+
+  test('feeders share out a scarce deposit, and it recovers once they are gone', () => {
+    const dungeon = makeDungeon([{ id: 'room' }], { organicDeposits: [DETRITUS] });
+    const manager = EcosystemManager.fromDungeon(dungeon, {
+      species: [{ ...GRAZER, feedingRate: 1 }, { ...GRAZER, id: 'rival', feedingRate: 2 }]
+    });
+    const [deposit] = manager.resources.getDeposits('room');
+    const capacity = manager.getPopulation('room', 'grazer').carryingCapacity;
+
+    manager.step(0.1);
+    expect(deposit.consumed).toBeCloseTo(10);
+    expect(manager.resources.getEvents()).toMatchObject([{ type: 'depleted', roomId: 'room', resource: 'DETRITUS' }]);
+    expect(manager.getPopulation('room', 'grazer').carryingCapacity).toBeLessThan(capacity);
+
+    manager.getPopulation('room', 'grazer').size = 0;
+    manager.getPopulation('room', 'rival').size = 0;
+    run(manager, 20);
+    expect(manager.resources.getEvents(1).map(event => event.type)).toContain('recovered');
+    expect(manager.getPopulation('room', 'grazer').carryingCapacity).toBeGreaterThan(capacity);
+  });
+
+  test('dead creatures and their droppings feed detritus back in', () => {
+    const BEAST = { id: 'beast', prey: ['grazer'], mobile: true, density: 0.5, mortalityRate: 0.5, dispersalRate: 0 };
+    const manager = EcosystemManager.fromDungeon(makeDungeon([{ id: 'room' }]), { species: [GRAZER, BEAST] });
+    expect(manager.resources.getDeposits('room')).toHaveLength(0);
+
+    run(manager, 1);
+    const [detritus] = manager.resources.getDeposits('room');
+    expect(detritus).toMatchObject({ type: 'DETRITUS', roomId: 'room' });
+    expect(detritus.amount).toBeGreaterThan(0);
+
+    // A creature dying in an observed room leaves its remains where it fell
+    manager.setObservedRooms(['room']);
+    const [agent] = manager.agents.getAgents('room');
+    agent.position.set(3, 0, 0);
+    const before = detritus.amount;
+    manager.agents.die(agent, 'age');
+    expect(detritus.amount).toBeCloseTo(before + agent.weight * 0.5);
+  });
+});
+
+describe('Genetics', () => {
+  const rng = new SeededRandom(7);
+
+  test('gene pools climb their fitness gradient, and drift wears down small ones', () => {
+    const pool = new GenePool();
+    expect(pool.getHeterozygosity()).toBe(0.5);
+    expect(pool.getTraits().diet).toBe(0);
+
+    // Only diet matters, and the higher the better
+    const fitness = traits => Math.exp(traits.diet);
+    const large = pool.clone();
+    for (let i = 0; i < 50; i++) large.evolve(1, 1e6, 0, fitness, rng);
+    expect(large.getTraits().diet).toBeGreaterThan(0.9);
+    expect(Math.abs(large.getTraits().size)).toBeLessThan(0.05);
+
+    const small = pool.clone();
+    for (let i = 0; i < 50; i++) small.evolve(1, 5, 0, () => 1, rng);
+    const diversity = small.getDiversity();
+    expect(diversity.heterozygosity).toBeLessThan(0.3);
+    expect(diversity.polymorphism).toBeLessThan(1);
+    expect(small.getDivergence(pool)).toBeGreaterThan(0.2);
+
+    // Newcomers pull the pool towards their own frequencies
+    large.add(pool.frequencies, 100, 100);
+    expect(large.getTraits().diet).toBeGreaterThan(0.4);
+    expect(large.getTraits().diet).toBeLessThan(0.6);
+  });
+
+  test('genomes are drawn from their pool and recombine into children', () => {
+    const fixed = new GenePool(Object.fromEntries(TRAITS.map(trait => [trait, new Array(LOCI_PER_TRAIT).fill(1)])));
+    const plus = Genome.fromPool(fixed, rng);
+    const minus = Genome.fromPool(new GenePool(Object.fromEntries(TRAITS.map(trait => [trait, new Array(LOCI_PER_TRAIT).fill(0)]))), rng);
+    expect(plus.getTraits().size).toBe(1);
+    expect(plus.getHeterozygosity()).toBe(0);
+
+    const child = Genome.inherit(plus, minus, rng);
+    expect(child.getTraits().size).toBe(0);
+    expect(child.getHeterozygosity()).toBe(1);
+    expect(child.getFrequencies().diet).toEqual(new Array(LOCI_PER_TRAIT).fill(0.5));
+
+    // Grandchildren get crossed-over mixes of both grandparents
+    const grandchildren = Array.from({ length: 50 }, () => Genome.inherit(child, child, rng));
+    const sizes = new Set(grandchildren.map(genome => genome.getTraits().size));
+    expect(sizes.size).toBeGreaterThan(3);
+    expect(grandchildren.some(genome => genome.getHeterozygosity() > 0 && genome.getHeterozygosity() < 1)).toBe(true);
+  });
+
+  test('isolated rooms adapt to their own climate and drift apart', () => {
+    const ADAPTABLE = { ...GRAZER, resources: [], heritability: 1 };
+    const dungeon = makeDungeon([{ id: 'warm', temperature: 24 }, { id: 'cold', temperature: 6 }]);
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [ADAPTABLE], seed: 3 });
+    const warm = manager.getPopulation('warm', 'grazer');
+    const cold = manager.getPopulation('cold', 'grazer');
+    const capacity = warm.carryingCapacity;
+    run(manager, 100);
+
+    expect(warm.traits.temperatureTolerance).toBeGreaterThan(0.3);
+    expect(cold.traits.temperatureTolerance).toBeLessThan(-0.3);
+    expect(warm.carryingCapacity).toBeGreaterThan(capacity);
+
+    const diversity = manager.getGeneticDiversity('grazer');
+    expect(diversity.rooms.map(room => room.roomId)).toEqual(['warm', 'cold']);
+    expect(diversity.heterozygosity).toBeLessThan(0.5);
+    expect(diversity.divergence).toBeGreaterThan(0.1);
+
+    // Without heritability nothing shows
+    expect(new Population(new Species(GRAZER), 'room', 10, 10).traits.temperatureTolerance).toBe(0);
+  });
+});
+
+describe('DiseaseSystem', () => {
+  // Neither grows nor dies of anything but the disease
+  const HOST = { id: 'host', density: 1, dispersalRate: 0 };
+  const PLAGUE = {
+    id: 'plague',
+    hosts: { host: 1 },
+    transmissionRate: 1,
+    recoveryRate: 0.1,
+    mortalityRate: 0.05,
+    immunityLoss: 0,
+    humidity: { min: 50, optimal: 80, max: 100 }
+  };
+
+  function infected(manager, roomId) {
+    const room = manager.getDiseaseStatus('plague').rooms.find(candidate => candidate.roomId === roomId);
+    return room.exposed + room.infectious;
+  }
+
+  test('outbreaks burn through crowded, humid rooms and leave the survivors immune', () => {
+    const dungeon = makeDungeon([{ id: 'crowded' }, { id: 'sparse', radius: 20 }, { id: 'dry', humidity: 20 }]);
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [HOST], diseases: [PLAGUE] });
+    const size = manager.getPopulation('crowded', 'host').size;
+    manager.getPopulation('sparse', 'host').size = size;
+    const dry = manager.getPopulation('dry', 'host').size;
+    for (const roomId of ['crowded', 'sparse', 'dry']) {
+      expect(manager.seedOutbreak(roomId, 'plague', 2)).toBe(2);
+    }
+    expect(manager.getDiseaseStatus('plague')).toMatchObject({ infectious: 6, exposed: 0, recovered: 0 });
+
+    run(manager, 20);
+    expect(infected(manager, 'crowded')).toBeGreaterThan(10);
+    expect(infected(manager, 'sparse')).toBeLessThan(2);
+    expect(infected(manager, 'dry')).toBeLessThan(1);
+
+    run(manager, 150);
+    const crowded = manager.getDiseaseStatus('plague').rooms[0];
+    expect(crowded).toMatchObject({ roomId: 'crowded', exposed: 0, infectious: 0 });
+    expect(crowded.recovered).toBeGreaterThan(size / 2);
+    expect(manager.getPopulation('crowded', 'host').size).toBeLessThan(size - 10);
+    expect(manager.getPopulation('dry', 'host').size).toBeGreaterThan(dry - 2);
+
+    const cleared = manager.disease.getEvents().filter(event => event.type === 'cleared').map(event => event.roomId);
+    expect(cleared).toEqual(['dry', 'sparse', 'crowded']);
+  });
+
+  test('migrants carry a disease down the tunnels, and immunity wanes', () => {
+    const WANDERER = { ...HOST, dispersalRate: 0.5, initialFraction: 1.5 };
+    const dungeon = makeDungeon([{ id: 'full' }, { id: 'empty' }, { id: 'cut_off' }], {}, [{ rooms: ['full', 'empty'] }]);
+    const manager = EcosystemManager.fromDungeon(dungeon, { species: [WANDERER], diseases: [{ ...PLAGUE, immunityLoss: 0.2 }] });
+    manager.getPopulation('empty', 'host').size = 0;
+    manager.seedOutbreak('full', 'plague', 5);
+    run(manager, 20);
+
+    expect(manager.getPopulation('empty', 'host').infections.has('plague')).toBe(true);
+    expect(manager.getPopulation('cut_off', 'host').infections.size).toBe(0);
+    expect(manager.disease.getEvents()).toContainEqual(expect.objectContaining({ type: 'arrived', roomId: 'empty', diseaseId: 'plague' }));
+
+    // Waning immunity lets it come back round rather than burn out
+    run(manager, 100);
+    const status = manager.getDiseaseStatus('plague');
+    expect(status.infectious).toBeGreaterThan(1);
+    expect(status.susceptible).toBeGreaterThan(status.recovered);
+  });
+
+  test('creatures in an observed room die of it and take their individuals with them', () => {
+    const CREATURE = { ...HOST, mobile: true };
+    const manager = EcosystemManager.fromDungeon(makeDungeon([{ id: 'room' }]), {
+      species: [CREATURE], diseases: [{ ...PLAGUE, mortalityRate: 0.5 }]
+    });
+    const population = manager.getPopulation('room', 'host');
+    population.size = 60;
+    manager.setObservedRooms(['room']);
+    manager.seedOutbreak('room', 'plague', 20);
+    const weight = manager.agents.getAgents('room')[0].weight;
+
+    run(manager, 5);
+    const agents = manager.agents.getAgents('room');
+    const died = manager.agents.getDeaths().disease;
+    expect(died).toBeGreaterThan(2);
+    expect(agents).toHaveLength(60 / weight - died);
+    expect(population.size).toBeCloseTo(60 - died * weight);
+    expect(agents.reduce((sum, agent) => sum + agent.weight, 0)).toBeCloseTo(population.size);
+    expect(population.diseaseDeaths).toBeLessThan(weight);
+    expect(manager.resources.getDeposits('room').some(deposit => deposit.type === 'DETRITUS')).toBe(true);
+
+    // Deaths still owed when the room is no longer watched come off the aggregate
+    const owed = population.diseaseDeaths;
+    const size = population.size;
+    manager.setObservedRooms([]);
+    expect(population.diseaseDeaths).toBe(0);
+    expect(population.size).toBeCloseTo(size - owed);
+  });
+
+  test('only infects its hosts, as susceptible as they are', () => {
+    expect(() => new Disease({ id: 'x', transmissionRate: -1 })).toThrow('transmissionRate');
+    expect(() => new Disease({ id: 'x', hosts: { host: 2 } })).toThrow('susceptibility of host');
+    expect(() => Disease.fromDefinitions([PLAGUE, PLAGUE])).toThrow('Duplicate');
+    expect(new Disease(JSON.parse(JSON.stringify(new Disease(PLAGUE)))).toJSON()).toEqual(new Disease(PLAGUE).toJSON());
+    expect(Disease.fromDefinitions(DEFAULT_DISEASES).get('mite_fever').getSusceptibility('cave_beetle')).toBe(1);
+
+    const species = [HOST, { ...HOST, id: 'hardy' }, { ...HOST, id: 'immune' }];
+    const manager = EcosystemManager.fromDungeon(makeDungeon([{ id: 'room' }, { id: 'other' }]), {
+      species, diseases: [{ ...PLAGUE, hosts: { host: 1, hardy: 0.2 } }]
+    });
+    expect(() => manager.seedOutbreak('room', 'plague', 1, 'immune')).toThrow("doesn't infect immune");
+    expect(() => manager.seedOutbreak('room', 'pox')).toThrow('Unknown disease');
+    manager.getPopulation('other', 'host').size = 0;
+    expect(manager.seedOutbreak('other', 'plague', 1, 'host')).toBe(0);
+
+    manager.seedOutbreak('room', 'plague', 5, 'host');
+    run(manager, 10);
+    const share = id => manager.getPopulation('room', id).infections.get('plague');
+    expect(share('host').exposed + share('host').infectious).toBeGreaterThan(5 * (share('hardy').exposed + share('hardy').infectious));
+    expect(share('hardy').exposed).toBeGreaterThan(0);
+    expect(manager.getPopulation('room', 'immune').infections.size).toBe(0);
+  });
+});
+
+describe('Population', () => {
+  test('rounds tiny remnants down to extinction', () => {
+    const population = new Population(new Species(GRAZER), 'room', 2, 10);
+    population.apply(0, 1.7);
+    expect(population.isExtinct).toBe(true);
+    expect(population.deaths).toBe(1.7);
+  });
+
+  test('moves only whole individuals it has', () => {
+    const species = new Species(GRAZER);
+    const source = new Population(species, 'a', 2.6, 10);
+    const target = new Population(species, 'b', 0, 10);
+    expect(source.moveTo(target, 5)).toBe(2);
+    expect(source.size).toBeCloseTo(0.6);
+    expect(target).toMatchObject({ size: 2, immigrants: 2 });
+    expect(source.emigrants).toBe(2);
+
+    // Their infections come along and mix with the healthy
+    source.size = 10;
+    source.getInfection('plague').infectious = 0.5;
+    source.moveTo(target, 2);
+    expect(target.getInfection('plague').infectious).toBeCloseTo(0.25);
+    expect(source.getInfection('plague').infectious).toBe(0.5);
+  });
+});